@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Journal d'audit de l'authentification
+ * @module audit-logger
+ *
+ * Connexions refusées, comptes verrouillés et limites de requêtes atteintes
+ * sont enregistrés dans logs/audit.log (une ligne JSON par événement), en plus
+ * du journal principal.
+ */
+
+const winston = require('winston');
+const logger = require('./logger');
+
+const auditLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [
+    new winston.transports.File({ filename: 'logs/audit.log' })
+  ]
+});
+
+/**
+ * Enregistre un événement d'authentification
+ * @param {string} event - Événement ('LOGIN_FAILED', 'LOGIN_BLOCKED', 'ACCOUNT_LOCKED' ou 'RATE_LIMITED')
+ * @param {Object} req - Requête Express (adresse IP et navigateur)
+ * @param {Object} [details={}] - Détails (email, raison, délai…)
+ * @returns {void}
+ */
+function audit(event, req, details = {}) {
+  auditLogger.info(event, {
+    ip: req.ip,
+    userAgent: req.headers['user-agent'] || '',
+    path: req.originalUrl,
+    ...details
+  });
+  logger.warn(`[audit] ${event} ${details.email || ''} (${req.ip})`);
+}
+
+module.exports = { audit };
@@ -27,9 +27,18 @@ const CONFIG = {
   /** @type {string} Répertoire des utilisateurs */
   usersDir: path.join(process.cwd(), 'data', 'users'),
 
+  /** @type {string} Répertoire des foyers (données partagées entre membres) */
+  householdsDir: path.join(process.cwd(), 'data', 'households'),
+
   /** @type {string} Fichier des notifications */
   subscribeFile: path.join(process.cwd(), 'data', 'notifications.json'),
 
+  /** @type {string} Stockage des données : 'json' (fichiers) ou 'sqlite' */
+  storageBackend: process.env.STORAGE_BACKEND || 'json',
+
+  /** @type {string} Base SQLite (STORAGE_BACKEND=sqlite) */
+  sqliteFile: process.env.SQLITE_FILE || path.join(process.cwd(), 'data', 'atable.db'),
+
   /** @type {string} Clé publique VAPID */
   vapidPublicKey: process.env.VAPID_PUBLIC_KEY,
 
@@ -42,19 +51,72 @@ const CONFIG = {
   /** @type {string} Secret de session */
   sessionSecret: process.env.SESSION_SECRET || generateSecureSecret(),
 
+  /** @type {string} Adresse publique de l'application (liens envoyés par email) */
+  appUrl: (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, ''),
 
   /**
-   * Crée un mois vide avec jours de 1 à 31
-   * @returns {Object} Objet avec jours 1-31 contenant {midi: '', soir: ''}
+   * Envoi des emails
+   * transport : 'smtp' (serveur SMTP), 'file' (fichiers .eml dans outboxDir) ou 'console' (logs)
+   * @type {Object}
    */
-  createEmptyMonth: function () {
-    const days = {};
-    for (let day = 1; day <= 31; day++) {
-      days[day] = { midi: '', soir: '' };
-    }
-    return days;
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'Atable! <no-reply@localhost>',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    },
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'data', 'mail')
+  },
+
+  /** @type {number} Durée de validité d'un lien de réinitialisation du mot de passe (minutes) */
+  passwordResetTtlMinutes: 60,
+
+  /**
+   * Vérification de l'email obligatoire : tant que l'adresse n'est pas confirmée,
+   * certaines fonctionnalités sont refusées (abonnement aux notifications push)
+   * REQUIRE_EMAIL_VERIFICATION=false désactive la restriction (l'email est tout de même envoyé)
+   * @type {boolean}
+   */
+  requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION !== 'false',
+
+  /** @type {number} Durée de validité d'un lien de vérification de l'email (heures) */
+  emailVerificationTtlHours: 48,
+
+  /**
+   * Passkeys (WebAuthn) : domaine (rpID) et origine attendus dans les réponses des navigateurs
+   * Déduits de APP_URL par défaut (WEBAUTHN_RP_ID, WEBAUTHN_ORIGIN)
+   * @type {Object}
+   */
+  webauthn: {
+    rpID: process.env.WEBAUTHN_RP_ID
+      || new URL(process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).hostname,
+    origin: (process.env.WEBAUTHN_ORIGIN || process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`)
+      .replace(/\/$/, '')
+  },
+
+  /**
+   * Protection contre les attaques par force brute
+   * - par adresse IP : requêtes limitées sur les routes d'authentification (POST)
+   * - par compte : délai croissant après freeAttempts échecs (1 s, 2 s, 4 s… jusqu'à maxDelaySeconds),
+   *   puis verrouillage de lockoutMinutes à partir de lockoutAttempts échecs
+   * Les échecs sont oubliés attemptsWindowMinutes après le dernier.
+   * @type {Object}
+   */
+  loginProtection: {
+    ipWindowMinutes: 15,
+    ipMaxRequests: parseInt(process.env.AUTH_RATE_LIMIT) || 30,
+    freeAttempts: 3,
+    maxDelaySeconds: 60,
+    lockoutAttempts: 10,
+    lockoutMinutes: 15,
+    attemptsWindowMinutes: 60
   },
 
+
   /**
    * Obtient le nombre de jours dans un mois donné
    * @param {number} year - Année
@@ -75,29 +137,101 @@ const CONFIG = {
   },
 
   /**
-   * Génère les jours valides pour le mois actuel
-   * @returns {Array<number>} Tableau des jours (1 à 28/29/30/31)
+   * Formate une date en clé ISO locale (YYYY-MM-DD)
+   * @param {Date} date - Date à formater
+   * @returns {string} Clé ISO (ex: '2026-10-19')
+   */
+  formatISODate: function (date) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+  },
+
+  /**
+   * Convertit une clé ISO (YYYY-MM-DD) en date locale à minuit
+   * @param {string} dateKey - Clé ISO
+   * @returns {Date|null} Date ou null si la clé est invalide
    */
-  getValidDaysForCurrentMonth: function () {
-    const daysCount = this.getDaysInCurrentMonth();
-    const days = [];
-    for (let i = 1; i <= daysCount; i++) {
-      days.push(i);
+  parseISODate: function (dateKey) {
+    const match = typeof dateKey === 'string' && dateKey.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+      return null;
     }
-    return days;
+    return date;
   },
 
   /**
-   * Structure par défaut d'un mois
-   * @type {Object}
+   * Ajoute un nombre de jours à une date
+   * @param {Date} date - Date de départ
+   * @param {number} days - Nombre de jours (peut être négatif)
+   * @returns {Date} Nouvelle date
+   */
+  addDays: function (date, days) {
+    const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    result.setDate(result.getDate() + days);
+    return result;
+  },
+
+  /**
+   * Obtient le lundi de la semaine d'une date
+   * @param {Date} [date=new Date()] - Date de référence
+   * @returns {Date} Lundi à minuit
+   */
+  getWeekStart: function (date = new Date()) {
+    const offset = (date.getDay() + 6) % 7;
+    return this.addDays(date, -offset);
+  },
+
+  /**
+   * Liste les clés ISO entre deux dates (incluses)
+   * @param {string} from - Clé ISO de début
+   * @param {string} to - Clé ISO de fin
+   * @returns {Array<string>} Clés ISO
+   */
+  listDatesInRange: function (from, to) {
+    const start = this.parseISODate(from);
+    const end = this.parseISODate(to);
+    const dates = [];
+    if (!start || !end) return dates;
+
+    for (let date = start; date <= end; date = this.addDays(date, 1)) {
+      dates.push(this.formatISODate(date));
+    }
+    return dates;
+  },
+
+  /**
+   * Calcule les semaines (lundi → dimanche) à partir de la semaine courante
+   * @param {number} numberOfWeeks - Nombre de semaines
+   * @param {Date} [referenceDate=new Date()] - Date de référence
+   * @returns {Array<Object>} Tableau d'objets {weekNumber, from, to, days}
    */
-  default_atable: (function () {
-    const days = {};
-    for (let day = 1; day <= 31; day++) {
-      days[day] = { midi: '', soir: '' };
+  getWeekRanges: function (numberOfWeeks, referenceDate = new Date()) {
+    const firstMonday = this.getWeekStart(referenceDate);
+    const ranges = [];
+
+    for (let week = 1; week <= numberOfWeeks; week++) {
+      const start = this.addDays(firstMonday, (week - 1) * 7);
+      const from = this.formatISODate(start);
+      const to = this.formatISODate(this.addDays(start, 6));
+      ranges.push({
+        weekNumber: week,
+        from,
+        to,
+        days: this.listDatesInRange(from, to)
+      });
     }
-    return days;
-  })(),
+
+    return ranges;
+  },
+
+  /** @type {number} Nombre maximum de jours pour une plage de planning */
+  maxPlanRangeDays: 366,
 
   /** @type {number} Nombre minimum de semaines */
   minWeeks: 1,
@@ -119,7 +253,50 @@ const CONFIG = {
     "🥔 Féculents",
     "🐟 Poissons",
     "🌾 Céréales",
-  ]
+  ],
+
+  /**
+   * Unités disponibles pour les ingrédients des recettes ('' = sans unité)
+   * @type {Array<string>}
+   */
+  recipeUnits: ['', 'g', 'kg', 'mg', 'ml', 'cl', 'dl', 'l', 'pièce', 'c. à soupe', 'c. à café', 'pincée'],
+
+  /** @type {number} Nombre maximum de recettes par utilisateur */
+  maxRecipes: 500,
+
+  /**
+   * Rayon des articles de la liste de courses sans catégorie ni rayon choisi
+   * @type {string}
+   */
+  defaultAisle: '🛒 Autres',
+
+  /** @type {number} Nombre maximum de rayons de magasin */
+  maxShoppingAisles: 50,
+
+  /** @type {number} Nombre maximum d'articles dans le garde-manger */
+  maxPantryItems: 500,
+
+  /** @type {number} Jours avant péremption à partir desquels le générateur utilise un article en priorité */
+  expiryPriorityDays: 7,
+
+  /** @type {number} Jours avant péremption signalés dans la notification quotidienne (48 h) */
+  expiryWarningDays: 2,
+
+  /**
+   * Rôles d'un membre de foyer : owner gère le foyer, editor modifie les données,
+   * viewer consulte uniquement
+   * @type {Array<string>}
+   */
+  householdRoles: ['owner', 'editor', 'viewer'],
+
+  /** @type {number} Nombre maximum de membres par foyer */
+  maxHouseholdMembers: 10,
+
+  /** @type {number} Durée de validité (jours) d'une invitation à rejoindre un foyer */
+  householdInviteDays: 7,
+
+  /** @type {number} Intervalle (ms) des messages d'entretien des connexions de synchronisation */
+  syncHeartbeatInterval: 25 * 1000
 };
 
 module.exports = CONFIG;
\ No newline at end of file
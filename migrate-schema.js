@@ -0,0 +1,42 @@
+// ========================================
+// Migration du schéma des documents
+// Applique les migrations de server/migrations aux utilisateurs et foyers du stockage configuré.
+// Usage : npm run migrate-schema [-- --dry-run]
+// Avec --dry-run, liste les documents à migrer sans rien enregistrer.
+// ========================================
+
+require('dotenv').config();
+
+const storage = require('./server/storage');
+const migrations = require('./server/migrations');
+const logger = require('./logger');
+
+async function migrate() {
+  const dryRun = process.argv.includes('--dry-run');
+  const store = storage.getStore();
+  await store.init();
+
+  try {
+    const report = await migrations.runMigrations(store, { dryRun });
+
+    for (const entry of report) {
+      logger.info(`${entry.type}/${entry.id} : v${entry.from} → v${migrations.CURRENT_SCHEMA_VERSION}`);
+      for (const migration of entry.migrations) {
+        logger.info(`  - ${migration}`);
+      }
+    }
+
+    if (!report.length) {
+      logger.info(`Tous les documents sont au schéma v${migrations.CURRENT_SCHEMA_VERSION}`);
+    } else if (dryRun) {
+      logger.info('Aucune donnée modifiée (--dry-run)');
+    }
+  } finally {
+    await store.close();
+  }
+}
+
+migrate().catch(error => {
+  logger.error(`❌ Échec de la migration : ${error.message}`);
+  process.exit(1);
+});
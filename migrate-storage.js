@@ -0,0 +1,66 @@
+// ========================================
+// Migration des données entre stockages
+// Copie les utilisateurs, foyers et abonnements push d'un stockage à l'autre.
+// Usage : npm run migrate-storage -- --from json --to sqlite
+// Les documents existants dans la destination sont remplacés (migration rejouable).
+// ========================================
+
+require('dotenv').config();
+
+const storage = require('./server/storage');
+const logger = require('./logger');
+
+/**
+ * Lit une option de la ligne de commande (--nom valeur)
+ * @param {string} name - Nom de l'option
+ * @returns {string|undefined} Valeur
+ */
+function getOption(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+async function migrate() {
+  const from = getOption('from') || 'json';
+  const to = getOption('to') || 'sqlite';
+
+  if (from === to) {
+    throw new Error('Les stockages source et destination doivent être différents');
+  }
+
+  const source = storage.createStore(from);
+  const target = storage.createStore(to);
+  await source.init();
+  await target.init();
+
+  logger.info(`Migration des données : ${from} → ${to}`);
+
+  try {
+    const users = await source.users.list();
+    const households = await source.households.list();
+    const notifications = await source.notifications.list();
+
+    await target.transaction(async () => {
+      for (const user of users) {
+        await target.users.save(user);
+      }
+      for (const household of households) {
+        await target.households.save(household);
+      }
+      for (const notification of notifications) {
+        await target.notifications.save(notification);
+      }
+    });
+
+    logger.info(`${users.length} utilisateur(s), ${households.length} foyer(s), ${notifications.length} abonnement(s) copiés`);
+    logger.info(`Définissez STORAGE_BACKEND=${to} pour utiliser le nouveau stockage`);
+  } finally {
+    await source.close();
+    await target.close();
+  }
+}
+
+migrate().catch(error => {
+  logger.error(`❌ Échec de la migration : ${error.message}`);
+  process.exit(1);
+});
@@ -1,9 +1,196 @@
+/**
+ * Service worker Atable!
+ * - Coquille de l'application (HTML, JS, CSS, polices, icônes) mise en cache à
+ *   l'installation : l'application s'ouvre sans réseau
+ * - Lectures de l'API en "network-first" : toujours à jour en ligne (y compris
+ *   juste après une sauvegarde), dernière réponse en cache servie hors ligne
+ * - Sauvegardes faites hors ligne rejouées depuis la file IndexedDB
+ *   (Background Sync)
+ * - Notifications push
+ */
+
+importScripts('/src/js/offline-queue.js');
+
+/** Version des caches : à incrémenter quand la liste de la coquille change */
+const CACHE_VERSION = 'v3';
+const SHELL_CACHE = `atable-shell-${CACHE_VERSION}`;
+const API_CACHE = `atable-api-${CACHE_VERSION}`;
+
+/** Fichiers indispensables au démarrage hors ligne */
+const APP_SHELL = [
+    '/index.html',
+    '/login.html',
+    '/manifest.json',
+    '/fonts/Parisienne-Regular.ttf',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png',
+    '/icons/icon-badge.png',
+    ...[
+        'variables', 'base', 'layout', 'header', 'menu', 'buttons', 'forms', 'messages',
+        'modal', 'day-cards', 'weeks-tabs', 'settings-accordion', 'ingredients', 'aisles',
+        'shopping-list', 'recipes', 'history', 'household', 'sync', 'animations',
+        'utilities', 'dark-mode', 'responsive', 'login', 'main'
+    ].map(name => `/src/css/${name}.css`),
+    ...[
+        'app', 'api', 'config', 'storage', 'offline-queue', 'response-handler', 'utils',
+        'units', 'theme', 'menu', 'ui-handlers', 'ui-renderer', 'weeks-manager', 'sync',
+        'merge-dialog', 'settings', 'settings-accordion', 'user-manager', 'household-manager',
+        'ingredients-manager', 'aisles-manager', 'shopping-list', 'pantry', 'recipes',
+        'history', 'notifications', 'login', 'webauthn', 'sessions-manager'
+    ].map(name => `/src/js/${name}.js`)
+];
+
+/** Fichiers générés par "npm run build:all" (absents en développement) */
+const OPTIONAL_SHELL = [
+    '/dist/app.min.js',
+    '/dist/style.min.css',
+    '/dist/notifications.min.js'
+];
+
+/**
+ * Met en cache la coquille de l'application
+ */
 self.addEventListener('install', (event) => {
-    self.skipWaiting();
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL)
+                .then(() => Promise.all(OPTIONAL_SHELL.map(url => cache.add(url).catch(() => {})))))
+            .then(() => self.skipWaiting())
+    );
 });
 
+/**
+ * Supprime les caches des versions précédentes
+ */
 self.addEventListener('activate', (event) => {
-    event.waitUntil(self.clients.claim());
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('atable-') && key !== SHELL_CACHE && key !== API_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Prévient les pages ouvertes
+ * @param {Object} message - Message ({type, ...})
+ * @returns {Promise<void>}
+ */
+async function notifyClients(message) {
+    const clientList = await self.clients.matchAll({ type: 'window' });
+    clientList.forEach(client => client.postMessage(message));
+}
+
+/**
+ * Lit une requête sur le réseau et garde la réponse en cache
+ * no-cache : revalide auprès du serveur malgré le cache HTTP (maxAge 1 an).
+ * @param {Request} request - Requête interceptée
+ * @param {Cache} cache - Cache à mettre à jour
+ * @returns {Promise<Response>} Réponse du réseau
+ */
+async function fetchAndCache(request, cache) {
+    const response = await fetch(request, { cache: 'no-cache' });
+    if (response.status === 401) {
+        await cache.delete(request);
+    } else if (response.ok && !response.redirected) {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Network-first pour l'API : le cache ne sert que hors ligne
+ * @param {Request} request - Requête interceptée
+ * @returns {Promise<Response>} Réponse du réseau, sinon du cache
+ */
+async function networkFirstApi(request) {
+    const cache = await caches.open(API_CACHE);
+    try {
+        return await fetchAndCache(request, cache);
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Stale-while-revalidate : répond depuis le cache et met le cache à jour en arrière-plan
+ * @param {FetchEvent} event - Requête interceptée
+ * @param {string} cacheName - Cache à utiliser
+ * @returns {Promise<Response>} Réponse du cache, sinon du réseau
+ */
+async function staleWhileRevalidate(event, cacheName) {
+    const { request } = event;
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const network = fetchAndCache(request, cache);
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+/**
+ * Network-first pour les pages : la coquille en cache sert de secours hors ligne
+ * @param {Request} request - Navigation interceptée
+ * @returns {Promise<Response>} Page
+ */
+async function networkFirst(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true })
+            || await caches.match('/index.html');
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Interception des lectures (GET de la même origine)
+ * Les écritures passent directement : hors ligne, la page les met en file.
+ */
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    // Flux SSE et authentification : jamais mis en cache
+    if (url.pathname.startsWith('/api/sync/') || url.pathname.startsWith('/auth/')) return;
+
+    if (url.pathname.startsWith('/api/')) {
+        event.respondWith(networkFirstApi(request));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+    }
+});
+
+/**
+ * Rejoue les sauvegardes faites hors ligne (Background Sync)
+ * Un échec relance la synchronisation plus tard ; les conflits sont laissés
+ * à la page, qui affiche la modale de fusion.
+ */
+self.addEventListener('sync', (event) => {
+    if (event.tag !== self.OfflineQueue.SYNC_TAG) return;
+
+    event.waitUntil(
+        self.OfflineQueue.replay().then(async ({ sent, remaining, versions, conflicts }) => {
+            if (sent > 0 || conflicts.length > 0) {
+                await notifyClients({ type: 'sync-complete', versions, conflicts: conflicts.length });
+            }
+            if (remaining > 0) {
+                throw new Error(`${remaining} sauvegarde(s) en attente`);
+            }
+        })
+    );
 });
 
 /**
@@ -0,0 +1,188 @@
+// ========================================
+// Gestion des rayons du magasin (ordre de la liste de courses)
+// ========================================
+
+import { APIManager } from './api.js';
+import { UIManager } from './ui-handlers.js';
+import { STATUS_TYPES } from './config.js';
+import { MealUtils } from './utils.js';
+
+/**
+ * Classe de gestion des rayons du magasin
+ * Chaque catégorie d'ingrédients est rangée dans un rayon (par défaut, un rayon
+ * à son nom) ; la liste de courses suit l'ordre des rayons.
+ */
+export class AislesManager {
+  /**
+   * État des rayons
+   * @private
+   */
+  static state = {
+    aisles: { order: [], categories: {}, items: {} }
+  };
+
+  /**
+   * Charge les rayons depuis le serveur
+   */
+  static async initialize() {
+    const aisles = await APIManager.fetchShoppingAisles();
+    if (aisles) {
+      this.state.aisles = aisles;
+    }
+  }
+
+  /**
+   * Rend la liste ordonnée des rayons dans la modal des paramètres
+   */
+  static render() {
+    const container = document.getElementById('aisles-container');
+    if (!container) return;
+
+    const { order, categories } = this.state.aisles;
+
+    const rows = order.map((aisle, index) => {
+      const aisleCategories = Object.keys(categories).filter(category => categories[category] === aisle);
+      const chips = aisleCategories
+        .map(category => `<span class="item-tag">${MealUtils.escapeHTML(category)}</span>`)
+        .join('');
+
+      return `
+        <li class="aisle-row">
+          <span class="aisle-position">${index + 1}</span>
+          <div class="aisle-main">
+            <span class="aisle-name">${MealUtils.escapeHTML(aisle)}</span>
+            ${chips ? `<div class="aisle-categories">${chips}</div>` : ''}
+          </div>
+          <div class="aisle-actions">
+            <button class="aisle-btn" onclick="window.aislesHandlers.move(${index}, -1)"
+              ${index === 0 ? 'disabled' : ''} aria-label="Monter">↑</button>
+            <button class="aisle-btn" onclick="window.aislesHandlers.move(${index}, 1)"
+              ${index === order.length - 1 ? 'disabled' : ''} aria-label="Descendre">↓</button>
+            <button class="aisle-btn" onclick="window.aislesHandlers.remove(${index})"
+              ${this.isRemovable(aisle) ? '' : 'disabled'} aria-label="Supprimer le rayon">🗑️</button>
+          </div>
+        </li>`;
+    }).join('');
+
+    const categoryRows = Object.entries(categories).map(([category, current]) => {
+      const options = order.map(aisle => `<option value="${MealUtils.escapeHTML(aisle)}"
+          ${aisle === current ? 'selected' : ''}>${MealUtils.escapeHTML(aisle)}</option>`).join('');
+
+      return `
+        <div class="aisle-category-row">
+          <span class="aisle-category-name">${MealUtils.escapeHTML(category)}</span>
+          <select class="weeks-select aisle-category-select" data-category="${MealUtils.escapeHTML(category)}"
+            aria-label="Rayon de ${MealUtils.escapeHTML(category)}">${options}</select>
+        </div>`;
+    }).join('');
+
+    container.innerHTML = `
+      <ol class="aisles-list">${rows}</ol>
+      <div class="add-item-form">
+        <input type="text" id="aisle-add-input" class="add-item-input" maxlength="60"
+          placeholder="Nouveau rayon (ex: Boucherie)" aria-label="Nouveau rayon"
+          onkeydown="if(event.key==='Enter'){event.preventDefault();window.aislesHandlers.add();}">
+        <button class="add-item-btn" onclick="window.aislesHandlers.add()" aria-label="Ajouter le rayon">+</button>
+      </div>
+      ${categoryRows ? `<h4 class="aisle-subtitle">Rayon de chaque catégorie</h4>${categoryRows}` : ''}
+    `;
+
+    container.querySelectorAll('.aisle-category-select').forEach(select => {
+      select.addEventListener('change', () => this.setCategoryAisle(select.dataset.category, select.value));
+    });
+
+    this.exposeHandlers();
+  }
+
+  /**
+   * Indique si un rayon peut être supprimé (aucune catégorie ni article n'y est rangé)
+   * @param {string} aisle - Nom du rayon
+   * @returns {boolean}
+   */
+  static isRemovable(aisle) {
+    const { categories, items } = this.state.aisles;
+    return ![...Object.values(categories), ...Object.values(items)].includes(aisle);
+  }
+
+  /**
+   * Enregistre les rayons puis rafraîchit l'affichage
+   * @param {Object} aisles - Nouveaux rayons {order, categories, items}
+   */
+  static async save(aisles) {
+    try {
+      this.state.aisles = await APIManager.updateShoppingAisles(aisles);
+      this.render();
+    } catch (error) {
+      UIManager.showStatus(error.message || 'Erreur lors de la mise à jour des rayons', STATUS_TYPES.ERROR);
+      this.render();
+    }
+  }
+
+  /**
+   * Déplace un rayon dans l'ordre de passage
+   * @param {number} index - Position du rayon
+   * @param {number} direction - -1 pour monter, 1 pour descendre
+   */
+  static async move(index, direction) {
+    const order = [...this.state.aisles.order];
+    const target = index + direction;
+    if (target < 0 || target >= order.length) return;
+
+    [order[index], order[target]] = [order[target], order[index]];
+    await this.save({ ...this.state.aisles, order });
+  }
+
+  /**
+   * Ajoute un rayon à la fin de l'ordre de passage
+   */
+  static async add() {
+    const input = document.getElementById('aisle-add-input');
+    const name = input?.value.trim();
+    if (!name) return;
+
+    if (this.state.aisles.order.some(aisle => aisle.toLowerCase() === name.toLowerCase())) {
+      UIManager.showStatus(`Le rayon "${name}" existe déjà`, STATUS_TYPES.WARNING);
+      return;
+    }
+
+    await this.save({ ...this.state.aisles, order: [...this.state.aisles.order, name] });
+  }
+
+  /**
+   * Supprime un rayon vide
+   * @param {number} index - Position du rayon
+   */
+  static async remove(index) {
+    const aisle = this.state.aisles.order[index];
+    if (!aisle || !this.isRemovable(aisle)) return;
+
+    await this.save({
+      ...this.state.aisles,
+      order: this.state.aisles.order.filter((_, i) => i !== index)
+    });
+  }
+
+  /**
+   * Range une catégorie d'ingrédients dans un rayon
+   * @param {string} category - Nom de la catégorie
+   * @param {string} aisle - Nom du rayon
+   */
+  static async setCategoryAisle(category, aisle) {
+    await this.save({
+      ...this.state.aisles,
+      categories: { ...this.state.aisles.categories, [category]: aisle }
+    });
+  }
+
+  /**
+   * Expose les handlers globalement
+   */
+  static exposeHandlers() {
+    window.aislesHandlers = {
+      move: (index, direction) => this.move(index, direction),
+      add: () => this.add(),
+      remove: (index) => this.remove(index),
+      setCategoryAisle: (category, aisle) => this.setCategoryAisle(category, aisle)
+    };
+  }
+}
@@ -8,6 +8,8 @@ import { API_CONFIG, STATUS_MESSAGES, STATUS_TYPES } from './config.js';
 import { StorageManager } from './storage.js';
 import { UIManager } from './ui-handlers.js';
 import { ResponseHandler } from './response-handler.js';
+import { SyncManager } from './sync.js';
+import { WeeksManager } from './weeks-manager.js';
 /**
  * Classe de gestion des appels API
  * Gère la communication avec le serveur et la gestion offline
@@ -60,61 +62,117 @@ export class APIManager {
     }
 
     /**
-     * Sauvegarde les données des repas vers le serveur
-     * Gère le mode offline et la synchronisation différée
-     * @param {Object} data - Les données à sauvegarder
+     * Sauvegarde les repas modifiés vers le serveur
+     * Les sauvegardes faites hors ligne partent d'abord, dans l'ordre.
+     * Gère le mode offline, la synchronisation différée et les conflits de version.
+     * @param {Object} data - Les repas à sauvegarder {days, versions}
      * @returns {Promise<boolean>} True si sauvegarde réussie
      */
     static async saveMeals(data) {
+        const queueEmpty = await this.syncPendingData();
+        if (!queueEmpty) {
+            return this._handleOfflineSave(data);
+        }
+
         try {
             // console.debug('Envoi des données au serveur:', data);
-            const response = await fetch(API_CONFIG.MEALS_URL, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(data)
-            });
-
-            let result = { success: false, message: 'Erreur inconnue' };
-            await ResponseHandler.handle(response, {
-                showMessage: true,
-                onSuccess: (data) => {
-                    StorageManager.clearPendingData();
-                    StorageManager.saveToCache(data);
-                    result = data;
-                    // console.log('✅ Repas sauvegardés avec succès');
-                },
-                onError: (error) => {
-                    // console.error('❌ Erreur sauvegarde:', error.message);
-                    result = { success: false, message: error.message };
-                }
-            });
-
-            return result.success;
+            return await this._putMeals(data);
 
         } catch (error) {
             // console.error('Erreur sauvegarde:', error);
 
-            if (!navigator.onLine) {
-                return this._handleOfflineSave(data);
+            if (navigator.onLine) {
+                ResponseHandler.handleNetworkError(error, 'saveMeals');
             }
-
-            ResponseHandler.handleNetworkError(error, 'saveMeals');
             return this._handleOfflineSave(data);
         }
     }
 
+    /**
+     * Envoie une sauvegarde au serveur et traite la réponse
+     * Une réponse 409 (repas modifiés entre-temps sur un autre appareil)
+     * ouvre la modale de fusion au lieu d'écraser les données.
+     * @private
+     * @param {Object} payload - Les repas à sauvegarder {days, versions?}
+     * @returns {Promise<boolean>} True si sauvegarde réussie
+     * @throws {Error} Si le serveur est injoignable
+     */
+    static async _putMeals(payload) {
+        const response = await fetch(API_CONFIG.MEALS_URL, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                ...SyncManager.getHeaders()
+            },
+            body: JSON.stringify(payload)
+        });
+
+        const result = await ResponseHandler.handle(response, {
+            showMessage: true,
+            onSuccess: (responseData) => {
+                WeeksManager.setVersions(responseData.versions);
+                this._updateCache(payload.days, responseData.versions);
+                // console.log('✅ Repas sauvegardés avec succès');
+            },
+            onError: (error) => {
+                // console.error('❌ Erreur sauvegarde:', error.message);
+            }
+        });
+
+        if (result.status === 409 && result.conflicts) {
+            await UIManager.resolveConflicts(payload, result.conflicts);
+        } else if (!result.success) {
+            this._restoreDirtySlots(payload);
+        }
+
+        return result.success;
+    }
+
+    /**
+     * Marque à nouveau comme modifiés les repas d'une sauvegarde non aboutie
+     * Ils seront renvoyés à la prochaine sauvegarde.
+     * @private
+     * @param {Object} payload - Sauvegarde {days, versions?}
+     * @returns {void}
+     */
+    static _restoreDirtySlots(payload) {
+        Object.keys(payload.versions || {}).forEach(key => UIManager.markDirty(...key.split(':')));
+    }
+
+    /**
+     * Met à jour le cache local après une sauvegarde
+     * @private
+     * @param {Object} days - Jours sauvegardés
+     * @param {Object<string, number>} [versions={}] - Versions des repas
+     * @returns {void}
+     */
+    static _updateCache(days, versions = {}) {
+        const cachedData = StorageManager.getFromCache() || {};
+        StorageManager.saveToCache({
+            ...cachedData,
+            days: { ...cachedData.days, ...days },
+            versions: { ...cachedData.versions, ...versions }
+        });
+    }
+
     /**
      * Gère la sauvegarde en mode offline
+     * Chaque repas modifié devient une opération de la file IndexedDB, rejouée
+     * par le service worker (Background Sync) ou au retour de la connexion.
      * @private
-     * @param {Object} data - Les données à sauvegarder
-     * @returns {boolean} False (échec de sauvegarde serveur)
+     * @param {Object} data - Les données à sauvegarder {days, versions}
+     * @returns {Promise<boolean>} False (échec de sauvegarde serveur)
      */
-    static _handleOfflineSave(data) {
+    static async _handleOfflineSave(data) {
         // console.warn('📡 Enregistrement en mode hors ligne');
-        StorageManager.savePendingData(data);
-        StorageManager.saveToCache(data);
+        const queued = await StorageManager.queueSave(
+            StorageManager.toSlotOperations(data, SyncManager.getHeaders())
+        );
+        if (!queued) {
+            this._restoreDirtySlots(data);
+        }
+        this._updateCache(data.days);
+        await this.refreshPendingCount();
 
         UIManager.showStatus(
             navigator.onLine ? STATUS_MESSAGES.LOCAL_SAVE : STATUS_MESSAGES.PENDING_OFFLINE,
@@ -125,44 +183,51 @@ export class APIManager {
     }
 
     /**
-     * Synchronise les données en attente quand la connexion revient
-     * @returns {Promise<boolean>} True si synchronisation réussie
+     * Rejoue une à une les opérations faites hors ligne
+     * Les opérations refusées pour conflit ouvrent la modale de fusion, en une
+     * seule fois : pour un repas modifié plusieurs fois, la dernière version l'emporte.
+     * @returns {Promise<boolean>} True si plus aucune opération n'est en attente
      */
     static async syncPendingData() {
-        const pendingData = StorageManager.getPendingData();
-
-        if (!pendingData || !navigator.onLine) {
-            return false;
+        if (!navigator.onLine) {
+            return (await this.refreshPendingCount()) === 0;
         }
 
-        try {
-            const response = await fetch(API_CONFIG.MEALS_URL, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(pendingData)
-            });
-
-            const result = await ResponseHandler.handle(response, {
-                showMessage: true,
+        const { sent, remaining, versions, conflicts } = await StorageManager.replayPendingSaves();
+        WeeksManager.setVersions(versions);
 
-                onSuccess: () => {
-                    StorageManager.clearPendingData();
-                    // console.log('✅ Synchronisation réussie');
-                },
-                onError: (error) => {
-                    // console.error('❌ Erreur sync:', error.message);
-                }
-            });
+        if (sent > 0) {
+            UIManager.showStatus(STATUS_MESSAGES.SYNC_SUCCESS, STATUS_TYPES.SUCCESS);
+        }
 
-            return result.success;
+        const rejected = { days: {}, versions: {} };
+        const conflictsBySlot = new Map();
+        for (const entry of conflicts) {
+            await StorageManager.removePendingSave(entry.id);
+            // Sauvegarde complète (ancien format) : ses repas sans conflit sont repris
+            if (entry.body.days) {
+                Object.assign(rejected.days, entry.body.days);
+                Object.assign(rejected.versions, entry.body.versions);
+            }
+            entry.conflicts.forEach(conflict => conflictsBySlot.set(`${conflict.date}:${conflict.mealType}`, conflict));
+        }
 
-        } catch (error) {
-            // console.error('Erreur de synchronisation:', error);
-            ResponseHandler.handleNetworkError(error, 'syncPendingData');
-            return false;
+        await this.refreshPendingCount();
+        if (conflictsBySlot.size > 0) {
+            await UIManager.resolveConflicts(rejected, [...conflictsBySlot.values()]);
         }
+
+        return remaining === 0;
+    }
+
+    /**
+     * Met à jour le nombre d'opérations en attente affiché dans la barre d'état
+     * @returns {Promise<number>} Nombre d'opérations en attente
+     */
+    static async refreshPendingCount() {
+        const count = await StorageManager.countPendingSaves();
+        UIManager.showPendingCount(count);
+        return count;
     }
 
     /**
@@ -466,7 +531,8 @@ export class APIManager {
             const response = await fetch('/api/generator/generate', {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...SyncManager.getHeaders()
                 },
                 body: JSON.stringify({ replaceAll })
             });
@@ -660,4 +726,134 @@ export class APIManager {
             throw error;
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Récupère les rayons du magasin pour la liste de courses
+     * @returns {Promise<Object|null>} Rayons {order, categories, items}, null en cas d'échec
+     */
+    static async fetchShoppingAisles() {
+        try {
+            const response = await fetch('/api/preferences/aisles');
+            const result = await ResponseHandler.handle(response, { showMessage: false });
+
+            return result.success ? result.data.aisles : null;
+
+        } catch (error) {
+            ResponseHandler.handleNetworkError(error, 'fetchShoppingAisles');
+            return null;
+        }
+    }
+
+    /**
+     * Enregistre les rayons du magasin (ordre et rattachement des catégories)
+     * @param {Object} aisles - Rayons {order, categories, items}
+     * @returns {Promise<Object>} Rayons enregistrés
+     * @throws {Error} Si l'enregistrement échoue
+     */
+    static async updateShoppingAisles(aisles) {
+        const response = await fetch('/api/preferences/aisles', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(aisles)
+        });
+        const result = await ResponseHandler.handle(response, { showMessage: false });
+
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+
+        return result.data.aisles;
+    }
+
+    /**
+     * Récupère le foyer de l'utilisateur (membres, rôle, invitations)
+     * @returns {Promise<Object|null>} Foyer, null en cas d'échec
+     */
+    static async fetchHousehold() {
+        try {
+            const response = await fetch('/api/households/current');
+            const result = await ResponseHandler.handle(response, { showMessage: false });
+
+            return result.success ? result.data.household : null;
+
+        } catch (error) {
+            ResponseHandler.handleNetworkError(error, 'fetchHousehold');
+            return null;
+        }
+    }
+
+    /**
+     * Récupère les invitations adressées à l'utilisateur
+     * @returns {Promise<Array<Object>>} Invitations {code, role, householdName, expiresAt}
+     */
+    static async fetchHouseholdInvitations() {
+        try {
+            const response = await fetch('/api/households/invitations');
+            const result = await ResponseHandler.handle(response, { showMessage: false });
+
+            return result.success ? result.data.invitations : [];
+
+        } catch (error) {
+            ResponseHandler.handleNetworkError(error, 'fetchHouseholdInvitations');
+            return [];
+        }
+    }
+
+    /**
+     * Envoie une requête de gestion du foyer
+     * @param {string} path - Chemin sous /api/households
+     * @param {string} method - Méthode HTTP
+     * @param {Object} [body] - Corps JSON
+     * @returns {Promise<Object>} Données de la réponse
+     * @throws {Error} Si la requête échoue
+     */
+    static async sendHouseholdRequest(path, method, body) {
+        const response = await fetch(`/api/households${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const result = await ResponseHandler.handle(response, { showMessage: true });
+
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+
+        return result.data;
+    }
+
+    /**
+     * Récupère les sessions ouvertes du compte
+     * @returns {Promise<Array<Object>>} Sessions {id, current, browser, os, isMobile, ip, lastActivity}
+     */
+    static async fetchSessions() {
+        try {
+            const response = await fetch('/auth/sessions');
+            const result = await ResponseHandler.handle(response, { showMessage: false });
+
+            return result.success ? result.data.sessions : [];
+
+        } catch (error) {
+            ResponseHandler.handleNetworkError(error, 'fetchSessions');
+            return [];
+        }
+    }
+
+    /**
+     * Envoie une requête de gestion des sessions
+     * @param {string} path - Chemin sous /auth/sessions
+     * @param {string} method - Méthode HTTP
+     * @returns {Promise<Object>} Données de la réponse
+     * @throws {Error} Si la requête échoue
+     */
+    static async sendSessionRequest(path, method) {
+        const response = await fetch(`/auth/sessions${path}`, { method });
+        const result = await ResponseHandler.handle(response, { showMessage: true });
+
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+
+        return result.data;
+    }
+}
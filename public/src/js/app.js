@@ -12,8 +12,12 @@ import { WeeksManager } from './weeks-manager.js';
 import { UserManager } from './user-manager.js';
 import { Menu } from './menu.js';
 import { ShoppingList } from './shopping-list.js';
+import { HistoryView } from './history.js';
+import { RecipeBook } from './recipes.js';
+import { Pantry } from './pantry.js';
 import { SettingsAccordion } from './settings-accordion.js';
 import { ResponseHandler } from './response-handler.js';
+import { SyncManager } from './sync.js';
 /**
  * Classe principale de l'application
  * Orchestre l'initialisation et la coordination des modules
@@ -52,13 +56,19 @@ class AtableApp {
             // 3. Initialiser les composants de l'interface
             Menu.init();
             ShoppingList.init();
+            HistoryView.init();
+            RecipeBook.init();
 
             // 4. Charger les informations utilisateur
             await AuthManager.loadUserInfo();
+            UserManager.showVerificationResult();
 
             // 5. Charger et afficher les données des repas
             await UIManager.loadAndRender();
 
+            // Recevoir en direct les modifications faites sur les autres appareils
+            SyncManager.initialize();
+
             // 6. Initialiser le système de notifications
             await SettingsManager.initialize();
 
@@ -123,11 +133,23 @@ class AtableApp {
             generateSingleMeal: (day, mealType) => GeneratorManager.generateSingleMeal(day, mealType)
         };
 
+        // Handlers pour la saisie des repas (ingrédients en puces)
+        window.mealHandlers = {
+            addChip: (day, mealType, text) => UIManager.addChip(day, mealType, text),
+            removeChip: (day, mealType, index) => UIManager.removeChip(day, mealType, index)
+        };
+
         // Handlers pour la gestion utilisateur
         window.userManager = {
-            changePassword: () => UserManager.changePassword(),
-            changeEmail: () => UserManager.changeEmail(),
-            deleteAccount: () => UserManager.deleteAccount()
+            changePassword: () => UserManager.changePassword(AuthManager.currentUser?.id),
+            changeEmail: () => UserManager.changeEmail(AuthManager.currentUser?.id),
+            deleteAccount: () => UserManager.deleteAccount(AuthManager.currentUser?.id),
+            resendVerification: () => UserManager.resendVerification(),
+            enableTwoFactor: () => UserManager.enableTwoFactor(AuthManager.currentUser?.id),
+            disableTwoFactor: () => UserManager.disableTwoFactor(AuthManager.currentUser?.id),
+            regenerateRecoveryCodes: () => UserManager.regenerateRecoveryCodes(AuthManager.currentUser?.id),
+            addPasskey: () => UserManager.addPasskey(),
+            removePasskey: (id) => UserManager.removePasskey(id)
         };
 
         // Handlers pour le menu hamburger
@@ -142,8 +164,40 @@ class AtableApp {
         window.shoppingListHandlers = {
             open: () => ShoppingList.open(),
             close: () => ShoppingList.close(),
-            toggleItem: (key) => ShoppingList.toggleItem(key),
-            resetAll: () => ShoppingList.resetAll()
+            toggleItem: (id) => ShoppingList.toggleItem(id),
+            resetAll: () => ShoppingList.resetAll(),
+            addManualItem: () => ShoppingList.addManualItem(),
+            removeManualItem: (id) => ShoppingList.removeManualItem(id),
+            setItemAisle: (id, aisle) => ShoppingList.setItemAisle(id, aisle),
+            purchaseChecked: () => ShoppingList.purchaseChecked(),
+            switchTab: (tab) => ShoppingList.switchTab(tab)
+        };
+
+        // Handlers pour le garde-manger (onglet de la liste de courses)
+        window.pantryHandlers = {
+            add: () => Pantry.add(),
+            remove: (id) => Pantry.remove(id)
+        };
+
+        // Handlers pour l'historique des repas
+        window.historyHandlers = {
+            open: () => HistoryView.open(),
+            close: () => HistoryView.close(),
+            switchTab: (tab) => HistoryView.switchTab(tab)
+        };
+
+        // Handlers pour le livre de recettes
+        window.recipeHandlers = {
+            open: () => RecipeBook.open(),
+            close: () => RecipeBook.close(),
+            pickFor: (day, mealType) => RecipeBook.open({ day, mealType }),
+            pick: (recipeId) => RecipeBook.pick(recipeId),
+            create: () => RecipeBook.showForm(),
+            edit: (recipeId) => RecipeBook.showForm(recipeId),
+            remove: (recipeId) => RecipeBook.remove(recipeId),
+            addIngredientRow: () => RecipeBook.addIngredientRow(),
+            save: (event) => RecipeBook.save(event),
+            cancel: () => RecipeBook.showList()
         };
 
         // Pour compatibilité avec le HTML existant (onclick="toggleMobileMenu()")
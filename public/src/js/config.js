@@ -43,7 +43,7 @@ export function getCurrentMonthName() {
  * Configuration du stockage local
  * @constant {Object}
  * @property {string} CACHE - Clé pour le cache des données des repas
- * @property {string} PENDING_SAVE - Clé pour les données en attente de synchronisation
+ * @property {string} PENDING_SAVE - Ancienne clé des données en attente (reprise dans la file IndexedDB)
  */
 export const STORAGE_KEYS = {
     CACHE: 'atable-planner-cache',
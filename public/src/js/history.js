@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Consultation de l'historique des repas ("qu'a-t-on mangé ?")
+ * @module history
+ */
+
+import { ResponseHandler } from './response-handler.js';
+import { DateUtils, MealUtils, StringUtils } from './utils.js';
+import { MEAL_EMOJIS } from './config.js';
+
+const API_URL = '/api/history';
+
+/**
+ * Classe de gestion de la modale d'historique
+ * Trois onglets : mois archivés, recherche et plats les plus fréquents
+ */
+export class HistoryView {
+  static modal = null;
+  static activeTab = 'months';
+  static searchTimeout = null;
+
+  /**
+   * Initialise la modale d'historique
+   * @returns {void}
+   */
+  static init() {
+    this.modal = document.getElementById('history-modal');
+    if (!this.modal) return;
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) this.close();
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.modal.classList.contains('show')) {
+        this.close();
+      }
+    });
+
+    this.modal.querySelector('#hi-month-select')?.addEventListener('change', (e) => {
+      this.loadMonth(e.target.value);
+    });
+
+    this.modal.querySelector('#hi-search-input')?.addEventListener('input', (e) => {
+      clearTimeout(this.searchTimeout);
+      this.searchTimeout = setTimeout(() => this.search(e.target.value), 300);
+    });
+  }
+
+  /**
+   * Ouvre la modale et charge l'onglet actif
+   * @returns {Promise<void>}
+   */
+  static async open() {
+    if (!this.modal) this.init();
+    if (!this.modal) return;
+
+    this.modal.classList.add('show');
+    document.body.style.overflow = 'hidden';
+    this.modal.querySelector('.sl-close-btn')?.focus();
+
+    await this.switchTab(this.activeTab);
+  }
+
+  /**
+   * Ferme la modale
+   * @returns {void}
+   */
+  static close() {
+    if (!this.modal) return;
+    this.modal.classList.remove('show');
+    document.body.style.overflow = '';
+  }
+
+  /**
+   * Change d'onglet
+   * @param {string} tab - 'months', 'search' ou 'stats'
+   * @returns {Promise<void>}
+   */
+  static async switchTab(tab) {
+    this.activeTab = tab;
+
+    this.modal.querySelectorAll('.hi-tab').forEach(btn => {
+      const isActive = btn.dataset.tab === tab;
+      btn.classList.toggle('active', isActive);
+      btn.setAttribute('aria-selected', String(isActive));
+    });
+    this.modal.querySelectorAll('.hi-panel').forEach(panel => {
+      panel.classList.toggle('hidden', panel.dataset.panel !== tab);
+    });
+
+    if (tab === 'months') {
+      await this.loadMonths();
+    } else if (tab === 'stats') {
+      await this.loadStats();
+    } else {
+      this.modal.querySelector('#hi-search-input')?.focus();
+    }
+  }
+
+  /**
+   * Charge la liste des mois archivés
+   * @returns {Promise<void>}
+   */
+  static async loadMonths() {
+    const select = this.modal.querySelector('#hi-month-select');
+    const container = this.modal.querySelector('#hi-month-days');
+
+    try {
+      const response = await fetch(API_URL);
+      const result = await ResponseHandler.handle(response, { showMessage: false });
+      const months = result.success ? result.data.months : [];
+
+      if (months.length === 0) {
+        select.innerHTML = '';
+        select.disabled = true;
+        container.innerHTML = this.renderEmpty('Aucun mois archivé pour le moment.');
+        return;
+      }
+
+      const previous = select.value;
+      select.disabled = false;
+      select.innerHTML = months.map(({ month, mealCount }) =>
+        `<option value="${month}">${StringUtils.capitalize(this.formatMonth(month))} (${mealCount} repas)</option>`
+      ).join('');
+
+      const selected = months.some(m => m.month === previous) ? previous : months[0].month;
+      select.value = selected;
+      await this.loadMonth(selected);
+    } catch (error) {
+      ResponseHandler.handleNetworkError(error, 'loadHistoryMonths');
+    }
+  }
+
+  /**
+   * Charge et affiche les repas d'un mois archivé
+   * @param {string} month - Mois (YYYY-MM)
+   * @returns {Promise<void>}
+   */
+  static async loadMonth(month) {
+    const container = this.modal.querySelector('#hi-month-days');
+    if (!month) return;
+
+    try {
+      const response = await fetch(`${API_URL}/${month}`);
+      const result = await ResponseHandler.handle(response, { showMessage: true });
+      if (!result.success) return;
+
+      const entries = Object.entries(result.data.days)
+        .filter(([, day]) => !MealUtils.isEmpty(day.midi) || !MealUtils.isEmpty(day.soir))
+        .sort(([a], [b]) => a.localeCompare(b));
+
+      container.innerHTML = entries.length === 0
+        ? this.renderEmpty('Aucun repas enregistré ce mois-ci.')
+        : `<ul class="hi-list">${entries.map(([date, day]) => this.renderDay(date, day)).join('')}</ul>`;
+    } catch (error) {
+      ResponseHandler.handleNetworkError(error, 'loadHistoryMonth');
+    }
+  }
+
+  /**
+   * Recherche un texte dans les repas passés
+   * @param {string} query - Texte recherché
+   * @returns {Promise<void>}
+   */
+  static async search(query) {
+    const container = this.modal.querySelector('#hi-search-results');
+    const trimmed = query.trim();
+
+    if (trimmed.length < 2) {
+      container.innerHTML = '';
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_URL}/search?q=${encodeURIComponent(trimmed)}`);
+      const result = await ResponseHandler.handle(response, { showMessage: false });
+      if (!result.success) return;
+
+      const { results } = result.data;
+      container.innerHTML = results.length === 0
+        ? this.renderEmpty(`Aucun repas ne contient « ${MealUtils.escapeHTML(trimmed)} ».`)
+        : `<p class="hi-summary">${results.length} repas trouvé${results.length > 1 ? 's' : ''}</p>
+           <ul class="hi-list">${results.map(r => `
+            <li class="hi-item">
+              <span class="hi-date">${DateUtils.formatDate(r.date)}</span>
+              <span class="hi-meal">${MEAL_EMOJIS[r.mealType] || ''} ${MealUtils.escapeHTML(r.text)}</span>
+            </li>`).join('')}
+          </ul>`;
+    } catch (error) {
+      ResponseHandler.handleNetworkError(error, 'searchHistory');
+    }
+  }
+
+  /**
+   * Charge les plats les plus fréquents
+   * @returns {Promise<void>}
+   */
+  static async loadStats() {
+    const container = this.modal.querySelector('#hi-stats');
+
+    try {
+      const response = await fetch(`${API_URL}/stats?limit=20`);
+      const result = await ResponseHandler.handle(response, { showMessage: false });
+      if (!result.success) return;
+
+      const { dishes } = result.data;
+      container.innerHTML = dishes.length === 0
+        ? this.renderEmpty('Pas encore assez d\'historique.')
+        : `<ol class="hi-list hi-ranking">${dishes.map(({ dish, count, lastEaten }) => `
+            <li class="hi-item">
+              <span class="hi-meal">${MealUtils.escapeHTML(dish)}</span>
+              <span class="hi-date">Dernière fois : ${DateUtils.formatDate(lastEaten)}</span>
+              <span class="sl-item-badge">${count}<span class="sl-times">×</span></span>
+            </li>`).join('')}
+          </ol>`;
+    } catch (error) {
+      ResponseHandler.handleNetworkError(error, 'loadHistoryStats');
+    }
+  }
+
+  /**
+   * Rend une journée de l'historique
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {Object} day - Repas {midi, soir}
+   * @returns {string} HTML de la journée
+   */
+  static renderDay(date, day) {
+    const meals = ['midi', 'soir']
+      .filter(type => !MealUtils.isEmpty(day[type]))
+      .map(type => `<span class="hi-meal">${MEAL_EMOJIS[type]} ${MealUtils.escapeHTML(MealUtils.toText(day[type]))}</span>`)
+      .join('');
+
+    return `<li class="hi-item hi-day">
+        <span class="hi-date">${StringUtils.capitalize(DateUtils.formatDate(date))}</span>
+        ${meals}
+      </li>`;
+  }
+
+  /**
+   * Rend un état vide
+   * @param {string} message - Message à afficher
+   * @returns {string} HTML de l'état vide
+   */
+  static renderEmpty(message) {
+    return `<div class="sl-empty"><span class="sl-empty-icon">📖</span><p>${message}</p></div>`;
+  }
+
+  /**
+   * Formate un mois pour affichage
+   * @param {string} month - Mois (YYYY-MM)
+   * @returns {string} Mois formaté (ex: 'septembre 2026')
+   */
+  static formatMonth(month) {
+    return DateUtils.parseISODate(`${month}-01`)
+      .toLocaleDateString('fr-FR', { month: 'long', year: 'numeric' });
+  }
+}
@@ -0,0 +1,253 @@
+// ========================================
+// Gestion du foyer (membres, rôles et invitations)
+// ========================================
+
+import { APIManager } from './api.js';
+import { MealUtils } from './utils.js';
+
+/**
+ * Libellés des rôles d'un membre
+ * @type {Object<string, string>}
+ */
+const ROLE_LABELS = {
+  owner: 'Propriétaire',
+  editor: 'Éditeur',
+  viewer: 'Lecteur'
+};
+
+/**
+ * Classe de gestion du foyer
+ * Les membres d'un foyer partagent le planning, les préférences alimentaires,
+ * les recettes, le garde-manger et la liste de courses.
+ */
+export class HouseholdManager {
+  /**
+   * État du foyer
+   * @private
+   */
+  static state = {
+    household: null,
+    invitations: []
+  };
+
+  /**
+   * Charge le foyer et les invitations reçues depuis le serveur
+   */
+  static async initialize() {
+    const [household, invitations] = await Promise.all([
+      APIManager.fetchHousehold(),
+      APIManager.fetchHouseholdInvitations()
+    ]);
+    this.state.household = household;
+    this.state.invitations = invitations;
+  }
+
+  /**
+   * Crée la liste déroulante des rôles
+   * @param {string} selected - Rôle sélectionné
+   * @param {string} attributes - Attributs HTML supplémentaires
+   * @returns {string} HTML du select
+   */
+  static createRoleSelect(selected, attributes) {
+    const options = Object.entries(ROLE_LABELS).map(([role, label]) =>
+      `<option value="${role}" ${role === selected ? 'selected' : ''}>${label}</option>`).join('');
+    return `<select class="weeks-select household-role-select" ${attributes}>${options}</select>`;
+  }
+
+  /**
+   * Rend le foyer dans la modal des paramètres
+   */
+  static render() {
+    const container = document.getElementById('household-container');
+    if (!container) return;
+
+    const { household, invitations } = this.state;
+    if (!household) {
+      container.innerHTML = '<p class="setting-description">Foyer indisponible</p>';
+      return;
+    }
+
+    const isOwner = household.role === 'owner';
+
+    const members = household.members.map(member => `
+      <li class="household-member">
+        <div class="household-member-main">
+          <span class="household-member-name">${MealUtils.escapeHTML(member.name)}</span>
+          <span class="household-member-email">${MealUtils.escapeHTML(member.email)}</span>
+        </div>
+        ${isOwner
+          ? `${this.createRoleSelect(member.role, `data-member="${MealUtils.escapeHTML(member.userId)}" aria-label="Rôle de ${MealUtils.escapeHTML(member.name)}"`)}
+             <button class="aisle-btn" onclick="window.householdHandlers.removeMember('${MealUtils.escapeHTML(member.userId)}')"
+               aria-label="Retirer ${MealUtils.escapeHTML(member.name)}">✕</button>`
+          : `<span class="item-tag">${ROLE_LABELS[member.role]}</span>`}
+      </li>`).join('');
+
+    const invites = household.invites.map(invite => `
+      <li class="household-invite">
+        <code class="household-code">${MealUtils.escapeHTML(invite.code)}</code>
+        <span class="household-invite-info">
+          ${MealUtils.escapeHTML(invite.email || 'Code libre')} · ${ROLE_LABELS[invite.role]}
+        </span>
+        <button class="aisle-btn" onclick="window.householdHandlers.revokeInvite('${MealUtils.escapeHTML(invite.code)}')"
+          aria-label="Révoquer l'invitation">✕</button>
+      </li>`).join('');
+
+    const received = invitations.map(invitation => `
+      <li class="household-invite">
+        <span class="household-invite-info">
+          ${MealUtils.escapeHTML(invitation.householdName)} · ${ROLE_LABELS[invitation.role]}
+        </span>
+        <button class="btn-primary household-join-btn"
+          onclick="window.householdHandlers.join('${MealUtils.escapeHTML(invitation.code)}')">Rejoindre</button>
+      </li>`).join('');
+
+    container.innerHTML = `
+      ${isOwner
+        ? `<div class="add-item-form">
+            <input type="text" id="household-name-input" class="add-item-input" maxlength="60"
+              value="${MealUtils.escapeHTML(household.name)}" aria-label="Nom du foyer">
+            <button class="add-item-btn" onclick="window.householdHandlers.rename()" aria-label="Renommer le foyer">✓</button>
+          </div>`
+        : `<h4 class="aisle-subtitle">${MealUtils.escapeHTML(household.name)} · ${ROLE_LABELS[household.role]}</h4>`}
+
+      <ul class="household-list">${members}</ul>
+
+      ${isOwner ? `
+        <h4 class="aisle-subtitle">Inviter un membre</h4>
+        <div class="add-item-form">
+          <input type="email" id="household-invite-email" class="add-item-input"
+            placeholder="Email (facultatif)" aria-label="Email de la personne invitée">
+          ${this.createRoleSelect('editor', 'id="household-invite-role" aria-label="Rôle de la personne invitée"')}
+          <button class="add-item-btn" onclick="window.householdHandlers.invite()" aria-label="Créer l'invitation">+</button>
+        </div>
+        ${invites ? `<ul class="household-list">${invites}</ul>` : ''}` : ''}
+
+      ${received ? `<h4 class="aisle-subtitle">Invitations reçues</h4><ul class="household-list">${received}</ul>` : ''}
+
+      <h4 class="aisle-subtitle">Rejoindre un foyer</h4>
+      <div class="add-item-form">
+        <input type="text" id="household-join-code" class="add-item-input" maxlength="20"
+          placeholder="Code d'invitation" aria-label="Code d'invitation"
+          onkeydown="if(event.key==='Enter'){event.preventDefault();window.householdHandlers.join();}">
+        <button class="add-item-btn" onclick="window.householdHandlers.join()" aria-label="Rejoindre le foyer">→</button>
+      </div>
+
+      ${household.members.length > 1
+        ? '<button class="btn-danger household-leave-btn" onclick="window.householdHandlers.leave()">Quitter le foyer</button>'
+        : ''}
+    `;
+
+    container.querySelectorAll('select[data-member]').forEach(select => {
+      select.addEventListener('change', () => this.updateRole(select.dataset.member, select.value));
+    });
+
+    this.exposeHandlers();
+  }
+
+  /**
+   * Exécute une action sur le foyer puis rafraîchit l'affichage
+   * Les messages (succès ou erreur) sont affichés par le gestionnaire de réponses.
+   * @param {string} path - Chemin sous /api/households
+   * @param {string} method - Méthode HTTP
+   * @param {Object} [body] - Corps JSON
+   * @param {boolean} [reloadPage=false] - Recharger la page (données partagées changées)
+   */
+  static async run(path, method, body, reloadPage = false) {
+    try {
+      await APIManager.sendHouseholdRequest(path, method, body);
+      if (reloadPage) {
+        window.location.reload();
+        return;
+      }
+    } catch (error) {
+      // Message déjà affiché
+    }
+    await this.initialize();
+    this.render();
+  }
+
+  /**
+   * Renomme le foyer
+   */
+  static async rename() {
+    const name = document.getElementById('household-name-input')?.value.trim();
+    if (!name) return;
+    await this.run('/current', 'PUT', { name });
+  }
+
+  /**
+   * Crée une invitation (code affiché dans la liste des invitations)
+   */
+  static async invite() {
+    const email = document.getElementById('household-invite-email')?.value.trim() || null;
+    const role = document.getElementById('household-invite-role')?.value || 'editor';
+    await this.run('/invites', 'POST', { email, role });
+  }
+
+  /**
+   * Révoque une invitation
+   * @param {string} code - Code de l'invitation
+   */
+  static async revokeInvite(code) {
+    await this.run(`/invites/${encodeURIComponent(code)}`, 'DELETE');
+  }
+
+  /**
+   * Rejoint un foyer (le planning affiché devient celui du foyer rejoint)
+   * @param {string} [code] - Code de l'invitation (sinon celui saisi)
+   */
+  static async join(code) {
+    const value = code || document.getElementById('household-join-code')?.value.trim();
+    if (!value) return;
+
+    const alone = this.state.household?.members.length === 1;
+    const warning = alone
+      ? 'Vous êtes seul dans votre foyer actuel : son planning, ses recettes et son garde-manger seront supprimés. Continuer ?'
+      : 'Rejoindre ce foyer et quitter le foyer actuel ?';
+    if (!confirm(warning)) return;
+
+    await this.run('/join', 'POST', { code: value }, true);
+  }
+
+  /**
+   * Modifie le rôle d'un membre
+   * @param {string} userId - ID du membre
+   * @param {string} role - Nouveau rôle
+   */
+  static async updateRole(userId, role) {
+    await this.run(`/members/${encodeURIComponent(userId)}`, 'PUT', { role });
+  }
+
+  /**
+   * Retire un membre du foyer
+   * @param {string} userId - ID du membre
+   */
+  static async removeMember(userId) {
+    const member = this.state.household?.members.find(m => m.userId === userId);
+    if (!member || !confirm(`Retirer ${member.name} du foyer ?`)) return;
+    await this.run(`/members/${encodeURIComponent(userId)}`, 'DELETE');
+  }
+
+  /**
+   * Quitte le foyer (un foyer personnel vide est créé)
+   */
+  static async leave() {
+    if (!confirm('Quitter le foyer ? Vous repartirez avec un planning vide.')) return;
+    await this.run('/leave', 'POST', undefined, true);
+  }
+
+  /**
+   * Expose les handlers globalement
+   */
+  static exposeHandlers() {
+    window.householdHandlers = {
+      rename: () => this.rename(),
+      invite: () => this.invite(),
+      revokeInvite: (code) => this.revokeInvite(code),
+      join: (code) => this.join(code),
+      updateRole: (userId, role) => this.updateRole(userId, role),
+      removeMember: (userId) => this.removeMember(userId),
+      leave: () => this.leave()
+    };
+  }
+}
@@ -1,4 +1,5 @@
 import { ResponseHandler } from './response-handler.js';
+import { WebAuthnClient } from './webauthn.js';
 const login = () => {
   const loginForm = document.getElementById('loginForm');
   const registerForm = document.getElementById('registerForm');
@@ -6,16 +7,32 @@ const login = () => {
   const toggleText = document.getElementById('toggleText');
   const toggleTextBtn = document.getElementById('toggleTextBtn');
   const errorMessage = document.getElementById('errorMessage');
+  const successMessage = document.getElementById('successMessage');
   const loginBtn = document.getElementById('loginBtn');
   const registerBtn = document.getElementById('registerBtn');
+  const forgotForm = document.getElementById('forgotForm');
+  const forgotBtn = document.getElementById('forgotBtn');
+  const forgotSubmitBtn = document.getElementById('forgotSubmitBtn');
+  const resetForm = document.getElementById('resetForm');
+  const resetBtn = document.getElementById('resetBtn');
+  const twoFactorForm = document.getElementById('twoFactorForm');
+  const twoFactorBtn = document.getElementById('twoFactorBtn');
+  const passkeyBtn = document.getElementById('passkeyBtn');
 
   const registerPassword = document.getElementById('registerPassword');
   const registerPasswordConfirm = document.getElementById('registerPasswordConfirm');
   const passwordMatch = document.getElementById('passwordMatch');
 
-  let isLoginMode = true;
+  // Jeton du lien de réinitialisation reçu par email (/login?reset=...)
+  const resetToken = new URLSearchParams(window.location.search).get('reset');
+  // Résultat du lien de vérification de l'email (/login?emailVerified=1|0)
+  const emailVerified = new URLSearchParams(window.location.search).get('emailVerified');
+
+  /** @type {'login'|'register'|'forgot'|'reset'|'twoFactor'} Formulaire affiché */
+  let mode = 'login';
 
   function showError(message) {
+    successMessage.classList.remove('show');
     errorMessage.textContent = message;
     errorMessage.classList.add('show');
   }
@@ -25,6 +42,52 @@ const login = () => {
     errorMessage.textContent = '';
   }
 
+  function showSuccess(message) {
+    hideError();
+    successMessage.textContent = message;
+    successMessage.classList.add('show');
+  }
+
+  function hideSuccess() {
+    successMessage.classList.remove('show');
+    successMessage.textContent = '';
+  }
+
+  /**
+   * Affiche l'erreur d'une requête, avec le délai d'attente après trop de tentatives (429)
+   * @param {Object} result - Résultat de ResponseHandler.handle()
+   */
+  function showRequestError(result) {
+    if (result.status === 429) {
+      showError(ResponseHandler.getRateLimitMessage(result.retryAfter, result.message));
+      return;
+    }
+    showError(`❌ ${result.message}`);
+  }
+
+  /**
+   * Affiche un des formulaires de la page
+   * @param {'login'|'register'|'forgot'|'reset'|'twoFactor'} newMode - Formulaire à afficher
+   */
+  function showMode(newMode) {
+    mode = newMode;
+    hideError();
+
+    loginForm.classList.toggle('form-hidden', mode !== 'login');
+    registerForm.classList.toggle('form-hidden', mode !== 'register');
+    forgotForm.classList.toggle('form-hidden', mode !== 'forgot');
+    resetForm.classList.toggle('form-hidden', mode !== 'reset');
+    twoFactorForm.classList.toggle('form-hidden', mode !== 'twoFactor');
+
+    if (mode === 'login') {
+      toggleText.textContent = 'Pas encore de compte?';
+      toggleTextBtn.textContent = 'S\'inscrire';
+    } else {
+      toggleText.textContent = mode === 'register' ? 'Vous avez déjà un compte?' : '';
+      toggleTextBtn.textContent = 'Se connecter';
+    }
+  }
+
   function getMachineId() {
     let machineId = localStorage.getItem('atable_machine_id');
     if (!machineId) {
@@ -100,20 +163,14 @@ const login = () => {
 
   toggleBtn.addEventListener('click', (e) => {
     e.preventDefault();
-    isLoginMode = !isLoginMode;
-    hideError();
+    hideSuccess();
+    showMode(mode === 'login' ? 'register' : 'login');
+  });
 
-    if (isLoginMode) {
-      loginForm.classList.remove('form-hidden');
-      registerForm.classList.add('form-hidden');
-      toggleText.textContent = 'Pas encore de compte?';
-      toggleTextBtn.textContent = 'S\'inscrire';
-    } else {
-      loginForm.classList.add('form-hidden');
-      registerForm.classList.remove('form-hidden');
-      toggleText.textContent = 'Vous avez déjà un compte?';
-      toggleTextBtn.textContent = 'Se connecter';
-    }
+  forgotBtn.addEventListener('click', () => {
+    hideSuccess();
+    showMode('forgot');
+    document.getElementById('forgotEmail').value = document.getElementById('loginEmail').value.trim();
   });
 
   registerPassword.addEventListener('input', checkPasswordMatch);
@@ -148,12 +205,22 @@ const login = () => {
         showMessage: true,
 
         onSuccess: (data) => {
+          // Double authentification : la session s'ouvre après le code
+          if (data.twoFactorRequired) {
+            loginBtn.disabled = false;
+            loginBtn.textContent = 'Se connecter';
+            showMode('twoFactor');
+            document.getElementById('twoFactorCode').focus();
+            return;
+          }
           // console.log('✅ Connexion réussie');
           window.location.href = '/';
         },
 
         onError: (error) => {
-          if (error.status === 401) {
+          if (error.status === 429) {
+            showRequestError(error);
+          } else if (error.status === 401) {
             showError('❌ Email ou mot de passe incorrect');
           } else if (error.error === 'VALIDATION_ERROR') {
             showError(`❌ ${error.message}`);
@@ -236,7 +303,9 @@ const login = () => {
         },
 
         onError: (error) => {
-          if (error.error === 'CONFLICT') {
+          if (error.status === 429) {
+            showRequestError(error);
+          } else if (error.error === 'CONFLICT') {
             showError(`❌ Cet email est déjà utilisé`);
           } else if (error.error === 'VALIDATION_ERROR') {
             showError(`❌ ${error.message}`);
@@ -256,7 +325,187 @@ const login = () => {
   });
 
  
+  passkeyBtn.addEventListener('click', async () => {
+    hideError();
+    hideSuccess();
+    passkeyBtn.disabled = true;
+
+    try {
+      const optionsResponse = await fetch('/auth/passkeys/login/options', { method: 'POST' });
+      const options = await ResponseHandler.handle(optionsResponse, { showMessage: false });
+      if (!options.success) {
+        showRequestError(options);
+        return;
+      }
+
+      let credential;
+      try {
+        credential = await WebAuthnClient.authenticate(options.data);
+      } catch (error) {
+        // Fenêtre du navigateur fermée ou aucune passkey pour ce site
+        showError('❌ Connexion par passkey annulée');
+        return;
+      }
+
+      const response = await fetch('/auth/passkeys/login', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ response: credential, machineId: getMachineId() })
+      });
+
+      const result = await ResponseHandler.handle(response, { showMessage: false });
+      if (result.success) {
+        window.location.href = '/';
+      } else {
+        showRequestError(result);
+      }
+    } catch (error) {
+      ResponseHandler.handleNetworkError(error, 'passkey');
+    } finally {
+      passkeyBtn.disabled = false;
+    }
+  });
+
+  twoFactorForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    hideError();
+
+    const codeInput = document.getElementById('twoFactorCode');
+    const code = codeInput.value.trim();
+    if (!code) {
+      showError('Le code de vérification est requis');
+      return;
+    }
+
+    twoFactorBtn.disabled = true;
+
+    try {
+      const response = await fetch('/auth/login/2fa', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ code })
+      });
+
+      const result = await ResponseHandler.handle(response, { showMessage: false });
+      if (result.success) {
+        const remaining = result.data?.remainingRecoveryCodes;
+        if (remaining !== undefined) {
+          alert(`Code de secours utilisé : il vous en reste ${remaining}.`);
+        }
+        window.location.href = '/';
+        return;
+      }
+
+      codeInput.value = '';
+      if (result.error === 'TWO_FACTOR_EXPIRED' || result.error === 'ACCOUNT_LOCKED') {
+        showMode('login');
+      }
+      showRequestError(result);
+    } catch (error) {
+      ResponseHandler.handleNetworkError(error, 'login');
+    } finally {
+      twoFactorBtn.disabled = false;
+    }
+  });
+
+  forgotForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    hideError();
+
+    const email = document.getElementById('forgotEmail').value.trim();
+    const emailError = validateEmail(email);
+    if (emailError) {
+      showError(emailError);
+      return;
+    }
+
+    forgotSubmitBtn.disabled = true;
+
+    try {
+      const response = await fetch('/auth/forgot', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email })
+      });
+
+      const result = await ResponseHandler.handle(response, { showMessage: false });
+      if (result.success) {
+        showMode('login');
+        showSuccess(`✉️ ${result.message}`);
+      } else {
+        showRequestError(result);
+      }
+    } catch (error) {
+      ResponseHandler.handleNetworkError(error, 'forgot');
+    } finally {
+      forgotSubmitBtn.disabled = false;
+    }
+  });
+
+  resetForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    hideError();
+
+    const password = document.getElementById('resetPassword').value;
+    const passwordConfirm = document.getElementById('resetPasswordConfirm').value;
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      showError(passwordError);
+      return;
+    }
+
+    if (password !== passwordConfirm) {
+      showError('Les mots de passe ne correspondent pas');
+      return;
+    }
+
+    resetBtn.disabled = true;
+
+    try {
+      const response = await fetch('/auth/reset', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token: resetToken, password })
+      });
+
+      const result = await ResponseHandler.handle(response, { showMessage: false });
+      if (result.success) {
+        // Le lien ne sert qu'une fois : il disparaît de l'adresse
+        window.history.replaceState(null, '', window.location.pathname);
+        showMode('login');
+        showSuccess(`✓ ${result.message}`);
+      } else {
+        showRequestError(result);
+      }
+    } catch (error) {
+      ResponseHandler.handleNetworkError(error, 'reset');
+    } finally {
+      resetBtn.disabled = false;
+    }
+  });
+
   setupPasswordToggles();
+  passkeyBtn.hidden = !WebAuthnClient.isSupported();
+
+  if (resetToken) {
+    showMode('reset');
+  } else if (emailVerified !== null) {
+    if (emailVerified === '1') {
+      showSuccess('✓ Adresse email vérifiée, vous pouvez vous connecter');
+    } else {
+      showError('❌ Lien de vérification invalide ou expiré');
+    }
+    window.history.replaceState(null, '', window.location.pathname);
+  }
 };
 
 if (document.readyState === 'loading') {
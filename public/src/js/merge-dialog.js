@@ -0,0 +1,153 @@
+// ========================================
+// Résolution des conflits de sauvegarde ("ma version" / "leur version")
+// ========================================
+
+import { DateUtils, MealUtils, StringUtils } from './utils.js';
+
+/**
+ * Classe de la modale de fusion
+ * Affichée quand une sauvegarde est refusée (409) parce que des repas ont été
+ * modifiés sur un autre appareil depuis leur chargement.
+ */
+export class MergeDialog {
+  /**
+   * État de la modale
+   * @private
+   */
+  static state = {
+    conflicts: [],
+    resolve: null,
+    queue: Promise.resolve()
+  };
+
+  /**
+   * Ouvre la modale et attend le choix de l'utilisateur
+   * Les demandes successives sont affichées l'une après l'autre.
+   * @param {Array<Object>} conflicts - Repas en conflit [{date, mealType, mine, theirs, version}]
+   * @returns {Promise<Array<Object>>} Choix [{date, mealType, meal, version, keepMine}]
+   */
+  static open(conflicts) {
+    const result = this.state.queue.then(() => this.show(conflicts));
+    this.state.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Affiche la modale pour une liste de conflits
+   * @private
+   * @param {Array<Object>} conflicts - Repas en conflit
+   * @returns {Promise<Array<Object>>} Choix de l'utilisateur
+   */
+  static show(conflicts) {
+    const modal = document.getElementById('merge-modal');
+    const list = document.getElementById('merge-list');
+
+    // Sans modale (page partielle) : la version du serveur est conservée
+    if (!modal || !list) {
+      return Promise.resolve(conflicts.map(conflict => this.toChoice(conflict, false)));
+    }
+
+    this.state.conflicts = conflicts;
+    list.innerHTML = conflicts.map((conflict, index) => this.createConflictItem(conflict, index)).join('');
+
+    this.exposeHandlers();
+    modal.classList.add('show');
+    document.body.style.overflow = 'hidden';
+
+    return new Promise(resolve => {
+      this.state.resolve = resolve;
+    });
+  }
+
+  /**
+   * Crée l'aperçu texte d'un repas
+   * @param {Object} meal - Repas
+   * @returns {string} HTML de l'aperçu
+   */
+  static createMealPreview(meal) {
+    const normalized = MealUtils.normalize(meal);
+    if (MealUtils.isEmpty(normalized)) {
+      return '<em class="merge-empty">(vide)</em>';
+    }
+
+    const items = normalized.items.map(item => item.name).join(', ');
+    return `
+      <strong>${MealUtils.escapeHTML(normalized.title || items)}</strong>
+      ${normalized.title && items ? `<span class="merge-detail">${MealUtils.escapeHTML(items)}</span>` : ''}
+      ${normalized.notes ? `<span class="merge-detail">📝 ${MealUtils.escapeHTML(normalized.notes)}</span>` : ''}
+    `;
+  }
+
+  /**
+   * Crée le bloc de choix d'un repas en conflit
+   * @param {Object} conflict - Conflit {date, mealType, mine, theirs}
+   * @param {number} index - Position du conflit
+   * @returns {string} HTML du bloc
+   */
+  static createConflictItem(conflict, index) {
+    const label = `${StringUtils.capitalize(DateUtils.formatDate(conflict.date))} · ${StringUtils.capitalize(conflict.mealType)}`;
+
+    return `
+      <li class="merge-item">
+        <h4 class="aisle-subtitle">${MealUtils.escapeHTML(label)}</h4>
+        <div class="merge-options">
+          <label class="merge-option">
+            <input type="radio" name="merge-${index}" value="mine" checked>
+            <span class="merge-option-title">Ma version</span>
+            ${this.createMealPreview(conflict.mine)}
+          </label>
+          <label class="merge-option">
+            <input type="radio" name="merge-${index}" value="theirs">
+            <span class="merge-option-title">Leur version</span>
+            ${this.createMealPreview(conflict.theirs)}
+          </label>
+        </div>
+      </li>
+    `;
+  }
+
+  /**
+   * Convertit un conflit en choix
+   * @param {Object} conflict - Conflit {date, mealType, mine, theirs, version}
+   * @param {boolean} keepMine - Conserver la version locale
+   * @returns {Object} Choix {date, mealType, meal, version, keepMine}
+   */
+  static toChoice(conflict, keepMine) {
+    return {
+      date: conflict.date,
+      mealType: conflict.mealType,
+      meal: keepMine ? conflict.mine : conflict.theirs,
+      version: conflict.version,
+      keepMine
+    };
+  }
+
+  /**
+   * Applique les choix et ferme la modale
+   */
+  static apply() {
+    const { conflicts, resolve } = this.state;
+    if (!resolve) return;
+
+    const choices = conflicts.map((conflict, index) => {
+      const selected = document.querySelector(`input[name="merge-${index}"]:checked`);
+      return this.toChoice(conflict, !selected || selected.value === 'mine');
+    });
+
+    document.getElementById('merge-modal')?.classList.remove('show');
+    document.body.style.overflow = '';
+    this.state.conflicts = [];
+    this.state.resolve = null;
+
+    resolve(choices);
+  }
+
+  /**
+   * Expose les handlers globalement
+   */
+  static exposeHandlers() {
+    window.mergeHandlers = {
+      apply: () => this.apply()
+    };
+  }
+}
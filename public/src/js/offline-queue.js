@@ -0,0 +1,202 @@
+/**
+ * @fileoverview File d'attente hors ligne des sauvegardes (IndexedDB)
+ *
+ * Script classique partagé par la page (window.OfflineQueue) et par le service
+ * worker (importScripts) : les modifications faites hors ligne y sont conservées
+ * dans l'ordre, puis rejouées une à une par la synchronisation en arrière-plan
+ * (Background Sync, tag "atable-sync") ou au retour de la connexion.
+ *
+ * Une entrée est une opération sur un repas :
+ * { id, url, method, headers, slot: {date, mealType}, body: {meal, version}, createdAt, conflicts? }
+ * (les entrées sans "slot" sont des sauvegardes complètes {days, versions?}).
+ * "conflicts" est renseigné quand le serveur a refusé l'opération (409) :
+ * l'entrée attend alors que l'utilisateur choisisse la version à garder.
+ */
+(function (scope) {
+    const DB_NAME = 'atable-offline';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'requests';
+    const SYNC_TAG = 'atable-sync';
+
+    /**
+     * Ouvre la base IndexedDB (créée au premier accès)
+     * @returns {Promise<IDBDatabase>} Base ouverte
+     */
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = scope.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Exécute une opération dans une transaction sur la file
+     * @param {IDBTransactionMode} mode - 'readonly' ou 'readwrite'
+     * @param {Function} operation - Reçoit le store, retourne une IDBRequest
+     * @returns {Promise<*>} Résultat de la requête, une fois la transaction terminée
+     */
+    async function withStore(mode, operation) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => {
+                db.close();
+                resolve(request.result);
+            };
+            transaction.onerror = () => {
+                db.close();
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Ajoute une opération en fin de file
+     * @param {Object} entry - {url, method, headers, slot?, body}
+     * @returns {Promise<number>} ID de l'entrée
+     */
+    function enqueue(entry) {
+        return withStore('readwrite', store => store.add({
+            ...entry,
+            createdAt: new Date().toISOString()
+        }));
+    }
+
+    /**
+     * Liste les opérations en attente, dans l'ordre d'enregistrement
+     * @returns {Promise<Array<Object>>} Entrées
+     */
+    function list() {
+        return withStore('readonly', store => store.getAll());
+    }
+
+    /**
+     * Compte les opérations en attente
+     * @returns {Promise<number>} Nombre d'entrées
+     */
+    function count() {
+        return withStore('readonly', store => store.count());
+    }
+
+    /**
+     * Met à jour une entrée
+     * @param {Object} entry - Entrée complète (avec id)
+     * @returns {Promise<number>} ID de l'entrée
+     */
+    function update(entry) {
+        return withStore('readwrite', store => store.put(entry));
+    }
+
+    /**
+     * Retire une entrée de la file
+     * @param {number} id - ID de l'entrée
+     * @returns {Promise<void>}
+     */
+    function remove(id) {
+        return withStore('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Vide la file (déconnexion)
+     * @returns {Promise<void>}
+     */
+    function clear() {
+        return withStore('readwrite', store => store.clear());
+    }
+
+    /**
+     * Reporte les versions renvoyées par les opérations déjà rejouées
+     * Les entrées suivantes partent des versions écrites par les précédentes
+     * (modifications successives du même repas hors ligne).
+     * @param {Object} entry - Entrée de la file
+     * @param {Object<string, number>} versions - Versions déjà écrites
+     * @returns {Object} Corps mis à jour
+     */
+    function rebase(entry, versions) {
+        const { body, slot } = entry;
+        if (slot) {
+            const key = `${slot.date}:${slot.mealType}`;
+            return key in versions ? { ...body, version: versions[key] } : body;
+        }
+        if (!body || !body.versions) return body;
+
+        const rebased = { ...body.versions };
+        for (const key of Object.keys(rebased)) {
+            if (key in versions) {
+                rebased[key] = versions[key];
+            }
+        }
+        return { ...body, versions: rebased };
+    }
+
+    /**
+     * Rejoue les opérations en attente, une à une et dans l'ordre
+     * S'arrête au premier échec réseau, serveur (5xx) ou de session (401) : les
+     * entrées restantes seront rejouées plus tard. Une opération refusée pour
+     * conflit (409) reste en file avec le repas en conflit ; une opération
+     * invalide (autre 4xx) est abandonnée.
+     * @returns {Promise<{sent: number, remaining: number, versions: Object, conflicts: Array<Object>}>}
+     *   Opérations envoyées, restantes (hors conflits), versions écrites et entrées en conflit
+     */
+    async function replay() {
+        const entries = await list();
+        const versions = {};
+        const conflicts = [];
+        let sent = 0;
+
+        for (const entry of entries) {
+            if (entry.conflicts) {
+                conflicts.push(entry);
+                continue;
+            }
+
+            const body = rebase(entry, versions);
+            let response;
+            try {
+                response = await fetch(entry.url, {
+                    method: entry.method,
+                    headers: { 'Content-Type': 'application/json', ...entry.headers },
+                    body: JSON.stringify(body),
+                    credentials: 'same-origin'
+                });
+            } catch (error) {
+                break;
+            }
+
+            if (response.status === 401 || response.status >= 500) break;
+
+            const data = await response.json().catch(() => ({}));
+            if (response.status === 409 && data.conflicts) {
+                const conflicted = { ...entry, body, conflicts: data.conflicts };
+                await update(conflicted);
+                conflicts.push(conflicted);
+                continue;
+            }
+
+            if (response.ok) {
+                Object.assign(versions, data.data?.versions || {});
+                sent++;
+            }
+            await remove(entry.id);
+        }
+
+        const remaining = (await count()) - conflicts.length;
+        return { sent, remaining, versions, conflicts };
+    }
+
+    scope.OfflineQueue = {
+        SYNC_TAG,
+        enqueue,
+        list,
+        count,
+        update,
+        remove,
+        clear,
+        replay
+    };
+})(self);
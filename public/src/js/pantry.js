@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Garde-manger : articles en stock, déduits de la liste de courses
+ * @module pantry
+ */
+
+import { ResponseHandler } from './response-handler.js';
+import { DateUtils, MealUtils } from './utils.js';
+
+const API_URL = '/api/pantry';
+
+/** @type {number} Délai (jours) en dessous duquel un article est signalé comme bientôt périmé */
+const EXPIRY_WARNING_DAYS = 2;
+
+/**
+ * Classe de gestion de l'onglet garde-manger de la modale liste de courses
+ */
+export class Pantry {
+  static items = [];
+  static container = null;
+
+  /**
+   * Initialise l'onglet garde-manger
+   * @param {HTMLElement} modal - Modale de la liste de courses
+   * @returns {void}
+   */
+  static init(modal) {
+    this.container = modal?.querySelector('[data-panel="pantry"]') || null;
+  }
+
+  /**
+   * Charge les articles depuis le serveur puis les affiche
+   * @returns {Promise<void>}
+   */
+  static async load() {
+    try {
+      const response = await fetch(API_URL);
+      const result = await ResponseHandler.handle(response, { showMessage: false });
+      if (!result.success) return;
+
+      this.items = result.data.items;
+      this.render();
+    } catch (error) {
+      ResponseHandler.handleNetworkError(error, 'loadPantry');
+    }
+  }
+
+  /**
+   * Formate la quantité d'un article
+   * @param {Object} item - Article {quantity, unit}
+   * @returns {string} Quantité (ex: '500 g', '×6', 'en stock')
+   */
+  static formatQuantity({ quantity, unit }) {
+    if (quantity === null) return 'en stock';
+    return unit ? `${quantity} ${unit}` : `×${quantity}`;
+  }
+
+  /**
+   * Crée le badge de péremption d'un article
+   * @param {string|null} expiresAt - Date de péremption (YYYY-MM-DD)
+   * @returns {string} HTML du badge (vide sans date)
+   */
+  static createExpiryBadge(expiresAt) {
+    if (!expiresAt) return '';
+
+    const days = DateUtils.daysUntil(expiresAt);
+    let modifier = '';
+    let label = `jusqu'au ${DateUtils.getDayOfMonth(expiresAt)} ${DateUtils.getShortMonth(expiresAt)}`;
+
+    if (days < 0) {
+      modifier = ' pa-expiry--expired';
+      label = 'périmé';
+    } else if (days <= EXPIRY_WARNING_DAYS) {
+      modifier = ' pa-expiry--soon';
+      label = days === 0 ? "périme aujourd'hui" : `périme dans ${days} j`;
+    }
+
+    return `<span class="pa-expiry${modifier}">⏳ ${label}</span>`;
+  }
+
+  /**
+   * Affiche les articles du garde-manger
+   * @returns {void}
+   */
+  static render() {
+    const list = this.container?.querySelector('.pa-list');
+    const emptyState = this.container?.querySelector('.pa-empty');
+    if (!list) return;
+
+    emptyState?.classList.toggle('hidden', this.items.length > 0);
+
+    list.innerHTML = this.items.map(item => `
+      <li class="pa-item" data-id="${MealUtils.escapeHTML(item.id)}">
+        <span class="pa-item-name">${MealUtils.escapeHTML(item.name)}</span>
+        ${this.createExpiryBadge(item.expiresAt)}
+        <span class="sl-item-qty">${MealUtils.escapeHTML(this.formatQuantity(item))}</span>
+        <button class="sl-item-remove" aria-label="Retirer ${MealUtils.escapeHTML(item.name)}"
+          onclick="window.pantryHandlers.remove(this.parentElement.dataset.id)">✕</button>
+      </li>
+    `).join('');
+  }
+
+  /**
+   * Ajoute l'article saisi (le nom peut contenir la quantité : "500 g riz")
+   * @returns {Promise<void>}
+   */
+  static async add() {
+    const input = this.container?.querySelector('#pa-add-input');
+    const expiryInput = this.container?.querySelector('#pa-expiry-input');
+    const name = input?.value.trim();
+    if (!name) return;
+
+    try {
+      const response = await fetch(API_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, expiresAt: expiryInput?.value || null })
+      });
+
+      const result = await ResponseHandler.handle(response, { showMessage: false });
+      if (result.success) {
+        input.value = '';
+        if (expiryInput) expiryInput.value = '';
+        await this.load();
+      }
+    } catch (error) {
+      ResponseHandler.handleNetworkError(error, 'addPantryItem');
+    }
+  }
+
+  /**
+   * Retire un article du garde-manger
+   * @param {string} itemId - ID de l'article
+   * @returns {Promise<void>}
+   */
+  static async remove(itemId) {
+    try {
+      const response = await fetch(`${API_URL}/${encodeURIComponent(itemId)}`, { method: 'DELETE' });
+      const result = await ResponseHandler.handle(response, { showMessage: false });
+      if (result.success) {
+        this.items = this.items.filter(item => item.id !== itemId);
+        this.render();
+      }
+    } catch (error) {
+      ResponseHandler.handleNetworkError(error, 'removePantryItem');
+    }
+  }
+}
@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Livre de recettes : consultation, édition et ajout d'une recette à un repas
+ * @module recipes
+ */
+
+import { ResponseHandler } from './response-handler.js';
+import { UIManager } from './ui-handlers.js';
+import { MealUtils } from './utils.js';
+
+const API_URL = '/api/recipes';
+
+/**
+ * Classe de gestion de la modale du livre de recettes
+ * Deux vues : la liste (avec recherche) et le formulaire d'édition.
+ * Ouverte depuis un repas, la liste permet de choisir la recette du repas.
+ */
+export class RecipeBook {
+  static modal = null;
+  static recipes = [];
+  static units = [];
+  static editingId = null;
+  static pickTarget = null;
+  static searchTimeout = null;
+
+  /**
+   * Initialise la modale du livre de recettes
+   * @returns {void}
+   */
+  static init() {
+    this.modal = document.getElementById('recipes-modal');
+    if (!this.modal) return;
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) this.close();
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.modal.classList.contains('show')) {
+        this.close();
+      }
+    });
+
+    this.modal.querySelector('#rb-search-input')?.addEventListener('input', (e) => {
+      clearTimeout(this.searchTimeout);
+      this.searchTimeout = setTimeout(() => this.loadRecipes(e.target.value), 300);
+    });
+  }
+
+  /**
+   * Ouvre la modale
+   * @param {Object|null} [pickTarget=null] - Repas à remplir {day, mealType} (mode sélection)
+   * @returns {Promise<void>}
+   */
+  static async open(pickTarget = null) {
+    if (!this.modal) this.init();
+    if (!this.modal) return;
+
+    this.pickTarget = pickTarget;
+    this.modal.querySelector('.sl-title').textContent = pickTarget ? 'Choisir une recette' : 'Recettes';
+    this.modal.querySelector('#rb-search-input').value = '';
+
+    this.modal.classList.add('show');
+    document.body.style.overflow = 'hidden';
+    this.modal.querySelector('.sl-close-btn')?.focus();
+
+    this.showList();
+    await this.loadRecipes();
+  }
+
+  /**
+   * Ferme la modale
+   * @returns {void}
+   */
+  static close() {
+    if (!this.modal) return;
+    this.modal.classList.remove('show');
+    document.body.style.overflow = '';
+    this.pickTarget = null;
+  }
+
+  /**
+   * Affiche la vue liste
+   * @returns {void}
+   */
+  static showList() {
+    this.editingId = null;
+    this.modal.querySelector('[data-panel="list"]').classList.remove('hidden');
+    this.modal.querySelector('[data-panel="form"]').classList.add('hidden');
+  }
+
+  /**
+   * Charge les recettes depuis le serveur
+   * @param {string} [query=''] - Texte recherché (nom ou ingrédient)
+   * @returns {Promise<void>}
+   */
+  static async loadRecipes(query = '') {
+    try {
+      const q = query.trim();
+      const response = await fetch(q ? `${API_URL}?q=${encodeURIComponent(q)}` : API_URL);
+      const result = await ResponseHandler.handle(response, { showMessage: false });
+      if (!result.success) return;
+
+      this.recipes = result.data.recipes;
+      this.units = result.data.units;
+      this.renderList();
+    } catch (error) {
+      ResponseHandler.handleNetworkError(error, 'loadRecipes');
+    }
+  }
+
+  /**
+   * Rend la liste des recettes
+   * @returns {void}
+   */
+  static renderList() {
+    const container = this.modal.querySelector('#rb-list');
+
+    if (this.recipes.length === 0) {
+      container.innerHTML = `<div class="sl-empty"><span class="sl-empty-icon">📗</span>
+        <p>Aucune recette.<br>Créez votre première recette avec le bouton ci-dessus.</p></div>`;
+      return;
+    }
+
+    container.innerHTML = this.recipes.map(recipe => {
+      const times = [
+        recipe.prepTime ? `🔪 ${recipe.prepTime} min` : '',
+        recipe.cookTime ? `🔥 ${recipe.cookTime} min` : ''
+      ].filter(Boolean).join(' · ');
+      const tags = recipe.tags.map(tag => `<span class="item-tag">${MealUtils.escapeHTML(tag)}</span>`).join('');
+      const actions = this.pickTarget
+        ? `<button class="btn-primary rb-btn" onclick="window.recipeHandlers.pick('${recipe.id}')">Choisir</button>`
+        : `<button class="rb-icon-btn" onclick="window.recipeHandlers.edit('${recipe.id}')" aria-label="Modifier">✏️</button>
+           <button class="rb-icon-btn" onclick="window.recipeHandlers.remove('${recipe.id}')" aria-label="Supprimer">🗑️</button>`;
+
+      return `<li class="rb-item">
+          <div class="rb-item-main">
+            <span class="rb-item-name">${MealUtils.escapeHTML(recipe.name)}</span>
+            <span class="rb-item-meta">👥 ${recipe.servings}${times ? ` · ${times}` : ''} · ${recipe.ingredients.length} ingrédient${recipe.ingredients.length > 1 ? 's' : ''}</span>
+            ${tags ? `<div class="rb-tags">${tags}</div>` : ''}
+          </div>
+          <div class="rb-item-actions">${actions}</div>
+        </li>`;
+    }).join('');
+  }
+
+  /**
+   * Affiche le formulaire de création ou de modification
+   * @param {string|null} [recipeId=null] - Recette à modifier (null = nouvelle recette)
+   * @returns {void}
+   */
+  static showForm(recipeId = null) {
+    const recipe = this.recipes.find(r => r.id === recipeId) || {
+      name: '', servings: 2, ingredients: [], steps: [], prepTime: null, cookTime: null, tags: []
+    };
+    this.editingId = recipeId;
+
+    const form = this.modal.querySelector('#rb-form');
+    form.elements.name.value = recipe.name;
+    form.elements.servings.value = recipe.servings;
+    form.elements.prepTime.value = recipe.prepTime ?? '';
+    form.elements.cookTime.value = recipe.cookTime ?? '';
+    form.elements.tags.value = recipe.tags.join(', ');
+    form.elements.steps.value = recipe.steps.join('\n');
+
+    const rows = this.modal.querySelector('#rb-ingredients');
+    rows.innerHTML = '';
+    (recipe.ingredients.length > 0 ? recipe.ingredients : [{}]).forEach(ingredient => this.addIngredientRow(ingredient));
+
+    this.modal.querySelector('[data-panel="list"]').classList.add('hidden');
+    this.modal.querySelector('[data-panel="form"]').classList.remove('hidden');
+    form.elements.name.focus();
+  }
+
+  /**
+   * Ajoute une ligne d'ingrédient au formulaire
+   * @param {Object} [ingredient={}] - Ingrédient {name, quantity, unit}
+   * @returns {void}
+   */
+  static addIngredientRow(ingredient = {}) {
+    const options = this.units.map(unit =>
+      `<option value="${unit}" ${unit === (ingredient.unit || '') ? 'selected' : ''}>${unit || '—'}</option>`
+    ).join('');
+
+    this.modal.querySelector('#rb-ingredients').insertAdjacentHTML('beforeend', `
+      <div class="rb-ingredient-row">
+        <input type="number" class="add-item-input rb-qty" min="0" step="any" placeholder="Qté"
+          value="${ingredient.quantity ?? ''}" aria-label="Quantité">
+        <select class="weeks-select rb-unit" aria-label="Unité">${options}</select>
+        <input type="text" class="add-item-input rb-name" placeholder="Ingrédient"
+          value="${MealUtils.escapeHTML(ingredient.name || '')}" aria-label="Ingrédient">
+        <button type="button" class="rb-icon-btn" onclick="this.parentElement.remove()" aria-label="Retirer">✕</button>
+      </div>
+    `);
+  }
+
+  /**
+   * Lit les valeurs du formulaire
+   * @returns {Object} Données de la recette
+   */
+  static readForm() {
+    const form = this.modal.querySelector('#rb-form');
+
+    return {
+      name: form.elements.name.value,
+      servings: form.elements.servings.value,
+      prepTime: form.elements.prepTime.value,
+      cookTime: form.elements.cookTime.value,
+      tags: form.elements.tags.value.split(','),
+      steps: form.elements.steps.value.split('\n'),
+      ingredients: [...this.modal.querySelectorAll('.rb-ingredient-row')]
+        .map(row => ({
+          quantity: row.querySelector('.rb-qty').value,
+          unit: row.querySelector('.rb-unit').value,
+          name: row.querySelector('.rb-name').value
+        }))
+        .filter(ingredient => ingredient.name.trim())
+    };
+  }
+
+  /**
+   * Enregistre la recette du formulaire (création ou modification)
+   * @param {Event} event - Événement de soumission
+   * @returns {Promise<void>}
+   */
+  static async save(event) {
+    event?.preventDefault();
+
+    try {
+      const response = await fetch(this.editingId ? `${API_URL}/${this.editingId}` : API_URL, {
+        method: this.editingId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(this.readForm())
+      });
+
+      const result = await ResponseHandler.handle(response, { showMessage: true });
+      if (!result.success) return;
+
+      this.showList();
+      await this.loadRecipes(this.modal.querySelector('#rb-search-input').value);
+    } catch (error) {
+      ResponseHandler.handleNetworkError(error, 'saveRecipe');
+    }
+  }
+
+  /**
+   * Supprime une recette après confirmation
+   * @param {string} recipeId - ID de la recette
+   * @returns {Promise<void>}
+   */
+  static async remove(recipeId) {
+    const recipe = this.recipes.find(r => r.id === recipeId);
+    if (!recipe || !confirm(`Supprimer la recette "${recipe.name}" ?`)) return;
+
+    try {
+      const response = await fetch(`${API_URL}/${recipeId}`, { method: 'DELETE' });
+      const result = await ResponseHandler.handle(response, { showMessage: true });
+      if (result.success) {
+        await this.loadRecipes(this.modal.querySelector('#rb-search-input').value);
+      }
+    } catch (error) {
+      ResponseHandler.handleNetworkError(error, 'deleteRecipe');
+    }
+  }
+
+  /**
+   * Place une recette dans le repas ciblé (les notes du repas sont conservées)
+   * @param {string} recipeId - ID de la recette
+   * @returns {void}
+   */
+  static pick(recipeId) {
+    const recipe = this.recipes.find(r => r.id === recipeId);
+    if (!recipe || !this.pickTarget) return;
+
+    const { day, mealType } = this.pickTarget;
+    const current = UIManager.getMeal(day, mealType);
+
+    UIManager.setMeal(day, mealType, {
+      ...current,
+      title: recipe.name,
+      items: [{ name: recipe.name, recipeId: recipe.id }],
+      servings: current.servings || recipe.servings
+    });
+
+    this.close();
+  }
+}
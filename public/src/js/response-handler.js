@@ -59,9 +59,17 @@ export class ResponseHandler {
       } else {
         // Erreur
         const message = data.message || this.getDefaultErrorMessage(response.status);
-        
+        // Délai avant nouvelle tentative (429) : corps de la réponse ou en-tête Retry-After
+        const retryAfter = response.status === 429
+          ? (data.retryAfter || parseInt(response.headers.get('Retry-After')) || null)
+          : undefined;
+
         if (showMessage) {
-          this.showMessage(message, 'error');
+          if (response.status === 429) {
+            this.handleRateLimit(retryAfter, data.message);
+          } else {
+            this.showMessage(message, 'error');
+          }
         }
 
         if (onError) {
@@ -69,7 +77,10 @@ export class ResponseHandler {
             error: data.error, 
             message, 
             status: response.status,
-            field: data.field // Pour les erreurs de validation
+            field: data.field, // Pour les erreurs de validation
+            errors: data.errors, // Erreurs par champ [{field, message}]
+            conflicts: data.conflicts, // Pour les conflits de version (409)
+            retryAfter // Secondes avant nouvelle tentative (429)
           });
         }
 
@@ -78,7 +89,10 @@ export class ResponseHandler {
           error: data.error,
           message,
           status: response.status,
-          field: data.field
+          field: data.field,
+          errors: data.errors,
+          conflicts: data.conflicts,
+          retryAfter
         };
       }
     } catch (error) {
@@ -202,8 +216,10 @@ export class ResponseHandler {
 
   /**
    * Traite spécifiquement une erreur de validation de formulaire
+   * Chaque champ en erreur (errors, sinon field) est mis en évidence ; le
+   * premier reçoit le focus.
    * 
-   * @param {Object} errorData - Données d'erreur { field, message }
+   * @param {Object} errorData - Données d'erreur { field, message, errors?: [{field, message}] }
    * @param {string} formSelector - Sélecteur CSS du formulaire
    * 
    * @example
@@ -213,26 +229,34 @@ export class ResponseHandler {
    * }
    */
   static handleValidationError(errorData, formSelector = null) {
-    const { field, message } = errorData;
+    const { field, message, errors } = errorData;
 
     // Afficher le message
     this.showMessage(message, 'warning', 3000);
 
-    // Mettre en évidence le champ si le formulaire est fourni
-    if (formSelector && field) {
-      const form = document.querySelector(formSelector);
-      if (form) {
-        const input = form.querySelector(`[name="${field}"], #${field}`);
-        if (input) {
-          input.classList.add('error');
-          input.focus();
-          
-          // Retirer la classe après correction
-          input.addEventListener('input', () => {
-            input.classList.remove('error');
-          }, { once: true });
-        }
+    // Mettre en évidence les champs si le formulaire est fourni
+    const form = formSelector ? document.querySelector(formSelector) : null;
+    if (!form) return;
+
+    const fields = errors?.length ? errors.map(error => error.field) : [field];
+    let focused = false;
+
+    for (const name of fields.filter(Boolean)) {
+      // "days.lundi" → champ "days.lundi", sinon "days"
+      const input = form.querySelector(`[name="${CSS.escape(name)}"]`)
+        || form.querySelector(`[name="${CSS.escape(name.split('.')[0])}"], #${CSS.escape(name.split('.')[0])}`);
+      if (!input) continue;
+
+      input.classList.add('error');
+      if (!focused) {
+        input.focus();
+        focused = true;
       }
+
+      // Retirer la classe après correction
+      input.addEventListener('input', () => {
+        input.classList.remove('error');
+      }, { once: true });
     }
   }
 
@@ -277,14 +301,37 @@ export class ResponseHandler {
     }
   }
 
+  /**
+   * Construit le message d'un refus pour trop de tentatives (429)
+   * 
+   * @param {number|null} [retryAfter] - Secondes avant nouvelle tentative
+   * @param {string} [message='⏱️ Trop de requêtes.'] - Message du serveur
+   * @returns {string} Message avec le délai restant
+   * 
+   * @example
+   * ResponseHandler.getRateLimitMessage(90); // '⏱️ Trop de requêtes. Réessayez dans 2 minutes.'
+   */
+  static getRateLimitMessage(retryAfter, message = '⏱️ Trop de requêtes.') {
+    if (!retryAfter) {
+      return `${message} Veuillez réessayer dans quelques instants.`;
+    }
+
+    const wait = retryAfter < 60
+      ? `${retryAfter} seconde${retryAfter > 1 ? 's' : ''}`
+      : `${Math.ceil(retryAfter / 60)} minute${retryAfter > 60 ? 's' : ''}`;
+    return `${message} Réessayez dans ${wait}.`;
+  }
+
   /**
    * Gère les rate limits (429)
+   * Le message reste affiché pendant le délai d'attente (une minute au plus).
    * 
-   * @param {number} [retryAfter=60] - Secondes avant nouvelle tentative
+   * @param {number|null} [retryAfter=60] - Secondes avant nouvelle tentative
+   * @param {string} [message] - Message du serveur
    */
-  static handleRateLimit(retryAfter = 60) {
-    const message = `⏱️ Trop de requêtes. Réessayez dans ${retryAfter} secondes.`;
-    this.showMessage(message, 'warning', retryAfter * 1000);
+  static handleRateLimit(retryAfter = 60, message) {
+    const duration = Math.min(retryAfter || 5, 60) * 1000;
+    this.showMessage(this.getRateLimitMessage(retryAfter, message), 'warning', duration);
   }
 
   /**
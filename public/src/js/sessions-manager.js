@@ -0,0 +1,120 @@
+// ========================================
+// Appareils connectés (sessions ouvertes du compte)
+// ========================================
+
+import { APIManager } from './api.js';
+import { MealUtils } from './utils.js';
+
+/**
+ * Classe de gestion des sessions ouvertes
+ * Chaque connexion (navigateur, appareil) ouvre une session : elle peut être
+ * fermée à distance, par exemple après la perte d'un téléphone.
+ */
+export class SessionsManager {
+  /**
+   * État des sessions
+   * @private
+   */
+  static state = {
+    sessions: []
+  };
+
+  /**
+   * Charge les sessions ouvertes depuis le serveur
+   */
+  static async initialize() {
+    this.state.sessions = await APIManager.fetchSessions();
+  }
+
+  /**
+   * Formate une date de dernière activité
+   * @param {string|null} date - Date ISO
+   * @returns {string} Date et heure lisibles
+   */
+  static formatDate(date) {
+    if (!date) return 'inconnue';
+    return new Date(date).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+  }
+
+  /**
+   * Rend les sessions dans la modal des paramètres
+   */
+  static render() {
+    const container = document.getElementById('sessions-container');
+    if (!container) return;
+
+    const { sessions } = this.state;
+    if (!sessions.length) {
+      container.innerHTML = '<p class="setting-description">Sessions indisponibles</p>';
+      return;
+    }
+
+    const items = sessions.map(session => `
+      <li class="household-member">
+        <div class="household-member-main">
+          <span class="household-member-name">
+            ${session.isMobile ? '📱' : '💻'} ${MealUtils.escapeHTML(session.browser)} · ${MealUtils.escapeHTML(session.os)}
+          </span>
+          <span class="household-member-email">
+            ${session.current ? 'Active maintenant' : `Dernière activité le ${this.formatDate(session.lastActivity)}`}${session.ip ? ` · ${MealUtils.escapeHTML(session.ip)}` : ''}
+          </span>
+        </div>
+        ${session.current
+          ? '<span class="item-tag">Cet appareil</span>'
+          : `<button class="aisle-btn" onclick="window.sessionsHandlers.revoke('${MealUtils.escapeHTML(session.id)}')"
+               aria-label="Déconnecter ${MealUtils.escapeHTML(session.browser)} · ${MealUtils.escapeHTML(session.os)}">✕</button>`}
+      </li>`).join('');
+
+    container.innerHTML = `
+      <ul class="household-list">${items}</ul>
+      ${sessions.length > 1
+        ? '<button class="btn-danger household-leave-btn" onclick="window.sessionsHandlers.revokeOthers()">Déconnecter les autres appareils</button>'
+        : ''}
+    `;
+
+    this.exposeHandlers();
+  }
+
+  /**
+   * Exécute une action sur les sessions puis rafraîchit l'affichage
+   * Les messages (succès ou erreur) sont affichés par le gestionnaire de réponses.
+   * @param {string} path - Chemin sous /auth/sessions
+   */
+  static async run(path) {
+    try {
+      await APIManager.sendSessionRequest(path, 'DELETE');
+    } catch (error) {
+      // Message déjà affiché
+    }
+    await this.initialize();
+    this.render();
+  }
+
+  /**
+   * Déconnecte une session
+   * @param {string} id - Identifiant de la session
+   */
+  static async revoke(id) {
+    const session = this.state.sessions.find(s => s.id === id);
+    if (!session || !confirm(`Déconnecter ${session.browser} · ${session.os} ?`)) return;
+    await this.run(`/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * Déconnecte toutes les sessions sauf celle de cet appareil
+   */
+  static async revokeOthers() {
+    if (!confirm('Déconnecter tous les autres appareils ?')) return;
+    await this.run('');
+  }
+
+  /**
+   * Expose les handlers globalement
+   */
+  static exposeHandlers() {
+    window.sessionsHandlers = {
+      revoke: (id) => this.revoke(id),
+      revokeOthers: () => this.revokeOthers()
+    };
+  }
+}
@@ -8,7 +8,12 @@ import { UIManager } from './ui-handlers.js';
 import { STATUS_MESSAGES, STATUS_TYPES } from './config.js';
 import { WeeksManager } from './weeks-manager.js';
 import { IngredientsManager } from './ingredients-manager.js';
+import { AislesManager } from './aisles-manager.js';
+import { HouseholdManager } from './household-manager.js';
+import { SessionsManager } from './sessions-manager.js';
 import { SettingsAccordion } from './settings-accordion.js';
+import { UserManager } from './user-manager.js';
+import { DateUtils, MealUtils } from './utils.js';
 
 /**
  * Gestionnaire des paramètres de l'application
@@ -48,6 +53,15 @@ export class SettingsManager {
         await IngredientsManager.initialize();
         IngredientsManager.render();
 
+        await AislesManager.initialize();
+        AislesManager.render();
+
+        await HouseholdManager.initialize();
+        HouseholdManager.render();
+
+        await SessionsManager.initialize();
+        SessionsManager.render();
+
         const notifToggle = document.getElementById('enable-notifications');
         if (notifToggle) {
             notifToggle.addEventListener('change', async () => {
@@ -348,6 +362,15 @@ export class AuthManager {
             const userInfo = await APIManager.fetchUserInfo();
             // console.log('👤 Infos utilisateur chargées:', userInfo);
 
+            // Utilisateur connecté (gestion du compte)
+            this.currentUser = userInfo?.data?.user || null;
+
+            // Section Compte : email à confirmer, double authentification
+            UserManager.renderAccountStatus(this.currentUser);
+            if (this.currentUser) {
+                await UserManager.loadPasskeys();
+            }
+
             if (userInfo) {
                 let userName = null;
 
@@ -423,18 +446,16 @@ export class GeneratorManager {
 
     /**
      * Génère un seul repas pour un jour spécifique
-     * @param {string} day - Le jour
+     * @param {string} day - La date du jour (YYYY-MM-DD)
      * @param {string} mealType - Type de repas ('midi' ou 'soir')
      * @returns {Promise<void>}
      */
     static async generateSingleMeal(day, mealType) {
-        const textarea = document.getElementById(`${day}-${mealType}`);
         const button = document.querySelector(
             `.generate-meal-btn[onclick*="${day}"][onclick*="${mealType}"]`
         );
 
-        if (!textarea) {
-            // console.error(`Textarea non trouvée pour ${day} ${mealType}`);
+        if (!document.getElementById(`${day}-${mealType}`)) {
             return;
         }
 
@@ -449,33 +470,32 @@ export class GeneratorManager {
             const usedMeals = new Set();
 
             Object.values(currentWeekData).forEach(dayMeals => {
-                if (dayMeals.midi) usedMeals.add(dayMeals.midi.trim().toLowerCase());
-                if (dayMeals.soir) usedMeals.add(dayMeals.soir.trim().toLowerCase());
+                ['midi', 'soir'].forEach(type => {
+                    const text = MealUtils.toText(dayMeals[type]).trim().toLowerCase();
+                    if (text) usedMeals.add(text);
+                });
             });
 
-            const result = await APIManager.generateSingleMeal(mealType, usedMeals);
+            const isUsed = (suggestion) => usedMeals.has(MealUtils.toText(suggestion).trim().toLowerCase());
 
-            if (result.success && result.suggestion) {
-                if (usedMeals.has(result.suggestion.trim().toLowerCase())) {
-                    const retry = await APIManager.generateSingleMeal(mealType, usedMeals);
-                    if (retry.success && retry.suggestion && !usedMeals.has(retry.suggestion.trim().toLowerCase())) {
-                        textarea.value = retry.suggestion;
-                    } else {
-                        UIManager.showStatus(
-                            '⚠️ Tous les repas disponibles sont déjà utilisés',
-                            STATUS_TYPES.WARNING
-                        );
-                        return;
-                    }
-                } else {
-                    textarea.value = result.suggestion;
+            let result = await APIManager.generateSingleMeal(mealType, null, usedMeals);
+
+            if (result.success && result.suggestion && isUsed(result.suggestion)) {
+                result = await APIManager.generateSingleMeal(mealType, null, usedMeals);
+                if (!result.success || !result.suggestion || isUsed(result.suggestion)) {
+                    UIManager.showStatus(
+                        '⚠️ Tous les repas disponibles sont déjà utilisés',
+                        STATUS_TYPES.WARNING
+                    );
+                    return;
                 }
+            }
 
-                const event = new Event('input', { bubbles: true });
-                textarea.dispatchEvent(event);
+            if (result.success && result.suggestion) {
+                UIManager.setMeal(day, mealType, result.suggestion);
 
                 UIManager.showStatus(
-                    `✓ Repas généré pour ${day} ${mealType}`,
+                    `✓ Repas généré pour ${DateUtils.formatDate(day)} ${mealType}`,
                     STATUS_TYPES.SUCCESS
                 );
             } else {
@@ -1,18 +1,30 @@
 import { WeeksManager } from './weeks-manager.js';
 import { UIManager } from './ui-handlers.js';
 import { ResponseHandler } from './response-handler.js';
+import { DateUtils, MealUtils } from './utils.js';
+import { UnitUtils } from './units.js';
+import { Pantry } from './pantry.js';
 
 const API_URL = '/api/shopping-list';
+const RECIPES_URL = '/api/recipes';
+const AISLES_URL = '/api/preferences/aisles';
 
 export class ShoppingList {
-  static purchasedItems = new Set();
+  static items = [];
+  static aisles = [];
+  static defaultAisle = null;
+  static coveredByPantry = [];
+  static activeTab = 'list';
+  static checkedIds = new Set();
+  static recipes = new Map();
   static modal = null;
-  static _saving = false;
 
   static init() {
     this.modal = document.getElementById('shopping-list-modal');
     if (!this.modal) return;
 
+    Pantry.init(this.modal);
+
     this.modal.addEventListener('click', (e) => {
       if (e.target === this.modal) this.close();
     });
@@ -39,16 +51,28 @@ export class ShoppingList {
     return date.getTime();
   }
 
+  static getRange() {
+    const ranges = WeeksManager.state.weekRanges;
+    const today = DateUtils.getTodayKey();
+    const to = ranges.length > 0 ? ranges[ranges.length - 1].to : today;
+    return { from: today, to: to < today ? today : to };
+  }
+
   static async loadFromServer() {
+    const { from, to } = this.getRange();
+
     try {
-      const response = await fetch(API_URL);
+      const response = await fetch(`${API_URL}/generate?from=${from}&to=${to}`);
 
       const result = await ResponseHandler.handle(response, {
         showMessage: false,
 
         onSuccess: (data) => {
-          this.purchasedItems = new Set(data.purchasedItems || []);
-          // console.log('✅ Liste de courses chargée');
+          this.items = data.items;
+          this.aisles = data.aisles;
+          this.defaultAisle = data.defaultAisle;
+          this.coveredByPantry = data.coveredByPantry;
+          this.checkedIds = new Set(data.items.filter(item => item.checked).map(item => item.id));
         },
 
         onError: (error) => {
@@ -56,112 +80,225 @@ export class ShoppingList {
         }
       });
 
-      if (!result.success) {
-        this.purchasedItems = new Set();
-      }
+      return result.success;
 
     } catch (err) {
-      // console.warn('Impossible de charger la liste de courses:', err);
-      ResponseHandler.handleNetworkError(err, 'loadShoppingList');
+      // Hors ligne : liste calculée localement à partir des repas chargés
+      return false;
     }
   }
 
-  static async saveToServer() {
-    if (this._saving) return;
-    this._saving = true;
+  static async loadRecipes() {
+    try {
+      const response = await fetch(RECIPES_URL);
+      const result = await ResponseHandler.handle(response, { showMessage: false });
 
+      this.recipes = result.success
+        ? new Map(result.data.recipes.map(recipe => [recipe.id, recipe]))
+        : new Map();
+    } catch (err) {
+      ResponseHandler.handleNetworkError(err, 'loadRecipes');
+    }
+  }
+
+  static async saveItem(id, checked) {
     try {
-      const response = await fetch(API_URL, {
+      const response = await fetch(`${API_URL}/items/${encodeURIComponent(id)}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ purchasedItems: [...this.purchasedItems] }),
+        body: JSON.stringify({ checked }),
       });
 
-      await ResponseHandler.handle(response, {
-        showMessage: false,
+      await ResponseHandler.handle(response, { showMessage: false });
 
-        onSuccess: () => {
-          // console.log('✅ Liste de courses sauvegardée');
-        },
+    } catch (err) {
+      ResponseHandler.handleNetworkError(err, 'saveShoppingList');
+    }
+  }
 
-        onError: (error) => {
-          // console.warn('❌ Erreur sauvegarde:', error.message);
-        }
+  static async addManualItem() {
+    const input = this.modal?.querySelector('#sl-add-input');
+    const name = input?.value.trim();
+    if (!name) return;
+
+    try {
+      const response = await fetch(`${API_URL}/items`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name }),
       });
 
+      const result = await ResponseHandler.handle(response, { showMessage: false });
+      if (result.success) {
+        input.value = '';
+        await this.loadFromServer();
+        this.render();
+      }
+
     } catch (err) {
-      // console.warn('Impossible de sauvegarder la liste de courses:', err);
-      ResponseHandler.handleNetworkError(err, 'saveShoppingList');
-    } finally {
-      this._saving = false;
+      ResponseHandler.handleNetworkError(err, 'addShoppingItem');
+    }
+  }
+
+  static async removeManualItem(id) {
+    try {
+      const response = await fetch(`${API_URL}/items/${encodeURIComponent(id)}`, { method: 'DELETE' });
+
+      const result = await ResponseHandler.handle(response, { showMessage: false });
+      if (result.success) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.checkedIds.delete(id);
+        this.render();
+      }
+
+    } catch (err) {
+      ResponseHandler.handleNetworkError(err, 'removeShoppingItem');
+    }
+  }
+
+  // Déplace les articles cochés dans le garde-manger
+  static async purchaseChecked() {
+    if (this.checkedIds.size === 0) return;
+    const { from, to } = this.getRange();
+
+    try {
+      const response = await fetch(`${API_URL}/purchase`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ from, to }),
+      });
+
+      const result = await ResponseHandler.handle(response, { showMessage: true });
+      if (result.success) {
+        await this.loadFromServer();
+        this.render();
+      }
+
+    } catch (err) {
+      ResponseHandler.handleNetworkError(err, 'purchaseShoppingList');
+    }
+  }
+
+  static async switchTab(tab) {
+    this.activeTab = tab;
+
+    this.modal.querySelectorAll('.sl-tab').forEach(btn => {
+      const isActive = btn.dataset.tab === tab;
+      btn.classList.toggle('active', isActive);
+      btn.setAttribute('aria-selected', String(isActive));
+    });
+    this.modal.querySelectorAll('.sl-panel').forEach(panel => {
+      panel.classList.toggle('hidden', panel.dataset.panel !== tab);
+    });
+
+    if (tab === 'pantry') {
+      await Pantry.load();
+    } else if (await this.loadFromServer()) {
+      // Le stock a pu changer : la liste est recalculée
+      this.render();
+    }
+  }
+
+  // Range un article dans un rayon du magasin (mémorisé pour les prochaines listes)
+  static async setItemAisle(id, aisle) {
+    try {
+      const response = await fetch(`${AISLES_URL}/items/${encodeURIComponent(id)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ aisle }),
+      });
+
+      const result = await ResponseHandler.handle(response, { showMessage: false });
+      if (result.success) {
+        await this.loadFromServer();
+        this.render();
+      }
+
+    } catch (err) {
+      ResponseHandler.handleNetworkError(err, 'setShoppingItemAisle');
     }
   }
 
   static parseMeal(meal) {
-    if (!meal || typeof meal !== 'string' || meal.trim() === '') return [];
-    return meal
-      .replace(/\s+et\s+/gi, ',')
-      .replace(/\s+avec\s+/gi, ',')
-      .split(',')
-      .map(item => item.trim())
-      .filter(item => item.length > 0);
+    const normalized = MealUtils.normalize(meal);
+
+    return normalized.items
+      .flatMap(item => {
+        // Une recette connue est remplacée par ses ingrédients, mis à l'échelle des portions du repas
+        const recipe = item.recipeId ? this.recipes.get(item.recipeId) : null;
+        if (!recipe) {
+          return [UnitUtils.parseQuantity(item.name)];
+        }
+
+        const scale = normalized.servings ? normalized.servings / recipe.servings : 1;
+        return recipe.ingredients.map(ingredient => ({
+          name: ingredient.name,
+          quantity: ingredient.quantity === null ? null : ingredient.quantity * scale,
+          unit: ingredient.unit
+        }));
+      })
+      .map(ingredient => ({ ...ingredient, name: ingredient.name.trim() }))
+      .filter(ingredient => ingredient.name.length > 0);
   }
 
-  static aggregateIngredients() {
-    const counts = new Map();
+  static aggregateIngredients(from, to) {
+    const ingredients = new Map();
     const currentTimestamp = this.getCurrentDateTimestamp();
     try {
-      const allWeeksData = WeeksManager.getAllWeeksData();
-      const currentWeekKey = `week${WeeksManager.getCurrentWeek()}`;
+      const allDaysData = WeeksManager.getAllWeeksData();
 
-      for (const [weekKey, weekData] of Object.entries(allWeeksData)) {
-        let weekNumber = parseInt(weekKey.replace('week', ''));
-        if (isNaN(weekNumber) || weekNumber < 1 || weekNumber > WeeksManager.getNumberOfWeeks()) {
+      for (const [dayKey, dayData] of Object.entries(allDaysData)) {
+        if (!dayData || typeof dayData !== 'object') {
           continue;
         }
-        if (weekKey >= currentWeekKey) {
 
-          for (const [dayKey, dayData] of Object.entries(weekData)) {
-            if (!dayData || typeof dayData !== 'object') {
-              continue;
-            }
+        if (MealUtils.isEmpty(dayData.midi) && MealUtils.isEmpty(dayData.soir)) {
+          continue;
+        }
 
-            if (!dayData.midi && !dayData.soir) {
-              continue;
-            }
+        const dayTimestamp = this.getDayTimestamp(dayKey);
+        if (dayTimestamp === null || dayTimestamp < currentTimestamp || dayKey < from || dayKey > to) {
+          continue;
+        }
 
-            const date = new Date();
-            const dateString = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${dayKey}`;
-            const dayTimestamp = this.getDayTimestamp(dateString);
-            if (dayTimestamp === null || dayTimestamp < currentTimestamp) {
-              continue;
+        for (const meal of [dayData.midi, dayData.soir]) {
+          for (const { name, quantity, unit } of this.parseMeal(meal)) {
+            const key = `ing:${name.toLowerCase()}`;
+            if (!ingredients.has(key)) {
+              ingredients.set(key, { label: name, count: 0, totals: {} });
             }
 
-            for (const meal of [dayData.midi, dayData.soir]) {
-              const ingredients = this.parseMeal(meal);
-              for (const ingredient of ingredients) {
-                if (ingredient.length === 0) continue;
-
-                const key = ingredient.toLowerCase();
-                if (!counts.has(key)) {
-                  counts.set(key, { label: ingredient, count: 0 });
-                }
-                counts.get(key).count += 1;
-              }
+            // Quantités additionnées par dimension (masse, volume...), sinon simple comptage
+            const entry = ingredients.get(key);
+            if (quantity === null || !UnitUtils.addTo(entry.totals, quantity, unit)) {
+              entry.count += 1;
             }
           }
         }
       }
 
-      // console.log(`✅ ${counts.size} ingrédients trouvés`);
-      return counts;
+      // console.log(`✅ ${ingredients.size} ingrédients trouvés`);
+      return ingredients;
 
     } catch (error) {
       // console.error('❌ Erreur agrégation ingrédients:', error);
-      return counts;
+      return ingredients;
     }
   }
 
+  static buildLocalItems() {
+    const { from, to } = this.getRange();
+
+    return [...this.aggregateIngredients(from, to).entries()].map(([id, { label, count, totals }]) => ({
+      id,
+      label,
+      source: 'meal',
+      quantity: UnitUtils.formatTotals(totals),
+      count,
+      checked: this.checkedIds.has(id)
+    }));
+  }
+
   static async open() {
     if (!this.modal) this.init();
     if (!this.modal) return;
@@ -171,8 +308,16 @@ export class ShoppingList {
     document.body.style.overflow = 'hidden';
     this.modal.querySelector('.sl-close-btn')?.focus();
 
-    await this.loadFromServer();
+    const loaded = await this.loadFromServer();
+    if (!loaded) {
+      await this.loadRecipes();
+      this.items = this.buildLocalItems();
+    }
     this.render();
+
+    if (this.activeTab === 'pantry') {
+      await Pantry.load();
+    }
   }
 
   static close() {
@@ -181,27 +326,27 @@ export class ShoppingList {
     document.body.style.overflow = '';
   }
 
-  static toggleItem(key) {
-    if (this.purchasedItems.has(key)) {
-      this.purchasedItems.delete(key);
+  static toggleItem(id) {
+    const isChecked = !this.checkedIds.has(id);
+    if (isChecked) {
+      this.checkedIds.add(id);
     } else {
-      this.purchasedItems.add(key);
+      this.checkedIds.delete(id);
     }
 
-    const item = this.modal?.querySelector(`[data-key="${key}"]`);
+    const item = [...(this.modal?.querySelectorAll('[data-panel="list"] .sl-item') || [])].find(el => el.dataset.id === id);
     if (item) {
-      const isPurchased = this.purchasedItems.has(key);
-      item.classList.toggle('purchased', isPurchased);
-      item.setAttribute('aria-checked', String(isPurchased));
+      item.classList.toggle('purchased', isChecked);
+      item.setAttribute('aria-checked', String(isChecked));
     }
 
     this.updateCounter();
-    this.saveToServer();
+    this.saveItem(id, isChecked);
   }
 
   static async resetAll() {
-    this.purchasedItems.clear();
-    this.modal?.querySelectorAll('.sl-item').forEach(el => {
+    this.checkedIds.clear();
+    this.modal?.querySelectorAll('[data-panel="list"] .sl-item').forEach(el => {
       el.classList.remove('purchased');
       el.setAttribute('aria-checked', 'false');
     });
@@ -229,8 +374,8 @@ export class ShoppingList {
   }
 
   static updateCounter() {
-    const total = this.modal?.querySelectorAll('.sl-item').length || 0;
-    const bought = this.purchasedItems.size;
+    const total = this.modal?.querySelectorAll('[data-panel="list"] .sl-item').length || 0;
+    const bought = this.items.filter(item => this.checkedIds.has(item.id)).length;
     const counter = this.modal?.querySelector('.sl-counter');
     const progressFill = this.modal?.querySelector('#sl-progress');
 
@@ -251,61 +396,95 @@ export class ShoppingList {
   }
 
   static render() {
-    const listContainer = this.modal?.querySelector('.sl-list');
-    const emptyState = this.modal?.querySelector('.sl-empty');
+    const listContainer = this.modal?.querySelector('[data-panel="list"] .sl-list');
+    const emptyState = this.modal?.querySelector('[data-panel="list"] .sl-empty');
     if (!listContainer) return;
 
-    const ingredients = this.aggregateIngredients();
+    const covered = this.modal.querySelector('.sl-covered');
+    if (covered) {
+      covered.classList.toggle('hidden', this.coveredByPantry.length === 0);
+      covered.textContent = `🥫 Déjà au garde-manger : ${this.coveredByPantry.map(item => item.label).join(', ')}`;
+    }
 
-    if (ingredients.size === 0) {
+    if (this.items.length === 0) {
       listContainer.innerHTML = '';
-      emptyState?.classList.remove('hidden');
+      emptyState?.classList.toggle('hidden', this.coveredByPantry.length > 0);
       this.updateCounter();
       return;
     }
 
     emptyState?.classList.add('hidden');
 
-    const sorted = [...ingredients.values()].sort((a, b) =>
-      a.label.localeCompare(b.label, 'fr', { sensitivity: 'base' })
-    );
+    // Regroupement par rayon, dans l'ordre de passage (liste hors ligne : pas de rayon)
+    const groups = new Map(this.aisles.map(aisle => [aisle, []]));
+    for (const item of this.items) {
+      const aisle = item.aisle || '';
+      if (!groups.has(aisle)) groups.set(aisle, []);
+      groups.get(aisle).push(item);
+    }
+    for (const groupItems of groups.values()) {
+      groupItems.sort((a, b) => a.label.localeCompare(b.label, 'fr', { sensitivity: 'base' }));
+    }
 
     const checkSvg = `<svg viewBox="0 0 12 10" fill="none" xmlns="http://www.w3.org/2000/svg">
       <path d="M1 5l3.5 3.5L11 1" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
     </svg>`;
 
-    listContainer.innerHTML = sorted.map(({ label, count }) => {
-      const key = label.toLowerCase();
-      const safeKey = key.replace(/"/g, '&quot;');
+    const renderItem = ({ id, label, source, quantity, count, aisle }) => {
+      const safeId = MealUtils.escapeHTML(id);
+      const isChecked = this.checkedIds.has(id);
+      const quantityHtml = quantity
+        ? `<span class="sl-item-qty">${MealUtils.escapeHTML(quantity)}</span>`
+        : '';
       const badgeHtml = count > 1
         ? `<span class="sl-item-badge">${count}<span class="sl-times">×</span></span>`
         : '';
+      const removeHtml = source === 'manual'
+        ? `<button class="sl-item-remove" aria-label="Retirer ${MealUtils.escapeHTML(label)}"
+            onclick="event.stopPropagation(); window.shoppingListHandlers.removeManualItem(this.parentElement.dataset.id)">✕</button>`
+        : '';
+      // Un article sans catégorie peut être rangé dans un rayon
+      const aisleHtml = aisle && aisle === this.defaultAisle && this.aisles.length > 1
+        ? `<select class="sl-item-aisle" aria-label="Ranger ${MealUtils.escapeHTML(label)} dans un rayon"
+            onclick="event.stopPropagation()" onkeydown="event.stopPropagation()"
+            onchange="window.shoppingListHandlers.setItemAisle(this.parentElement.dataset.id, this.value)">
+            <option value="" selected>Ranger…</option>
+            ${this.aisles.filter(name => name !== aisle).map(name =>
+              `<option value="${MealUtils.escapeHTML(name)}">${MealUtils.escapeHTML(name)}</option>`).join('')}
+          </select>`
+        : '';
 
       return `<li
-          class="sl-item"
-          data-key="${safeKey}"
+          class="sl-item${isChecked ? ' purchased' : ''}${source === 'manual' ? ' sl-item--manual' : ''}"
+          data-id="${safeId}"
           role="checkbox"
-          aria-checked="false"
+          aria-checked="${isChecked}"
           tabindex="0"
-          onclick="window.shoppingListHandlers.toggleItem(this.dataset.key)"
-          onkeydown="if(event.key==='Enter'||event.key===' '){window.shoppingListHandlers.toggleItem(this.dataset.key);event.preventDefault();}"
+          onclick="window.shoppingListHandlers.toggleItem(this.dataset.id)"
+          onkeydown="if(event.key==='Enter'||event.key===' '){window.shoppingListHandlers.toggleItem(this.dataset.id);event.preventDefault();}"
         >
           <span class="sl-item-check" aria-hidden="true">${checkSvg}</span>
-          <span class="sl-item-label">${label}</span>
+          <span class="sl-item-label">${MealUtils.escapeHTML(label)}</span>
+          ${quantityHtml}
           ${badgeHtml}
+          ${aisleHtml}
+          ${removeHtml}
         </li>`;
-    }).join('');
-
-    this.purchasedItems.forEach(key => {
-      const item = listContainer.querySelector(`[data-key="${key}"]`);
-      if (item) {
-        item.classList.add('purchased');
-        item.setAttribute('aria-checked', 'true');
-      } else {
-        this.purchasedItems.delete(key);
-      }
-    });
+    };
+
+    listContainer.innerHTML = [...groups.entries()]
+      .filter(([, groupItems]) => groupItems.length > 0)
+      .map(([aisle, groupItems]) => {
+        const headerHtml = aisle
+          ? `<li class="sl-aisle" role="presentation">
+              <span>${MealUtils.escapeHTML(aisle)}</span>
+              <span class="sl-aisle-count">${groupItems.length}</span>
+            </li>`
+          : '';
+        return headerHtml + groupItems.map(renderItem).join('');
+      })
+      .join('');
 
     this.updateCounter();
   }
-}
\ No newline at end of file
+}
@@ -3,7 +3,7 @@
  * @module storage
  */
 
-import { STORAGE_KEYS } from './config.js';
+import { API_CONFIG, STORAGE_KEYS } from './config.js';
 
 /**
  * Classe de gestion du stockage local
@@ -39,47 +39,124 @@ export class StorageManager {
   }
 
   /**
-   * Sauvegarde les données en attente de synchronisation
-   * Utilisé quand l'application est hors ligne
-   * @param {Object} data - Les données à synchroniser plus tard
-   * @returns {void}
+   * Découpe une sauvegarde en opérations sur chaque repas modifié
+   * @param {Object} data - Sauvegarde {days, versions}
+   * @param {Object} [headers={}] - En-têtes à rejouer avec chaque opération
+   * @returns {Array<Object>} Opérations {url, method, headers, slot, body: {meal, version}}
+   */
+  static toSlotOperations(data, headers = {}) {
+    return Object.entries(data.versions || {}).map(([key, version]) => {
+      const [date, mealType] = key.split(':');
+      return {
+        url: `${API_CONFIG.MEALS_URL}/slots/${date}/${mealType}`,
+        method: 'PUT',
+        headers,
+        slot: { date, mealType },
+        body: { meal: data.days[date]?.[mealType] ?? null, version }
+      };
+    });
+  }
+
+  /**
+   * Ajoute des opérations à la file hors ligne (IndexedDB)
+   * puis demande une synchronisation en arrière-plan au service worker.
+   * @param {Array<Object>} entries - Requêtes à rejouer {url, method, headers, slot?, body}
+   * @returns {Promise<boolean>} True si toutes les opérations ont été mises en file
    */
-  static savePendingData(data) {
+  static async queueSave(entries) {
+    if (!window.OfflineQueue) return false;
+
     try {
-      localStorage.setItem(STORAGE_KEYS.PENDING_SAVE, JSON.stringify(data));
+      for (const entry of entries) {
+        await window.OfflineQueue.enqueue(entry);
+      }
     } catch (error) {
-      // console.error('Erreur sauvegarde données en attente:', error);
+      // console.error('Erreur mise en file hors ligne:', error);
+      return false;
+    }
+
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.ready
+        .then(registration => registration.sync?.register(window.OfflineQueue.SYNC_TAG))
+        .catch(() => {
+          // Background Sync non supporté : la file est rejouée au retour en ligne
+        });
     }
+    return true;
   }
 
   /**
-   * Récupère les données en attente de synchronisation
-   * @returns {Object|null} Les données en attente ou null
+   * Reprend dans la file la sauvegarde en attente de l'ancien format (localStorage)
+   * @private
+   * @returns {Promise<void>}
    */
-  static getPendingData() {
+  static async migrateLegacyPendingData() {
     try {
       const pending = localStorage.getItem(STORAGE_KEYS.PENDING_SAVE);
-      return pending ? JSON.parse(pending) : null;
+      if (!pending) return;
+
+      const data = JSON.parse(pending);
+      // Ancien format (semaines de jours 1-31) : non synchronisable, abandonné
+      // Sans versions, la sauvegarde complète est rejouée telle quelle
+      const entries = data?.versions
+        ? this.toSlotOperations(data)
+        : [{ url: API_CONFIG.MEALS_URL, method: 'PUT', headers: {}, body: data }];
+      if (data?.days && !(await this.queueSave(entries))) {
+        return;
+      }
+      localStorage.removeItem(STORAGE_KEYS.PENDING_SAVE);
     } catch (error) {
-      // console.error('Erreur lecture données en attente:', error);
-      return null;
+      // console.error('Erreur reprise des données en attente:', error);
     }
   }
 
   /**
-   * Supprime les données en attente après synchronisation réussie
-   * @returns {void}
+   * Rejoue les opérations en attente
+   * @returns {Promise<{sent: number, remaining: number, versions: Object, conflicts: Array<Object>}>}
+   *   Résultat du rejeu (voir OfflineQueue.replay)
    */
-  static clearPendingData() {
+  static async replayPendingSaves() {
+    const empty = { sent: 0, remaining: 0, versions: {}, conflicts: [] };
+    if (!window.OfflineQueue) return empty;
+
+    await this.migrateLegacyPendingData();
     try {
-      localStorage.removeItem(STORAGE_KEYS.PENDING_SAVE);
+      return await window.OfflineQueue.replay();
+    } catch (error) {
+      // console.error('Erreur lecture de la file hors ligne:', error);
+      return empty;
+    }
+  }
+
+  /**
+   * Compte les opérations en attente (après reprise de l'ancien format)
+   * @returns {Promise<number>} Nombre d'opérations en file
+   */
+  static async countPendingSaves() {
+    await this.migrateLegacyPendingData();
+    try {
+      return window.OfflineQueue ? await window.OfflineQueue.count() : 0;
     } catch (error) {
-      // console.error('Erreur suppression données en attente:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Retire une opération de la file (conflit résolu par l'utilisateur)
+   * @param {number} id - ID de l'entrée
+   * @returns {Promise<void>}
+   */
+  static async removePendingSave(id) {
+    try {
+      await window.OfflineQueue?.remove(id);
+    } catch (error) {
+      // console.error('Erreur suppression sauvegarde en attente:', error);
     }
   }
 
   /**
    * Efface tout le cache local
+   * (cache des repas, file hors ligne et réponses API du service worker)
    * Utile pour le débogage ou la déconnexion
    * @returns {void}
    */
@@ -90,5 +167,12 @@ export class StorageManager {
     } catch (error) {
       // console.error('Erreur effacement cache:', error);
     }
+
+    window.OfflineQueue?.clear().catch(() => {});
+    if (window.caches) {
+      caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key.startsWith('atable-api')).map(key => caches.delete(key))))
+        .catch(() => {});
+    }
   }
 }
\ No newline at end of file
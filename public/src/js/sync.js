@@ -0,0 +1,237 @@
+// ========================================
+// Synchronisation en temps réel du planning entre appareils
+// ========================================
+
+import { STATUS_TYPES } from './config.js';
+import { APIManager } from './api.js';
+import { UIManager } from './ui-handlers.js';
+import { UIRenderer } from './ui-renderer.js';
+import { WeeksManager } from './weeks-manager.js';
+import { MealUtils } from './utils.js';
+
+/**
+ * Clé de l'identifiant de l'onglet (sessionStorage : un identifiant par onglet)
+ * @type {string}
+ */
+const CLIENT_ID_KEY = 'atable-sync-client-id';
+
+/**
+ * Délai avant d'annoncer la fin d'une saisie (passage d'un champ à l'autre du même repas)
+ * @type {number}
+ */
+const PRESENCE_RELEASE_DELAY = 400;
+
+/**
+ * Classe de synchronisation en temps réel
+ * Reçoit par Server-Sent Events les repas modifiés par les autres sessions du foyer
+ * et affiche qui est en train de modifier quel repas.
+ */
+export class SyncManager {
+  /**
+   * État de la synchronisation
+   * @private
+   */
+  static state = {
+    source: null,
+    clientId: null,
+    disconnected: false,
+    editing: null,
+    releaseTimeout: null,
+    presence: []
+  };
+
+  /**
+   * Retourne l'identifiant de l'onglet (envoyé avec les sauvegardes dans X-Client-Id)
+   * @returns {string} Identifiant de session cliente
+   */
+  static getClientId() {
+    if (this.state.clientId) return this.state.clientId;
+
+    let clientId = sessionStorage.getItem(CLIENT_ID_KEY);
+    if (!clientId) {
+      clientId = crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+      sessionStorage.setItem(CLIENT_ID_KEY, clientId);
+    }
+    this.state.clientId = clientId;
+    return clientId;
+  }
+
+  /**
+   * Ouvre le flux de synchronisation
+   * Le navigateur se reconnecte automatiquement ; à la reconnexion, le planning
+   * affiché est rechargé pour rattraper les modifications manquées.
+   */
+  static initialize() {
+    if (!window.EventSource || this.state.source) return;
+
+    const source = new EventSource(`/api/sync/events?clientId=${encodeURIComponent(this.getClientId())}`);
+
+    source.addEventListener('slots', (event) => this.applySlots(JSON.parse(event.data)));
+    source.addEventListener('presence', (event) => {
+      this.state.presence = JSON.parse(event.data);
+      this.renderPresence();
+    });
+    source.addEventListener('open', () => {
+      if (this.state.disconnected) {
+        this.state.disconnected = false;
+        this.resync();
+      }
+    });
+    source.addEventListener('error', () => {
+      this.state.disconnected = true;
+    });
+
+    this.state.source = source;
+  }
+
+  /**
+   * Vérifie si l'utilisateur est en train de saisir dans un repas
+   * @param {string} day - La date du jour (YYYY-MM-DD)
+   * @param {string} mealType - Le type de repas ('midi' ou 'soir')
+   * @returns {boolean} True si un champ du repas a le focus
+   */
+  static isEditingLocally(day, mealType) {
+    const section = document.getElementById(`${day}-${mealType}-section`);
+    return !!section && section.contains(document.activeElement);
+  }
+
+  /**
+   * Applique les repas modifiés sur un autre appareil
+   * Seuls les jours chargés sont mis à jour. Un repas en cours de saisie ou
+   * non sauvegardé n'est pas remplacé : sa version reste l'ancienne, la
+   * prochaine sauvegarde est refusée et la modale de fusion s'ouvre.
+   * @param {Array<Object>} slots - Repas modifiés [{date, mealType, meal, version}]
+   */
+  static applySlots(slots) {
+    const { mealsData } = UIManager.getState();
+
+    for (const { date, mealType, meal, version } of slots) {
+      if (!mealsData[date]) continue;
+
+      if (this.isEditingLocally(date, mealType) || UIManager.isDirty(date, mealType)) {
+        UIManager.showStatus('⚠️ Ce repas vient d\'être modifié sur un autre appareil', STATUS_TYPES.WARNING);
+        continue;
+      }
+
+      WeeksManager.setVersions({ [`${date}:${mealType}`]: version });
+      mealsData[date][mealType] = MealUtils.normalize(meal);
+      const section = UIRenderer.refreshMealSection(date, mealType, mealsData[date]);
+      if (section) {
+        UIManager.attachEventListeners(section);
+        section.classList.add('sync-updated');
+        setTimeout(() => section.classList.remove('sync-updated'), 1500);
+      }
+    }
+
+    this.renderPresence();
+  }
+
+  /**
+   * Recharge le planning affiché après une coupure du flux
+   * @returns {Promise<void>}
+   */
+  static async resync() {
+    try {
+      const { days, versions = {} } = await APIManager.loadMeals();
+      const { mealsData } = UIManager.getState();
+      const slots = [];
+
+      for (const [date, day] of Object.entries(days || {})) {
+        if (!mealsData[date]) continue;
+        for (const mealType of ['midi', 'soir']) {
+          const meal = MealUtils.normalize(day[mealType]);
+          const version = versions[`${date}:${mealType}`] || 0;
+          if (JSON.stringify(meal) !== JSON.stringify(MealUtils.normalize(mealsData[date][mealType]))) {
+            slots.push({ date, mealType, meal, version });
+          } else if (!UIManager.isDirty(date, mealType)) {
+            WeeksManager.setVersions({ [`${date}:${mealType}`]: version });
+          }
+        }
+      }
+
+      if (slots.length > 0) {
+        this.applySlots(slots);
+      }
+    } catch (error) {
+      // Le planning local reste affiché
+    }
+  }
+
+  /**
+   * Envoie le repas en cours de modification au serveur
+   * @param {Object|null} editing - {date, mealType} ou null
+   * @returns {Promise<void>}
+   */
+  static async sendPresence(editing) {
+    this.state.editing = editing;
+    try {
+      await fetch('/api/sync/presence', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ clientId: this.getClientId(), ...(editing || { date: null, mealType: null }) })
+      });
+    } catch (error) {
+      // Présence non essentielle : ignorée hors ligne
+    }
+  }
+
+  /**
+   * Signale le début de la saisie d'un repas
+   * @param {string} day - La date du jour (YYYY-MM-DD)
+   * @param {string} mealType - Le type de repas ('midi' ou 'soir')
+   */
+  static startEditing(day, mealType) {
+    clearTimeout(this.state.releaseTimeout);
+    const { editing } = this.state;
+    if (editing && editing.date === day && editing.mealType === mealType) return;
+
+    this.sendPresence({ date: day, mealType });
+  }
+
+  /**
+   * Signale la fin de la saisie (différée pour ignorer le passage d'un champ à l'autre)
+   */
+  static stopEditing() {
+    clearTimeout(this.state.releaseTimeout);
+    this.state.releaseTimeout = setTimeout(() => {
+      if (this.state.editing) {
+        this.sendPresence(null);
+      }
+    }, PRESENCE_RELEASE_DELAY);
+  }
+
+  /**
+   * Affiche dans chaque repas le nom des personnes qui le modifient
+   */
+  static renderPresence() {
+    const container = document.getElementById('days-container');
+    if (!container) return;
+
+    container.querySelectorAll('.sync-presence').forEach(badge => badge.remove());
+    container.querySelectorAll('.atable-section.sync-editing')
+      .forEach(section => section.classList.remove('sync-editing'));
+
+    for (const { clientId, name, date, mealType } of this.state.presence) {
+      if (clientId === this.state.clientId) continue;
+
+      const section = document.getElementById(`${date}-${mealType}-section`);
+      const header = section?.querySelector('.atable-header');
+      if (!header) continue;
+
+      section.classList.add('sync-editing');
+      header.querySelector('.atable-label').insertAdjacentHTML('afterend',
+        `<span class="sync-presence" title="${MealUtils.escapeHTML(name)} modifie ce repas">✏️ ${MealUtils.escapeHTML(name)}</span>`);
+    }
+  }
+
+  /**
+   * En-têtes à joindre aux sauvegardes du planning
+   * Le serveur ne renvoie pas à l'onglet ses propres modifications.
+   * @returns {Object} En-têtes HTTP
+   */
+  static getHeaders() {
+    return { 'X-Client-Id': this.getClientId() };
+  }
+}
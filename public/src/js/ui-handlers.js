@@ -8,6 +8,9 @@ import { APIManager } from './api.js';
 import { UIRenderer } from './ui-renderer.js';
 import { StorageManager } from './storage.js';
 import { WeeksManager } from './weeks-manager.js';
+import { MealUtils } from './utils.js';
+import { SyncManager } from './sync.js';
+import { MergeDialog } from './merge-dialog.js';
 
 /**
  * Classe de gestion des interactions utilisateur
@@ -21,6 +24,7 @@ export class UIManager {
      */
     static state = {
         mealsData: {},
+        dirtySlots: new Set(),
         saveTimeout: null,
         statusTimeout: null
     };
@@ -43,25 +47,204 @@ export class UIManager {
     }
 
     /**
-     * Gère les changements dans les textareas
+     * Affiche dans la barre d'état le nombre de modifications en attente de synchronisation
+     * @param {number} count - Nombre d'opérations dans la file hors ligne
+     * @returns {void}
+     */
+    static showPendingCount(count) {
+        const el = document.getElementById('pending-status');
+        if (!el) return;
+
+        el.hidden = count === 0;
+        el.textContent = count > 1
+            ? `⏳ ${count} modifications en attente de synchronisation`
+            : '⏳ 1 modification en attente de synchronisation';
+    }
+
+    /**
+     * Retourne le repas (structuré) d'un jour, en l'initialisant si besoin
+     * @param {string} day - La date du jour (YYYY-MM-DD)
+     * @param {string} mealType - Le type de repas ('midi' ou 'soir')
+     * @returns {Object} Le repas {title, items, notes, servings}
+     */
+    static getMeal(day, mealType) {
+        const { mealsData } = UIManager.state;
+        if (!mealsData[day]) {
+            mealsData[day] = { midi: MealUtils.createEmptyMeal(), soir: MealUtils.createEmptyMeal() };
+        }
+        mealsData[day][mealType] = MealUtils.normalize(mealsData[day][mealType]);
+        return mealsData[day][mealType];
+    }
+
+    /**
+     * Remplace un repas complet puis rafraîchit son affichage
+     * @param {string} day - La date du jour (YYYY-MM-DD)
+     * @param {string} mealType - Le type de repas ('midi' ou 'soir')
+     * @param {Object} meal - Le nouveau repas
+     * @returns {void}
+     */
+    static setMeal(day, mealType, meal) {
+        UIManager.getMeal(day, mealType);
+        UIManager.state.mealsData[day][mealType] = MealUtils.normalize(meal);
+        UIManager.markDirty(day, mealType);
+
+        const section = UIRenderer.refreshMealSection(day, mealType, UIManager.state.mealsData[day]);
+        if (section) {
+            UIManager.attachEventListeners(section);
+        }
+
+        UIManager.scheduleSave();
+    }
+
+    /**
+     * Gère les changements dans les champs d'un repas (titre, portions, notes)
      * Déclenche la sauvegarde automatique
      * @param {Event} event - L'événement de changement
      * @returns {void}
      */
-    static handleTextareaChange(event) {
-        const textarea = event.target;
-        const day = textarea.dataset.day;
-        const mealType = textarea.dataset.atable;
-        const value = textarea.value;
+    static handleMealFieldChange(event) {
+        const field = event.target;
+        const meal = UIManager.getMeal(field.dataset.day, field.dataset.atable);
+
+        if (field.dataset.field === 'servings') {
+            const servings = parseInt(field.value);
+            meal.servings = isNaN(servings) || servings < 1 ? null : Math.min(servings, 50);
+        } else {
+            meal[field.dataset.field] = field.value;
+        }
+
+        UIManager.markDirty(field.dataset.day, field.dataset.atable);
+        UIManager.scheduleSave();
+    }
+
+    /**
+     * Gère la saisie d'ingrédients sous forme de puces
+     * Entrée ou virgule ajoute la puce, Retour arrière sur un champ vide retire la dernière
+     * @param {KeyboardEvent} event - L'événement clavier
+     * @returns {void}
+     */
+    static handleChipKeydown(event) {
+        const input = event.target;
+        const { day, atable: mealType } = input.dataset;
 
-        if (!UIManager.state.mealsData[day]) {
-            UIManager.state.mealsData[day] = { midi: '', soir: '' };
+        if (event.key === 'Enter' || event.key === ',') {
+            event.preventDefault();
+            UIManager.addChip(day, mealType, input.value);
+            input.value = '';
+        } else if (event.key === 'Backspace' && input.value === '') {
+            const meal = UIManager.getMeal(day, mealType);
+            if (meal.items.length > 0) {
+                UIManager.removeChip(day, mealType, meal.items.length - 1);
+            }
         }
-        UIManager.state.mealsData[day][mealType] = value;
+    }
+
+    /**
+     * Ajoute un ou plusieurs ingrédients à un repas
+     * @param {string} day - La date du jour (YYYY-MM-DD)
+     * @param {string} mealType - Le type de repas ('midi' ou 'soir')
+     * @param {string} text - Texte saisi (peut contenir plusieurs ingrédients)
+     * @returns {void}
+     */
+    static addChip(day, mealType, text) {
+        const names = MealUtils.splitText(text || '');
+        if (names.length === 0) return;
 
+        const meal = UIManager.getMeal(day, mealType);
+        meal.items.push(...names.map(name => ({ name })));
+        UIManager.markDirty(day, mealType);
+
+        UIRenderer.refreshMealChips(day, mealType, meal.items);
         UIManager.scheduleSave();
     }
 
+    /**
+     * Retire un ingrédient d'un repas
+     * @param {string} day - La date du jour (YYYY-MM-DD)
+     * @param {string} mealType - Le type de repas ('midi' ou 'soir')
+     * @param {number} index - Position de l'ingrédient
+     * @returns {void}
+     */
+    static removeChip(day, mealType, index) {
+        const meal = UIManager.getMeal(day, mealType);
+        if (index < 0 || index >= meal.items.length) return;
+
+        meal.items.splice(index, 1);
+        UIManager.markDirty(day, mealType);
+
+        UIRenderer.refreshMealChips(day, mealType, meal.items);
+        UIManager.scheduleSave();
+    }
+
+    /**
+     * Marque un repas comme modifié localement (à sauvegarder)
+     * @param {string} day - La date du jour (YYYY-MM-DD)
+     * @param {string} mealType - Le type de repas ('midi' ou 'soir')
+     * @returns {void}
+     */
+    static markDirty(day, mealType) {
+        UIManager.state.dirtySlots.add(`${day}:${mealType}`);
+    }
+
+    /**
+     * Vérifie si un repas a des modifications locales non sauvegardées
+     * @param {string} day - La date du jour (YYYY-MM-DD)
+     * @param {string} mealType - Le type de repas ('midi' ou 'soir')
+     * @returns {boolean} True si le repas attend une sauvegarde
+     */
+    static isDirty(day, mealType) {
+        return UIManager.state.dirtySlots.has(`${day}:${mealType}`);
+    }
+
+    /**
+     * Retourne et réinitialise la liste des repas modifiés
+     * @returns {Array<string>} Clés des repas modifiés ('YYYY-MM-DD:midi')
+     */
+    static takeDirtySlots() {
+        const slotKeys = [...UIManager.state.dirtySlots];
+        UIManager.state.dirtySlots.clear();
+        return slotKeys;
+    }
+
+    /**
+     * Résout une sauvegarde refusée pour cause de modifications concurrentes (409)
+     * Les repas sans conflit sont conservés pour la prochaine sauvegarde ; pour
+     * chaque conflit, l'utilisateur choisit entre sa version et celle du serveur.
+     * @param {Object} data - Sauvegarde refusée {days, versions}
+     * @param {Array<Object>} conflicts - Repas en conflit [{date, mealType, mine, theirs, version}]
+     * @returns {Promise<void>}
+     */
+    static async resolveConflicts(data, conflicts) {
+        const conflictKeys = new Set(conflicts.map(({ date, mealType }) => `${date}:${mealType}`));
+
+        for (const key of Object.keys(data.versions || {})) {
+            if (conflictKeys.has(key)) continue;
+            const [day, mealType] = key.split(':');
+            UIManager.getMeal(day, mealType);
+            UIManager.state.mealsData[day][mealType] = MealUtils.normalize(data.days[day]?.[mealType]);
+            UIManager.markDirty(day, mealType);
+        }
+
+        const choices = await MergeDialog.open(conflicts);
+        for (const { date, mealType, meal, version, keepMine } of choices) {
+            WeeksManager.setVersions({ [`${date}:${mealType}`]: version });
+            UIManager.getMeal(date, mealType);
+            UIManager.state.mealsData[date][mealType] = MealUtils.normalize(meal);
+            if (keepMine) {
+                UIManager.markDirty(date, mealType);
+            }
+
+            const section = UIRenderer.refreshMealSection(date, mealType, UIManager.state.mealsData[date]);
+            if (section) {
+                UIManager.attachEventListeners(section);
+            }
+        }
+
+        if (UIManager.state.dirtySlots.size > 0) {
+            UIManager.scheduleSave();
+        }
+    }
+
     /**
      * Planifie une sauvegarde automatique avec délai (debouncing)
      * Annule la sauvegarde précédente si l'utilisateur continue de taper
@@ -78,29 +261,37 @@ export class UIManager {
     }
 
     /**
-     * Attache les événements aux textareas
+     * Attache les événements aux champs des repas
      * Doit être appelé après le rendu de l'interface
+     * @param {ParentNode} [root=document] - Élément contenant les champs à lier
      * @returns {void}
      */
-    static attachEventListeners() {
-        const inputs = [
-            ...document.querySelectorAll('.atable-textarea'),
-            ...document.querySelectorAll('input')
-        ];
+    static attachEventListeners(root = document) {
+        root.querySelectorAll('.meal-field').forEach(field => {
+            field.addEventListener('input', UIManager.handleMealFieldChange);
+        });
 
-        inputs.forEach(input => {
-            if (input.className === 'atable-textarea') {
-                input.addEventListener('input', UIManager.handleTextareaChange);
-            }
+        root.querySelectorAll('.meal-chip-input').forEach(input => {
+            input.addEventListener('keydown', UIManager.handleChipKeydown);
+            input.addEventListener('blur', () => {
+                UIManager.addChip(input.dataset.day, input.dataset.atable, input.value);
+                input.value = '';
+            });
+        });
 
+        root.querySelectorAll('.meal-field, .meal-chip-input').forEach(input => {
             input.addEventListener('focus', (e) => {
                 e.target.parentElement.style.transform = 'scale(1.005)';
+                SyncManager.startEditing(input.dataset.day, input.dataset.atable);
             });
 
             input.addEventListener('blur', (e) => {
                 e.target.parentElement.style.transform = 'scale(1)';
+                SyncManager.stopEditing();
             });
         });
+
+        SyncManager.renderPresence();
     }
 
     /**
@@ -120,25 +311,39 @@ export class UIManager {
                 STATUS_TYPES.WARNING
             );
         });
+
+        // Messages du service worker : file hors ligne rejouée
+        navigator.serviceWorker?.addEventListener('message', (event) => {
+            const { type, versions, conflicts } = event.data || {};
+
+            if (type === 'sync-complete') {
+                WeeksManager.setVersions(versions);
+                if (conflicts > 0) {
+                    APIManager.syncPendingData();
+                } else {
+                    APIManager.refreshPendingCount();
+                }
+            }
+        });
     }
 
     /**
-     * Gère la sauvegarde avant le déchargement de la page
+     * Sauvegarde immédiatement les modifications en attente quand la page est quittée
+     * ou passe en arrière-plan (une sauvegarde hors ligne part dans la file IndexedDB)
      * @returns {void}
      */
     static setupBeforeUnload() {
-        window.addEventListener('beforeunload', () => {
-            if (UIManager.state.saveTimeout) {
-                clearTimeout(UIManager.state.saveTimeout);
+        const flush = () => {
+            if (UIManager.state.dirtySlots.size === 0) return;
 
-                const allWeeksData = WeeksManager.getAllWeeksData();
-                // console.debug('Données à sauvegarder avant déchargement:', allWeeksData);
+            clearTimeout(UIManager.state.saveTimeout);
+            WeeksManager.saveAllWeeks();
+        };
 
-                const pendingData = localStorage.getItem('atable-planner-pending-save');
-                if (pendingData && navigator.sendBeacon) {
-                    const blob = new Blob([pendingData], { type: 'application/json' });
-                    navigator.sendBeacon(API_CONFIG.MEALS_URL, blob);
-                }
+        window.addEventListener('beforeunload', flush);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                flush();
             }
         });
     }
@@ -149,16 +354,11 @@ export class UIManager {
      */
     static async loadAndRender() {
         try {
-            const { weeks, numberOfWeeks } = await APIManager.loadMeals();
-            WeeksManager.initialize(numberOfWeeks, weeks);
-            UIManager.state.mealsData = weeks;
-
-            const currentWeek = WeeksManager.getCurrentWeekNumber();
+            const { days, versions, numberOfWeeks } = await APIManager.loadMeals();
+            WeeksManager.initialize(numberOfWeeks, days, versions);
+            UIManager.state.mealsData = WeeksManager.getAllWeeksData();
 
-
-            UIRenderer.renderAllDays(
-                UIManager.state.mealsData[`week${currentWeek}`]
-            );
+            UIRenderer.renderAllDays(UIManager.state.mealsData);
 
             UIManager.attachEventListeners();
 
@@ -1,19 +1,40 @@
 /**
- * @fileoverview Rendu de l'interface utilisateur basée sur les jours du mois
+ * @fileoverview Rendu de l'interface utilisateur basée sur les dates du planning
  * @module ui-renderer
  */
 
 import { MEAL_TYPES, MEAL_EMOJIS } from './config.js';
-import { MonthDaysUtils, StringUtils } from './utils.js';
+import { DateUtils, MealUtils, StringUtils } from './utils.js';
 import { WeeksManager } from './weeks-manager.js';
 
 /**
- * Classe de gestion du rendu de l'interface basée sur les jours du mois
+ * Classe de gestion du rendu de l'interface basée sur les dates du planning
  */
 export class UIRenderer {
+    /**
+     * Crée le HTML des ingrédients d'un repas (puces supprimables)
+     * @param {string} day - La date du jour (YYYY-MM-DD)
+     * @param {string} mealType - Le type de repas ('midi' ou 'soir')
+     * @param {Array<Object>} items - Les ingrédients {name, recipeId?}
+     * @returns {string} Le HTML des puces
+     */
+    static createMealChips(day, mealType, items) {
+        return items.map((item, index) => `
+            <span class="meal-chip${item.recipeId ? ' meal-chip-recipe' : ''}">
+                ${item.recipeId ? '📗 ' : ''}${MealUtils.escapeHTML(item.name)}
+                <button
+                    type="button"
+                    class="meal-chip-remove"
+                    onclick="window.mealHandlers.removeChip('${day}', '${mealType}', ${index})"
+                    aria-label="Retirer ${MealUtils.escapeHTML(item.name)}"
+                >×</button>
+            </span>
+        `).join('');
+    }
+
     /**
      * Crée le HTML pour une section de repas (Midi ou Soir)
-     * @param {number} day - Le jour du mois (1-31)
+     * @param {string} day - La date du jour (YYYY-MM-DD)
      * @param {string} mealType - Le type de repas ('midi' ou 'soir')
      * @param {Object} mealsData - Les données des repas
      * @returns {string} Le HTML de la section
@@ -21,10 +42,10 @@ export class UIRenderer {
     static createMealSection(day, mealType, mealsData) {
         const emoji = MEAL_EMOJIS[mealType];
         const label = StringUtils.capitalize(mealType);
-        const value = mealsData[mealType] || '';
+        const meal = MealUtils.normalize(mealsData[mealType]);
 
         return `
-            <div class="atable-section">
+            <div class="atable-section" id="${day}-${mealType}-section">
                 <div class="atable-header">
                     <label class="atable-label" for="${day}-${mealType}">
                         <span>${emoji}</span>
@@ -32,41 +53,118 @@ export class UIRenderer {
                     </label>
                     <button 
                         class="generate-meal-btn" 
-                        onclick="window.generatorHandlers.generateSingleMeal(${day}, '${mealType}')"
+                        onclick="window.generatorHandlers.generateSingleMeal('${day}', '${mealType}')"
                         title="Générer un repas"
                         aria-label="Générer un repas pour ${label}"
                     >
                         🎲 Générer
                     </button>
+                    <button 
+                        class="generate-meal-btn recipe-pick-btn" 
+                        onclick="window.recipeHandlers.pickFor('${day}', '${mealType}')"
+                        title="Choisir une recette"
+                        aria-label="Choisir une recette pour ${label}"
+                    >
+                        📗 Recette
+                    </button>
                 </div>
-                <textarea 
-                    class="atable-textarea" 
+                <input
+                    type="text"
+                    class="meal-field meal-title-input"
                     id="${day}-${mealType}"
                     data-day="${day}"
                     data-atable="${mealType}"
-                    placeholder="Ex: Pâtes carbonara, salade verte..."
-                    rows="4"
-                >${value}</textarea>
+                    data-field="title"
+                    placeholder="Ex: Pâtes carbonara"
+                    value="${MealUtils.escapeHTML(meal.title)}"
+                >
+                <div class="meal-chips" id="${day}-${mealType}-chips">
+                    ${this.createMealChips(day, mealType, meal.items)}
+                    <input
+                        type="text"
+                        class="meal-chip-input"
+                        data-day="${day}"
+                        data-atable="${mealType}"
+                        placeholder="Ingrédient + Entrée"
+                        aria-label="Ajouter un ingrédient pour ${label}"
+                    >
+                </div>
+                <div class="meal-meta">
+                    <label class="meal-servings">
+                        <span>👥</span>
+                        <input
+                            type="number"
+                            class="meal-field meal-servings-input"
+                            data-day="${day}"
+                            data-atable="${mealType}"
+                            data-field="servings"
+                            min="1"
+                            max="50"
+                            placeholder="Portions"
+                            value="${meal.servings ?? ''}"
+                            aria-label="Nombre de portions pour ${label}"
+                        >
+                    </label>
+                    <textarea
+                        class="meal-field meal-notes-input"
+                        data-day="${day}"
+                        data-atable="${mealType}"
+                        data-field="notes"
+                        placeholder="Notes..."
+                        rows="1"
+                        aria-label="Notes pour ${label}"
+                    >${MealUtils.escapeHTML(meal.notes)}</textarea>
+                </div>
             </div>
         `;
     }
 
     /**
-     * Crée l'emoji de calendrier pour un jour du mois
-     * @param {number} dayOfMonth - Le numéro du jour (1-31)
+     * Remplace le rendu d'une section de repas (après génération, ajout de recette...)
+     * @param {string} day - La date du jour (YYYY-MM-DD)
+     * @param {string} mealType - Le type de repas ('midi' ou 'soir')
+     * @param {Object} dayData - Les repas du jour {midi, soir}
+     * @returns {HTMLElement|null} La nouvelle section, ou null si le jour n'est pas affiché
+     */
+    static refreshMealSection(day, mealType, dayData) {
+        const section = document.getElementById(`${day}-${mealType}-section`);
+        if (!section) return null;
+
+        section.outerHTML = this.createMealSection(day, mealType, dayData);
+        return document.getElementById(`${day}-${mealType}-section`);
+    }
+
+    /**
+     * Met à jour uniquement les puces d'ingrédients d'un repas
+     * @param {string} day - La date du jour (YYYY-MM-DD)
+     * @param {string} mealType - Le type de repas ('midi' ou 'soir')
+     * @param {Array<Object>} items - Les ingrédients
+     * @returns {void}
+     */
+    static refreshMealChips(day, mealType, items) {
+        const container = document.getElementById(`${day}-${mealType}-chips`);
+        if (!container) return;
+
+        container.querySelectorAll('.meal-chip').forEach(chip => chip.remove());
+        container.insertAdjacentHTML('afterbegin', this.createMealChips(day, mealType, items));
+    }
+
+    /**
+     * Crée l'emoji de calendrier pour une date
+     * @param {string} dateKey - La date (YYYY-MM-DD)
      * @returns {Object} Objet contenant le HTML et les infos du jour
      */
-    static createCalendarEmoji(dayOfMonth) {
-        const now = new Date();
-        const month = now.toLocaleString('fr-FR', { month: 'short' });
+    static createCalendarEmoji(dateKey) {
+        const month = DateUtils.getShortMonth(dateKey);
+        const dayNumber = DateUtils.getDayOfMonth(dateKey);
 
         return {
             month,
-            dayNumber: dayOfMonth,
+            dayNumber,
             html: `
                 <span class="calendar-emoji" aria-hidden="true">
                     <span class="cal-month">${month}</span>
-                    <span class="cal-day">${dayOfMonth}</span>
+                    <span class="cal-day">${dayNumber}</span>
                 </span>
             `
         };
@@ -74,16 +172,15 @@ export class UIRenderer {
 
     /**
      * Crée le HTML pour une carte de jour complète
-     * @param {number} dayOfMonth - Le jour du mois (1-31)
+     * @param {string} dateKey - La date (YYYY-MM-DD)
      * @param {Object} mealsData - Les données des repas
      * @param {boolean} isLargeScreen - Si l'écran est large
      * @returns {string} Le HTML de la carte
      */
-    static createDayCard(dayOfMonth, mealsData, isLargeScreen) {
-        const { html } = this.createCalendarEmoji(dayOfMonth);
-        const currentDay = MonthDaysUtils.getCurrentDayOfMonth();
-        const isToday = dayOfMonth === String(currentDay);
-        const dayName = MonthDaysUtils.getDayName(dayOfMonth);
+    static createDayCard(dateKey, mealsData, isLargeScreen) {
+        const { html, dayNumber } = this.createCalendarEmoji(dateKey);
+        const isToday = dateKey === DateUtils.getTodayKey();
+        const dayName = DateUtils.getDayName(dateKey);
         const dayNameCapitalized = StringUtils.capitalize(dayName);
 
         const collapsedClass = isLargeScreen ? '' : !isToday ? 'collapsed' : 'today';
@@ -93,17 +190,17 @@ export class UIRenderer {
             : '';
 
         return `
-            <div class="day-card ${collapsedClass}" data-day="${dayOfMonth}">
+            <div class="day-card ${collapsedClass}" data-day="${dateKey}">
                 <div class="day-header">
                     <div class="day-title">
-                        <h2>${html} ${dayNameCapitalized} ${dayOfMonth}</h2>
+                        <h2>${html} ${dayNameCapitalized} ${dayNumber}</h2>
                         ${todayBadge}
                     </div>
                     <span class="toggle-icon">▼</span>
                 </div>
                 <div class="day-content">
-                    ${this.createMealSection(dayOfMonth, MEAL_TYPES.MIDI, mealsData)}
-                    ${this.createMealSection(dayOfMonth, MEAL_TYPES.SOIR, mealsData)}
+                    ${this.createMealSection(dateKey, MEAL_TYPES.MIDI, mealsData)}
+                    ${this.createMealSection(dateKey, MEAL_TYPES.SOIR, mealsData)}
                 </div>
             </div>
         `;
@@ -111,34 +208,31 @@ export class UIRenderer {
 
     /**
      * Rend les jours d'une semaine spécifique
-     * @param {Object} mealsData - Les données des repas
-     * @param {Array<number>} daysInWeek - Liste des jours à afficher
+     * @param {Object} mealsData - Les repas par date
+     * @param {Array<string>} daysInWeek - Liste des dates à afficher
      * @returns {void}
      */
     static renderDaysForWeek(mealsData, daysInWeek) {
         const container = document.getElementById('days-container');
-        const currentDay = MonthDaysUtils.getCurrentDayOfMonth();
+        const today = DateUtils.getTodayKey();
         const isLargeScreen = window.innerWidth >= 768;
 
-        const days = Object.keys(mealsData);
-        const values = Object.values(mealsData);
-
-        const cardsHTML = days
-            .map(day => this.createDayCard(day, values[days.indexOf(day)], isLargeScreen))
+        const cardsHTML = daysInWeek
+            .map(day => this.createDayCard(day, mealsData[day] || {}, isLargeScreen))
             .join('');
 
         container.innerHTML = cardsHTML;
 
-        if (!isLargeScreen && daysInWeek.includes(currentDay)) {
-            this.scrollToDay(currentDay);
+        if (!isLargeScreen && daysInWeek.includes(today)) {
+            this.scrollToDay(today);
         }
 
         this.attachCardClickEvents();
     }
 
     /**
-     * Rend tous les jours du mois actuel
-     * @param {Object} mealsData - Les données des repas
+     * Rend les jours de la semaine courante
+     * @param {Object} mealsData - Les repas par date
      * @returns {void}
      */
     static renderAllDays(mealsData) {
@@ -148,12 +242,12 @@ export class UIRenderer {
 
     /**
      * Scroll automatique vers un jour spécifique
-     * @param {number} dayOfMonth - Le jour à afficher
+     * @param {string} dateKey - La date à afficher (YYYY-MM-DD)
      * @returns {void}
      */
-    static scrollToDay(dayOfMonth) {
+    static scrollToDay(dateKey) {
         setTimeout(() => { 
-            const dayCard = document.querySelector(`.day-card[data-day="${dayOfMonth}"]`);
+            const dayCard = document.querySelector(`.day-card[data-day="${dateKey}"]`);
             if (dayCard) {
                 dayCard.scrollIntoView({
                     behavior: 'smooth',
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Unités de mesure : conversion, agrégation et affichage des quantités
+ * @module units
+ *
+ * Même logique que server/managers/units.js (liste de courses générée par le serveur) ;
+ * utilisé ici pour la liste calculée hors ligne.
+ */
+
+/**
+ * Unités connues, rattachées à une dimension et à un facteur vers l'unité de base
+ * (g pour les masses, ml pour les volumes, pièce pour les comptages).
+ * Les cuillères et pincées ne sont pas converties : elles forment leur propre dimension.
+ * @type {Object<string, {dimension: string, factor: number}>}
+ */
+const UNITS = {
+  mg: { dimension: 'mass', factor: 0.001 },
+  g: { dimension: 'mass', factor: 1 },
+  kg: { dimension: 'mass', factor: 1000 },
+  ml: { dimension: 'volume', factor: 1 },
+  cl: { dimension: 'volume', factor: 10 },
+  dl: { dimension: 'volume', factor: 100 },
+  l: { dimension: 'volume', factor: 1000 },
+  '': { dimension: 'count', factor: 1 },
+  'pièce': { dimension: 'count', factor: 1 },
+  'c. à soupe': { dimension: 'c. à soupe', factor: 1 },
+  'c. à café': { dimension: 'c. à café', factor: 1 },
+  'pincée': { dimension: 'pincée', factor: 1 }
+};
+
+/**
+ * Variantes saisies à la main acceptées pour chaque unité
+ * @type {Object<string, string>}
+ */
+const UNIT_ALIASES = {
+  gr: 'g',
+  kilo: 'kg',
+  kilos: 'kg',
+  litre: 'l',
+  litres: 'l',
+  pièces: 'pièce',
+  pc: 'pièce',
+  pcs: 'pièce',
+  cas: 'c. à soupe',
+  'c.à.s': 'c. à soupe',
+  cac: 'c. à café',
+  'c.à.c': 'c. à café',
+  pincées: 'pincée'
+};
+
+/**
+ * Classe utilitaire pour les quantités d'ingrédients
+ */
+export class UnitUtils {
+  /**
+   * Normalise une unité saisie (alias, casse)
+   * @param {string} unit - Unité
+   * @returns {string|null} Unité connue ou null
+   */
+  static normalizeUnit(unit) {
+    const key = (unit || '').trim().toLowerCase();
+    if (key in UNITS) return key;
+    return UNIT_ALIASES[key] || null;
+  }
+
+  /**
+   * Convertit une quantité vers l'unité de base de sa dimension
+   * @param {number} quantity - Quantité
+   * @param {string} unit - Unité
+   * @returns {{dimension: string, amount: number}|null} Quantité convertie, ou null si unité inconnue
+   */
+  static toBase(quantity, unit) {
+    const normalized = this.normalizeUnit(unit);
+    if (normalized === null || !Number.isFinite(quantity)) return null;
+
+    const { dimension, factor } = UNITS[normalized];
+    return { dimension, amount: quantity * factor };
+  }
+
+  /**
+   * Extrait une quantité en tête d'un texte libre ("500 g poulet", "2 oeufs")
+   * @param {string} text - Texte saisi
+   * @returns {{name: string, quantity: number|null, unit: string}} Ingrédient
+   */
+  static parseQuantity(text) {
+    const trimmed = (text || '').trim();
+    const match = trimmed.match(/^(\d+(?:[.,]\d+)?)\s*([^\s\d]+(?:\s+à\s+\S+)?)?\s+(?:de\s+|d')?(.+)$/i);
+    if (!match) return { name: trimmed, quantity: null, unit: '' };
+
+    const [, rawQuantity, rawUnit, rest] = match;
+    const quantity = parseFloat(rawQuantity.replace(',', '.'));
+    const unit = this.normalizeUnit(rawUnit);
+
+    // Le mot suivant le nombre n'est pas une unité : il fait partie du nom ("2 oeufs")
+    if (rawUnit && unit === null) {
+      return { name: `${rawUnit} ${rest}`.trim(), quantity, unit: '' };
+    }
+    return { name: rest.trim(), quantity, unit: unit || '' };
+  }
+
+  /**
+   * Ajoute une quantité à un total par dimension
+   * @param {Object<string, number>} totals - Totaux par dimension (modifié en place)
+   * @param {number} quantity - Quantité
+   * @param {string} unit - Unité
+   * @returns {boolean} True si la quantité a pu être ajoutée
+   */
+  static addTo(totals, quantity, unit) {
+    const base = this.toBase(quantity, unit);
+    if (!base) return false;
+
+    totals[base.dimension] = (totals[base.dimension] || 0) + base.amount;
+    return true;
+  }
+
+  /**
+   * Arrondit un nombre pour l'affichage (2 décimales au plus)
+   * @param {number} value - Valeur
+   * @returns {string} Valeur formatée (ex: '1.2')
+   */
+  static formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  /**
+   * Formate une quantité de base dans l'unité la plus lisible
+   * @param {string} dimension - Dimension ('mass', 'volume', 'count' ou unité non convertible)
+   * @param {number} amount - Quantité dans l'unité de base
+   * @returns {string} Quantité formatée (ex: '1.2 kg', '250 ml', '×3')
+   */
+  static format(dimension, amount) {
+    switch (dimension) {
+      case 'mass':
+        return amount >= 1000
+          ? `${this.formatNumber(amount / 1000)} kg`
+          : `${this.formatNumber(amount)} g`;
+      case 'volume':
+        return amount >= 1000
+          ? `${this.formatNumber(amount / 1000)} l`
+          : `${this.formatNumber(amount)} ml`;
+      case 'count':
+        return `×${this.formatNumber(amount)}`;
+      default:
+        return `${this.formatNumber(amount)} ${dimension}`;
+    }
+  }
+
+  /**
+   * Formate l'ensemble des totaux d'un ingrédient
+   * @param {Object<string, number>} totals - Totaux par dimension
+   * @returns {string} Quantités formatées (ex: '1.2 kg + 2 c. à soupe')
+   */
+  static formatTotals(totals) {
+    return Object.entries(totals)
+      .filter(([, amount]) => amount > 0)
+      .map(([dimension, amount]) => this.format(dimension, amount))
+      .join(' + ');
+  }
+}
@@ -1,5 +1,29 @@
+/**
+ * @fileoverview Gestion du compte (mot de passe, email, double authentification, passkeys, suppression)
+ * @module user-manager
+ *
+ * Chaque action demande le mot de passe actuel : le serveur le vérifie avant
+ * toute modification (PUT /api/users/:id/password, PUT /api/users/:id/email,
+ * DELETE /api/users/:id). Une nouvelle adresse email est à confirmer avec le
+ * lien reçu (renvoyé par POST /auth/verify-email/resend).
+ */
+
+import { ResponseHandler } from './response-handler.js';
+import { StorageManager } from './storage.js';
+import { MealUtils } from './utils.js';
+import { WebAuthnClient } from './webauthn.js';
+
+/** @type {number} Longueur minimale d'un mot de passe (identique à l'inscription) */
+const MIN_PASSWORD_LENGTH = 6;
+
 export class UserManager {
-  static createModal() {
+  /**
+   * Crée la modal du formulaire
+   * @param {Array<{name: string, type: string, placeholder: string, autocomplete: string, required?: boolean}>} fields - Champs
+   * @param {string} [content=''] - HTML affiché avant les champs
+   * @returns {HTMLElement} Modal ajoutée au document
+   */
+  static createModal(fields, content = '') {
     const modal = document.createElement('div');
     modal.className = 'modal show';
     modal.innerHTML = `
@@ -8,8 +32,12 @@ export class UserManager {
           <h2 id="modal-title"></h2>
         </div>
         <form id="modal-form">
-            <div class="modal-body " style="height: 80%; display:flex;">
-                <input type="text" class="add-item-input" id="modal-input" placeholder="" />
+            <div class="modal-body" style="height: 80%; display:flex; flex-direction:column; gap:0.5rem;">
+              ${content}
+              ${fields.map(field => `
+                <input type="${field.type}" class="add-item-input" name="${field.name}"
+                  placeholder="${field.placeholder}" autocomplete="${field.autocomplete}" ${field.required === false ? '' : 'required'} />
+              `).join('')}
             </div>
             <div class="modal-footer">
               <div class="settings-group">
@@ -30,61 +58,332 @@ export class UserManager {
     return modal;
   }
 
-  static showModal(title, inputPlaceholder, onConfirm) {
-    const modal = UserManager.createModal()
-    const modalTitle = document.getElementById('modal-title')
-    const input = document.getElementById('modal-input')
-    const form = document.getElementById('modal-form');
+  /**
+   * Affiche un formulaire dans une modal
+   * La modal reste ouverte tant que onConfirm ne renvoie pas true.
+   * @param {string} title - Titre de la modal
+   * @param {Array<Object>} fields - Champs du formulaire (voir createModal)
+   * @param {Function} onConfirm - Reçoit les valeurs {name: value}, renvoie true pour fermer
+   * @param {string} [content=''] - HTML affiché avant les champs
+   */
+  static showModal(title, fields, onConfirm, content = '') {
+    const modal = UserManager.createModal(fields, content);
+    const form = modal.querySelector('#modal-form');
 
-    modalTitle.textContent = title;
-    input.placeholder = inputPlaceholder;
+    modal.querySelector('#modal-title').textContent = title;
+    form.querySelector('input')?.focus();
 
-
-    form.onsubmit = (e) => {
+    form.onsubmit = async (e) => {
       e.preventDefault();
-      const value = document.getElementById('modal-input').value;
-      onConfirm(value);
+      const values = Object.fromEntries(new FormData(form));
+      if (await onConfirm(values)) {
+        modal.remove();
+      }
     };
 
-    document.querySelector('#modal-btn-cancel').onclick = () => {
+    modal.querySelector('#modal-btn-cancel').onclick = () => {
       modal.remove();
     };
   }
 
+  /**
+   * Envoie une modification du compte
+   * @param {string} url - URL de la route
+   * @param {string} method - Méthode HTTP
+   * @param {Object} body - Corps de la requête
+   * @returns {Promise<Object>} Résultat de ResponseHandler.handle
+   */
+  static async send(url, method, body) {
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      return await ResponseHandler.handle(response);
+    } catch (error) {
+      return ResponseHandler.handleNetworkError(error, 'account');
+    }
+  }
+
+  /**
+   * Change le mot de passe
+   * @param {string} userId - ID de l'utilisateur connecté
+   */
   static changePassword(userId) {
-    UserManager.showModal('Changer le mot de passe', 'Nouveau mot de passe', (newPassword) => {
-      if (!newPassword || newPassword.length < 8) {
-        alert('Le mot de passe doit contenir au moins 8 caractères');
-        return;
+    UserManager.showModal('Changer le mot de passe', [
+      { name: 'currentPassword', type: 'password', placeholder: 'Mot de passe actuel', autocomplete: 'current-password' },
+      { name: 'password', type: 'password', placeholder: 'Nouveau mot de passe', autocomplete: 'new-password' }
+    ], async ({ currentPassword, password }) => {
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        ResponseHandler.showMessage(`Le mot de passe doit contenir au moins ${MIN_PASSWORD_LENGTH} caractères`, 'warning');
+        return false;
       }
-      fetch(`/api/users/${userId}/password`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ password: newPassword })
-      }).then(() => alert('Mot de passe modifié avec succès'));
+      const result = await UserManager.send(`/api/users/${userId}/password`, 'PUT', { currentPassword, password });
+      return result.success;
     });
   }
 
+  /**
+   * Change l'adresse email
+   * @param {string} userId - ID de l'utilisateur connecté
+   */
   static changeEmail(userId) {
-    UserManager.showModal('Changer l\'email', 'Nouvel email', (newEmail) => {
-      if (!newEmail || !newEmail.includes('@')) {
-        alert('Format email invalide');
-        return;
+    UserManager.showModal('Changer l\'email', [
+      { name: 'email', type: 'email', placeholder: 'Nouvel email', autocomplete: 'email' },
+      { name: 'currentPassword', type: 'password', placeholder: 'Mot de passe actuel', autocomplete: 'current-password' }
+    ], async ({ email, currentPassword }) => {
+      const result = await UserManager.send(`/api/users/${userId}/email`, 'PUT', { email, currentPassword });
+      if (result.success && result.data?.emailVerified === false) {
+        const notice = document.getElementById('emailVerificationNotice');
+        if (notice) notice.hidden = false;
       }
-      fetch(`/api/users/${userId}/email`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ email: newEmail })
-      }).then(() => alert('Email modifié avec succès'));
+      return result.success;
+    });
+  }
+
+  /**
+   * Affiche l'état du compte dans la section Compte des paramètres
+   * @param {Object|null} user - Utilisateur connecté (GET /auth/me)
+   */
+  static renderAccountStatus(user) {
+    const notice = document.getElementById('emailVerificationNotice');
+    if (notice) notice.hidden = user?.emailVerified !== false;
+
+    if (user) {
+      UserManager.renderTwoFactorStatus(Boolean(user.twoFactorEnabled));
+    }
+  }
+
+  /**
+   * Affiche les actions de double authentification selon son état
+   * @param {boolean} enabled - Double authentification active
+   */
+  static renderTwoFactorStatus(enabled) {
+    const setupGroup = document.getElementById('twoFactorSetupGroup');
+    const manageGroup = document.getElementById('twoFactorManageGroup');
+    if (setupGroup) setupGroup.hidden = enabled;
+    if (manageGroup) manageGroup.hidden = !enabled;
+  }
+
+  /**
+   * Active la double authentification : mot de passe, QR code puis premier code
+   * @param {string} userId - ID de l'utilisateur connecté
+   */
+  static enableTwoFactor(userId) {
+    UserManager.showModal('Activer la double authentification', [
+      { name: 'currentPassword', type: 'password', placeholder: 'Mot de passe actuel', autocomplete: 'current-password' }
+    ], async ({ currentPassword }) => {
+      const result = await UserManager.send(`/api/users/${userId}/2fa/setup`, 'POST', { currentPassword });
+      if (result.success) {
+        UserManager.confirmTwoFactor(userId, result.data);
+      }
+      return result.success;
+    });
+  }
+
+  /**
+   * Affiche le QR code et demande le premier code de l'application
+   * @param {string} userId - ID de l'utilisateur connecté
+   * @param {{secret: string, otpauthUri: string, qrCode: string}} setup - Secret à enregistrer
+   */
+  static confirmTwoFactor(userId, setup) {
+    const content = `
+      <p>Scannez ce QR code avec votre application d'authentification, puis saisissez le code affiché.</p>
+      <img src="${setup.qrCode}" alt="QR code de double authentification" style="align-self:center; width:200px; height:200px;" />
+      <p class="setting-description">Clé à saisir manuellement : <code>${setup.secret}</code></p>
+    `;
+
+    UserManager.showModal('Activer la double authentification', [
+      { name: 'code', type: 'text', placeholder: 'Code à 6 chiffres', autocomplete: 'one-time-code' }
+    ], async ({ code }) => {
+      const result = await UserManager.send(`/api/users/${userId}/2fa/enable`, 'POST', { code });
+      if (result.success) {
+        UserManager.renderTwoFactorStatus(true);
+        UserManager.showRecoveryCodes(result.data.recoveryCodes);
+      }
+      return result.success;
+    }, content);
+  }
+
+  /**
+   * Affiche les codes de secours (une seule fois)
+   * @param {Array<string>} codes - Codes de secours
+   */
+  static showRecoveryCodes(codes) {
+    const content = `
+      <p>Conservez ces codes en lieu sûr : chacun permet une connexion sans votre téléphone, une seule fois.
+        Ils ne seront plus affichés.</p>
+      <pre style="font-size:1.1rem; line-height:1.6; text-align:center;">${codes.join('\n')}</pre>
+    `;
+    UserManager.showModal('Codes de secours', [], () => true, content);
+  }
+
+  /**
+   * Remplace les codes de secours
+   * @param {string} userId - ID de l'utilisateur connecté
+   */
+  static regenerateRecoveryCodes(userId) {
+    UserManager.showModal('Nouveaux codes de secours', [
+      { name: 'currentPassword', type: 'password', placeholder: 'Mot de passe actuel', autocomplete: 'current-password' },
+      { name: 'code', type: 'text', placeholder: 'Code de vérification', autocomplete: 'one-time-code' }
+    ], async ({ currentPassword, code }) => {
+      const result = await UserManager.send(`/api/users/${userId}/2fa/recovery-codes`, 'POST', { currentPassword, code });
+      if (result.success) {
+        UserManager.showRecoveryCodes(result.data.recoveryCodes);
+      }
+      return result.success;
+    });
+  }
+
+  /**
+   * Désactive la double authentification
+   * @param {string} userId - ID de l'utilisateur connecté
+   */
+  static disableTwoFactor(userId) {
+    UserManager.showModal('Désactiver la double authentification', [
+      { name: 'currentPassword', type: 'password', placeholder: 'Mot de passe actuel', autocomplete: 'current-password' },
+      { name: 'code', type: 'text', placeholder: 'Code de vérification', autocomplete: 'one-time-code' }
+    ], async ({ currentPassword, code }) => {
+      const result = await UserManager.send(`/api/users/${userId}/2fa`, 'DELETE', { currentPassword, code });
+      if (result.success) {
+        UserManager.renderTwoFactorStatus(false);
+      }
+      return result.success;
+    });
+  }
+
+  /**
+   * Charge et affiche les passkeys du compte
+   * @returns {Promise<void>}
+   */
+  static async loadPasskeys() {
+    try {
+      const response = await fetch('/auth/passkeys');
+      const result = await ResponseHandler.handle(response, { showMessage: false });
+      if (result.success) {
+        UserManager.renderPasskeys(result.data.passkeys);
+      }
+    } catch (error) {
+      ResponseHandler.handleNetworkError(error, 'passkeys');
+    }
+  }
+
+  /**
+   * Affiche la liste des passkeys
+   * @param {Array<Object>} passkeys - Passkeys {id, name, createdAt, lastUsedAt}
+   */
+  static renderPasskeys(passkeys) {
+    const list = document.getElementById('passkey-list');
+    if (!list) return;
+
+    const formatDate = (date) => new Date(date).toLocaleDateString('fr-FR');
+    list.innerHTML = passkeys.map(passkey => `
+      <li class="household-member">
+        <div class="household-member-main">
+          <span class="household-member-name">${MealUtils.escapeHTML(passkey.name)}</span>
+          <span class="household-member-email">
+            Ajoutée le ${formatDate(passkey.createdAt)}${passkey.lastUsedAt ? ` · utilisée le ${formatDate(passkey.lastUsedAt)}` : ''}
+          </span>
+        </div>
+        <button class="aisle-btn" onclick="window.userManager.removePasskey('${MealUtils.escapeHTML(passkey.id)}')"
+          aria-label="Supprimer ${MealUtils.escapeHTML(passkey.name)}">✕</button>
+      </li>`).join('');
+  }
+
+  /**
+   * Enregistre une passkey pour cet appareil
+   */
+  static addPasskey() {
+    if (!WebAuthnClient.isSupported()) {
+      ResponseHandler.showMessage('Ce navigateur ne gère pas les passkeys', 'warning');
+      return;
+    }
+
+    UserManager.showModal('Ajouter une passkey', [
+      { name: 'currentPassword', type: 'password', placeholder: 'Mot de passe actuel', autocomplete: 'current-password' },
+      { name: 'name', type: 'text', placeholder: 'Nom (ex : Téléphone de Marie)', autocomplete: 'off', required: false }
+    ], async ({ currentPassword, name }) => {
+      const options = await UserManager.send('/auth/passkeys/register/options', 'POST', { currentPassword });
+      if (!options.success) return false;
+
+      let credential;
+      try {
+        credential = await WebAuthnClient.register(options.data);
+      } catch (error) {
+        // Fenêtre du navigateur fermée ou passkey déjà présente sur l'appareil
+        ResponseHandler.showMessage('Enregistrement de la passkey annulé', 'warning');
+        return false;
+      }
+
+      const result = await UserManager.send('/auth/passkeys/register', 'POST', { response: credential, name });
+      if (result.success) {
+        await UserManager.loadPasskeys();
+      }
+      return result.success;
     });
   }
 
+  /**
+   * Supprime une passkey
+   * @param {string} passkeyId - ID de la passkey
+   * @returns {Promise<void>}
+   */
+  static async removePasskey(passkeyId) {
+    if (!confirm('Supprimer cette passkey ? Elle ne permettra plus de se connecter.')) {
+      return;
+    }
+
+    const result = await UserManager.send(`/auth/passkeys/${encodeURIComponent(passkeyId)}`, 'DELETE', {});
+    if (result.success) {
+      await UserManager.loadPasskeys();
+    }
+  }
+
+  /**
+   * Renvoie le lien de vérification de l'adresse email
+   * @returns {Promise<void>}
+   */
+  static async resendVerification() {
+    await UserManager.send('/auth/verify-email/resend', 'POST', {});
+  }
+
+  /**
+   * Affiche le résultat du lien de vérification (redirection vers /?emailVerified=1|0)
+   * puis retire le paramètre de l'adresse
+   */
+  static showVerificationResult() {
+    const verified = new URLSearchParams(window.location.search).get('emailVerified');
+    if (verified === null) return;
+
+    if (verified === '1') {
+      ResponseHandler.showMessage('Adresse email vérifiée', 'success');
+      const notice = document.getElementById('emailVerificationNotice');
+      if (notice) notice.hidden = true;
+    } else {
+      ResponseHandler.showMessage('Lien de vérification invalide ou expiré', 'error');
+    }
+    window.history.replaceState(null, '', window.location.pathname);
+  }
+
+  /**
+   * Supprime le compte puis renvoie vers la page de connexion
+   * @param {string} userId - ID de l'utilisateur connecté
+   */
   static deleteAccount(userId) {
-    if (confirm('Êtes-vous sûr de vouloir supprimer votre compte ?')) {
-      fetch(`/api/users/${userId}`, {
-        method: 'DELETE',
-        headers: { 'Content-Type': 'application/json' }
-      }).then(() => alert('Compte supprimé'));
+    if (!confirm('Êtes-vous sûr de vouloir supprimer votre compte ? Cette action est définitive.')) {
+      return;
     }
+
+    UserManager.showModal('Supprimer mon compte', [
+      { name: 'currentPassword', type: 'password', placeholder: 'Mot de passe actuel', autocomplete: 'current-password' }
+    ], async ({ currentPassword }) => {
+      const result = await UserManager.send(`/api/users/${userId}`, 'DELETE', { currentPassword });
+      if (result.success) {
+        StorageManager.clearAll();
+        window.location.href = '/login';
+      }
+      return result.success;
+    });
   }
 }
@@ -1,134 +1,126 @@
 /**
- * @fileoverview Fonctions utilitaires pour la gestion des jours du mois
+ * @fileoverview Fonctions utilitaires (dates du planning, repas structurés, textes)
  * @module utils
  */
 
 /**
- * Classe utilitaire pour les opérations sur les jours du mois
+ * Classe utilitaire pour les opérations sur les dates (clés ISO YYYY-MM-DD)
  */
-export class MonthDaysUtils {
+export class DateUtils {
   /**
-   * Obtient le nombre de jours dans le mois actuel
-   * @returns {number} Nombre de jours dans le mois
+   * Formate une date en clé ISO locale
+   * @param {Date} date - La date à formater
+   * @returns {string} Clé ISO (ex: '2026-10-19')
    */
-  static getDaysInCurrentMonth() {
-    const now = new Date();
-    return new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+  static toISODate(date) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
   }
 
   /**
-   * Obtient le jour actuel du mois (1-31)
-   * @returns {number} Le jour actuel
+   * Convertit une clé ISO en date locale à minuit
+   * @param {string} dateKey - Clé ISO (YYYY-MM-DD)
+   * @returns {Date} La date correspondante
    */
-  static getCurrentDayOfMonth() {
-    return new Date().getDate();
+  static parseISODate(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
   }
 
   /**
-   * Obtient le nom du jour de la semaine pour un jour du mois
-   * @param {number} dayOfMonth - Jour du mois (1-31)
-   * @returns {string} Nom du jour (lundi, mardi, etc.)
+   * Obtient la clé ISO du jour actuel
+   * @returns {string} Clé ISO d'aujourd'hui
    */
-  static getDayName(dayOfMonth) {
-    const now = new Date();
-    const date = new Date(now.getFullYear(), now.getMonth(), dayOfMonth);
-    const days = ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'];
-    return days[date.getDay()];
+  static getTodayKey() {
+    return this.toISODate(new Date());
+  }
+
+  /**
+   * Ajoute un nombre de jours à une date
+   * @param {Date} date - Date de départ
+   * @param {number} days - Nombre de jours (peut être négatif)
+   * @returns {Date} Nouvelle date
+   */
+  static addDays(date, days) {
+    const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    result.setDate(result.getDate() + days);
+    return result;
   }
 
   /**
-   * Obtient le nom du mois actuel
-   * @returns {string} Nom du mois et année
+   * Nombre de jours entre aujourd'hui et une date
+   * @param {string} dateKey - Clé ISO (YYYY-MM-DD)
+   * @returns {number} Jours restants (négatif si la date est passée)
    */
-  static getCurrentMonthName() {
-    return new Date().toLocaleDateString('fr-FR', { month: 'long', year: 'numeric' });
+  static daysUntil(dateKey) {
+    const today = this.parseISODate(this.getTodayKey());
+    return Math.round((this.parseISODate(dateKey) - today) / (24 * 60 * 60 * 1000));
   }
 
   /**
-   * Calcule la répartition des jours par semaine
-   * @param {number} totalDays - Nombre total de jours dans le mois
+   * Calcule les semaines (lundi → dimanche) à partir de la semaine courante
    * @param {number} numberOfWeeks - Nombre de semaines à afficher
-   * @returns {Array<Object>} Tableau d'objets {weekNumber, startDay, endDay, days}
+   * @returns {Array<Object>} Tableau d'objets {weekNumber, from, to, days}
    */
-  static calculateWeekRanges(totalDays, numberOfWeeks=4) {
+  static calculateWeekRanges(numberOfWeeks = 4) {
+    const today = new Date();
+    const monday = this.addDays(today, -((today.getDay() + 6) % 7));
     const ranges = [];
-    const baseDaysPerWeek = Math.floor(totalDays / numberOfWeeks);
-    const extraDays = totalDays % numberOfWeeks;
-
-    let currentDay = 1;
 
     for (let week = 1; week <= numberOfWeeks; week++) {
-      const daysInThisWeek = baseDaysPerWeek + (week <= extraDays ? 1 : 0);
-      const startDay = currentDay;
-      const endDay = currentDay + daysInThisWeek - 1;
+      const days = [];
+      for (let offset = 0; offset < 7; offset++) {
+        days.push(this.toISODate(this.addDays(monday, (week - 1) * 7 + offset)));
+      }
 
       ranges.push({
         weekNumber: week,
-        startDay,
-        endDay,
-        days: this.generateDaysList(startDay, endDay)
+        from: days[0],
+        to: days[6],
+        days
       });
-
-      currentDay = endDay + 1;
     }
 
     return ranges;
   }
 
   /**
-   * Génère une liste de jours entre start et end
-   * @param {number} startDay - Jour de début
-   * @param {number} endDay - Jour de fin
-   * @returns {Array<number>} Liste des jours
+   * Obtient le nom du jour de la semaine pour une date
+   * @param {string} dateKey - Clé ISO (YYYY-MM-DD)
+   * @returns {string} Nom du jour (lundi, mardi, etc.)
    */
-  static generateDaysList(startDay, endDay) {
-    const days = [];
-    for (let day = startDay; day <= endDay; day++) {
-      days.push(day);
-    }
-    return days;
+  static getDayName(dateKey) {
+    const days = ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'];
+    return days[this.parseISODate(dateKey).getDay()];
   }
 
   /**
-   * Trouve la semaine qui contient un jour donné
-   * @param {number} dayOfMonth - Jour du mois
-   * @returns {number} Numéro de la semaine (1-4)
+   * Obtient le numéro du jour dans le mois
+   * @param {string} dateKey - Clé ISO (YYYY-MM-DD)
+   * @returns {number} Jour du mois (1-31)
    */
-  static findWeekForDay(dayOfMonth) {
-    const totalDays = this.getDaysInCurrentMonth();
-    const ranges = this.calculateWeekRanges(totalDays, 4);
-
-    for (const range of ranges) {
-      if (dayOfMonth >= range.startDay && dayOfMonth <= range.endDay) {
-        return range.weekNumber;
-      }
-    }
-
-    return 1;
+  static getDayOfMonth(dateKey) {
+    return this.parseISODate(dateKey).getDate();
   }
 
   /**
-   * Obtient les jours d'une semaine spécifique
-   * @param {number} weekNumber - Numéro de la semaine (1-4)
-   * @returns {Array<number>} Liste des jours de cette semaine
+   * Obtient le nom abrégé du mois d'une date
+   * @param {string} dateKey - Clé ISO (YYYY-MM-DD)
+   * @returns {string} Mois abrégé (ex: 'oct.')
    */
-  static getDaysForWeek(weekNumber) {
-    const totalDays = this.getDaysInCurrentMonth();
-    const ranges = this.calculateWeekRanges(totalDays, 4);
-
-    const weekRange = ranges.find(r => r.weekNumber === weekNumber);
-    return weekRange ? weekRange.days : [];
+  static getShortMonth(dateKey) {
+    return this.parseISODate(dateKey).toLocaleDateString('fr-FR', { month: 'short' });
   }
 
   /**
    * Formate une date pour affichage
-   * @param {number} dayOfMonth - Jour du mois
-   * @returns {string} Date formatée
+   * @param {string} dateKey - Clé ISO (YYYY-MM-DD)
+   * @returns {string} Date formatée (ex: 'lundi 19 octobre')
    */
-  static formatDate(dayOfMonth) {
-    const now = new Date();
-    const date = new Date(now.getFullYear(), now.getMonth(), dayOfMonth);
-    return date.toLocaleDateString('fr-FR', {
+  static formatDate(dateKey) {
+    return this.parseISODate(dateKey).toLocaleDateString('fr-FR', {
       weekday: 'long',
       day: 'numeric',
       month: 'long'
@@ -137,23 +129,108 @@ export class MonthDaysUtils {
 
   /**
    * Formate le label d'une semaine
-   * @param {number} weekNumber - Numéro de la semaine
+   * @param {Object} range - Plage de la semaine {from, to}
    * @param {boolean} [isMobile=false] - Format mobile ou desktop
-   * @returns {string} Label formaté (ex: "Semaine 1 (1-7 février)")
+   * @returns {string} Label formaté (ex: "27 oct. - 2 nov." ou "3-9 novembre")
    */
-  static formatWeekLabel(weekNumber, isMobile = false) {
-    const totalDays = this.getDaysInCurrentMonth();
-    const ranges = this.calculateWeekRanges(totalDays, 4);
-    const range = ranges.find(r => r.weekNumber === weekNumber);
+  static formatWeekLabel(range, isMobile = false) {
+    const start = this.parseISODate(range.from);
+    const end = this.parseISODate(range.to);
+    const monthFormat = isMobile ? 'short' : 'long';
 
-    if (!range) return `Semaine ${weekNumber}`;
+    const endMonth = end.toLocaleDateString('fr-FR', { month: monthFormat });
+    if (start.getMonth() === end.getMonth()) {
+      return `${start.getDate()}-${end.getDate()} ${endMonth}`;
+    }
 
-    const monthName = new Date().toLocaleDateString('fr-FR', { month: 'long' });
-    const shortMonth = new Date().toLocaleDateString('fr-FR', { month: 'short' });
+    const startMonth = start.toLocaleDateString('fr-FR', { month: monthFormat });
+    return `${start.getDate()} ${startMonth} - ${end.getDate()} ${endMonth}`;
+  }
+}
 
-    return isMobile
-      ? `${range.startDay}-${range.endDay} ${shortMonth}`
-      : `${range.startDay}-${range.endDay} ${monthName}`;
+/**
+ * Classe utilitaire pour les repas structurés
+ * Un repas : { title, items: [{ name, recipeId? }], notes, servings }
+ */
+export class MealUtils {
+  /**
+   * Crée un repas vide
+   * @returns {Object} Repas vide
+   */
+  static createEmptyMeal() {
+    return { title: '', items: [], notes: '', servings: null };
+  }
+
+  /**
+   * Découpe un texte libre en ingrédients (séparateurs ",", "et", "avec")
+   * @param {string} text - Texte du repas
+   * @returns {Array<string>} Noms des ingrédients
+   */
+  static splitText(text) {
+    return text
+      .replace(/\s+et\s+/gi, ',')
+      .replace(/\s+avec\s+/gi, ',')
+      .split(',')
+      .map(item => item.trim())
+      .filter(item => item.length > 0);
+  }
+
+  /**
+   * Normalise un repas (texte de l'ancien format ou objet)
+   * @param {string|Object|null} meal - Repas
+   * @returns {Object} Repas structuré
+   */
+  static normalize(meal) {
+    if (!meal) return this.createEmptyMeal();
+
+    if (typeof meal === 'string') {
+      const title = meal.trim();
+      return {
+        ...this.createEmptyMeal(),
+        title,
+        items: this.splitText(title).map(name => ({ name }))
+      };
+    }
+
+    return {
+      title: meal.title || '',
+      items: Array.isArray(meal.items) ? meal.items : [],
+      notes: meal.notes || '',
+      servings: meal.servings || null
+    };
+  }
+
+  /**
+   * Vérifie si un repas est vide
+   * @param {Object} meal - Repas structuré
+   * @returns {boolean} True si aucun titre, ingrédient ni note
+   */
+  static isEmpty(meal) {
+    const normalized = this.normalize(meal);
+    return !normalized.title && normalized.items.length === 0 && !normalized.notes;
+  }
+
+  /**
+   * Représentation texte d'un repas (titre, sinon liste des ingrédients)
+   * @param {Object} meal - Repas
+   * @returns {string} Texte du repas
+   */
+  static toText(meal) {
+    const normalized = this.normalize(meal);
+    return normalized.title || normalized.items.map(item => item.name).join(', ');
+  }
+
+  /**
+   * Échappe un texte pour insertion HTML
+   * @param {string} text - Texte brut
+   * @returns {string} Texte échappé
+   */
+  static escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
   }
 }
 
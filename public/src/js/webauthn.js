@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Passkeys côté navigateur (WebAuthn)
+ * @module webauthn
+ *
+ * Le serveur envoie les options en JSON (identifiants et challenge en base64url) :
+ * elles sont converties en ArrayBuffer pour navigator.credentials, et la réponse
+ * du navigateur est réencodée en JSON pour le serveur.
+ */
+
+export class WebAuthnClient {
+  /**
+   * Indique si le navigateur gère les passkeys
+   * @returns {boolean} WebAuthn disponible
+   */
+  static isSupported() {
+    return Boolean(window.PublicKeyCredential && navigator.credentials);
+  }
+
+  /**
+   * Décode du base64url
+   * @param {string} value - Texte base64url
+   * @returns {ArrayBuffer} Octets
+   */
+  static toBuffer(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '=');
+    return Uint8Array.from(atob(padded), char => char.charCodeAt(0)).buffer;
+  }
+
+  /**
+   * Encode des octets en base64url
+   * @param {ArrayBuffer|null} buffer - Octets
+   * @returns {string|undefined} Texte base64url
+   */
+  static toBase64url(buffer) {
+    if (!buffer) return undefined;
+    const binary = String.fromCharCode(...new Uint8Array(buffer));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Crée une passkey (cérémonie d'enregistrement)
+   * @param {Object} options - Options de POST /auth/passkeys/register/options
+   * @returns {Promise<Object>} Réponse à envoyer à POST /auth/passkeys/register
+   */
+  static async register(options) {
+    const credential = await navigator.credentials.create({
+      publicKey: {
+        ...options,
+        challenge: WebAuthnClient.toBuffer(options.challenge),
+        user: { ...options.user, id: WebAuthnClient.toBuffer(options.user.id) },
+        excludeCredentials: (options.excludeCredentials || []).map(item => ({
+          ...item,
+          id: WebAuthnClient.toBuffer(item.id)
+        }))
+      }
+    });
+
+    return {
+      id: credential.id,
+      rawId: WebAuthnClient.toBase64url(credential.rawId),
+      type: credential.type,
+      authenticatorAttachment: credential.authenticatorAttachment || undefined,
+      clientExtensionResults: credential.getClientExtensionResults(),
+      response: {
+        clientDataJSON: WebAuthnClient.toBase64url(credential.response.clientDataJSON),
+        attestationObject: WebAuthnClient.toBase64url(credential.response.attestationObject),
+        transports: credential.response.getTransports?.() || []
+      }
+    };
+  }
+
+  /**
+   * Utilise une passkey (cérémonie de connexion)
+   * @param {Object} options - Options de POST /auth/passkeys/login/options
+   * @returns {Promise<Object>} Réponse à envoyer à POST /auth/passkeys/login
+   */
+  static async authenticate(options) {
+    const credential = await navigator.credentials.get({
+      publicKey: {
+        ...options,
+        challenge: WebAuthnClient.toBuffer(options.challenge),
+        allowCredentials: (options.allowCredentials || []).map(item => ({
+          ...item,
+          id: WebAuthnClient.toBuffer(item.id)
+        }))
+      }
+    });
+
+    return {
+      id: credential.id,
+      rawId: WebAuthnClient.toBase64url(credential.rawId),
+      type: credential.type,
+      authenticatorAttachment: credential.authenticatorAttachment || undefined,
+      clientExtensionResults: credential.getClientExtensionResults(),
+      response: {
+        clientDataJSON: WebAuthnClient.toBase64url(credential.response.clientDataJSON),
+        authenticatorData: WebAuthnClient.toBase64url(credential.response.authenticatorData),
+        signature: WebAuthnClient.toBase64url(credential.response.signature),
+        userHandle: WebAuthnClient.toBase64url(credential.response.userHandle)
+      }
+    };
+  }
+}
@@ -1,16 +1,17 @@
 /**
- * @fileoverview Gestion des semaines basées sur les jours du mois
+ * @fileoverview Gestion des semaines calendaires (lundi → dimanche)
  * @module weeks-manager
  */
 
+import { API_CONFIG } from './config.js';
 import { APIManager } from './api.js';
 import { UIRenderer } from './ui-renderer.js';
 import { UIManager } from './ui-handlers.js';
-import { MonthDaysUtils } from './utils.js';
+import { DateUtils } from './utils.js';
 import { ResponseHandler } from './response-handler.js';
 
 /**
- * Classe de gestion des semaines basées sur les jours du mois
+ * Classe de gestion des semaines calendaires à partir de la semaine courante
  */
 export class WeeksManager {
   /**
@@ -22,30 +23,34 @@ export class WeeksManager {
     numberOfWeeks: 1,
     currentWeek: 1,
     weeksData: {},
-    weekRanges: []
+    versions: {},
+    weekRanges: [],
+    saving: Promise.resolve()
   };
 
   /**
-   * Calcule la semaine actuelle basée sur le jour du mois
+   * Trouve la semaine qui contient la date du jour
    * @private
    * @returns {number} Numéro de la semaine actuelle
    */
   static getCurrentWeekNumber() {
-    const currentDay = MonthDaysUtils.getCurrentDayOfMonth();
-    return MonthDaysUtils.findWeekForDay(currentDay);
+    const today = DateUtils.getTodayKey();
+    const range = this.state.weekRanges.find(r => r.days.includes(today));
+    return range ? range.weekNumber : 1;
   }
 
   /**
    * Initialise le gestionnaire de semaines
    * @param {number} numberOfWeeks - Nombre de semaines
-   * @param {Object} weeksData - Données de toutes les semaines
+   * @param {Object} days - Repas par date {'YYYY-MM-DD': {midi, soir}}
+   * @param {Object<string, number>} [versions={}] - Versions des repas {'YYYY-MM-DD:midi': n}
    * @returns {void}
    */
-  static initialize(numberOfWeeks, weeksData) {
+  static initialize(numberOfWeeks, days, versions = {}) {
     this.state.numberOfWeeks = numberOfWeeks;
-    this.state.weeksData = weeksData || {};
-    const totalDays = MonthDaysUtils.getDaysInCurrentMonth();
-    this.state.weekRanges = MonthDaysUtils.calculateWeekRanges(totalDays, numberOfWeeks);
+    this.state.weeksData = days || {};
+    this.state.versions = { ...versions };
+    this.state.weekRanges = DateUtils.calculateWeekRanges(numberOfWeeks);
 
     this.state.currentWeek = this.getCurrentWeekNumber();
     
@@ -70,9 +75,10 @@ export class WeeksManager {
     const tabsHTML = [];
     const isMobile = window.innerWidth <= 600;
 
-    for (let i = 1; i <= this.state.numberOfWeeks; i++) {
+    for (const range of this.state.weekRanges) {
+      const i = range.weekNumber;
       const isActive = i === this.state.currentWeek ? 'active' : '';
-      const label = MonthDaysUtils.formatWeekLabel(i, isMobile);
+      const label = DateUtils.formatWeekLabel(range, isMobile);
       tabsHTML.push(`
                 <button 
                     class="week-tab ${isActive}" 
@@ -103,14 +109,15 @@ export class WeeksManager {
 
     this.state.currentWeek = weekNumber;
 
-    const response = await fetch(`/api/atable/${weekNumber}`);
+    const range = this.state.weekRanges[weekNumber - 1];
+    const response = await fetch(`${API_CONFIG.MEALS_URL}?from=${range.from}&to=${range.to}`);
     ResponseHandler.handle(response, {
       showMessage: true,
-      onSuccess: (weekData) => {
+      onSuccess: ({ days, versions }) => {
         console.log(`✅ Semaine ${weekNumber} chargée`);
-        UIManager.getState().mealsData = weekData;
-        const daysInWeek = MonthDaysUtils.getDaysForWeek(weekNumber, this.state.numberOfWeeks);
-        UIRenderer.renderDaysForWeek(weekData, daysInWeek);
+        Object.assign(this.state.weeksData, days);
+        this.setVersions(versions);
+        UIRenderer.renderDaysForWeek(this.state.weeksData, range.days);
         this.renderWeeksTabs();
         UIManager.attachEventListeners();
       },
@@ -119,14 +126,34 @@ export class WeeksManager {
       }
     });
   }
+
   /**
-   * Obtient toutes les données des semaines
-   * @returns {Object} Les données de toutes les semaines
+   * Obtient les repas de toutes les semaines affichées
+   * @returns {Object} Repas par date {'YYYY-MM-DD': {midi, soir}}
    */
   static getAllWeeksData() {
     return this.state.weeksData;
   }
 
+  /**
+   * Retourne la version d'un repas lue depuis le serveur
+   * @param {string} day - La date du jour (YYYY-MM-DD)
+   * @param {string} mealType - Le type de repas ('midi' ou 'soir')
+   * @returns {number} Version (0 si le repas n'a jamais été modifié)
+   */
+  static getVersion(day, mealType) {
+    return this.state.versions[`${day}:${mealType}`] || 0;
+  }
+
+  /**
+   * Met à jour les versions connues des repas
+   * @param {Object<string, number>} [versions={}] - Versions {'YYYY-MM-DD:midi': n}
+   * @returns {void}
+   */
+  static setVersions(versions = {}) {
+    Object.assign(this.state.versions, versions);
+  }
+
   /**
    * Met à jour le nombre de semaines
    * @param {number} newNumberOfWeeks - Nouveau nombre de semaines
@@ -168,13 +195,38 @@ export class WeeksManager {
   }
 
   /**
-   * Sauvegarde toutes les semaines
+   * Sauvegarde les repas modifiés de toutes les semaines
    * @returns {Promise<void>}
    */
   static async saveAllWeeks() {
-    const allWeeksData = this.getAllWeeksData();
-    // console.log('Données à sauvegarder pour toutes les semaines:', allWeeksData);
-    await APIManager.saveMeals(allWeeksData);
+    // Sauvegardes enchaînées : chacune part des versions renvoyées par la précédente
+    this.state.saving = this.state.saving
+      .then(() => this.saveModifiedMeals())
+      .catch(() => {});
+    return this.state.saving;
+  }
+
+  /**
+   * Sauvegarde les repas modifiés depuis la dernière sauvegarde
+   * Chaque repas est envoyé avec la version sur laquelle la modification se base :
+   * le serveur refuse (409) ceux qui ont changé entre-temps.
+   * @private
+   * @returns {Promise<void>}
+   */
+  static async saveModifiedMeals() {
+    const slotKeys = UIManager.takeDirtySlots();
+    if (slotKeys.length === 0) return;
+
+    const days = {};
+    const versions = {};
+    for (const key of slotKeys) {
+      const [day, mealType] = key.split(':');
+      UIManager.getMeal(day, mealType);
+      days[day] = this.state.weeksData[day];
+      versions[key] = this.getVersion(day, mealType);
+    }
+
+    await APIManager.saveMeals({ days, versions });
   }
 
   /**
@@ -194,11 +246,11 @@ export class WeeksManager {
   }
 
   /**
-   * Obtient les jours de la semaine actuelle
-   * @returns {Array<number>} Liste des jours
+   * Obtient les dates de la semaine actuelle
+   * @returns {Array<string>} Liste des dates ISO
    */
   static getCurrentWeekDays() {
-    return MonthDaysUtils.getDaysForWeek(this.state.currentWeek, this.state.numberOfWeeks);
+    return this.state.weekRanges[this.state.currentWeek - 1]?.days || [];
   }
 
   /**
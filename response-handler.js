@@ -56,14 +56,16 @@ class ServerResponse {
    * @param {Object} res - Objet réponse Express
    * @param {string} field - Champ concerné
    * @param {string} message - Message de validation
+   * @param {Array<{field: string, message: string}>} [errors] - Erreurs par champ (toutes les erreurs de la requête)
    * @returns {void}
    */
-  static validation(res, field, message) {
+  static validation(res, field, message, errors = [{ field, message }]) {
     res.status(400).json({
       success: false,
       error: 'VALIDATION_ERROR',
       message,
       field,
+      errors,
       timestamp: new Date().toISOString()
     });
   }
@@ -112,30 +114,40 @@ class ServerResponse {
   }
 
   /**
-   * Réponse conflit (ressource existe déjà)
+   * Réponse conflit (ressource existe déjà ou modifiée entre-temps)
    * @param {Object} res - Objet réponse Express
    * @param {string} [message] - Message personnalisé
+   * @param {Array<Object>} [conflicts] - Éléments en conflit (version du client et version serveur)
    * @returns {void}
    */
-  static conflict(res, message = '⚠️ Cette ressource existe déjà') {
+  static conflict(res, message = '⚠️ Cette ressource existe déjà', conflicts) {
     res.status(409).json({
       success: false,
       error: 'CONFLICT',
       message,
+      ...(conflicts && { conflicts }),
       timestamp: new Date().toISOString()
     });
   }
 
   /**
-   * Réponse trop de requêtes (rate limit)
+   * Réponse trop de requêtes (rate limit, compte verrouillé)
+   * Le délai est aussi envoyé dans l'en-tête Retry-After.
    * @param {Object} res - Objet réponse Express
+   * @param {number} [retryAfter] - Secondes avant nouvelle tentative
+   * @param {string} [message] - Message personnalisé
+   * @param {string} [error] - Code d'erreur interne
    * @returns {void}
    */
-  static tooManyRequests(res) {
+  static tooManyRequests(res, retryAfter, message = '⏱️ Trop de requêtes.', error = 'TOO_MANY_REQUESTS') {
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+    }
     res.status(429).json({
       success: false,
-      error: 'TOO_MANY_REQUESTS',
-      message: '⏱️ Trop de requêtes. Veuillez réessayer dans quelques instants.',
+      error,
+      message,
+      ...(retryAfter && { retryAfter }),
       timestamp: new Date().toISOString()
     });
   }
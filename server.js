@@ -14,12 +14,14 @@ const fsPromises = fs.promises;
 const logger = require('./logger');
 const process = require('process');
 
-const usersManager = require('./server/managers/users-manager');
+const storage = require('./server/storage');
+const migrations = require('./server/migrations');
+const householdsManager = require('./server/managers/households-manager');
 const pushManager = require('./server/managers/push-manager');
 const notificationScheduler = require('./server/scheduler/notification-scheduler');
-const { requireAuth, logRequest, protectAllRoutes } = require('./server/middleware/auth-middleware');
+const historyScheduler = require('./server/scheduler/history-scheduler');
+const { requireAuth, logRequest, protectAllRoutes, trackSessionActivity } = require('./server/middleware/auth-middleware');
 const setupRoutes = require('./server/routes');
-const rateLimit = require('express-rate-limit')
 const compression = require('compression');
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -28,12 +30,6 @@ const SQLiteStore = require('connect-sqlite3')(session);
 const ServerResponse = require('./response-handler');
 
 
-
-const loginLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 5, // 5 tentatives
-    message: 'Trop de tentatives, réessayez plus tard'
-});
 /**
  * Configuration des middlewares
 */
@@ -67,6 +63,7 @@ app.use((req, res, next) => {
   res.set('Cache-Control', 'no-store');
   next();
 });
+app.use(trackSessionActivity);
 /**
  * Configuration des routes
  */
@@ -76,7 +73,7 @@ setupRoutes(app, ServerResponse);
  * Page de login
  * @route GET /login
  */
-app.get('/login', loginLimiter, (req, res) => {
+app.get('/login', (req, res) => {
     if (req.session && req.session.userId) {
         return res.redirect('/');
     }
@@ -114,11 +111,13 @@ app.use((err, req, res, next) => {
 async function startServer() {
     try {
         await fsPromises.mkdir(path.join(__dirname, 'data'), { recursive: true });
-        await usersManager.initializeUsersDir();
+        await storage.getStore().init();
+        await migrations.runMigrations(storage.getStore());
+        await householdsManager.migrateAllUsers();
+        await historyScheduler.startHistoryScheduler();
 
         const pushConfigured = pushManager.setupWebPush();
         if (pushConfigured) {
-            await pushManager.initializeNotificationsFile();
             notificationScheduler.startNotificationScheduler();
         } else {
             logger.warn('⚠️  Notifications push non configurées');
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Transport d'email vers les logs (développement)
+ * @module mail/console-transport
+ */
+
+const logger = require('../../logger');
+
+/**
+ * Crée le transport console
+ * @returns {Object} Transport {name, send}
+ */
+function createConsoleTransport() {
+    return {
+        name: 'console',
+
+        async send({ from, to, subject, text }) {
+            logger.info([
+                '---------- Email ----------',
+                `De : ${from}`,
+                `À : ${to}`,
+                `Sujet : ${subject}`,
+                '',
+                text,
+                '---------------------------'
+            ].join('\n'));
+        }
+    };
+}
+
+module.exports = { createConsoleTransport };
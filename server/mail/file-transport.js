@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Transport d'email vers des fichiers .eml (tests en local)
+ * @module mail/file-transport
+ *
+ * Chaque message est écrit dans <dir>/<date>-<aléatoire>.eml et peut être
+ * ouvert avec un client de messagerie.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Encode un en-tête contenant des caractères non ASCII (RFC 2047)
+ * @param {string} value - Valeur de l'en-tête
+ * @returns {string} Valeur encodée
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+        ? value
+        : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Crée le transport fichier
+ * @param {Object} options - Options
+ * @param {string} options.dir - Dossier des messages
+ * @returns {Object} Transport {name, send}
+ */
+function createFileTransport({ dir }) {
+    return {
+        name: 'file',
+
+        async send({ from, to, subject, text }) {
+            await fs.mkdir(dir, { recursive: true });
+
+            const date = new Date();
+            const fileName = `${date.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+            const content = [
+                `From: ${encodeHeader(from)}`,
+                `To: ${to}`,
+                `Subject: ${encodeHeader(subject)}`,
+                `Date: ${date.toUTCString()}`,
+                'MIME-Version: 1.0',
+                'Content-Type: text/plain; charset=utf-8',
+                'Content-Transfer-Encoding: 8bit',
+                '',
+                text
+            ].join('\r\n');
+
+            await fs.writeFile(path.join(dir, fileName), content);
+        }
+    };
+}
+
+module.exports = { createFileTransport };
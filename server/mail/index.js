@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Envoi des emails
+ * @module mail
+ *
+ * Le transport est choisi avec la variable d'environnement MAIL_TRANSPORT :
+ * - "console" (par défaut) : le message est écrit dans les logs
+ * - "file"    : un fichier .eml par message dans data/mail (MAIL_OUTBOX_DIR)
+ * - "smtp"    : serveur SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ *
+ * Chaque transport expose send(message) avec message = {from, to, subject, text, html?}.
+ */
+
+const CONFIG = require('../../config');
+const logger = require('../../logger');
+const { createConsoleTransport } = require('./console-transport');
+const { createFileTransport } = require('./file-transport');
+const { createSmtpTransport } = require('./smtp-transport');
+
+/**
+ * Fabriques des transports disponibles
+ * @type {Object<string, Function>}
+ */
+const TRANSPORTS = {
+    console: () => createConsoleTransport(),
+    file: () => createFileTransport({ dir: CONFIG.mail.outboxDir }),
+    smtp: () => createSmtpTransport(CONFIG.mail.smtp)
+};
+
+/** @type {Object|null} Transport de l'application */
+let transport = null;
+
+/**
+ * Crée un transport
+ * @param {string} name - Nom du transport ('console', 'file' ou 'smtp')
+ * @returns {Object} Transport {name, send}
+ * @throws {Error} Si le transport est inconnu
+ */
+function createTransport(name) {
+    const factory = TRANSPORTS[name];
+    if (!factory) {
+        throw new Error(`Transport d'email inconnu: "${name}" (valeurs possibles : ${Object.keys(TRANSPORTS).join(', ')})`);
+    }
+    return factory();
+}
+
+/**
+ * Obtient le transport configuré (MAIL_TRANSPORT)
+ * @returns {Object} Transport de l'application
+ */
+function getTransport() {
+    if (!transport) {
+        transport = createTransport(CONFIG.mail.transport);
+    }
+    return transport;
+}
+
+/**
+ * Envoie un email
+ * @async
+ * @param {Object} message - Message
+ * @param {string} message.to - Destinataire
+ * @param {string} message.subject - Sujet
+ * @param {string} message.text - Contenu texte
+ * @param {string} [message.html] - Contenu HTML
+ * @returns {Promise<void>}
+ */
+async function sendMail({ to, subject, text, html }) {
+    const mailer = getTransport();
+    await mailer.send({ from: CONFIG.mail.from, to, subject, text, html });
+    logger.info(`Email "${subject}" envoyé à ${to} (${mailer.name})`);
+}
+
+module.exports = {
+    TRANSPORTS: Object.keys(TRANSPORTS),
+    createTransport,
+    sendMail
+};
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Transport d'email SMTP (nodemailer)
+ * @module mail/smtp-transport
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Crée le transport SMTP
+ * @param {Object} options - Serveur SMTP
+ * @param {string} options.host - Hôte
+ * @param {number} options.port - Port
+ * @param {boolean} options.secure - Connexion TLS dès l'ouverture (port 465)
+ * @param {string} [options.user] - Identifiant
+ * @param {string} [options.pass] - Mot de passe
+ * @returns {Object} Transport {name, send}
+ * @throws {Error} Si l'hôte n'est pas configuré
+ */
+function createSmtpTransport({ host, port, secure, user, pass }) {
+    if (!host) {
+        throw new Error('SMTP_HOST est requis avec MAIL_TRANSPORT=smtp');
+    }
+
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        ...(user && { auth: { user, pass } })
+    });
+
+    return {
+        name: 'smtp',
+
+        async send(message) {
+            await transporter.sendMail(message);
+        }
+    };
+}
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Contenu des emails envoyés par l'application
+ * @module mail/templates
+ */
+
+const CONFIG = require('../../config');
+
+/**
+ * Email de réinitialisation du mot de passe
+ * @param {Object} params - Paramètres
+ * @param {string} [params.firstname] - Prénom du destinataire
+ * @param {string} params.url - Lien de réinitialisation
+ * @returns {{subject: string, text: string}} Sujet et contenu
+ */
+function passwordResetMail({ firstname, url }) {
+    return {
+        subject: `${CONFIG.appName} - Réinitialisation du mot de passe`,
+        text: [
+            `Bonjour${firstname ? ` ${firstname}` : ''},`,
+            '',
+            'Une réinitialisation du mot de passe de votre compte a été demandée.',
+            `Pour choisir un nouveau mot de passe, ouvrez ce lien (valable ${CONFIG.passwordResetTtlMinutes} minutes) :`,
+            '',
+            url,
+            '',
+            'Si vous n\'êtes pas à l\'origine de cette demande, ignorez ce message :',
+            'votre mot de passe actuel reste valable.',
+            '',
+            `L'équipe ${CONFIG.appName}`
+        ].join('\n')
+    };
+}
+
+/**
+ * Email de vérification de l'adresse
+ * @param {Object} params - Paramètres
+ * @param {string} [params.firstname] - Prénom du destinataire
+ * @param {string} params.url - Lien de vérification
+ * @returns {{subject: string, text: string}} Sujet et contenu
+ */
+function emailVerificationMail({ firstname, url }) {
+    return {
+        subject: `${CONFIG.appName} - Confirmez votre adresse email`,
+        text: [
+            `Bonjour${firstname ? ` ${firstname}` : ''},`,
+            '',
+            `Pour confirmer l'adresse email de votre compte ${CONFIG.appName}, ouvrez ce lien`,
+            `(valable ${CONFIG.emailVerificationTtlHours} heures) :`,
+            '',
+            url,
+            '',
+            'Si vous n\'avez pas créé de compte, ignorez ce message.',
+            '',
+            `L'équipe ${CONFIG.appName}`
+        ].join('\n')
+    };
+}
+
+module.exports = {
+    passwordResetMail,
+    emailVerificationMail
+};
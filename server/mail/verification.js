@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Envoi du lien de vérification de l'email
+ * @module mail/verification
+ *
+ * Utilisé à l'inscription, au changement d'email et sur demande de l'utilisateur
+ * (POST /auth/verify-email/resend). Le lien GET /auth/verify-email?token=...
+ * confirme l'adresse.
+ */
+
+const CONFIG = require('../../config');
+const usersManager = require('../managers/users-manager');
+const { sendMail } = require('./index');
+const { emailVerificationMail } = require('./templates');
+
+/**
+ * Crée un jeton de vérification et l'envoie à l'adresse de l'utilisateur
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<void>}
+ * @throws {Error} NOT_FOUND, CONFLICT (email déjà vérifié) ou erreur du transport
+ */
+async function sendEmailVerification(userId) {
+    const { user, token } = await usersManager.createEmailVerificationToken(userId);
+    const url = `${CONFIG.appUrl}/auth/verify-email?token=${encodeURIComponent(token)}`;
+
+    await sendMail({
+        to: user.email,
+        ...emailVerificationMail({ firstname: user.firstname, url })
+    });
+}
+
+module.exports = {
+    sendEmailVerification
+};
@@ -1,91 +1,246 @@
 /**
- * @fileoverview Gestion des plans de repas basés sur les jours du mois
+ * @fileoverview Gestion des plans de repas basés sur des dates calendaires
  * @module managers/atable-manager
  */
 
-const usersManager = require('./users-manager');
+const householdsManager = require('./households-manager');
+const mealModel = require('./meal-model');
 const CONFIG = require('../../config');
 const logger = require('../../logger');
 
 /**
- * Lit les plans de repas d'un utilisateur
+ * Vérifie qu'une clé est une date ISO valide (YYYY-MM-DD)
+ * @param {string} dateKey - Clé à vérifier
+ * @returns {boolean} True si la clé est une date valide
+ */
+function isValidDateKey(dateKey) {
+    return CONFIG.parseISODate(dateKey) !== null;
+}
+
+/**
+ * Vérifie une plage de dates demandée par un client
+ * @param {string} from - Date de début (YYYY-MM-DD)
+ * @param {string} to - Date de fin (YYYY-MM-DD)
+ * @returns {Object|null} Erreur {field, message} ou null si la plage est valide
+ */
+function validateDateRange(from, to) {
+    const start = CONFIG.parseISODate(from);
+    const end = CONFIG.parseISODate(to);
+
+    if (!start) {
+        return { field: 'from', message: 'Date de début invalide (format attendu: AAAA-MM-JJ)' };
+    }
+    if (!end) {
+        return { field: 'to', message: 'Date de fin invalide (format attendu: AAAA-MM-JJ)' };
+    }
+    if (start > end) {
+        return { field: 'to', message: 'La date de fin doit être postérieure à la date de début' };
+    }
+    if (CONFIG.listDatesInRange(from, to).length > CONFIG.maxPlanRangeDays) {
+        return { field: 'to', message: `La plage ne peut pas dépasser ${CONFIG.maxPlanRangeDays} jours` };
+    }
+    return null;
+}
+
+/**
+ * Lit les plans de repas d'un utilisateur sur une plage de dates
+ * Chaque date de la plage est présente dans le résultat (vide si non planifiée) ;
+ * les dates déjà archivées sont lues depuis l'historique
  * @async
  * @param {string} userId - ID de l'utilisateur
- * @returns {Promise<Object>} Plans des semaines
+ * @param {string} from - Date de début (YYYY-MM-DD, incluse)
+ * @param {string} to - Date de fin (YYYY-MM-DD, incluse)
+ * @returns {Promise<Object>} Jours {'YYYY-MM-DD': {midi, soir}} (repas structurés)
  */
-async function readUseratable(userId) {
-    const userData = await usersManager.readUserData(userId);
-    if (!userData || !userData.weeksPlans) {
-        return createDefaultWeeksPlans(CONFIG.defaultWeeks);
+async function readUseratable(userId, from, to) {
+    const household = await householdsManager.readHouseholdData(userId);
+    const plans = household?.plans || {};
+    const history = household?.history || {};
+
+    const days = {};
+    for (const dateKey of CONFIG.listDatesInRange(from, to)) {
+        const stored = plans[dateKey] || history[dateKey.slice(0, 7)]?.days?.[dateKey] || {};
+        days[dateKey] = mealModel.normalizeDay(stored);
     }
-    return userData.weeksPlans;
+    return days;
+}
+
+/**
+ * Crée la clé de version d'un repas
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @param {string} mealType - Type de repas ('midi' ou 'soir')
+ * @returns {string} Clé "YYYY-MM-DD:midi"
+ */
+function getSlotKey(dateKey, mealType) {
+    return `${dateKey}:${mealType}`;
 }
 
 /**
- * Sauvegarde les plans de repas d'un utilisateur
+ * Lit les versions des repas d'un utilisateur sur une plage de dates
+ * Un repas jamais modifié a la version 0 (absent du résultat).
  * @async
  * @param {string} userId - ID de l'utilisateur
- * @param {Object} weeksPlans - Plans des semaines à sauvegarder
- * @returns {Promise<void>}
- * @throws {Error} Si l'utilisateur n'existe pas ou données invalides
+ * @param {string} from - Date de début (YYYY-MM-DD, incluse)
+ * @param {string} to - Date de fin (YYYY-MM-DD, incluse)
+ * @returns {Promise<Object<string, number>>} Versions {'YYYY-MM-DD:midi': n}
  */
-async function writeUseratable(userId, weeksPlans) {
-    const userData = await usersManager.readUserData(userId);
-    if (!userData) {
-        throw new Error('Utilisateur non trouvé');
+async function readSlotVersions(userId, from, to) {
+    const household = await householdsManager.readHouseholdData(userId);
+    const planVersions = household?.planVersions || {};
+
+    const versions = {};
+    for (const dateKey of CONFIG.listDatesInRange(from, to)) {
+        for (const mealType of ['midi', 'soir']) {
+            const key = getSlotKey(dateKey, mealType);
+            if (planVersions[key]) {
+                versions[key] = planVersions[key];
+            }
+        }
     }
+    return versions;
+}
 
-    for (const weekKey in weeksPlans) {
-        if (!weekKey.startsWith('week')) continue;
-        
-        const week = weeksPlans[weekKey];
-        if (!week.days) {
+/**
+ * Sauvegarde des jours dans les plans de repas d'un utilisateur
+ * Les jours fournis sont fusionnés avec les plans existants ;
+ * les jours entièrement vides sont retirés du stockage.
+ * Chaque repas peut être un objet structuré ou un texte (ancien format).
+ *
+ * Avec des versions (contrôle de concurrence optimiste), seuls les repas
+ * listés sont écrits, et seulement si leur version n'a pas changé depuis la
+ * lecture du client : sinon rien n'est écrit et une erreur CONFLICT est levée
+ * avec les repas en conflit (error.conflicts). Sans versions, l'écriture est
+ * inconditionnelle (générateur) ; les routes fournissent toujours des versions.
+ * Les sauvegardes simultanées sont exécutées l'une après l'autre (transaction).
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Object} days - Jours à sauvegarder {'YYYY-MM-DD': {midi, soir}}
+ * @param {Object<string, number>|null} [versions=null] - Versions lues par le client
+ *   {'YYYY-MM-DD:midi': n} pour les repas à écrire
+ * @returns {Promise<{householdId: string, slots: Array<Object>, versions: Object<string, number>}>}
+ *   Foyer, repas réellement modifiés [{date, mealType, meal, version}] (pour la
+ *   synchronisation des autres sessions) et versions des repas écrits
+ * @throws {Error} Si l'utilisateur n'existe pas, données invalides ou versions périmées
+ */
+async function writeUseratable(userId, days, versions = null) {
+    // Lecture, contrôle des versions et écriture sans sauvegarde concurrente intermédiaire
+    return householdsManager.updateHousehold(userId, household => {
+        if (!days || typeof days !== 'object' || Array.isArray(days)) {
             throw new Error('Format de données invalide');
         }
 
-        for (const dayKey of Object.keys(week.days)) {
-            const dayNum = parseInt(dayKey);
-            if (isNaN(dayNum) || dayNum < 1 || dayNum > 31) {
-                throw new Error(`Numéro de jour invalide: ${dayKey}`);
+        const normalizedDays = {};
+        for (const dateKey of Object.keys(days)) {
+            if (!isValidDateKey(dateKey)) {
+                throw new Error(`Date invalide: ${dateKey}`);
+            }
+
+            const dayData = days[dateKey];
+            if (!dayData || typeof dayData.midi === 'undefined' || typeof dayData.soir === 'undefined') {
+                throw new Error(`Données manquantes pour le ${dateKey}`);
+            }
+
+            try {
+                normalizedDays[dateKey] = mealModel.normalizeDay(dayData);
+            } catch (error) {
+                throw new Error(`${error.message} (${dateKey})`);
+            }
+        }
+
+        if (versions !== null && (typeof versions !== 'object' || Array.isArray(versions))) {
+            throw new Error('Format des versions invalide');
+        }
+
+        const plans = household.plans || {};
+        const planVersions = household.planVersions || {};
+        const slots = [];
+        const conflicts = [];
+        const nextDays = {};
+
+        for (const [dateKey, dayData] of Object.entries(normalizedDays)) {
+            const previous = mealModel.normalizeDay(
+                plans[dateKey] || household.history?.[dateKey.slice(0, 7)]?.days?.[dateKey] || {}
+            );
+            const nextDay = { ...previous };
+
+            for (const mealType of ['midi', 'soir']) {
+                const key = getSlotKey(dateKey, mealType);
+                if (versions !== null && !(key in versions)) continue;
+                if (JSON.stringify(previous[mealType]) === JSON.stringify(dayData[mealType])) continue;
+
+                const current = planVersions[key] || 0;
+                if (versions !== null && Number(versions[key]) !== current) {
+                    conflicts.push({
+                        date: dateKey,
+                        mealType,
+                        mine: dayData[mealType],
+                        theirs: previous[mealType],
+                        version: current
+                    });
+                    continue;
+                }
+
+                nextDay[mealType] = dayData[mealType];
+                slots.push({ date: dateKey, mealType, meal: dayData[mealType], version: current + 1 });
             }
 
-            const dayData = week.days[dayKey];
-            if (typeof dayData.midi === 'undefined' || typeof dayData.soir === 'undefined') {
-                throw new Error(`Données manquantes pour le jour ${dayKey} dans ${weekKey}`);
+            nextDays[dateKey] = nextDay;
+        }
+
+        if (conflicts.length > 0) {
+            const error = new Error('Ces repas ont été modifiés entre-temps par un autre appareil');
+            error.error = 'CONFLICT';
+            error.conflicts = conflicts;
+            throw error;
+        }
+
+        for (const [dateKey, dayData] of Object.entries(nextDays)) {
+            if (mealModel.isEmptyMeal(dayData.midi) && mealModel.isEmptyMeal(dayData.soir)) {
+                delete plans[dateKey];
+                delete household.history?.[dateKey.slice(0, 7)]?.days?.[dateKey];
+            } else {
+                plans[dateKey] = dayData;
             }
         }
-    }
 
-    userData.weeksPlans = weeksPlans;
-    await usersManager.writeUserData(userId, userData);
-}
+        const savedVersions = {};
+        for (const key of Object.keys(versions || {})) {
+            savedVersions[key] = planVersions[key] || 0;
+        }
+        for (const { date, mealType, version } of slots) {
+            planVersions[getSlotKey(date, mealType)] = version;
+            savedVersions[getSlotKey(date, mealType)] = version;
+        }
 
-/**
- * Crée la structure de semaines par défaut avec jours du mois
- * @param {number} numberOfWeeks - Nombre de semaines à créer
- * @returns {Object} Structure des semaines
- */
-function createDefaultWeeksPlans(numberOfWeeks) {
-    const plans = {};
-    for (let i = 1; i <= 4; i++) {
-        plans[`week${i}`] = {
-            enabled: i <= numberOfWeeks,
-            days: createEmptyMonth()
-        };
-    }
-    return plans;
+        household.plans = plans;
+        household.planVersions = planVersions;
+
+        return { householdId: household.id, slots, versions: savedVersions };
+    });
 }
 
 /**
- * Crée un mois vide (jours 1 à 31)
- * @returns {Object} Objet avec jours 1-31
+ * Sauvegarde un seul repas (opération rejouée depuis la file hors ligne)
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} dateKey - Date du repas (YYYY-MM-DD)
+ * @param {string} mealType - Type de repas ('midi' ou 'soir')
+ * @param {Object|string} meal - Nouveau contenu du repas
+ * @param {number} version - Version du repas sur laquelle la modification a été faite
+ * @returns {Promise<{householdId: string, slots: Array<Object>, versions: Object<string, number>}>}
+ *   Voir writeUseratable
+ * @throws {Error} Si le type de repas est invalide ou la version périmée (CONFLICT)
  */
-function createEmptyMonth() {
-    const days = {};
-    for (let day = 1; day <= 31; day++) {
-        days[day] = { midi: '', soir: '' };
+async function writeMealSlot(userId, dateKey, mealType, meal, version) {
+    if (!['midi', 'soir'].includes(mealType)) {
+        throw new Error('Le type de repas doit être "midi" ou "soir"');
     }
-    return days;
+
+    return writeUseratable(
+        userId,
+        { [dateKey]: { midi: null, soir: null, [mealType]: meal } },
+        { [getSlotKey(dateKey, mealType)]: version }
+    );
 }
 
 /**
@@ -95,19 +250,18 @@ function createEmptyMonth() {
  * @returns {Promise<void>}
  */
 async function deleteUseratable(userId) {
-    const userData = await usersManager.readUserData(userId);
-    if (!userData) return;
-
-    const numberOfWeeks = userData.preference?.showWeeks || CONFIG.defaultWeeks;
-    userData.weeksPlans = createDefaultWeeksPlans(numberOfWeeks);
-    
-    await usersManager.writeUserData(userId, userData);
+    await householdsManager.updateHousehold(userId, household => {
+        household.plans = {};
+    });
+    logger.info(`Plans de repas réinitialisés pour ${userId}`);
 }
 
 module.exports = {
     readUseratable,
+    readSlotVersions,
     writeUseratable,
+    writeMealSlot,
     deleteUseratable,
-    createDefaultWeeksPlans,
-    createEmptyMonth
-};
\ No newline at end of file
+    isValidDateKey,
+    validateDateRange
+};
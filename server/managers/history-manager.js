@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Archive des repas passés (historique par mois)
+ * @module managers/history-manager
+ */
+
+const householdsManager = require('./households-manager');
+const mealModel = require('./meal-model');
+const CONFIG = require('../../config');
+const logger = require('../../logger');
+
+/**
+ * Obtient la clé de mois (YYYY-MM) d'une date ISO
+ * @param {string} dateKey - Date ISO (YYYY-MM-DD)
+ * @returns {string} Clé de mois
+ */
+function getMonthKey(dateKey) {
+    return dateKey.slice(0, 7);
+}
+
+/**
+ * Normalise un texte pour le comptage et la recherche
+ * @param {string} text - Texte
+ * @returns {string} Texte normalisé
+ */
+function normalizeText(text) {
+    return (text || '').trim().toLowerCase();
+}
+
+/**
+ * Texte recherchable d'un repas (titre, ingrédients et notes)
+ * @param {Object} meal - Repas structuré
+ * @returns {string} Texte normalisé
+ */
+function getSearchableText(meal) {
+    const parts = [meal.title, ...meal.items.map(item => item.name), meal.notes];
+    return normalizeText(parts.filter(Boolean).join(' '));
+}
+
+/**
+ * Archive les mois terminés d'un foyer
+ * Les jours des mois terminés sont copiés dans l'historique ; ceux antérieurs
+ * à la semaine courante sont retirés des plans (les autres restent modifiables
+ * et seront re-copiés au prochain archivage).
+ * @param {Object} household - Foyer (modifié en place)
+ * @param {Date} [referenceDate=new Date()] - Date de référence
+ * @returns {Array<string>} Mois mis à jour dans l'historique
+ */
+function archiveFinishedMonths(household, referenceDate = new Date()) {
+    const currentMonth = getMonthKey(CONFIG.formatISODate(referenceDate));
+    const weekStart = CONFIG.formatISODate(CONFIG.getWeekStart(referenceDate));
+    const plans = household.plans || {};
+    const history = household.history || {};
+    const updatedMonths = new Set();
+
+    for (const [dateKey, dayData] of Object.entries(plans)) {
+        const monthKey = getMonthKey(dateKey);
+        if (monthKey >= currentMonth) continue;
+
+        if (!history[monthKey]) {
+            history[monthKey] = { archivedAt: null, days: {} };
+        }
+        history[monthKey].days[dateKey] = { ...dayData };
+        updatedMonths.add(monthKey);
+
+        if (dateKey < weekStart) {
+            delete plans[dateKey];
+        }
+    }
+
+    const now = new Date().toISOString();
+    for (const monthKey of updatedMonths) {
+        history[monthKey].archivedAt = now;
+    }
+
+    household.plans = plans;
+    household.history = history;
+    return [...updatedMonths].sort();
+}
+
+/**
+ * Archive les mois terminés de tous les foyers
+ * @async
+ * @returns {Promise<number>} Nombre de foyers dont l'historique a changé
+ */
+async function archiveAllHouseholds() {
+    const households = await householdsManager.listAllHouseholds();
+    let updatedHouseholds = 0;
+
+    for (const { id } of households) {
+        try {
+            // Foyer relu dans la transaction : une modification faite pendant l'archivage est conservée
+            const months = await householdsManager.updateHouseholdById(id, household => {
+                const archived = archiveFinishedMonths(household);
+                return archived.length > 0 ? archived : false;
+            });
+            if (months) {
+                updatedHouseholds++;
+                logger.info(`Historique archivé pour ${id}: ${months.join(', ')}`);
+            }
+        } catch (error) {
+            logger.error(`Erreur archivage historique pour ${id}:`, error);
+        }
+    }
+
+    return updatedHouseholds;
+}
+
+/**
+ * Rassemble tous les repas passés (historique + plans antérieurs à aujourd'hui)
+ * @param {Object} household - Foyer
+ * @returns {Object} Jours passés {'YYYY-MM-DD': {midi, soir}}
+ */
+function collectPastDays(household) {
+    const today = CONFIG.formatISODate(new Date());
+    const days = {};
+
+    for (const month of Object.values(household.history || {})) {
+        Object.assign(days, month.days || {});
+    }
+
+    for (const [dateKey, dayData] of Object.entries(household.plans || {})) {
+        if (dateKey < today) {
+            days[dateKey] = dayData;
+        }
+    }
+
+    return days;
+}
+
+/**
+ * Liste les mois archivés d'un utilisateur (du plus récent au plus ancien)
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Array<Object>>} Mois {month, mealCount, archivedAt}
+ */
+async function listMonths(userId) {
+    const household = await householdsManager.readHouseholdData(userId);
+    const history = household?.history || {};
+
+    return Object.keys(history)
+        .sort()
+        .reverse()
+        .map(month => ({
+            month,
+            archivedAt: history[month].archivedAt,
+            mealCount: Object.values(history[month].days || {})
+                .reduce((count, day) => count
+                    + (mealModel.isEmptyMeal(day.midi) ? 0 : 1)
+                    + (mealModel.isEmptyMeal(day.soir) ? 0 : 1), 0)
+        }));
+}
+
+/**
+ * Lit un mois archivé
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} month - Mois (YYYY-MM)
+ * @returns {Promise<Object|null>} {month, archivedAt, days} ou null si absent
+ */
+async function getMonth(userId, month) {
+    const household = await householdsManager.readHouseholdData(userId);
+    const entry = household?.history?.[month];
+    if (!entry) return null;
+
+    return {
+        month,
+        archivedAt: entry.archivedAt,
+        days: Object.fromEntries(
+            Object.entries(entry.days || {}).map(([dateKey, day]) => [dateKey, mealModel.normalizeDay(day)])
+        )
+    };
+}
+
+/**
+ * Recherche un texte dans les repas passés
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} query - Texte recherché (insensible à la casse)
+ * @returns {Promise<Array<Object>>} Résultats {date, mealType, meal, text}, du plus récent au plus ancien
+ */
+async function searchMeals(userId, query) {
+    const household = await householdsManager.readHouseholdData(userId);
+    if (!household) return [];
+
+    const needle = normalizeText(query);
+    const days = collectPastDays(household);
+    const results = [];
+
+    for (const dateKey of Object.keys(days).sort().reverse()) {
+        const day = mealModel.normalizeDay(days[dateKey]);
+        for (const mealType of ['midi', 'soir']) {
+            const meal = day[mealType];
+            if (!mealModel.isEmptyMeal(meal) && getSearchableText(meal).includes(needle)) {
+                results.push({ date: dateKey, mealType, meal, text: mealModel.mealToText(meal) });
+            }
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Calcule la fréquence des plats mangés
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Object} [options] - Options
+ * @param {string} [options.dish] - Ne compter que les plats contenant ce texte
+ * @param {number} [options.limit=20] - Nombre maximum de plats retournés
+ * @returns {Promise<Array<Object>>} Plats {dish, count, lastEaten}, du plus fréquent au moins fréquent
+ */
+async function getDishFrequency(userId, { dish = '', limit = 20 } = {}) {
+    const household = await householdsManager.readHouseholdData(userId);
+    if (!household) return [];
+
+    const filter = normalizeText(dish);
+    const days = collectPastDays(household);
+    const counts = new Map();
+
+    for (const [dateKey, dayData] of Object.entries(days)) {
+        for (const mealType of ['midi', 'soir']) {
+            const text = mealModel.mealToText(dayData[mealType]);
+            const key = normalizeText(text);
+            if (!key || (filter && !key.includes(filter))) continue;
+
+            if (!counts.has(key)) {
+                counts.set(key, { dish: text, count: 0, lastEaten: dateKey });
+            }
+            const entry = counts.get(key);
+            entry.count++;
+            if (dateKey > entry.lastEaten) {
+                entry.lastEaten = dateKey;
+            }
+        }
+    }
+
+    return [...counts.values()]
+        .sort((a, b) => b.count - a.count || b.lastEaten.localeCompare(a.lastEaten))
+        .slice(0, limit);
+}
+
+module.exports = {
+    archiveFinishedMonths,
+    archiveAllHouseholds,
+    listMonths,
+    getMonth,
+    searchMeals,
+    getDishFrequency
+};
@@ -0,0 +1,677 @@
+/**
+ * @fileoverview Gestion des foyers (plans, préférences et courses partagés)
+ * @module managers/households-manager
+ *
+ * Un foyer est un document du dépôt (data/households/<id>.json en stockage JSON) :
+ * {
+ *   id, schemaVersion, name, createdAt, updatedAt,
+ *   members: [{ userId, role: 'owner'|'editor'|'viewer', joinedAt }],
+ *   invites: [{ code, email: string|null, role, createdBy, createdAt, expiresAt }],
+ *   preference, plans, history, recipes, pantry, shoppingList
+ * }
+ * Chaque utilisateur appartient à un seul foyer (user.householdId). Les comptes
+ * existants sont rattachés à un foyer personnel au premier accès : leurs données
+ * partagées quittent le document utilisateur pour celui du foyer.
+ */
+
+const crypto = require('crypto');
+const usersManager = require('./users-manager');
+const syncManager = require('./sync-manager');
+const store = require('../storage').getStore();
+const migrations = require('../migrations');
+const CONFIG = require('../../config');
+const logger = require('../../logger');
+
+/** @type {Array<string>} Champs des données utilisateur possédés par le foyer */
+const SHARED_FIELDS = ['preference', 'plans', 'history', 'recipes', 'pantry', 'shoppingList'];
+
+/** @type {number} Longueur maximale du nom d'un foyer */
+const MAX_NAME_LENGTH = 60;
+
+/** @type {RegExp} Format d'email accepté pour une invitation */
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Crée une erreur avec un code (NOT_FOUND, CONFLICT, FORBIDDEN)
+ * @param {string} code - Code d'erreur
+ * @param {string} message - Message
+ * @returns {Error} Erreur avec le code
+ */
+function householdError(code, message) {
+    const error = new Error(message);
+    error.error = code;
+    return error;
+}
+
+/**
+ * Lit un foyer
+ * @async
+ * @param {string} householdId - ID du foyer
+ * @returns {Promise<Object|null>} Foyer ou null
+ */
+async function readHousehold(householdId) {
+    try {
+        const household = await store.households.get(householdId);
+        if (household && migrations.migrateDocument('households', household).length) {
+            await writeHouseholdData(household);
+            logger.info(`Foyer ${household.id} migré vers le schéma v${household.schemaVersion}`);
+        }
+        return household;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Sauvegarde un foyer (données partagées comprises)
+ * @async
+ * @param {Object} household - Foyer à sauvegarder
+ * @returns {Promise<void>}
+ */
+async function writeHouseholdData(household) {
+    household.updatedAt = new Date().toISOString();
+    await store.households.save(household);
+}
+
+/**
+ * Liste tous les foyers
+ * @async
+ * @returns {Promise<Array<Object>>} Foyers
+ */
+async function listAllHouseholds() {
+    try {
+        return await store.households.list();
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Crée les données partagées par défaut d'un foyer
+ * @returns {Object} Données {preference, plans, history, recipes, pantry}
+ */
+function createDefaultSharedData() {
+    return {
+        preference: {
+            numberOfWeeks: CONFIG.defaultWeeks,
+            ingredients: usersManager.createDefaultIngredients()
+        },
+        plans: {},
+        history: {},
+        recipes: [],
+        pantry: []
+    };
+}
+
+/**
+ * Crée un foyer dont l'utilisateur est propriétaire et l'y rattache
+ * @async
+ * @param {Object} userData - Données utilisateur (modifiées en place)
+ * @param {Object} sharedData - Données partagées du foyer
+ * @returns {Promise<Object>} Foyer créé
+ */
+async function createHouseholdForUser(userData, sharedData) {
+    const now = new Date().toISOString();
+    const household = {
+        id: usersManager.generateId(),
+        schemaVersion: migrations.CURRENT_SCHEMA_VERSION,
+        name: `Foyer de ${userData.firstname || userData.email}`,
+        createdAt: now,
+        updatedAt: now,
+        members: [{ userId: userData.id, role: 'owner', joinedAt: now }],
+        invites: [],
+        ...sharedData
+    };
+
+    await store.transaction(async () => {
+        await writeHouseholdData(household);
+        await usersManager.updateUserData(userData.id, latest => {
+            latest.householdId = household.id;
+        });
+    });
+    userData.householdId = household.id;
+
+    return household;
+}
+
+/**
+ * Obtient le foyer d'un utilisateur, en le créant au besoin
+ * Un utilisateur sans foyer (compte existant) reçoit un foyer personnel
+ * contenant ses plans, préférences, recettes, garde-manger et liste de courses.
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Object|null>} Foyer ou null si l'utilisateur n'existe pas
+ */
+async function getUserHousehold(userId) {
+    const userData = await usersManager.readUserData(userId);
+    if (!userData) return null;
+
+    if (userData.householdId) {
+        const household = await readHousehold(userData.householdId);
+        if (household?.members.some(member => member.userId === userId)) {
+            return household;
+        }
+    }
+
+    const sharedData = createDefaultSharedData();
+    for (const field of SHARED_FIELDS) {
+        if (typeof userData[field] !== 'undefined') {
+            sharedData[field] = userData[field];
+            delete userData[field];
+        }
+    }
+
+    const household = await createHouseholdForUser(userData, sharedData);
+    logger.info(`Foyer ${household.id} créé pour l'utilisateur ${userId}`);
+    return household;
+}
+
+/**
+ * Rattache chaque utilisateur existant à un foyer
+ * @async
+ * @returns {Promise<void>}
+ */
+async function migrateAllUsers() {
+    const users = await usersManager.listAllUsers();
+    for (const user of users) {
+        try {
+            await getUserHousehold(user.id);
+        } catch (error) {
+            logger.error(`Erreur rattachement au foyer pour ${user.id}:`, error);
+        }
+    }
+}
+
+/**
+ * Lit les données partagées du foyer d'un utilisateur
+ * Remplace usersManager.readUserData pour les plans, préférences, recettes,
+ * garde-manger et liste de courses.
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Object|null>} Foyer ou null si l'utilisateur n'existe pas
+ */
+async function readHouseholdData(userId) {
+    const household = await getUserHousehold(userId);
+    if (!household) return null;
+
+    if (!household.preference) {
+        household.preference = {};
+    }
+    if (!household.preference.ingredients) {
+        household.preference.ingredients = usersManager.createDefaultIngredients();
+    }
+    if (!household.plans) {
+        household.plans = {};
+    }
+    return household;
+}
+
+/**
+ * Modifie le foyer d'un utilisateur
+ * Lecture, modification et écriture sont exécutées dans une transaction : deux
+ * modifications simultanées du même foyer s'appliquent l'une après l'autre au
+ * lieu que la seconde écrase la première. Si update échoue, rien n'est écrit.
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Function} update - Reçoit le foyer (à modifier en place) ; peut être asynchrone
+ * @returns {Promise<*>} Valeur retournée par update
+ * @throws {Error} Si l'utilisateur n'existe pas
+ */
+async function updateHousehold(userId, update) {
+    return store.transaction(async () => {
+        const household = await readHouseholdData(userId);
+        if (!household) {
+            throw new Error('Utilisateur non trouvé');
+        }
+
+        const result = await update(household);
+        await writeHouseholdData(household);
+        return result;
+    });
+}
+
+/**
+ * Modifie un foyer désigné par son ID (tâches planifiées sur tous les foyers)
+ * Voir updateHousehold ; update retourne false pour ne rien écrire.
+ * @async
+ * @param {string} householdId - ID du foyer
+ * @param {Function} update - Reçoit le foyer (à modifier en place)
+ * @returns {Promise<*>} Valeur retournée par update (null si le foyer n'existe plus)
+ */
+async function updateHouseholdById(householdId, update) {
+    return store.transaction(async () => {
+        const household = await readHousehold(householdId);
+        if (!household) return null;
+
+        const result = await update(household);
+        if (result !== false) {
+            await writeHouseholdData(household);
+        }
+        return result;
+    });
+}
+
+/**
+ * Obtient le rôle d'un utilisateur dans son foyer
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<string|null>} Rôle ou null si l'utilisateur n'existe pas
+ */
+async function getUserRole(userId) {
+    const household = await getUserHousehold(userId);
+    return household?.members.find(member => member.userId === userId)?.role || null;
+}
+
+/**
+ * Obtient le foyer d'un utilisateur en vérifiant qu'il en est propriétaire
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Object>} Foyer
+ * @throws {Error} Si l'utilisateur n'existe pas ou n'est pas propriétaire
+ */
+async function getOwnedHousehold(userId) {
+    const household = await getUserHousehold(userId);
+    if (!household) {
+        throw new Error('Utilisateur non trouvé');
+    }
+    assertOwner(household, userId);
+    return household;
+}
+
+/**
+ * Vérifie qu'un utilisateur est propriétaire d'un foyer
+ * @param {Object} household - Foyer
+ * @param {string} userId - ID de l'utilisateur
+ * @throws {Error} FORBIDDEN si l'utilisateur n'est pas propriétaire
+ */
+function assertOwner(household, userId) {
+    if (household.members.find(member => member.userId === userId)?.role !== 'owner') {
+        throw householdError('FORBIDDEN', 'Seul un propriétaire peut gérer le foyer');
+    }
+}
+
+/**
+ * Indique si une invitation est encore valide
+ * @param {Object} invite - Invitation
+ * @returns {boolean}
+ */
+function isInviteValid(invite) {
+    return invite.expiresAt > new Date().toISOString();
+}
+
+/**
+ * Valide un rôle
+ * @param {*} role - Rôle à valider
+ * @throws {Error} Si le rôle est inconnu
+ */
+function validateRole(role) {
+    if (!CONFIG.householdRoles.includes(role)) {
+        throw new Error(`Rôle invalide (${CONFIG.householdRoles.join(', ')})`);
+    }
+}
+
+/**
+ * Vérifie qu'un autre propriétaire reste dans le foyer après le départ d'un membre
+ * @param {Object} household - Foyer
+ * @param {string} memberId - ID du membre qui perd son rôle de propriétaire
+ * @throws {Error} Si le membre est le dernier propriétaire d'un foyer partagé
+ */
+function ensureAnotherOwner(household, memberId) {
+    const otherOwners = household.members.filter(member => member.userId !== memberId && member.role === 'owner');
+    if (otherOwners.length === 0 && household.members.length > 1) {
+        throw householdError('CONFLICT', 'Désignez un autre propriétaire avant de quitter ce rôle');
+    }
+}
+
+/**
+ * Décrit le foyer d'un utilisateur (membres et, pour un propriétaire, invitations)
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Object>} {id, name, role, members, invites}
+ * @throws {Error} Si l'utilisateur n'existe pas
+ */
+async function getHouseholdDetails(userId) {
+    const household = await getUserHousehold(userId);
+    if (!household) {
+        throw new Error('Utilisateur non trouvé');
+    }
+
+    const role = household.members.find(member => member.userId === userId).role;
+    const members = [];
+    for (const member of household.members) {
+        const user = await usersManager.readUserData(member.userId);
+        members.push({
+            userId: member.userId,
+            role: member.role,
+            joinedAt: member.joinedAt,
+            email: user?.email || '',
+            name: user ? `${user.firstname || ''} ${user.lastname || ''}`.trim() || user.email : ''
+        });
+    }
+
+    return {
+        id: household.id,
+        name: household.name,
+        role,
+        members,
+        invites: role === 'owner' ? (household.invites || []).filter(isInviteValid) : []
+    };
+}
+
+/**
+ * Renomme le foyer d'un utilisateur
+ * @async
+ * @param {string} userId - ID du propriétaire
+ * @param {string} name - Nouveau nom
+ * @returns {Promise<Object>} Détails du foyer
+ * @throws {Error} Si le nom est invalide ou si l'utilisateur n'est pas propriétaire
+ */
+async function renameHousehold(userId, name) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        throw new Error('Le nom du foyer est requis');
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+        throw new Error(`Le nom du foyer ne doit pas dépasser ${MAX_NAME_LENGTH} caractères`);
+    }
+
+    await updateHousehold(userId, household => {
+        assertOwner(household, userId);
+        household.name = name.trim();
+    });
+
+    return getHouseholdDetails(userId);
+}
+
+/**
+ * Crée une invitation à rejoindre le foyer
+ * Sans email, le code peut être utilisé par n'importe quel compte ; avec un
+ * email, seul le compte correspondant peut l'accepter (il la voit dans ses invitations).
+ * @async
+ * @param {string} userId - ID du propriétaire
+ * @param {Object} options - Options
+ * @param {string} [options.email] - Email de la personne invitée
+ * @param {string} [options.role='editor'] - Rôle attribué
+ * @returns {Promise<Object>} Invitation créée
+ * @throws {Error} Si les données sont invalides ou si le foyer est complet
+ */
+async function createInvite(userId, { email = null, role = 'editor' } = {}) {
+    validateRole(role);
+    if (email !== null && (typeof email !== 'string' || !EMAIL_REGEX.test(email.trim()))) {
+        throw new Error('Email invalide');
+    }
+
+    const normalizedEmail = email ? email.trim().toLowerCase() : null;
+
+    return updateHousehold(userId, async household => {
+        assertOwner(household, userId);
+        household.invites = (household.invites || []).filter(isInviteValid);
+
+        if (household.members.length + household.invites.length >= CONFIG.maxHouseholdMembers) {
+            throw householdError('CONFLICT', `Un foyer est limité à ${CONFIG.maxHouseholdMembers} membres`);
+        }
+
+        if (normalizedEmail) {
+            for (const member of household.members) {
+                const user = await usersManager.readUserData(member.userId);
+                if (user?.email === normalizedEmail) {
+                    throw householdError('CONFLICT', `${normalizedEmail} fait déjà partie du foyer`);
+                }
+            }
+        }
+
+        const now = new Date();
+        const invite = {
+            code: crypto.randomBytes(5).toString('hex').toUpperCase(),
+            email: normalizedEmail,
+            role,
+            createdBy: userId,
+            createdAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + CONFIG.householdInviteDays * 24 * 60 * 60 * 1000).toISOString()
+        };
+
+        household.invites.push(invite);
+        logger.info(`Invitation ${invite.code} créée pour le foyer ${household.id}`);
+        return invite;
+    });
+}
+
+/**
+ * Révoque une invitation
+ * @async
+ * @param {string} userId - ID du propriétaire
+ * @param {string} code - Code de l'invitation
+ * @returns {Promise<void>}
+ * @throws {Error} Si l'invitation n'existe pas
+ */
+async function revokeInvite(userId, code) {
+    await updateHousehold(userId, household => {
+        assertOwner(household, userId);
+        const invites = household.invites || [];
+
+        if (!invites.some(invite => invite.code === code)) {
+            throw householdError('NOT_FOUND', `L'invitation "${code}" n'existe pas`);
+        }
+
+        household.invites = invites.filter(invite => invite.code !== code);
+    });
+}
+
+/**
+ * Liste les invitations adressées à l'email d'un utilisateur
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Array<Object>>} Invitations {code, role, expiresAt, householdId, householdName}
+ */
+async function listInvitationsForUser(userId) {
+    const user = await usersManager.readUserData(userId);
+    if (!user) return [];
+
+    const invitations = [];
+    for (const household of await listAllHouseholds()) {
+        if (household.members.some(member => member.userId === userId)) continue;
+
+        for (const invite of household.invites || []) {
+            if (invite.email === user.email && isInviteValid(invite)) {
+                invitations.push({
+                    code: invite.code,
+                    role: invite.role,
+                    expiresAt: invite.expiresAt,
+                    householdId: household.id,
+                    householdName: household.name
+                });
+            }
+        }
+    }
+
+    return invitations;
+}
+
+/**
+ * Trouve le foyer d'une invitation valide
+ * @async
+ * @param {string} code - Code de l'invitation
+ * @returns {Promise<{household: Object, invite: Object}|null>} Foyer et invitation
+ */
+async function findInvite(code) {
+    const normalized = (code || '').trim().toUpperCase();
+    if (!normalized) return null;
+
+    for (const household of await listAllHouseholds()) {
+        const invite = (household.invites || []).find(i => i.code === normalized);
+        if (invite && isInviteValid(invite)) {
+            return { household, invite };
+        }
+    }
+    return null;
+}
+
+/**
+ * Retire un utilisateur de son foyer actuel
+ * Un foyer sans autre membre est supprimé avec ses données ; les connexions
+ * de synchronisation de l'utilisateur à ce foyer sont fermées.
+ * @async
+ * @param {Object} household - Foyer actuel
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<void>}
+ * @throws {Error} Si l'utilisateur est le dernier propriétaire d'un foyer partagé
+ */
+async function leaveHousehold(household, userId) {
+    ensureAnotherOwner(household, userId);
+
+    household.members = household.members.filter(member => member.userId !== userId);
+    syncManager.closeUserClients(household.id, userId);
+    if (household.members.length === 0) {
+        await store.households.remove(household.id);
+        logger.info(`Foyer ${household.id} supprimé (plus aucun membre)`);
+        return;
+    }
+    await writeHouseholdData(household);
+}
+
+/**
+ * Rejoint un foyer avec un code d'invitation
+ * L'utilisateur quitte son foyer actuel ; s'il en était le seul membre,
+ * les données de ce foyer sont supprimées.
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} code - Code de l'invitation
+ * @returns {Promise<Object>} Détails du nouveau foyer
+ * @throws {Error} Si le code est invalide ou réservé à un autre email
+ */
+async function joinHousehold(userId, code) {
+    const user = await usersManager.readUserData(userId);
+    if (!user) {
+        throw new Error('Utilisateur non trouvé');
+    }
+
+    // Invitation relue dans la transaction : déjà utilisée ou foyer modifié entre-temps
+    const { household, invite } = await store.transaction(async () => {
+        const found = await findInvite(code);
+        if (!found) {
+            throw householdError('NOT_FOUND', 'Invitation invalide ou expirée');
+        }
+
+        const { household, invite } = found;
+        if (invite.email && invite.email !== user.email) {
+            throw householdError('FORBIDDEN', 'Cette invitation est destinée à un autre compte');
+        }
+        if (household.members.some(member => member.userId === userId)) {
+            throw householdError('CONFLICT', 'Vous faites déjà partie de ce foyer');
+        }
+
+        const current = await getUserHousehold(userId);
+        await leaveHousehold(current, userId);
+
+        household.invites = household.invites.filter(i => i.code !== invite.code);
+        household.members.push({ userId, role: invite.role, joinedAt: new Date().toISOString() });
+        await writeHouseholdData(household);
+
+        const updatedUser = await usersManager.readUserData(userId);
+        updatedUser.householdId = household.id;
+        await usersManager.writeUserData(userId, updatedUser);
+        return found;
+    });
+    logger.info(`Utilisateur ${userId} a rejoint le foyer ${household.id} (${invite.role})`);
+
+    return getHouseholdDetails(userId);
+}
+
+/**
+ * Modifie le rôle d'un membre
+ * @async
+ * @param {string} userId - ID du propriétaire
+ * @param {string} memberId - ID du membre
+ * @param {string} role - Nouveau rôle
+ * @returns {Promise<Object>} Détails du foyer
+ * @throws {Error} Si le membre n'existe pas ou si le foyer perdrait son dernier propriétaire
+ */
+async function updateMemberRole(userId, memberId, role) {
+    validateRole(role);
+    await updateHousehold(userId, household => {
+        assertOwner(household, userId);
+
+        const member = household.members.find(m => m.userId === memberId);
+        if (!member) {
+            throw householdError('NOT_FOUND', `Le membre "${memberId}" n'existe pas`);
+        }
+        if (role !== 'owner') {
+            ensureAnotherOwner(household, memberId);
+        }
+
+        member.role = role;
+    });
+
+    return getHouseholdDetails(userId);
+}
+
+/**
+ * Retire un membre du foyer (ou quitte le foyer si memberId est l'utilisateur)
+ * Le membre retiré reçoit un nouveau foyer personnel vide.
+ * @async
+ * @param {string} userId - ID de l'utilisateur qui agit
+ * @param {string} memberId - ID du membre retiré
+ * @returns {Promise<void>}
+ * @throws {Error} Si l'utilisateur n'est pas propriétaire (sauf pour lui-même)
+ *   ou si le membre est le dernier propriétaire
+ */
+async function removeMember(userId, memberId) {
+    const household = await store.transaction(async () => {
+        const household = userId === memberId
+            ? await getUserHousehold(userId)
+            : await getOwnedHousehold(userId);
+
+        if (!household?.members.some(member => member.userId === memberId)) {
+            throw householdError('NOT_FOUND', `Le membre "${memberId}" n'existe pas`);
+        }
+        if (household.members.length === 1) {
+            throw householdError('CONFLICT', 'Vous êtes le seul membre de ce foyer');
+        }
+
+        await leaveHousehold(household, memberId);
+
+        const memberData = await usersManager.readUserData(memberId);
+        if (memberData) {
+            await createHouseholdForUser(memberData, createDefaultSharedData());
+        }
+        return household;
+    });
+    logger.info(`Utilisateur ${memberId} retiré du foyer ${household.id}`);
+}
+
+/**
+ * Retire un utilisateur de son foyer avant la suppression de son compte
+ * Un foyer dont il était le seul membre est supprimé avec ses données.
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<void>}
+ * @throws {Error} CONFLICT s'il est le dernier propriétaire d'un foyer partagé
+ */
+async function removeUserFromHousehold(userId) {
+    await store.transaction(async () => {
+        const userData = await usersManager.readUserData(userId);
+        if (!userData?.householdId) return;
+
+        const household = await readHousehold(userData.householdId);
+        if (household?.members.some(member => member.userId === userId)) {
+            await leaveHousehold(household, userId);
+        }
+    });
+}
+
+module.exports = {
+    migrateAllUsers,
+    listAllHouseholds,
+    readHouseholdData,
+    updateHousehold,
+    updateHouseholdById,
+    getUserRole,
+    getHouseholdDetails,
+    renameHousehold,
+    createInvite,
+    revokeInvite,
+    listInvitationsForUser,
+    joinHousehold,
+    updateMemberRole,
+    removeMember,
+    removeUserFromHousehold
+};
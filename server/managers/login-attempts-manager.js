@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Échecs de connexion par compte : délai croissant et verrouillage temporaire
+ * @module managers/login-attempts-manager
+ *
+ * Les échecs sont comptés par email (comptes existants ou non, pour ne pas
+ * révéler lesquels existent) et gardés en mémoire : un redémarrage du serveur
+ * les efface. Paramètres : CONFIG.loginProtection.
+ */
+
+const CONFIG = require('../../config');
+
+/**
+ * Échecs par email
+ * @type {Map<string, {count: number, lastFailureAt: number, blockedUntil: number}>}
+ */
+const attempts = new Map();
+
+/**
+ * Clé d'un compte
+ * @param {string} email - Email saisi
+ * @returns {string} Email normalisé
+ */
+function accountKey(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Oublie les échecs trop anciens
+ * @param {number} now - Horodatage courant
+ * @returns {void}
+ */
+function pruneExpired(now) {
+    const windowMs = CONFIG.loginProtection.attemptsWindowMinutes * 60 * 1000;
+    for (const [key, entry] of attempts) {
+        if (entry.lastFailureAt + windowMs <= now && entry.blockedUntil <= now) {
+            attempts.delete(key);
+        }
+    }
+}
+
+/**
+ * Indique si les tentatives sur un compte sont bloquées
+ * @param {string} email - Email saisi
+ * @returns {{retryAfter: number, locked: boolean}|null} Secondes à attendre, null si une tentative est permise
+ */
+function getBlock(email) {
+    const now = Date.now();
+    pruneExpired(now);
+
+    const entry = attempts.get(accountKey(email));
+    if (!entry || entry.blockedUntil <= now) {
+        return null;
+    }
+    return {
+        retryAfter: Math.ceil((entry.blockedUntil - now) / 1000),
+        locked: entry.count >= CONFIG.loginProtection.lockoutAttempts
+    };
+}
+
+/**
+ * Enregistre un échec de connexion
+ * Au-delà de freeAttempts échecs, la tentative suivante est retardée (délai
+ * doublé à chaque échec) ; à partir de lockoutAttempts, le compte est verrouillé.
+ * @param {string} email - Email saisi
+ * @returns {{count: number, retryAfter: number, locked: boolean}} Échecs comptés et délai imposé (secondes)
+ */
+function recordFailure(email) {
+    const { freeAttempts, maxDelaySeconds, lockoutAttempts, lockoutMinutes } = CONFIG.loginProtection;
+    const now = Date.now();
+    pruneExpired(now);
+
+    const key = accountKey(email);
+    const entry = attempts.get(key) || { count: 0, lastFailureAt: 0, blockedUntil: 0 };
+    entry.count += 1;
+    entry.lastFailureAt = now;
+
+    const locked = entry.count >= lockoutAttempts;
+    let delaySeconds = 0;
+    if (locked) {
+        delaySeconds = lockoutMinutes * 60;
+    } else if (entry.count >= freeAttempts) {
+        delaySeconds = Math.min(2 ** (entry.count - freeAttempts), maxDelaySeconds);
+    }
+    entry.blockedUntil = now + delaySeconds * 1000;
+    attempts.set(key, entry);
+
+    return { count: entry.count, retryAfter: delaySeconds, locked };
+}
+
+/**
+ * Efface les échecs d'un compte après une connexion réussie
+ * @param {string} email - Email du compte
+ * @returns {void}
+ */
+function recordSuccess(email) {
+    attempts.delete(accountKey(email));
+}
+
+module.exports = {
+    getBlock,
+    recordFailure,
+    recordSuccess
+};
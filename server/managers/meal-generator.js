@@ -1,9 +1,10 @@
 /**
- * @fileoverview Générateur automatique de repas basé sur les jours du mois
+ * @fileoverview Générateur automatique de repas basé sur des dates calendaires
  * @module managers/meal-generator
  */
 
 const CONFIG = require('../../config');
+const mealModel = require('./meal-model');
 const logger = require('../../logger');
 
 /**
@@ -13,17 +14,16 @@ class MealGenerator {
     // Constantes pour les jours de la semaine
     static DAYS_OF_WEEK = ['lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi', 'dimanche'];
 
+    // Probabilité de proposer une recette du livre plutôt qu'une combinaison d'ingrédients
+    static RECIPE_PROBABILITY = 0.5;
+
     /**
-     * Obtient le jour de la semaine pour un jour du mois (1-31)
-     * @param {number} dayOfMonth - Jour du mois (1-31)
+     * Obtient le jour de la semaine pour une date
+     * @param {string} dateKey - Date ISO (YYYY-MM-DD)
      * @returns {string} Jour de la semaine ('lundi', 'mardi', etc.)
      */
-    static getDayOfWeek(dayOfMonth) {
-        const today = new Date();
-        const currentMonth = today.getMonth();
-        const currentYear = today.getFullYear();
-
-        const date = new Date(currentYear, currentMonth, dayOfMonth);
+    static getDayOfWeek(dateKey) {
+        const date = CONFIG.parseISODate(dateKey);
         const dayIndex = date.getDay(); // 0 = dimanche, 1 = lundi, etc.
         
         // Conversion: dimanche (0) -> dimanche (6 en fin de semaine)
@@ -33,63 +33,74 @@ class MealGenerator {
     }
 
     /**
-     * Génère les repas pour une semaine (ensemble de jours)
+     * Indexe les articles du garde-manger bientôt périmés par nom
+     * @param {Array<Object>} [expiringItems=[]] - Articles {name, expiresAt} triés par date de péremption
+     * @returns {Map<string, string>} Date de péremption par nom d'ingrédient (en minuscules)
+     */
+    static createExpiringMap(expiringItems = []) {
+        const expiring = new Map();
+        for (const item of expiringItems) {
+            const key = item.name.trim().toLowerCase();
+            if (!expiring.has(key)) {
+                expiring.set(key, item.expiresAt);
+            }
+        }
+        return expiring;
+    }
+
+    /**
+     * Génère les repas pour une semaine (ensemble de dates)
+     * Les ingrédients bientôt périmés sont placés en priorité dans les premiers
+     * repas générés avant leur date de péremption (à partir d'aujourd'hui).
      * @param {Object} ingredients - Les préférences alimentaires
-     * @param {number} [weekNumber=1] - Numéro de la semaine (1-4)
-     * @param {Array<number>} [daysInWeek=null] - Liste des jours de cette semaine
-     * @returns {Object} Les repas générés par jour
+     * @param {number} [weekNumber=1] - Numéro de la semaine (1 = semaine courante)
+     * @param {Array<string>} [daysInWeek=null] - Dates ISO de cette semaine
+     * @param {Array<Object>} [recipes=[]] - Recettes du livre de recettes
+     * @param {Map<string, string>} [expiring=new Map()] - Ingrédients à écouler (consommés au fil de la génération)
+     * @param {Set<string>} [filledSlots=new Set()] - Repas déjà prévus à ne pas générer ('YYYY-MM-DD:midi')
+     * @returns {Object} Les repas générés par date
      */
-    static generateWeek(ingredients, weekNumber = 1, daysInWeek = null) {
+    static generateWeek(ingredients, weekNumber = 1, daysInWeek = null, recipes = [], expiring = new Map(), filledSlots = new Set()) {
         if (!daysInWeek) {
-            const totalDays = CONFIG.getDaysInCurrentMonth();
-            daysInWeek = [];
-            for (let day = 1; day <= totalDays; day++) {
-                daysInWeek.push(day);
-            }
+            daysInWeek = CONFIG.getWeekRanges(weekNumber)[weekNumber - 1].days;
         }
 
         const state = this.initializeState(ingredients);
         const mealsData = {};
         const generatedMeals = new Set();
+        const today = CONFIG.formatISODate(new Date());
 
         for (const day of daysInWeek) {
-            mealsData[day] = {
-                midi: '',
-                soir: ''
-            };
+            mealsData[day] = mealModel.createEmptyDay();
 
-            // Obtenir le jour de la semaine pour ce jour du mois
+            // Obtenir le jour de la semaine pour cette date
             const dayOfWeek = this.getDayOfWeek(day);
+            const dayExpiring = day >= today ? expiring : null;
 
-            // Générer le repas de midi
-            const midiCategories = this.getActiveCategories(ingredients, 'midi', dayOfWeek);
-            if (midiCategories.length > 0) {
-                let attempts = 0;
-                let midiMeal;
-                do {
-                    midiMeal = this.generateMeal(state, midiCategories, 'midi');
-                    attempts++;
-                } while (generatedMeals.has(midiMeal) && attempts < 10);
+            for (const mealType of ['midi', 'soir']) {
+                if (filledSlots.has(`${day}:${mealType}`)) continue;
+
+                const categories = this.getActiveCategories(ingredients, mealType, dayOfWeek);
+                const recipe = this.pickRecipe(recipes, mealType, generatedMeals, categories.length === 0, dayExpiring, day);
 
-                if (!generatedMeals.has(midiMeal)) {
-                    mealsData[day].midi = midiMeal;
-                    generatedMeals.add(midiMeal);
+                if (recipe) {
+                    mealsData[day][mealType] = mealModel.mealFromRecipe(recipe);
+                    generatedMeals.add(recipe.name);
+                    continue;
                 }
-            }
 
-            // Générer le repas du soir
-            const soirCategories = this.getActiveCategories(ingredients, 'soir', dayOfWeek);
-            if (soirCategories.length > 0) {
+                if (categories.length === 0) continue;
+
                 let attempts = 0;
-                let soirMeal;
+                let meal;
                 do {
-                    soirMeal = this.generateMeal(state, soirCategories, 'soir');
+                    meal = this.generateMeal(state, categories, mealType, day, dayExpiring);
                     attempts++;
-                } while (generatedMeals.has(soirMeal) && attempts < 10);
+                } while (generatedMeals.has(meal.title) && attempts < 10);
 
-                if (!generatedMeals.has(soirMeal)) {
-                    mealsData[day].soir = soirMeal;
-                    generatedMeals.add(soirMeal);
+                if (!generatedMeals.has(meal.title)) {
+                    mealsData[day][mealType] = meal;
+                    generatedMeals.add(meal.title);
                 }
             }
         }
@@ -97,6 +108,50 @@ class MealGenerator {
         return mealsData;
     }
 
+    /**
+     * Choisit éventuellement une recette du livre pour un repas
+     * Une recette taguée "midi" ou "soir" n'est proposée que pour ce repas.
+     * Une recette qui utilise un ingrédient bientôt périmé est choisie en priorité.
+     * @param {Array<Object>} recipes - Recettes disponibles
+     * @param {string} mealType - 'midi' ou 'soir'
+     * @param {Set<string>} usedTitles - Titres déjà utilisés
+     * @param {boolean} [force=false] - Ignorer la probabilité (aucun ingrédient disponible)
+     * @param {Map<string, string>|null} [expiring=null] - Ingrédients à écouler (ceux de la recette choisie sont retirés)
+     * @param {string|null} [day=null] - Date ISO du repas (les ingrédients périmés à cette date sont ignorés)
+     * @returns {Object|null} Recette choisie ou null
+     */
+    static pickRecipe(recipes, mealType, usedTitles, force = false, expiring = null, day = null) {
+        if (!recipes || recipes.length === 0) return null;
+
+        const otherType = mealType === 'midi' ? 'soir' : 'midi';
+        const candidates = recipes.filter(recipe => {
+            const tags = recipe.tags || [];
+            const onlyOther = tags.includes(otherType) && !tags.includes(mealType);
+            return !onlyOther
+                && !usedTitles.has(recipe.name)
+                && !usedTitles.has(recipe.name.toLowerCase());
+        });
+
+        if (candidates.length === 0) return null;
+
+        if (expiring && expiring.size > 0) {
+            const isExpiring = ({ name }) => {
+                const expiresAt = expiring.get(name.trim().toLowerCase());
+                return Boolean(expiresAt) && (!day || day <= expiresAt);
+            };
+            const priority = candidates.filter(recipe => (recipe.ingredients || []).some(isExpiring));
+
+            if (priority.length > 0) {
+                const recipe = priority[Math.floor(Math.random() * priority.length)];
+                recipe.ingredients.forEach(({ name }) => expiring.delete(name.trim().toLowerCase()));
+                return recipe;
+            }
+        }
+
+        if (!force && Math.random() >= this.RECIPE_PROBABILITY) return null;
+        return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+
     /**
      * Initialise l'état de rotation pour chaque catégorie
      * @param {Object} ingredients - Les ingrédients
@@ -148,27 +203,64 @@ class MealGenerator {
     }
 
     /**
-     * Génère un repas à partir des catégories
+     * Génère un repas structuré à partir des catégories
      * @param {Object} state - État de rotation
      * @param {Array<string>} categories - Catégories à utiliser
      * @param {string} mealType - Type de repas
-     * @returns {string} Le repas généré
+     * @param {string|null} [day=null] - Date ISO du repas
+     * @param {Map<string, string>|null} [expiring=null] - Ingrédients à écouler en priorité
+     * @returns {Object} Le repas généré (vide si aucun ingrédient)
      */
-    static generateMeal(state, categories, mealType) {
+    static generateMeal(state, categories, mealType, day = null, expiring = null) {
         const ingredients = [];
 
         for (const category of categories) {
-            const ingredient = this.getNextIngredient(state, category);
+            const ingredient = this.getExpiringIngredient(state, category, expiring, day)
+                || this.getNextIngredient(state, category);
             if (ingredient) {
                 ingredients.push(ingredient);
             }
         }
 
         if (ingredients.length === 0) {
-            return '';
+            return mealModel.createEmptyMeal();
+        }
+
+        return {
+            ...mealModel.createEmptyMeal(),
+            title: this.formatMeal(ingredients),
+            items: ingredients.map(name => ({ name }))
+        };
+    }
+
+    /**
+     * Récupère l'ingrédient d'une catégorie qui périme le plus tôt
+     * L'ingrédient est retiré des ingrédients à écouler et marqué comme utilisé.
+     * @param {Object} state - État de rotation
+     * @param {string} category - Catégorie
+     * @param {Map<string, string>|null} expiring - Ingrédients à écouler
+     * @param {string|null} day - Date ISO du repas (les ingrédients périmés à cette date sont ignorés)
+     * @returns {string|null} Ingrédient ou null
+     */
+    static getExpiringIngredient(state, category, expiring, day) {
+        const rotation = state.rotations[category];
+        if (!rotation || !expiring || expiring.size === 0) {
+            return null;
         }
 
-        return this.formatMeal(ingredients);
+        let best = null;
+        for (const item of rotation.items) {
+            const expiresAt = expiring.get(item.trim().toLowerCase());
+            if (!expiresAt || (day && day > expiresAt)) continue;
+            if (!best || expiresAt < best.expiresAt) {
+                best = { item, expiresAt };
+            }
+        }
+        if (!best) return null;
+
+        expiring.delete(best.item.trim().toLowerCase());
+        state.used[category].add(best.item);
+        return best.item;
     }
 
     /**
@@ -206,9 +298,9 @@ class MealGenerator {
     }
 
     /**
-     * Formate un repas à partir d'une liste d'ingrédients
+     * Formate le titre d'un repas à partir d'une liste d'ingrédients
      * @param {Array<string>} ingredients - Liste d'ingrédients
-     * @returns {string} Repas formaté
+     * @returns {string} Titre du repas
      */
     static formatMeal(ingredients) {
         if (ingredients.length === 0) return '';
@@ -235,60 +327,31 @@ class MealGenerator {
     }
 
     /**
-     * Calcule les plages de jours pour chaque semaine
-     * @param {number} totalDays - Nombre total de jours dans le mois
-     * @param {number} numberOfWeeks - Nombre de semaines
-     * @returns {Array<Object>} Plages de jours pour chaque semaine
-     */
-    static calculateWeekRanges(totalDays, numberOfWeeks) {
-        const ranges = [];
-        const baseDaysPerWeek = Math.floor(totalDays / numberOfWeeks);
-        const extraDays = totalDays % numberOfWeeks;
-
-        let currentDay = 1;
-
-        for (let week = 1; week <= numberOfWeeks; week++) {
-            const daysInThisWeek = baseDaysPerWeek + (week <= extraDays ? 1 : 0);
-            const startDay = currentDay;
-            const endDay = currentDay + daysInThisWeek - 1;
-
-            const days = [];
-            for (let day = startDay; day <= endDay; day++) {
-                days.push(day);
-            }
-
-            ranges.push({
-                weekNumber: week,
-                startDay,
-                endDay,
-                days
-            });
-
-            currentDay = endDay + 1;
-        }
-
-        return ranges;
-    }
-
-    /**
-     * Génère tous les repas pour toutes les semaines
+     * Génère tous les repas pour les semaines à venir
      * @param {Object} ingredients - Les préférences alimentaires
-     * @returns {Object} Tous les repas générés
+     * @param {number} [numberOfWeeks=CONFIG.maxWeeks] - Nombre de semaines à générer
+     * @param {Array<Object>} [recipes=[]] - Recettes du livre de recettes
+     * @param {Array<Object>} [expiringItems=[]] - Articles du garde-manger bientôt périmés
+     * @param {Set<string>} [filledSlots=new Set()] - Repas déjà prévus à ne pas générer ('YYYY-MM-DD:midi')
+     * @returns {Object} Tous les repas générés par date
      */
-    static generateAllWeeks(ingredients) {
-        const weeks = {};
-        const totalDays = CONFIG.getDaysInCurrentMonth();
-        const weekRanges = this.calculateWeekRanges(totalDays, 4);
+    static generateAllWeeks(ingredients, numberOfWeeks = CONFIG.maxWeeks, recipes = [], expiringItems = [], filledSlots = new Set()) {
+        const days = {};
+        const weekRanges = CONFIG.getWeekRanges(numberOfWeeks);
+        const expiring = this.createExpiringMap(expiringItems);
 
         for (const range of weekRanges) {
-            weeks[`week${range.weekNumber}`] = this.generateWeek(
+            Object.assign(days, this.generateWeek(
                 ingredients,
                 range.weekNumber,
-                range.days
-            );
+                range.days,
+                recipes,
+                expiring,
+                filledSlots
+            ));
         }
 
-        return weeks;
+        return days;
     }
 
     /**
@@ -312,29 +375,37 @@ class MealGenerator {
      * Génère une suggestion pour un seul repas
      * @param {Object} ingredients - Les préférences alimentaires
      * @param {string} mealType - 'midi' ou 'soir'
+     * @param {Set<string>} [usedMeals=new Set()] - Titres des repas déjà utilisés (en minuscules)
      * @param {string} [dayOfWeek=null] - Jour de la semaine (optionnel)
-     * @param {Set<string>} [usedMeals=new Set()] - Repas déjà utilisés
-     * @returns {string} Suggestion de repas
+     * @param {Array<Object>} [recipes=[]] - Recettes du livre de recettes
+     * @param {Array<Object>} [expiringItems=[]] - Articles du garde-manger bientôt périmés
+     * @returns {Object|null} Suggestion de repas structurée ou null
      */
-    static generateSingleMeal(ingredients, mealType, usedMeals = new Set(), dayOfWeek = null ) {
+    static generateSingleMeal(ingredients, mealType, usedMeals = new Set(), dayOfWeek = null, recipes = [], expiringItems = []) {
         const state = this.initializeState(ingredients);
+        const expiring = this.createExpiringMap(expiringItems);
         
         // Si pas de jour spécifié, considérer tous les jours actifs
         const categories = dayOfWeek 
             ? this.getActiveCategories(ingredients, mealType, dayOfWeek)
             : this.getActiveCategoriesAnyDay(ingredients, mealType);
 
+        const recipe = this.pickRecipe(recipes, mealType, usedMeals, categories.length === 0, expiring);
+        if (recipe) {
+            return mealModel.mealFromRecipe(recipe);
+        }
+
         if (categories.length === 0) {
-            return '';
+            return null;
         }
 
         let attempts = 0;
         let meal;
 
         do {
-            meal = this.generateMeal(state, categories, mealType);
+            meal = this.generateMeal(state, categories, mealType, null, expiring);
             attempts++;
-        } while (usedMeals.has(meal) && attempts < 20);
+        } while (usedMeals.has(meal.title.toLowerCase()) && attempts < 20);
 
         return meal;
     }
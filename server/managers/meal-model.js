@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Modèle de repas structuré et conversion depuis l'ancien format texte
+ * @module managers/meal-model
+ *
+ * Un repas est un objet :
+ * { title: string, items: [{ name: string, recipeId?: string }], notes: string, servings: number|null }
+ * Un élément avec `recipeId` fait référence à une recette du livre de recettes.
+ */
+
+/** @type {number} Nombre maximum de portions pour un repas */
+const MAX_SERVINGS = 50;
+
+/**
+ * Crée un repas vide
+ * @returns {Object} Repas vide
+ */
+function createEmptyMeal() {
+    return { title: '', items: [], notes: '', servings: null };
+}
+
+/**
+ * Crée un jour vide (repas de midi et du soir)
+ * @returns {Object} Objet {midi, soir}
+ */
+function createEmptyDay() {
+    return { midi: createEmptyMeal(), soir: createEmptyMeal() };
+}
+
+/**
+ * Découpe un texte libre en ingrédients (séparateurs ",", "et", "avec")
+ * @param {string} text - Texte du repas
+ * @returns {Array<string>} Noms des ingrédients
+ */
+function splitMealText(text) {
+    return text
+        .replace(/\s+et\s+/gi, ',')
+        .replace(/\s+avec\s+/gi, ',')
+        .split(',')
+        .map(item => item.trim())
+        .filter(item => item.length > 0);
+}
+
+/**
+ * Convertit un repas texte (ancien format) en repas structuré
+ * @param {string} text - Texte du repas
+ * @returns {Object} Repas structuré
+ */
+function mealFromText(text) {
+    const title = (text || '').trim();
+    if (!title) return createEmptyMeal();
+
+    return {
+        ...createEmptyMeal(),
+        title,
+        items: splitMealText(title).map(name => ({ name }))
+    };
+}
+
+/**
+ * Crée un repas structuré à partir d'une recette du livre de recettes
+ * @param {Object} recipe - Recette {id, name, servings}
+ * @returns {Object} Repas dont l'unique élément référence la recette
+ */
+function mealFromRecipe(recipe) {
+    return {
+        ...createEmptyMeal(),
+        title: recipe.name,
+        items: [{ name: recipe.name, recipeId: recipe.id }],
+        servings: recipe.servings || null
+    };
+}
+
+/**
+ * Normalise un repas (texte ou objet) en repas structuré valide
+ * @param {string|Object|null|undefined} meal - Repas à normaliser
+ * @returns {Object} Repas structuré
+ * @throws {Error} Si le format est invalide
+ */
+function normalizeMeal(meal) {
+    if (meal === null || typeof meal === 'undefined') {
+        return createEmptyMeal();
+    }
+
+    if (typeof meal === 'string') {
+        return mealFromText(meal);
+    }
+
+    if (typeof meal !== 'object' || Array.isArray(meal)) {
+        throw new Error('Format de repas invalide');
+    }
+
+    const items = Array.isArray(meal.items) ? meal.items : [];
+    const normalizedItems = items
+        .map(item => (typeof item === 'string' ? { name: item } : item))
+        .filter(item => item && typeof item.name === 'string' && item.name.trim())
+        .map(item => ({
+            name: item.name.trim(),
+            ...(item.recipeId ? { recipeId: String(item.recipeId) } : {})
+        }));
+
+    let servings = null;
+    if (meal.servings !== null && typeof meal.servings !== 'undefined' && meal.servings !== '') {
+        servings = parseInt(meal.servings);
+        if (isNaN(servings) || servings < 1 || servings > MAX_SERVINGS) {
+            throw new Error(`Le nombre de portions doit être entre 1 et ${MAX_SERVINGS}`);
+        }
+    }
+
+    return {
+        title: typeof meal.title === 'string' ? meal.title.trim() : '',
+        items: normalizedItems,
+        notes: typeof meal.notes === 'string' ? meal.notes.trim() : '',
+        servings
+    };
+}
+
+/**
+ * Normalise un jour complet
+ * @param {Object} day - Jour {midi, soir}
+ * @returns {Object} Jour normalisé
+ */
+function normalizeDay(day) {
+    return {
+        midi: normalizeMeal(day?.midi),
+        soir: normalizeMeal(day?.soir)
+    };
+}
+
+/**
+ * Vérifie si un repas est vide
+ * @param {string|Object} meal - Repas
+ * @returns {boolean} True si aucun titre, ingrédient ni note
+ */
+function isEmptyMeal(meal) {
+    if (!meal) return true;
+    if (typeof meal === 'string') return meal.trim() === '';
+    return !meal.title && (!meal.items || meal.items.length === 0) && !meal.notes;
+}
+
+/**
+ * Représentation texte d'un repas (titre, sinon liste des ingrédients)
+ * @param {string|Object} meal - Repas
+ * @returns {string} Texte du repas
+ */
+function mealToText(meal) {
+    if (!meal) return '';
+    if (typeof meal === 'string') return meal.trim();
+    if (meal.title) return meal.title;
+    return (meal.items || []).map(item => item.name).join(', ');
+}
+
+/**
+ * Vérifie si un jour contient encore des repas au format texte
+ * @param {Object} day - Jour {midi, soir}
+ * @returns {boolean} True si au moins un repas est une chaîne
+ */
+function hasLegacyMeals(day) {
+    return typeof day?.midi === 'string' || typeof day?.soir === 'string';
+}
+
+module.exports = {
+    MAX_SERVINGS,
+    createEmptyMeal,
+    createEmptyDay,
+    splitMealText,
+    mealFromText,
+    mealFromRecipe,
+    normalizeMeal,
+    normalizeDay,
+    isEmptyMeal,
+    mealToText,
+    hasLegacyMeals
+};
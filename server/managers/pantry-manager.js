@@ -0,0 +1,330 @@
+/**
+ * @fileoverview Gestion du garde-manger (stock d'ingrédients à la maison)
+ * @module managers/pantry-manager
+ *
+ * Un article du garde-manger est un objet :
+ * {
+ *   id, name, quantity: number|null, unit: string,
+ *   expiresAt: 'YYYY-MM-DD'|null, createdAt, updatedAt
+ * }
+ * Une quantité null signifie "en stock, quantité non suivie" (sel, huile...).
+ */
+
+const usersManager = require('./users-manager');
+const householdsManager = require('./households-manager');
+const units = require('./units');
+const CONFIG = require('../../config');
+const logger = require('../../logger');
+
+/** @type {number} Longueur maximale d'un nom d'article */
+const MAX_NAME_LENGTH = 100;
+
+/** @type {number} Quantité maximale d'un article */
+const MAX_QUANTITY = 100000;
+
+/**
+ * Crée une erreur "ressource introuvable"
+ * @param {string} itemId - ID de l'article
+ * @returns {Error} Erreur avec le code NOT_FOUND
+ */
+function notFoundError(itemId) {
+    const error = new Error(`L'article "${itemId}" n'existe pas dans le garde-manger`);
+    error.error = 'NOT_FOUND';
+    return error;
+}
+
+/**
+ * Crée la clé de rapprochement d'un article avec les ingrédients des repas
+ * @param {string} name - Nom de l'article
+ * @returns {string} Identifiant d'ingrédient ("ing:<nom en minuscules>")
+ */
+function getIngredientId(name) {
+    return `ing:${name.trim().toLowerCase()}`;
+}
+
+/**
+ * Valide et normalise les données d'un article
+ * Sans quantité explicite, le nom peut la contenir ("500 g riz").
+ * @param {Object} data - Données envoyées par le client
+ * @returns {Object} Champs normalisés {name, quantity, unit, expiresAt}
+ * @throws {Error} Si les données sont invalides
+ */
+function validatePantryItem(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Format d\'article invalide');
+    }
+
+    const { name, quantity = null, unit = '', expiresAt = null } = data;
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        throw new Error('Le nom de l\'article est requis');
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+        throw new Error(`Le nom de l'article ne doit pas dépasser ${MAX_NAME_LENGTH} caractères`);
+    }
+
+    let fields = units.parseQuantity(name);
+    if (quantity !== null && quantity !== '') {
+        const parsed = Number(quantity);
+        if (!Number.isFinite(parsed) || parsed < 0 || parsed > MAX_QUANTITY) {
+            throw new Error(`La quantité doit être un nombre entre 0 et ${MAX_QUANTITY}`);
+        }
+        const normalizedUnit = units.normalizeUnit(unit);
+        if (normalizedUnit === null) {
+            throw new Error(`Unité inconnue : "${unit}"`);
+        }
+        fields = { name: name.trim(), quantity: parsed, unit: normalizedUnit };
+    }
+
+    if (expiresAt !== null && expiresAt !== '' && CONFIG.parseISODate(expiresAt) === null) {
+        throw new Error('La date de péremption doit être au format YYYY-MM-DD');
+    }
+
+    return { ...fields, expiresAt: expiresAt || null };
+}
+
+/**
+ * Lit les données du foyer de l'utilisateur en s'assurant que le garde-manger existe
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Object>} Foyer
+ * @throws {Error} Si l'utilisateur n'existe pas
+ */
+async function readHouseholdWithPantry(userId) {
+    const household = await householdsManager.readHouseholdData(userId);
+    if (!household) {
+        throw new Error('Utilisateur non trouvé');
+    }
+    if (!Array.isArray(household.pantry)) {
+        household.pantry = [];
+    }
+    return household;
+}
+
+/**
+ * Modifie le garde-manger du foyer de l'utilisateur (voir householdsManager.updateHousehold)
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Function} update - Reçoit le foyer, dont le garde-manger existe
+ * @returns {Promise<*>} Valeur retournée par update
+ * @throws {Error} Si l'utilisateur n'existe pas
+ */
+function updateHouseholdPantry(userId, update) {
+    return householdsManager.updateHousehold(userId, household => {
+        if (!Array.isArray(household.pantry)) {
+            household.pantry = [];
+        }
+        return update(household);
+    });
+}
+
+/**
+ * Trie les articles : d'abord ceux qui périment le plus tôt, puis par nom
+ * @param {Object} a - Article
+ * @param {Object} b - Article
+ * @returns {number} Ordre de tri
+ */
+function compareItems(a, b) {
+    if (a.expiresAt !== b.expiresAt) {
+        if (!a.expiresAt) return 1;
+        if (!b.expiresAt) return -1;
+        return a.expiresAt.localeCompare(b.expiresAt);
+    }
+    return a.name.localeCompare(b.name, 'fr', { sensitivity: 'base' });
+}
+
+/**
+ * Liste les articles du garde-manger
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Array<Object>>} Articles triés par date de péremption puis par nom
+ */
+async function listPantry(userId) {
+    const { pantry } = await readHouseholdWithPantry(userId);
+    return [...pantry].sort(compareItems);
+}
+
+/**
+ * Fusionne un article dans le garde-manger
+ * Un article du même nom et de la même dimension (masse, volume...) voit sa
+ * quantité augmentée ; la date de péremption la plus proche est conservée.
+ * @param {Array<Object>} pantry - Articles (modifié en place)
+ * @param {Object} fields - Champs normalisés {name, quantity, unit, expiresAt}
+ * @param {string} now - Date ISO de l'opération
+ * @returns {Object} Article créé ou mis à jour
+ */
+function mergeItem(pantry, fields, now) {
+    const id = getIngredientId(fields.name);
+    const base = fields.quantity === null ? null : units.toBase(fields.quantity, fields.unit);
+
+    const existing = pantry.find(item => {
+        if (getIngredientId(item.name) !== id) return false;
+        if (item.quantity === null || base === null) return item.quantity === null && base === null;
+        return units.toBase(item.quantity, item.unit)?.dimension === base.dimension;
+    });
+
+    if (!existing) {
+        const item = { id: usersManager.generateId(), ...fields, createdAt: now, updatedAt: now };
+        pantry.push(item);
+        return item;
+    }
+
+    if (base !== null) {
+        if (units.normalizeUnit(existing.unit) === units.normalizeUnit(fields.unit)) {
+            existing.quantity = Math.round((existing.quantity + fields.quantity) * 100) / 100;
+        } else {
+            const total = units.toBase(existing.quantity, existing.unit).amount + base.amount;
+            Object.assign(existing, units.fromBase(base.dimension, total));
+        }
+    }
+    if (fields.expiresAt && (!existing.expiresAt || fields.expiresAt < existing.expiresAt)) {
+        existing.expiresAt = fields.expiresAt;
+    }
+    existing.updatedAt = now;
+    return existing;
+}
+
+/**
+ * Ajoute un article au garde-manger (fusionné avec un article identique)
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Object} data - Article {name, quantity?, unit?, expiresAt?}
+ * @returns {Promise<Object>} Article créé ou mis à jour
+ * @throws {Error} Si les données sont invalides ou si le garde-manger est plein
+ */
+async function addPantryItem(userId, data) {
+    const [item] = await addPantryItems(userId, [data]);
+    return item;
+}
+
+/**
+ * Ajoute plusieurs articles au garde-manger en une seule écriture
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Array<Object>} entries - Articles {name, quantity?, unit?, expiresAt?}
+ * @returns {Promise<Array<Object>>} Articles créés ou mis à jour
+ * @throws {Error} Si les données sont invalides ou si le garde-manger est plein
+ */
+async function addPantryItems(userId, entries) {
+    const fieldsList = entries.map(validatePantryItem);
+    const now = new Date().toISOString();
+
+    const items = await updateHouseholdPantry(userId, household => {
+        const merged = fieldsList.map(fields => mergeItem(household.pantry, fields, now));
+        if (household.pantry.length > CONFIG.maxPantryItems) {
+            throw new Error(`Le garde-manger est limité à ${CONFIG.maxPantryItems} articles`);
+        }
+        return merged;
+    });
+    logger.info(`${items.length} article(s) ajouté(s) au garde-manger pour user ${userId}`);
+
+    return items;
+}
+
+/**
+ * Met à jour un article du garde-manger
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} itemId - ID de l'article
+ * @param {Object} data - Nouvelles données (article complet)
+ * @returns {Promise<Object>} Article mis à jour
+ * @throws {Error} Si l'article n'existe pas ou si les données sont invalides
+ */
+async function updatePantryItem(userId, itemId, data) {
+    const fields = validatePantryItem(data);
+
+    return updateHouseholdPantry(userId, household => {
+        const index = household.pantry.findIndex(item => item.id === itemId);
+        if (index === -1) {
+            throw notFoundError(itemId);
+        }
+
+        const item = { ...household.pantry[index], ...fields, updatedAt: new Date().toISOString() };
+        household.pantry[index] = item;
+        return item;
+    });
+}
+
+/**
+ * Supprime un article du garde-manger
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} itemId - ID de l'article
+ * @returns {Promise<void>}
+ * @throws {Error} Si l'article n'existe pas
+ */
+async function deletePantryItem(userId, itemId) {
+    const item = await updateHouseholdPantry(userId, household => {
+        const removed = household.pantry.find(i => i.id === itemId);
+        if (!removed) {
+            throw notFoundError(itemId);
+        }
+
+        household.pantry = household.pantry.filter(i => i.id !== itemId);
+        return removed;
+    });
+    logger.info(`Article retiré du garde-manger : "${item.name}" pour user ${userId}`);
+}
+
+/**
+ * Calcule le stock disponible par ingrédient
+ * @param {Array<Object>} pantry - Articles du garde-manger
+ * @returns {Map<string, {totals: Object<string, number>, untracked: boolean}>} Stock par identifiant
+ *   d'ingrédient (untracked = au moins un article sans quantité suivie)
+ */
+function getStockByIngredient(pantry) {
+    const stock = new Map();
+
+    for (const item of pantry) {
+        const id = getIngredientId(item.name);
+        if (!stock.has(id)) {
+            stock.set(id, { totals: {}, untracked: false });
+        }
+
+        const entry = stock.get(id);
+        if (item.quantity === null || !units.addTo(entry.totals, item.quantity, item.unit)) {
+            entry.untracked = true;
+        }
+    }
+
+    return stock;
+}
+
+/**
+ * Sélectionne les articles qui périment dans les prochains jours (hors articles déjà périmés)
+ * @param {Array<Object>} pantry - Articles du garde-manger
+ * @param {number} withinDays - Nombre de jours à venir
+ * @param {Date} [date=new Date()] - Date de référence
+ * @returns {Array<Object>} Articles triés par date de péremption
+ */
+function getExpiringItems(pantry, withinDays, date = new Date()) {
+    const today = CONFIG.formatISODate(date);
+    const limit = CONFIG.formatISODate(CONFIG.addDays(date, withinDays));
+
+    return pantry
+        .filter(item => item.expiresAt && item.expiresAt >= today && item.expiresAt <= limit)
+        .sort(compareItems);
+}
+
+/**
+ * Liste les articles d'un utilisateur qui périment dans les prochains jours
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {number} withinDays - Nombre de jours à venir
+ * @returns {Promise<Array<Object>>} Articles triés par date de péremption
+ */
+async function listExpiringItems(userId, withinDays) {
+    const { pantry } = await readHouseholdWithPantry(userId);
+    return getExpiringItems(pantry, withinDays);
+}
+
+module.exports = {
+    validatePantryItem,
+    listPantry,
+    addPantryItem,
+    addPantryItems,
+    updatePantryItem,
+    deletePantryItem,
+    getStockByIngredient,
+    getExpiringItems,
+    listExpiringItems
+};
@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Passkeys (WebAuthn) : enregistrement et connexion sans mot de passe
+ * @module managers/passkeys-manager
+ *
+ * Les passkeys sont stockées avec l'utilisateur (user.passkeys, à côté de
+ * devices) : {id, publicKey, counter, transports, deviceType, backedUp, name,
+ * createdAt, lastUsedAt}. Identifiant et clé publique sont encodés en base64url.
+ *
+ * Les passkeys sont découvrables : à la connexion, le navigateur propose celles
+ * du domaine et renvoie l'ID de l'utilisateur (userHandle), sans saisie d'email.
+ */
+
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { isoBase64URL, isoUint8Array } = require('@simplewebauthn/server/helpers');
+const CONFIG = require('../../config');
+const store = require('../storage').getStore();
+const usersManager = require('./users-manager');
+const logger = require('../../logger');
+
+/** @type {number} Nombre maximum de passkeys par utilisateur */
+const MAX_PASSKEYS = 10;
+/** @type {number} Longueur maximale du nom d'une passkey */
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Crée une erreur de passkey avec un code
+ * @param {string} code - Code ('NOT_FOUND', 'CONFLICT' ou 'INVALID_PASSKEY')
+ * @param {string} message - Message
+ * @returns {Error} Erreur avec le code
+ */
+function passkeyError(code, message) {
+    const error = new Error(message);
+    error.error = code;
+    return error;
+}
+
+/**
+ * Informations d'une passkey renvoyées au client (sans la clé publique)
+ * @param {Object} passkey - Passkey stockée
+ * @returns {Object} Passkey publique
+ */
+function toPublicPasskey({ id, name, deviceType, backedUp, createdAt, lastUsedAt }) {
+    return { id, name, deviceType, backedUp, createdAt, lastUsedAt: lastUsedAt || null };
+}
+
+/**
+ * Liste les passkeys d'un utilisateur
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Array<Object>>} Passkeys (sans clé publique)
+ * @throws {Error} NOT_FOUND si l'utilisateur n'existe pas
+ */
+async function listPasskeys(userId) {
+    const userData = await usersManager.readUserData(userId);
+    if (!userData) {
+        throw passkeyError('NOT_FOUND', 'Utilisateur non trouvé');
+    }
+    return (userData.passkeys || []).map(toPublicPasskey);
+}
+
+/**
+ * Prépare l'enregistrement d'une passkey
+ * Le challenge des options est à garder en session jusqu'à verifyRegistration.
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} currentPassword - Mot de passe actuel
+ * @returns {Promise<Object>} Options pour navigator.credentials.create()
+ * @throws {Error} FORBIDDEN si le mot de passe est incorrect, CONFLICT si le nombre maximum est atteint
+ */
+async function createRegistrationOptions(userId, currentPassword) {
+    const userData = await usersManager.reauthenticate(userId, currentPassword);
+    const passkeys = userData.passkeys || [];
+    if (passkeys.length >= MAX_PASSKEYS) {
+        throw passkeyError('CONFLICT', `Nombre maximum de passkeys atteint (${MAX_PASSKEYS})`);
+    }
+
+    return generateRegistrationOptions({
+        rpName: CONFIG.appName,
+        rpID: CONFIG.webauthn.rpID,
+        userID: isoUint8Array.fromUTF8String(userData.id),
+        userName: userData.email,
+        userDisplayName: `${userData.firstname} ${userData.lastname}`.trim() || userData.email,
+        attestationType: 'none',
+        // Un même appareil n'est pas enregistré deux fois
+        excludeCredentials: passkeys.map(passkey => ({ id: passkey.id, transports: passkey.transports })),
+        authenticatorSelection: {
+            residentKey: 'required',
+            userVerification: 'preferred'
+        }
+    });
+}
+
+/**
+ * Vérifie la réponse du navigateur et enregistre la passkey
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Object} response - Réponse de navigator.credentials.create() (encodée en JSON)
+ * @param {string} expectedChallenge - Challenge des options envoyées
+ * @param {string} [name] - Nom choisi par l'utilisateur
+ * @returns {Promise<Object>} Passkey enregistrée (sans clé publique)
+ * @throws {Error} INVALID_PASSKEY si la réponse est invalide, CONFLICT si la passkey est déjà enregistrée
+ */
+async function verifyRegistration(userId, response, expectedChallenge, name) {
+    let verification;
+    try {
+        verification = await verifyRegistrationResponse({
+            response,
+            expectedChallenge,
+            expectedOrigin: CONFIG.webauthn.origin,
+            expectedRPID: CONFIG.webauthn.rpID
+        });
+    } catch (error) {
+        logger.warn(`Enregistrement de passkey refusé pour l'utilisateur ${userId}: ${error.message}`);
+        throw passkeyError('INVALID_PASSKEY', 'Passkey refusée, veuillez réessayer');
+    }
+    if (!verification.verified) {
+        throw passkeyError('INVALID_PASSKEY', 'Passkey refusée, veuillez réessayer');
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+    return store.transaction(async () => {
+        const userData = await usersManager.readUserData(userId);
+        if (!userData) {
+            throw passkeyError('NOT_FOUND', 'Utilisateur non trouvé');
+        }
+
+        userData.passkeys = userData.passkeys || [];
+        if (userData.passkeys.some(passkey => passkey.id === credential.id)) {
+            throw passkeyError('CONFLICT', 'Cette passkey est déjà enregistrée');
+        }
+
+        const passkey = {
+            id: credential.id,
+            publicKey: isoBase64URL.fromBuffer(credential.publicKey),
+            counter: credential.counter,
+            transports: credential.transports || [],
+            deviceType: credentialDeviceType,
+            backedUp: credentialBackedUp,
+            name: (name || '').trim().slice(0, MAX_NAME_LENGTH) || `Passkey ${userData.passkeys.length + 1}`,
+            createdAt: new Date().toISOString()
+        };
+        userData.passkeys.push(passkey);
+        await usersManager.writeUserData(userId, userData);
+        logger.info(`Passkey enregistrée pour l'utilisateur ${userId}`);
+
+        return toPublicPasskey(passkey);
+    });
+}
+
+/**
+ * Prépare une connexion par passkey
+ * Le challenge des options est à garder en session jusqu'à verifyAuthentication.
+ * @async
+ * @returns {Promise<Object>} Options pour navigator.credentials.get()
+ */
+async function createAuthenticationOptions() {
+    return generateAuthenticationOptions({
+        rpID: CONFIG.webauthn.rpID,
+        userVerification: 'preferred'
+    });
+}
+
+/**
+ * Vérifie la réponse du navigateur à une connexion par passkey
+ * @async
+ * @param {Object} response - Réponse de navigator.credentials.get() (encodée en JSON)
+ * @param {string} expectedChallenge - Challenge des options envoyées
+ * @returns {Promise<Object>} Utilisateur connecté (sans mot de passe)
+ * @throws {Error} INVALID_PASSKEY si la passkey est inconnue ou la réponse invalide
+ */
+async function verifyAuthentication(response, expectedChallenge) {
+    const invalidPasskey = passkeyError('INVALID_PASSKEY', 'Passkey non reconnue');
+
+    let userId;
+    try {
+        userId = isoUint8Array.toUTF8String(isoBase64URL.toBuffer(response?.response?.userHandle || ''));
+    } catch (error) {
+        throw invalidPasskey;
+    }
+    if (!/^[a-z0-9]+$/.test(userId)) {
+        throw invalidPasskey;
+    }
+
+    // Vérification et mise à jour du compteur dans la même transaction (réponse rejouée)
+    const userData = await store.transaction(async () => {
+        const user = await usersManager.readUserData(userId);
+        const passkey = user?.passkeys?.find(existing => existing.id === response.id);
+        if (!passkey) {
+            throw invalidPasskey;
+        }
+
+        let verification;
+        try {
+            verification = await verifyAuthenticationResponse({
+                response,
+                expectedChallenge,
+                expectedOrigin: CONFIG.webauthn.origin,
+                expectedRPID: CONFIG.webauthn.rpID,
+                credential: {
+                    id: passkey.id,
+                    publicKey: isoBase64URL.toBuffer(passkey.publicKey),
+                    counter: passkey.counter,
+                    transports: passkey.transports
+                }
+            });
+        } catch (error) {
+            logger.warn(`Connexion par passkey refusée pour l'utilisateur ${userId}: ${error.message}`);
+            throw invalidPasskey;
+        }
+        if (!verification.verified) {
+            throw invalidPasskey;
+        }
+
+        passkey.counter = verification.authenticationInfo.newCounter;
+        passkey.lastUsedAt = new Date().toISOString();
+        await usersManager.writeUserData(userId, user);
+        return user;
+    });
+
+    const { passwordHash: _, ...userWithoutPassword } = userData;
+    return userWithoutPassword;
+}
+
+/**
+ * Supprime une passkey
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} passkeyId - ID de la passkey
+ * @returns {Promise<void>}
+ * @throws {Error} NOT_FOUND si l'utilisateur ou la passkey n'existe pas
+ */
+async function removePasskey(userId, passkeyId) {
+    await store.transaction(async () => {
+        const userData = await usersManager.readUserData(userId);
+        const passkeys = userData?.passkeys || [];
+        if (!passkeys.some(passkey => passkey.id === passkeyId)) {
+            throw passkeyError('NOT_FOUND', 'Passkey non trouvée');
+        }
+
+        userData.passkeys = passkeys.filter(passkey => passkey.id !== passkeyId);
+        await usersManager.writeUserData(userId, userData);
+    });
+    logger.info(`Passkey supprimée pour l'utilisateur ${userId}`);
+}
+
+module.exports = {
+    listPasskeys,
+    createRegistrationOptions,
+    verifyRegistration,
+    createAuthenticationOptions,
+    verifyAuthentication,
+    removePasskey
+};
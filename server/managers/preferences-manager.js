@@ -6,6 +6,9 @@
  */
 
 const usersManager = require('./users-manager');
+const householdsManager = require('./households-manager');
+const store = require('../storage').getStore();
+const CONFIG = require('../../config');
 const logger = require('../../logger');
 
 /**
@@ -46,30 +49,24 @@ async function updateUserPreferences(userId, updates) {
             throw new Error('Les updates doivent être un objet');
         }
 
-        // Lire les données utilisateur actuelles
-        const userData = await usersManager.readUserData(userId);
-        if (!userData) {
-            throw new Error('Utilisateur non trouvé');
-        }
-
-        // Initialiser les préférences s'il n'y en a pas
-        if (!userData.preference) {
-            userData.preference = {};
-        }
-
-        // Fusionner les updates avec les préférences existantes
-        // On utilise une fusion profonde pour les objets imbriqués
-        Object.assign(userData.preference, updates);
+        // Lire, fusionner et sauvegarder les préférences du foyer
+        const preference = await householdsManager.updateHousehold(userId, household => {
+            // Initialiser les préférences s'il n'y en a pas
+            if (!household.preference) {
+                household.preference = {};
+            }
 
-        // Sauvegarder les données utilisateur mises à jour
-        await usersManager.writeUserData(userId, userData);
+            // Fusionner les updates avec les préférences existantes
+            Object.assign(household.preference, updates);
+            return household.preference;
+        });
 
         logger.info(`Préférences mises à jour pour l'utilisateur ${userId}:`, {
             updatedFields: Object.keys(updates)
         });
 
         // Retourner les préférences complètes mises à jour
-        return userData.preference;
+        return preference;
 
     } catch (error) {
         logger.error(`Erreur lors de la mise à jour des préférences de ${userId}:`, error);
@@ -85,12 +82,12 @@ async function updateUserPreferences(userId, updates) {
  */
 async function readUserPreferences(userId) {
     try {
-        const userData = await usersManager.readUserData(userId);
-        if (!userData) {
+        const household = await householdsManager.readHouseholdData(userId);
+        if (!household) {
             throw new Error('Utilisateur non trouvé');
         }
         
-        return userData.preference || {};
+        return household.preference || {};
 
     } catch (error) {
         logger.error(`Erreur lors de la lecture des préférences de ${userId}:`, error);
@@ -108,18 +105,14 @@ async function readUserPreferences(userId) {
  */
 async function writeUserPreferences(userId, preferences) {
     try {
-        const userData = await usersManager.readUserData(userId);
-        if (!userData) {
-            throw new Error('Utilisateur non trouvé');
-        }
-
-        userData.preference = preferences || {};
-
-        await usersManager.writeUserData(userId, userData);
+        const preference = await householdsManager.updateHousehold(userId, household => {
+            household.preference = preferences || {};
+            return household.preference;
+        });
 
         logger.info(`Préférences écrites pour l'utilisateur ${userId}`);
 
-        return userData.preference;
+        return preference;
 
     } catch (error) {
         logger.error(`Erreur lors de l'écriture des préférences de ${userId}:`, error);
@@ -435,6 +428,7 @@ async function renameCategory(userId, oldName, newName) {
     }
 
     await updateUserIngredients(userId, updated);
+    await syncAislesWithCategory(userId, oldName, trimmedNew);
     logger.info(`Catégorie renommée : "${oldName}" → "${trimmedNew}" pour user ${userId}`);
 
     return updated;
@@ -462,11 +456,189 @@ async function deleteCategory(userId, categoryName) {
     delete ingredients[categoryName];
 
     await updateUserIngredients(userId, ingredients);
+    await syncAislesWithCategory(userId, categoryName, null);
     logger.info(`Catégorie supprimée : "${categoryName}" pour user ${userId}`);
 
     return ingredients;
 }
 
+// ─────────────────────────────────────────────────────────────
+// RAYONS DE LA LISTE DE COURSES
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Calcule la configuration complète des rayons de la liste de courses
+ * Stockage dans preference.shoppingAisles :
+ * { order: [rayon], categories: {catégorie: rayon}, items: {itemId: rayon} }
+ * Par défaut chaque catégorie d'ingrédients est son propre rayon ; les rayons absents
+ * de l'ordre enregistré sont ajoutés à la fin, le rayon par défaut en dernier.
+ * @param {Object} preferences - Préférences de l'utilisateur
+ * @returns {{order: Array<string>, categories: Object<string, string>, items: Object<string, string>}} Rayons
+ */
+function resolveShoppingAisles(preferences) {
+    const stored = preferences.shoppingAisles || {};
+    const ingredients = preferences.ingredients || usersManager.createDefaultIngredients();
+
+    const categories = {};
+    for (const category of Object.keys(ingredients)) {
+        categories[category] = stored.categories?.[category] || category;
+    }
+    const items = { ...(stored.items || {}) };
+
+    const order = [...new Set(Array.isArray(stored.order) ? stored.order : [])];
+    for (const aisle of [...Object.values(categories), ...Object.values(items), CONFIG.defaultAisle]) {
+        if (!order.includes(aisle)) {
+            order.push(aisle);
+        }
+    }
+
+    return { order, categories, items };
+}
+
+/**
+ * Lit les rayons de la liste de courses d'un utilisateur
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Object>} Rayons {order, categories, items}
+ */
+async function readShoppingAisles(userId) {
+    const preferences = await readUserPreferences(userId);
+    return resolveShoppingAisles(preferences);
+}
+
+/**
+ * Valide un nom de rayon
+ * @private
+ * @param {string} name - Nom à valider
+ * @throws {Error} Si le nom est invalide
+ */
+function validateAisleName(name) {
+    if (!name || typeof name !== 'string' || name.trim() === '') {
+        throw new Error('Nom de rayon invalide');
+    }
+    if (name.trim().length > 60) {
+        throw new Error('Le nom de rayon ne peut pas dépasser 60 caractères');
+    }
+}
+
+/**
+ * Remplace la configuration des rayons
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Object} aisles - Rayons {order, categories?, items?}
+ * @returns {Promise<Object>} Rayons mis à jour {order, categories, items}
+ * @throws {Error} Si le format est invalide
+ */
+async function updateShoppingAisles(userId, { order, categories = {}, items = {} } = {}) {
+    if (!Array.isArray(order)) {
+        throw new Error('L\'ordre des rayons doit être un tableau');
+    }
+    order.forEach(validateAisleName);
+
+    const trimmedOrder = [...new Set(order.map(aisle => aisle.trim()))];
+    if (trimmedOrder.length > CONFIG.maxShoppingAisles) {
+        throw new Error(`Le nombre de rayons est limité à ${CONFIG.maxShoppingAisles}`);
+    }
+
+    if (!categories || typeof categories !== 'object' || !items || typeof items !== 'object') {
+        throw new Error('Format des rayons invalide');
+    }
+
+    const ingredients = await readUserIngredients(userId);
+    for (const [category, aisle] of Object.entries(categories)) {
+        if (!ingredients[category]) {
+            throw new Error(`Catégorie "${category}" non trouvée`);
+        }
+        if (!trimmedOrder.includes(aisle)) {
+            throw new Error(`Rayon "${aisle}" absent de l'ordre des rayons`);
+        }
+    }
+    for (const [itemId, aisle] of Object.entries(items)) {
+        if (!/^(ing|manual):.+/.test(itemId)) {
+            throw new Error(`Identifiant d'item invalide : "${itemId}"`);
+        }
+        if (!trimmedOrder.includes(aisle)) {
+            throw new Error(`Rayon "${aisle}" absent de l'ordre des rayons`);
+        }
+    }
+
+    const preferences = await updateUserPreferences(userId, {
+        shoppingAisles: { order: trimmedOrder, categories, items }
+    });
+    return resolveShoppingAisles(preferences);
+}
+
+/**
+ * Range un article de la liste de courses dans un rayon
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} itemId - Identifiant de l'article ("ing:..." ou "manual:...")
+ * @param {string|null} aisle - Rayon (null ou '' = rayon de sa catégorie)
+ * @returns {Promise<Object>} Rayons mis à jour {order, categories, items}
+ * @throws {Error} Si le rayon n'existe pas
+ */
+async function setItemAisle(userId, itemId, aisle) {
+    const aisles = await readShoppingAisles(userId);
+
+    if (aisle) {
+        if (!aisles.order.includes(aisle)) {
+            const error = new Error(`Le rayon "${aisle}" n'existe pas`);
+            error.error = 'NOT_FOUND';
+            throw error;
+        }
+        aisles.items[itemId] = aisle;
+    } else {
+        delete aisles.items[itemId];
+    }
+
+    return await updateShoppingAisles(userId, aisles);
+}
+
+/**
+ * Répercute le renommage ou la suppression d'une catégorie sur les rayons
+ * Le rayon portant le nom de la catégorie suit son renommage ; à la suppression,
+ * il disparaît s'il n'est plus utilisé.
+ * @private
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} oldName - Nom de la catégorie
+ * @param {string|null} newName - Nouveau nom (null = catégorie supprimée)
+ * @returns {Promise<void>}
+ */
+async function syncAislesWithCategory(userId, oldName, newName) {
+    const preferences = await readUserPreferences(userId);
+    const stored = preferences.shoppingAisles;
+    if (!stored) return;
+
+    const renameAisle = aisle => (newName && aisle === oldName ? newName : aisle);
+
+    const categories = {};
+    for (const [category, aisle] of Object.entries(stored.categories || {})) {
+        if (category !== oldName) {
+            categories[category] = renameAisle(aisle);
+        } else if (newName) {
+            categories[newName] = renameAisle(aisle);
+        }
+    }
+    const items = Object.fromEntries(
+        Object.entries(stored.items || {}).map(([itemId, aisle]) => [itemId, renameAisle(aisle)])
+    );
+
+    const used = new Set([...Object.values(categories), ...Object.values(items)]);
+    const order = [...new Set((stored.order || []).map(renameAisle))]
+        .filter(aisle => newName || aisle !== oldName || used.has(aisle));
+
+    await updateUserPreferences(userId, { shoppingAisles: { order, categories, items } });
+}
+
+/**
+ * Exécute une modification des préférences dans une transaction
+ * Les fonctions qui lisent les ingrédients ou les rayons puis les réécrivent ne
+ * doivent pas être entrecoupées d'une autre modification (elle serait perdue).
+ * @private
+ * @param {Function} fn - Fonction asynchrone
+ * @returns {Function} Fonction exécutée dans une transaction
+ */
+function inTransaction(fn) {
+    return (...args) => store.transaction(() => fn(...args));
+}
+
 module.exports = {
     updateUserPreferences, 
     readUserPreferences,
@@ -475,11 +647,15 @@ module.exports = {
     updateDarkMode,
     readUserIngredients,
     updateUserIngredients,
-    addIngredientItem,
-    removeIngredientItem,
-    updateCategoryRepas,
-    updateCategoryDays,
-    addCategory,
-    renameCategory,
-    deleteCategory
+    addIngredientItem: inTransaction(addIngredientItem),
+    removeIngredientItem: inTransaction(removeIngredientItem),
+    updateCategoryRepas: inTransaction(updateCategoryRepas),
+    updateCategoryDays: inTransaction(updateCategoryDays),
+    addCategory: inTransaction(addCategory),
+    renameCategory: inTransaction(renameCategory),
+    deleteCategory: inTransaction(deleteCategory),
+    resolveShoppingAisles,
+    readShoppingAisles,
+    updateShoppingAisles: inTransaction(updateShoppingAisles),
+    setItemAisle: inTransaction(setItemAisle)
 };
\ No newline at end of file
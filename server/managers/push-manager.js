@@ -1,7 +1,7 @@
 // ========================================
 // Gestionnaire de notifications push (web-push)
 // Ce module gère les notifications, les paramètres de notification et l'envoi des notifications push aux utilisateurs.
-// Les données sont stockées dans un fichier JSON (notifications.json) avec la structure suivante :
+// Les abonnements sont stockés dans le dépôt (notifications.json en stockage JSON), un par utilisateur :
 // [
 //   {
 //     "userId": "123",
@@ -21,15 +21,10 @@
 // ========================================
 
 const webPush = require('web-push');
-const fs = require('fs').promises;
 const CONFIG = require('../../config');
+const store = require('../storage').getStore();
 const logger = require('../../logger');
 
-/**
- * Constantes de configuration
- */
-const SUBSCRIPTIONS_FILE = CONFIG.subscribeFile;
-
 /**
  * Configuration de web-push avec les clés VAPID
  */
@@ -48,39 +43,18 @@ function setupWebPush() {
     return true;
 }
 
-/**
- * Initialise le fichier des notifications
- */
-async function initializeNotificationsFile() {
-    try {
-        await fs.access(SUBSCRIPTIONS_FILE);
-    } catch (error) {
-        // Le fichier n'existe pas, on le crée
-        await fs.writeFile(SUBSCRIPTIONS_FILE, JSON.stringify([], null, 2));
-        logger.info('Fichier notifications.json créé');
-    }
-}
-
 /**
  * Lit toutes les notifications
  */
 async function readNotifications() {
     try {
-        const data = await fs.readFile(SUBSCRIPTIONS_FILE, 'utf8');
-        return JSON.parse(data);
+        return await store.notifications.list();
     } catch (error) {
         logger.error('Erreur lecture notifications:', error);
         return [];
     }
 }
 
-/**
- * Sauvegarde les notifications
- */
-async function writeNotifications(permissionNotification) {
-    await fs.writeFile(SUBSCRIPTIONS_FILE, JSON.stringify(permissionNotification, null, 2));
-}
-
 /**
  * Ajoute ou met à jour une notification pour un utilisateur
  * @param {string} userId
@@ -88,10 +62,8 @@ async function writeNotifications(permissionNotification) {
  * @param {Object} settings - Paramètres de notification { enabled, hour, minute }
  */
 async function saveNotification(userId, machineId, permissionNotification, settings = {}) {
-    const notifications = await readNotifications();
-
     // Vérifier si l'utilisateur a déjà une notification
-    const existingIndex = notifications.findIndex(s => s.userId === userId);
+    const existing = await store.notifications.get(userId);
 
     const notificationData = {
         userId,
@@ -102,19 +74,12 @@ async function saveNotification(userId, machineId, permissionNotification, setti
             hour: settings.hour || 8,
             minute: settings.minute || 0
         },
-        createdAt: existingIndex === -1 ? new Date().toISOString() : notifications[existingIndex].createdAt,
+        createdAt: existing ? existing.createdAt : new Date().toISOString(),
         updatedAt: new Date().toISOString()
     };
 
-    if (existingIndex !== -1) {
-        // Mettre à jour
-        notifications[existingIndex] = notificationData;
-    } else {
-        // Ajouter
-        notifications.push(notificationData);
-    }
-
-    await writeNotifications(notifications);
+    // Ajout ou mise à jour
+    await store.notifications.save(notificationData);
 }
 
 /**
@@ -123,16 +88,15 @@ async function saveNotification(userId, machineId, permissionNotification, setti
  * @param {Object} settings - { enabled, hour, minute }
  */
 async function updateNotificationSettings(userId, machineId, settings) {
-    const notifications = await readNotifications();
-    const index = notifications.findIndex(s => s.userId === userId && s.machineId === machineId);
+    const notification = await getUserNotification(userId, machineId);
 
-    if (index !== -1) {
-        notifications[index].settings = {
-            ...notifications[index].settings,
+    if (notification) {
+        notification.settings = {
+            ...notification.settings,
             ...settings
         };
-        notifications[index].updatedAt = new Date().toISOString();
-        await writeNotifications(notifications);
+        notification.updatedAt = new Date().toISOString();
+        await store.notifications.save(notification);
         logger.info(`Paramètres mis à jour pour utilisateur ${userId}`)
         return true;
     }
@@ -145,9 +109,8 @@ async function updateNotificationSettings(userId, machineId, settings) {
  * @param {string} userId
  */
 async function getUserNotification(userId, machineId) {
-    const notifications = await readNotifications();
-    const notification = notifications.find(s => s.userId === userId && s.machineId === machineId);
-    return notification;
+    const notification = await store.notifications.get(userId);
+    return notification?.machineId === machineId ? notification : undefined;
 }
 
 /**
@@ -161,6 +124,15 @@ async function disabledNotification(userId, machineId) {
     return notification
 }
 
+/**
+ * Supprime l'abonnement push d'un utilisateur (suppression du compte)
+ * @param {string} userId
+ */
+async function removeUserNotifications(userId) {
+    await store.notifications.remove(userId);
+    logger.info(`Abonnement push supprimé pour utilisateur ${userId}`);
+}
+
 /**
  * Envoie une notification push à un utilisateur
  * @param {string} userId
@@ -191,11 +163,11 @@ async function sendNotificationToUser(userId, permissionNotification, payload) {
 
 module.exports = {
     setupWebPush,
-    initializeNotificationsFile,
     saveNotification,
     updateNotificationSettings,
     getUserNotification,
     disabledNotification,
+    removeUserNotifications,
     sendNotificationToUser,
     readNotifications
 };
\ No newline at end of file
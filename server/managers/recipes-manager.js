@@ -0,0 +1,299 @@
+/**
+ * @fileoverview Gestion du livre de recettes de l'utilisateur
+ * @module managers/recipes-manager
+ *
+ * Une recette est un objet :
+ * {
+ *   id, name, servings,
+ *   ingredients: [{ name, quantity: number|null, unit: string }],
+ *   steps: [string], prepTime: number|null, cookTime: number|null,
+ *   tags: [string], createdAt, updatedAt
+ * }
+ */
+
+const usersManager = require('./users-manager');
+const householdsManager = require('./households-manager');
+const CONFIG = require('../../config');
+const logger = require('../../logger');
+
+/** @type {number} Longueur maximale d'un nom (recette ou ingrédient) */
+const MAX_NAME_LENGTH = 100;
+
+/** @type {number} Durée maximale (minutes) pour la préparation ou la cuisson */
+const MAX_DURATION = 24 * 60;
+
+/**
+ * Crée une erreur "ressource introuvable"
+ * @param {string} recipeId - ID de la recette
+ * @returns {Error} Erreur avec le code NOT_FOUND
+ */
+function notFoundError(recipeId) {
+    const error = new Error(`La recette "${recipeId}" n'existe pas`);
+    error.error = 'NOT_FOUND';
+    return error;
+}
+
+/**
+ * Valide un nom (recette ou ingrédient)
+ * @param {*} name - Nom à valider
+ * @param {string} label - Libellé pour le message d'erreur
+ * @returns {string} Nom nettoyé
+ * @throws {Error} Si le nom est invalide
+ */
+function validateName(name, label) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        throw new Error(`${label} est requis`);
+    }
+    const trimmed = name.trim();
+    if (trimmed.length > MAX_NAME_LENGTH) {
+        throw new Error(`${label} ne doit pas dépasser ${MAX_NAME_LENGTH} caractères`);
+    }
+    return trimmed;
+}
+
+/**
+ * Valide un nombre optionnel (durée, quantité)
+ * @param {*} value - Valeur à valider
+ * @param {string} label - Libellé pour le message d'erreur
+ * @param {number} max - Valeur maximale autorisée
+ * @returns {number|null} Nombre ou null si absent
+ * @throws {Error} Si la valeur n'est pas un nombre positif
+ */
+function validateOptionalNumber(value, label, max) {
+    if (value === null || typeof value === 'undefined' || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0 || number > max) {
+        throw new Error(`${label} doit être un nombre entre 0 et ${max}`);
+    }
+    return number;
+}
+
+/**
+ * Valide et normalise les données d'une recette
+ * @param {Object} data - Données envoyées par le client
+ * @returns {Object} Champs de recette normalisés (sans id ni dates)
+ * @throws {Error} Si les données sont invalides
+ */
+function validateRecipe(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Format de recette invalide');
+    }
+
+    const name = validateName(data.name, 'Le nom de la recette');
+
+    const servings = parseInt(data.servings);
+    if (isNaN(servings) || servings < 1 || servings > 50) {
+        throw new Error('Le nombre de portions doit être entre 1 et 50');
+    }
+
+    if (!Array.isArray(data.ingredients)) {
+        throw new Error('Les ingrédients doivent être une liste');
+    }
+    const ingredients = data.ingredients.map(ingredient => {
+        const unit = typeof ingredient?.unit === 'string' ? ingredient.unit.trim() : '';
+        if (!CONFIG.recipeUnits.includes(unit)) {
+            throw new Error(`Unité inconnue : "${unit}"`);
+        }
+        return {
+            name: validateName(ingredient?.name, 'Le nom de l\'ingrédient'),
+            quantity: validateOptionalNumber(ingredient.quantity, 'La quantité', 100000),
+            unit
+        };
+    });
+
+    const steps = Array.isArray(data.steps)
+        ? data.steps.filter(step => typeof step === 'string' && step.trim()).map(step => step.trim())
+        : [];
+
+    const tags = Array.isArray(data.tags)
+        ? [...new Set(data.tags
+            .filter(tag => typeof tag === 'string' && tag.trim())
+            .map(tag => tag.trim().toLowerCase()))]
+        : [];
+
+    return {
+        name,
+        servings,
+        ingredients,
+        steps,
+        prepTime: validateOptionalNumber(data.prepTime, 'Le temps de préparation', MAX_DURATION),
+        cookTime: validateOptionalNumber(data.cookTime, 'Le temps de cuisson', MAX_DURATION),
+        tags
+    };
+}
+
+/**
+ * Lit les données du foyer de l'utilisateur en s'assurant que le livre de recettes existe
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Object>} Foyer
+ * @throws {Error} Si l'utilisateur n'existe pas
+ */
+async function readHouseholdWithRecipes(userId) {
+    const household = await householdsManager.readHouseholdData(userId);
+    if (!household) {
+        throw new Error('Utilisateur non trouvé');
+    }
+    if (!Array.isArray(household.recipes)) {
+        household.recipes = [];
+    }
+    return household;
+}
+
+/**
+ * Modifie le livre de recettes du foyer de l'utilisateur (voir householdsManager.updateHousehold)
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Function} update - Reçoit le foyer, dont le livre de recettes existe
+ * @returns {Promise<*>} Valeur retournée par update
+ * @throws {Error} Si l'utilisateur n'existe pas
+ */
+function updateHouseholdRecipes(userId, update) {
+    return householdsManager.updateHousehold(userId, household => {
+        if (!Array.isArray(household.recipes)) {
+            household.recipes = [];
+        }
+        return update(household);
+    });
+}
+
+/**
+ * Liste les recettes d'un utilisateur (triées par nom)
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Object} [filters] - Filtres optionnels
+ * @param {string} [filters.q] - Texte recherché dans le nom ou les ingrédients
+ * @param {string} [filters.tag] - Tag exact
+ * @returns {Promise<Array<Object>>} Recettes
+ */
+async function listRecipes(userId, { q = '', tag = '' } = {}) {
+    const { recipes } = await readHouseholdWithRecipes(userId);
+    const needle = q.trim().toLowerCase();
+    const wantedTag = tag.trim().toLowerCase();
+
+    return recipes
+        .filter(recipe => !wantedTag || recipe.tags.includes(wantedTag))
+        .filter(recipe => !needle
+            || recipe.name.toLowerCase().includes(needle)
+            || recipe.ingredients.some(i => i.name.toLowerCase().includes(needle)))
+        .sort((a, b) => a.name.localeCompare(b.name, 'fr'));
+}
+
+/**
+ * Lit une recette
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} recipeId - ID de la recette
+ * @returns {Promise<Object>} Recette
+ * @throws {Error} Si la recette n'existe pas (error.error = 'NOT_FOUND')
+ */
+async function getRecipe(userId, recipeId) {
+    const { recipes } = await readHouseholdWithRecipes(userId);
+    const recipe = recipes.find(r => r.id === recipeId);
+    if (!recipe) {
+        throw notFoundError(recipeId);
+    }
+    return recipe;
+}
+
+/**
+ * Crée une recette
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Object} data - Données de la recette
+ * @returns {Promise<Object>} Recette créée
+ * @throws {Error} Si les données sont invalides ou si le nom existe déjà
+ */
+async function createRecipe(userId, data) {
+    const fields = validateRecipe(data);
+
+    const recipe = await updateHouseholdRecipes(userId, household => {
+        if (household.recipes.length >= CONFIG.maxRecipes) {
+            throw new Error(`Le livre de recettes est limité à ${CONFIG.maxRecipes} recettes`);
+        }
+
+        if (household.recipes.some(r => r.name.toLowerCase() === fields.name.toLowerCase())) {
+            const error = new Error(`Une recette "${fields.name}" existe déjà`);
+            error.error = 'CONFLICT';
+            throw error;
+        }
+
+        const now = new Date().toISOString();
+        const created = { id: usersManager.generateId(), ...fields, createdAt: now, updatedAt: now };
+        household.recipes.push(created);
+        return created;
+    });
+    logger.info(`Recette créée : "${recipe.name}" pour user ${userId}`);
+
+    return recipe;
+}
+
+/**
+ * Met à jour une recette
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} recipeId - ID de la recette
+ * @param {Object} data - Nouvelles données (recette complète)
+ * @returns {Promise<Object>} Recette mise à jour
+ * @throws {Error} Si la recette n'existe pas, données invalides ou nom déjà utilisé
+ */
+async function updateRecipe(userId, recipeId, data) {
+    const fields = validateRecipe(data);
+
+    const recipe = await updateHouseholdRecipes(userId, household => {
+        const index = household.recipes.findIndex(r => r.id === recipeId);
+        if (index === -1) {
+            throw notFoundError(recipeId);
+        }
+
+        if (household.recipes.some(r => r.id !== recipeId && r.name.toLowerCase() === fields.name.toLowerCase())) {
+            const error = new Error(`Une recette "${fields.name}" existe déjà`);
+            error.error = 'CONFLICT';
+            throw error;
+        }
+
+        const updated = {
+            ...household.recipes[index],
+            ...fields,
+            updatedAt: new Date().toISOString()
+        };
+        household.recipes[index] = updated;
+        return updated;
+    });
+    logger.info(`Recette mise à jour : "${recipe.name}" pour user ${userId}`);
+
+    return recipe;
+}
+
+/**
+ * Supprime une recette
+ * Note: Les repas du planning qui y font référence conservent leur titre
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} recipeId - ID de la recette
+ * @returns {Promise<void>}
+ * @throws {Error} Si la recette n'existe pas
+ */
+async function deleteRecipe(userId, recipeId) {
+    const recipe = await updateHouseholdRecipes(userId, household => {
+        const removed = household.recipes.find(r => r.id === recipeId);
+        if (!removed) {
+            throw notFoundError(recipeId);
+        }
+
+        household.recipes = household.recipes.filter(r => r.id !== recipeId);
+        return removed;
+    });
+    logger.info(`Recette supprimée : "${recipe.name}" pour user ${userId}`);
+}
+
+module.exports = {
+    validateRecipe,
+    listRecipes,
+    getRecipe,
+    createRecipe,
+    updateRecipe,
+    deleteRecipe
+};
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Sessions ouvertes d'un utilisateur (appareils connectés)
+ * @module managers/sessions-manager
+ *
+ * Les sessions sont lues dans la table du store connect-sqlite3 (sessions.db) :
+ * sid, expired (timestamp d'expiration) et sess (JSON de la session). À la
+ * connexion, la session reçoit userAgent et loggedInAt ; lastActivity et ip
+ * sont mis à jour à chaque requête (trackSessionActivity).
+ *
+ * L'identifiant de session (sid) n'est jamais renvoyé au client : chaque
+ * session est désignée par un haché de son sid.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Crée une erreur de session avec un code
+ * @param {string} code - Code ('NOT_FOUND')
+ * @param {string} message - Message
+ * @returns {Error} Erreur avec le code
+ */
+function sessionError(code, message) {
+    const error = new Error(message);
+    error.error = code;
+    return error;
+}
+
+/**
+ * Identifiant public d'une session
+ * @param {string} sid - Identifiant de la session
+ * @returns {string} Haché SHA-256 tronqué (32 caractères hexadécimaux)
+ */
+function toPublicId(sid) {
+    return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 32);
+}
+
+/**
+ * Décrit l'appareil et le navigateur d'après l'en-tête User-Agent
+ * @param {string} [userAgent=''] - En-tête User-Agent
+ * @returns {{browser: string, os: string, isMobile: boolean}} Description
+ */
+function describeUserAgent(userAgent = '') {
+    const browsers = [
+        [/Edg(e|A|iOS)?\//, 'Edge'],
+        [/OPR\/|Opera/, 'Opera'],
+        [/SamsungBrowser\//, 'Samsung Internet'],
+        [/Firefox\/|FxiOS\//, 'Firefox'],
+        [/Chrome\/|CriOS\//, 'Chrome'],
+        [/Safari\//, 'Safari']
+    ];
+    const systems = [
+        [/Android/, 'Android'],
+        [/iPhone|iPad|iPod/, 'iOS'],
+        [/Windows/, 'Windows'],
+        [/Mac OS X|Macintosh/, 'macOS'],
+        [/CrOS/, 'ChromeOS'],
+        [/Linux/, 'Linux']
+    ];
+    const find = (patterns) => patterns.find(([pattern]) => pattern.test(userAgent))?.[1] || 'Inconnu';
+
+    return {
+        browser: find(browsers),
+        os: find(systems),
+        isMobile: /mobile|android|iphone|ipad/i.test(userAgent)
+    };
+}
+
+/**
+ * Lit les sessions non expirées d'un utilisateur
+ * @async
+ * @param {Object} sessionStore - Store connect-sqlite3 (req.sessionStore)
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Array<{sid: string, expired: number, session: Object}>>} Sessions
+ */
+function readUserSessions(sessionStore, userId) {
+    const sql = `SELECT sid, expired, sess FROM ${sessionStore.table}
+                 WHERE expired >= ? AND json_extract(sess, '$.userId') = ?`;
+
+    return new Promise((resolve, reject) => {
+        sessionStore.db.all(sql, [Date.now(), userId], (error, rows) => {
+            if (error) return reject(error);
+            resolve(rows.map(row => ({ sid: row.sid, expired: row.expired, session: JSON.parse(row.sess) })));
+        });
+    });
+}
+
+/**
+ * Supprime une session du store
+ * @param {Object} sessionStore - Store de sessions
+ * @param {string} sid - Identifiant de la session
+ * @returns {Promise<void>}
+ */
+function destroySession(sessionStore, sid) {
+    return new Promise((resolve, reject) => {
+        sessionStore.destroy(sid, error => (error ? reject(error) : resolve()));
+    });
+}
+
+/**
+ * Liste les sessions d'un utilisateur, la plus récemment active en premier
+ * @async
+ * @param {Object} sessionStore - Store connect-sqlite3 (req.sessionStore)
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} currentSid - Session de la requête
+ * @returns {Promise<Array<Object>>} Sessions {id, current, browser, os, isMobile, ip, lastActivity, loggedInAt, expiresAt}
+ */
+async function listUserSessions(sessionStore, userId, currentSid) {
+    const sessions = await readUserSessions(sessionStore, userId);
+
+    return sessions
+        .map(({ sid, expired, session }) => {
+            // Sessions ouvertes avant le suivi : dernière activité déduite de l'expiration
+            const lastActivity = session.lastActivity
+                || (session.cookie?.originalMaxAge ? expired - session.cookie.originalMaxAge : null);
+
+            return {
+                id: toPublicId(sid),
+                current: sid === currentSid,
+                ...describeUserAgent(session.userAgent),
+                ip: session.ip || null,
+                lastActivity: lastActivity ? new Date(lastActivity).toISOString() : null,
+                loggedInAt: session.loggedInAt ? new Date(session.loggedInAt).toISOString() : null,
+                expiresAt: new Date(expired).toISOString()
+            };
+        })
+        .sort((a, b) => (b.lastActivity || '').localeCompare(a.lastActivity || ''));
+}
+
+/**
+ * Ferme une session de l'utilisateur
+ * @async
+ * @param {Object} sessionStore - Store connect-sqlite3 (req.sessionStore)
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} publicId - Identifiant public de la session
+ * @returns {Promise<string>} Identifiant (sid) de la session fermée
+ * @throws {Error} NOT_FOUND si la session n'existe pas ou appartient à un autre utilisateur
+ */
+async function revokeSession(sessionStore, userId, publicId) {
+    const sessions = await readUserSessions(sessionStore, userId);
+    const target = sessions.find(({ sid }) => toPublicId(sid) === publicId);
+    if (!target) {
+        throw sessionError('NOT_FOUND', 'Session non trouvée');
+    }
+
+    await destroySession(sessionStore, target.sid);
+    return target.sid;
+}
+
+/**
+ * Ferme toutes les sessions de l'utilisateur sauf la session courante
+ * @async
+ * @param {Object} sessionStore - Store connect-sqlite3 (req.sessionStore)
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} currentSid - Session à conserver
+ * @returns {Promise<Array<string>>} Identifiants (sid) des sessions fermées
+ */
+async function revokeOtherSessions(sessionStore, userId, currentSid) {
+    const others = (await readUserSessions(sessionStore, userId)).filter(({ sid }) => sid !== currentSid);
+    for (const { sid } of others) {
+        await destroySession(sessionStore, sid);
+    }
+    return others.map(({ sid }) => sid);
+}
+
+module.exports = {
+    listUserSessions,
+    revokeSession,
+    revokeOtherSessions
+};
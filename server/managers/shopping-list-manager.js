@@ -0,0 +1,464 @@
+/**
+ * @fileoverview Génération et persistance de la liste de courses
+ * @module managers/shopping-list-manager
+ *
+ * Stockage dans household.shoppingList :
+ * { checked: [itemId], manualItems: [{ id, name, quantity, unit, createdAt }] }
+ * Identifiants d'items : "ing:<nom en minuscules>" (ingrédients des repas)
+ * et "manual:<id>" (items ajoutés à la main).
+ */
+
+const usersManager = require('./users-manager');
+const householdsManager = require('./households-manager');
+const store = require('../storage').getStore();
+const atableManager = require('./atable-manager');
+const mealModel = require('./meal-model');
+const preferencesManager = require('./preferences-manager');
+const pantryManager = require('./pantry-manager');
+const units = require('./units');
+const CONFIG = require('../../config');
+const logger = require('../../logger');
+
+/** @type {number} Nombre maximum d'items ajoutés à la main */
+const MAX_MANUAL_ITEMS = 200;
+
+/**
+ * Crée l'identifiant d'un ingrédient issu des repas
+ * @param {string} name - Nom de l'ingrédient
+ * @returns {string} Identifiant
+ */
+function getIngredientId(name) {
+    return `ing:${name.trim().toLowerCase()}`;
+}
+
+/**
+ * Normalise la liste stockée (l'ancien format est un tableau de libellés cochés)
+ * @param {Array|Object|undefined} stored - Valeur de household.shoppingList
+ * @returns {Object} Liste {checked, manualItems}
+ */
+function normalizeStoredList(stored) {
+    if (Array.isArray(stored)) {
+        return { checked: stored.map(getIngredientId), manualItems: [] };
+    }
+    return {
+        checked: Array.isArray(stored?.checked) ? stored.checked : [],
+        manualItems: Array.isArray(stored?.manualItems) ? stored.manualItems : []
+    };
+}
+
+/**
+ * Lit les données du foyer de l'utilisateur avec une liste de courses normalisée
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Object>} Foyer
+ * @throws {Error} Si l'utilisateur n'existe pas
+ */
+async function readHouseholdWithList(userId) {
+    const household = await householdsManager.readHouseholdData(userId);
+    if (!household) {
+        throw new Error('Utilisateur non trouvé');
+    }
+    household.shoppingList = normalizeStoredList(household.shoppingList);
+    return household;
+}
+
+/**
+ * Modifie la liste de courses du foyer de l'utilisateur (voir householdsManager.updateHousehold)
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Function} update - Reçoit le foyer, avec une liste de courses normalisée
+ * @returns {Promise<*>} Valeur retournée par update
+ * @throws {Error} Si l'utilisateur n'existe pas
+ */
+function updateHouseholdList(userId, update) {
+    return householdsManager.updateHousehold(userId, household => {
+        household.shoppingList = normalizeStoredList(household.shoppingList);
+        return update(household);
+    });
+}
+
+/**
+ * Lit l'état stocké de la liste de courses
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Object>} Liste {checked, manualItems}
+ */
+async function readShoppingList(userId) {
+    const { shoppingList } = await readHouseholdWithList(userId);
+    return shoppingList;
+}
+
+/**
+ * Extrait les ingrédients d'un repas avec leurs quantités
+ * Une recette connue est remplacée par ses ingrédients, mis à l'échelle
+ * du nombre de portions du repas (portions de la recette par défaut).
+ * @param {Object} meal - Repas structuré
+ * @param {Map<string, Object>} recipes - Recettes par ID
+ * @returns {Array<{name: string, quantity: number|null, unit: string}>} Ingrédients
+ */
+function extractMealIngredients(meal, recipes) {
+    return meal.items
+        .flatMap(item => {
+            const recipe = item.recipeId ? recipes.get(item.recipeId) : null;
+            if (!recipe) {
+                return [units.parseQuantity(item.name)];
+            }
+
+            const scale = meal.servings ? meal.servings / recipe.servings : 1;
+            return recipe.ingredients.map(ingredient => ({
+                name: ingredient.name,
+                quantity: ingredient.quantity === null ? null : ingredient.quantity * scale,
+                unit: ingredient.unit
+            }));
+        })
+        .map(ingredient => ({ ...ingredient, name: ingredient.name.trim() }))
+        .filter(ingredient => ingredient.name.length > 0);
+}
+
+/**
+ * Agrège les ingrédients d'un ensemble de jours
+ * Les quantités sont additionnées par dimension (masse, volume, pièces...) ;
+ * les ingrédients sans quantité sont simplement comptés.
+ * @param {Object} days - Jours {'YYYY-MM-DD': {midi, soir}}
+ * @param {Array<Object>} recipes - Recettes de l'utilisateur
+ * @returns {Map<string, Object>} Ingrédients {label, count, totals, dates} par identifiant
+ */
+function aggregateIngredients(days, recipes) {
+    const recipesById = new Map(recipes.map(recipe => [recipe.id, recipe]));
+    const ingredients = new Map();
+
+    for (const [dateKey, day] of Object.entries(days)) {
+        for (const mealType of ['midi', 'soir']) {
+            const meal = mealModel.normalizeMeal(day[mealType]);
+            if (mealModel.isEmptyMeal(meal)) continue;
+
+            for (const { name, quantity, unit } of extractMealIngredients(meal, recipesById)) {
+                const id = getIngredientId(name);
+                if (!ingredients.has(id)) {
+                    ingredients.set(id, { label: name, count: 0, totals: {}, dates: new Set() });
+                }
+
+                const entry = ingredients.get(id);
+                entry.dates.add(dateKey);
+                if (quantity === null || !units.addTo(entry.totals, quantity, unit)) {
+                    entry.count += 1;
+                }
+            }
+        }
+    }
+
+    return ingredients;
+}
+
+/**
+ * Retire le stock du garde-manger des besoins d'un ingrédient
+ * Les quantités sont soustraites par dimension ; les mentions sans quantité
+ * sont couvertes dès que l'ingrédient est en stock.
+ * @param {Object} entry - Besoin {totals, count}
+ * @param {Object|undefined} stock - Stock {totals, untracked} de l'ingrédient
+ * @returns {{totals: Object<string, number>, count: number, used: Object<string, number>}}
+ *   Besoin restant et stock utilisé
+ */
+function subtractStock(entry, stock) {
+    if (!stock) {
+        return { totals: entry.totals, count: entry.count, used: {} };
+    }
+
+    const totals = {};
+    const used = {};
+    for (const [dimension, amount] of Object.entries(entry.totals)) {
+        const available = stock.totals[dimension] || 0;
+        used[dimension] = Math.min(amount, available);
+        if (amount > available) {
+            totals[dimension] = amount - available;
+        }
+    }
+
+    const inStock = stock.untracked || Object.values(stock.totals).some(amount => amount > 0);
+    return { totals, count: inStock ? 0 : entry.count, used };
+}
+
+/**
+ * Crée la fonction qui détermine le rayon d'un article
+ * Priorité : rayon choisi pour l'article, puis rayon de la catégorie
+ * d'ingrédients qui le contient, sinon rayon par défaut.
+ * @param {Object} preferences - Préférences de l'utilisateur
+ * @param {Object} aisles - Rayons {order, categories, items}
+ * @returns {function(string): string} Rayon d'un identifiant d'article
+ */
+function createAisleResolver(preferences, aisles) {
+    const categoryByItem = new Map();
+    for (const [category, data] of Object.entries(preferences.ingredients || {})) {
+        for (const name of data.items || []) {
+            categoryByItem.set(getIngredientId(name), category);
+        }
+    }
+
+    return (itemId) => {
+        const category = categoryByItem.get(itemId);
+        return aisles.items[itemId] || (category && aisles.categories[category]) || CONFIG.defaultAisle;
+    };
+}
+
+/**
+ * Génère la liste de courses d'une plage de dates, triée par rayon
+ * Le stock du garde-manger est déduit des besoins ; les ingrédients entièrement
+ * couverts sont listés à part (coveredByPantry).
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} from - Date de début (YYYY-MM-DD, incluse)
+ * @param {string} to - Date de fin (YYYY-MM-DD, incluse)
+ * @returns {Promise<Object>} {from, to, aisles, defaultAisle, items, coveredByPantry, total, checkedCount}
+ */
+async function generateShoppingList(userId, from, to) {
+    const household = await readHouseholdWithList(userId);
+    const days = await atableManager.readUseratable(userId, from, to);
+    const checked = new Set(household.shoppingList.checked);
+    const preferences = household.preference || {};
+    const aisles = preferencesManager.resolveShoppingAisles(preferences);
+    const getAisle = createAisleResolver(preferences, aisles);
+    const stock = pantryManager.getStockByIngredient(household.pantry || []);
+    const coveredByPantry = [];
+
+    const mealItems = [];
+    for (const [id, entry] of aggregateIngredients(days, household.recipes || []).entries()) {
+        const remaining = subtractStock(entry, stock.get(id));
+        const inPantry = units.formatTotals(remaining.used);
+
+        if (Object.keys(remaining.totals).length === 0 && remaining.count === 0) {
+            coveredByPantry.push({ id, label: entry.label, quantity: units.formatTotals(entry.totals) });
+            continue;
+        }
+
+        mealItems.push({
+            id,
+            label: entry.label,
+            source: 'meal',
+            quantity: units.formatTotals(remaining.totals),
+            totals: remaining.totals,
+            count: remaining.count,
+            dates: [...entry.dates].sort(),
+            inPantry,
+            checked: checked.has(id)
+        });
+    }
+
+    const manualItems = household.shoppingList.manualItems.map(item => {
+        const totals = {};
+        if (item.quantity !== null) {
+            units.addTo(totals, item.quantity, item.unit);
+        }
+        return {
+            id: item.id,
+            label: item.name,
+            source: 'manual',
+            quantity: units.formatTotals(totals),
+            totals,
+            count: 0,
+            dates: [],
+            inPantry: '',
+            checked: checked.has(item.id)
+        };
+    });
+
+    const items = [...mealItems, ...manualItems]
+        .map(item => ({ ...item, aisle: getAisle(item.id) }))
+        .sort((a, b) =>
+            aisles.order.indexOf(a.aisle) - aisles.order.indexOf(b.aisle) ||
+            a.label.localeCompare(b.label, 'fr', { sensitivity: 'base' })
+        );
+
+    return {
+        from,
+        to,
+        aisles: aisles.order,
+        defaultAisle: CONFIG.defaultAisle,
+        items,
+        coveredByPantry,
+        total: items.length,
+        checkedCount: items.filter(item => item.checked).length
+    };
+}
+
+/**
+ * Coche ou décoche un item
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} itemId - Identifiant de l'item ("ing:..." ou "manual:...")
+ * @param {boolean} isChecked - Nouvel état
+ * @returns {Promise<Array<string>>} Identifiants cochés
+ */
+async function setItemChecked(userId, itemId, isChecked) {
+    if (!/^(ing|manual):.+/.test(itemId || '')) {
+        throw new Error(`Identifiant d'item invalide : "${itemId}"`);
+    }
+
+    return updateHouseholdList(userId, household => {
+        const checked = new Set(household.shoppingList.checked);
+
+        if (isChecked) {
+            checked.add(itemId);
+        } else {
+            checked.delete(itemId);
+        }
+
+        household.shoppingList.checked = [...checked];
+        return household.shoppingList.checked;
+    });
+}
+
+/**
+ * Remplace l'ensemble des items cochés
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Array<string>} itemIds - Identifiants cochés
+ * @returns {Promise<Array<string>>} Identifiants cochés
+ */
+async function setCheckedItems(userId, itemIds) {
+    return updateHouseholdList(userId, household => {
+        household.shoppingList.checked = [...new Set(itemIds.filter(id => typeof id === 'string' && id))];
+        return household.shoppingList.checked;
+    });
+}
+
+/**
+ * Ajoute un item à la main (non lié à un repas)
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Object} data - Item {name, quantity?, unit?} ; le nom peut contenir la quantité ("2 l lait")
+ * @returns {Promise<Object>} Item créé
+ * @throws {Error} Si les données sont invalides
+ */
+async function addManualItem(userId, { name, quantity = null, unit = '' } = {}) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        throw new Error('Le nom de l\'article est requis');
+    }
+    if (name.trim().length > 100) {
+        throw new Error('Le nom de l\'article ne doit pas dépasser 100 caractères');
+    }
+
+    let item = units.parseQuantity(name);
+    if (quantity !== null && quantity !== '') {
+        const parsed = Number(quantity);
+        if (!Number.isFinite(parsed) || parsed < 0) {
+            throw new Error('La quantité doit être un nombre positif');
+        }
+        const normalizedUnit = units.normalizeUnit(unit);
+        if (normalizedUnit === null) {
+            throw new Error(`Unité inconnue : "${unit}"`);
+        }
+        item = { name: name.trim(), quantity: parsed, unit: normalizedUnit };
+    }
+
+    const manualItem = {
+        id: `manual:${usersManager.generateId()}`,
+        ...item,
+        createdAt: new Date().toISOString()
+    };
+
+    await updateHouseholdList(userId, household => {
+        if (household.shoppingList.manualItems.length >= MAX_MANUAL_ITEMS) {
+            throw new Error(`La liste est limitée à ${MAX_MANUAL_ITEMS} articles ajoutés à la main`);
+        }
+        household.shoppingList.manualItems.push(manualItem);
+    });
+    logger.info(`Article ajouté à la liste de courses : "${manualItem.name}" pour user ${userId}`);
+
+    return manualItem;
+}
+
+/**
+ * Supprime un item ajouté à la main
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} itemId - Identifiant "manual:..."
+ * @returns {Promise<void>}
+ * @throws {Error} Si l'item n'existe pas (error.error = 'NOT_FOUND')
+ */
+async function removeManualItem(userId, itemId) {
+    await updateHouseholdList(userId, household => {
+        const { manualItems, checked } = household.shoppingList;
+
+        if (!manualItems.some(item => item.id === itemId)) {
+            const error = new Error(`L'article "${itemId}" n'existe pas`);
+            error.error = 'NOT_FOUND';
+            throw error;
+        }
+
+        household.shoppingList.manualItems = manualItems.filter(item => item.id !== itemId);
+        household.shoppingList.checked = checked.filter(id => id !== itemId);
+    });
+}
+
+/**
+ * Décoche tous les items (les items ajoutés à la main sont conservés)
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<void>}
+ */
+async function resetChecked(userId) {
+    await setCheckedItems(userId, []);
+}
+
+/**
+ * Range les articles achetés dans le garde-manger
+ * Les articles rangés sont retirés de la liste : décochés, et supprimés
+ * s'ils avaient été ajoutés à la main.
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} from - Date de début de la liste (YYYY-MM-DD)
+ * @param {string} to - Date de fin de la liste (YYYY-MM-DD)
+ * @param {Array<string>|null} [itemIds=null] - Articles achetés (null = articles cochés)
+ * @returns {Promise<{purchased: Array<string>, pantry: Array<Object>}>} Articles rangés
+ *   et articles du garde-manger créés ou mis à jour
+ */
+async function purchaseItems(userId, from, to, itemIds = null) {
+    // Liste, garde-manger et liste mise à jour dans la même transaction :
+    // un article coché entre-temps n'est ni perdu ni rangé deux fois
+    const result = await store.transaction(async () => {
+        const list = await generateShoppingList(userId, from, to);
+        const wanted = itemIds ? new Set(itemIds) : null;
+        const purchased = list.items.filter(item => (wanted ? wanted.has(item.id) : item.checked));
+
+        if (purchased.length === 0) {
+            return { purchased: [], pantry: [] };
+        }
+
+        const entries = purchased.flatMap(item => {
+            const dimensions = Object.entries(item.totals);
+            if (dimensions.length === 0) {
+                return [{ name: item.label, quantity: null }];
+            }
+            return dimensions.map(([dimension, amount]) => ({ name: item.label, ...units.fromBase(dimension, amount) }));
+        });
+        const pantry = await pantryManager.addPantryItems(userId, entries);
+
+        const purchasedIds = new Set(purchased.map(item => item.id));
+        await updateHouseholdList(userId, household => {
+            household.shoppingList.checked = household.shoppingList.checked.filter(id => !purchasedIds.has(id));
+            household.shoppingList.manualItems = household.shoppingList.manualItems
+                .filter(item => !purchasedIds.has(item.id));
+        });
+
+        return { purchased: [...purchasedIds], pantry };
+    });
+
+    if (result.purchased.length > 0) {
+        logger.info(`${result.purchased.length} article(s) rangé(s) dans le garde-manger pour user ${userId}`);
+    }
+    return result;
+}
+
+module.exports = {
+    getIngredientId,
+    normalizeStoredList,
+    readShoppingList,
+    aggregateIngredients,
+    generateShoppingList,
+    setItemChecked,
+    setCheckedItems,
+    addManualItem,
+    removeManualItem,
+    resetChecked,
+    purchaseItems
+};
@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Synchronisation en temps réel du planning entre les sessions ouvertes
+ * @module managers/sync-manager
+ *
+ * Chaque onglet ouvert garde une connexion Server-Sent Events (SSE) sur
+ * laquelle le serveur pousse deux types d'événements aux membres du foyer :
+ * - "slots"    : repas modifiés [{date, mealType, meal}] après une sauvegarde
+ * - "presence" : qui modifie quel repas [{clientId, userId, name, date, mealType}]
+ * Les connexions sont gardées en mémoire : elles ne survivent pas à un redémarrage
+ * (les navigateurs se reconnectent d'eux-mêmes). Un clientId appartient à
+ * l'utilisateur qui a ouvert la connexion : les autres membres ne peuvent ni
+ * la remplacer ni s'en servir.
+ */
+
+const CONFIG = require('../../config');
+const logger = require('../../logger');
+
+/** @type {RegExp} Format d'un identifiant de session cliente (onglet) */
+const CLIENT_ID_REGEX = /^[A-Za-z0-9-]{8,64}$/;
+
+/**
+ * Connexions ouvertes par foyer
+ * @type {Map<string, Map<string, Object>>} householdId → clientId → {req, res, userId, sessionId, name, editing}
+ */
+const households = new Map();
+
+/** @type {NodeJS.Timeout|null} Minuteur d'entretien des connexions */
+let heartbeatTimer = null;
+
+/**
+ * Vérifie le format d'un identifiant de session cliente
+ * @param {*} clientId - Identifiant envoyé par le navigateur
+ * @returns {boolean} True si l'identifiant est utilisable
+ */
+function isValidClientId(clientId) {
+    return typeof clientId === 'string' && CLIENT_ID_REGEX.test(clientId);
+}
+
+/**
+ * Écrit un événement SSE sur une connexion
+ * @param {Object} res - Réponse Express ouverte en text/event-stream
+ * @param {string} event - Nom de l'événement
+ * @param {*} data - Données (sérialisées en JSON)
+ * @returns {void}
+ */
+function writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Envoie un événement à toutes les sessions d'un foyer
+ * @param {string} householdId - ID du foyer
+ * @param {string} event - Nom de l'événement
+ * @param {*} data - Données de l'événement
+ * @param {string|null} [excludeClientId=null] - Session à l'origine du changement (non notifiée)
+ * @returns {number} Nombre de sessions notifiées
+ */
+function broadcast(householdId, event, data, excludeClientId = null) {
+    const clients = households.get(householdId);
+    if (!clients) return 0;
+
+    let count = 0;
+    for (const [clientId, client] of clients) {
+        if (clientId === excludeClientId) continue;
+        writeEvent(client.res, event, data);
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Liste les repas en cours de modification dans un foyer
+ * @param {string} householdId - ID du foyer
+ * @returns {Array<Object>} Éditions [{clientId, userId, name, date, mealType}]
+ */
+function getPresence(householdId) {
+    const clients = households.get(householdId);
+    if (!clients) return [];
+
+    return [...clients.entries()]
+        .filter(([, client]) => client.editing)
+        .map(([clientId, client]) => ({
+            clientId,
+            userId: client.userId,
+            name: client.name,
+            ...client.editing
+        }));
+}
+
+/**
+ * Diffuse l'état de présence d'un foyer à toutes ses sessions
+ * @param {string} householdId - ID du foyer
+ * @returns {void}
+ */
+function broadcastPresence(householdId) {
+    broadcast(householdId, 'presence', getPresence(householdId));
+}
+
+/**
+ * Démarre l'envoi périodique de commentaires SSE
+ * Évite la fermeture des connexions inactives par les proxys.
+ * @returns {void}
+ */
+function startHeartbeat() {
+    if (heartbeatTimer) return;
+
+    heartbeatTimer = setInterval(() => {
+        for (const clients of households.values()) {
+            for (const client of clients.values()) {
+                client.res.write(': ping\n\n');
+            }
+        }
+    }, CONFIG.syncHeartbeatInterval);
+    heartbeatTimer.unref();
+}
+
+/**
+ * Indique si un utilisateur peut ouvrir une connexion avec un clientId
+ * @param {string} householdId - ID du foyer
+ * @param {string} clientId - Identifiant de la session cliente (onglet)
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {boolean} False si le clientId est déjà utilisé par un autre utilisateur
+ */
+function canUseClientId(householdId, clientId, userId) {
+    const client = households.get(householdId)?.get(clientId);
+    return !client || client.userId === userId;
+}
+
+/**
+ * Enregistre une connexion SSE
+ * Une connexion existante avec le même clientId (rechargement) est remplacée ;
+ * vérifier au préalable qu'elle appartient au même utilisateur (canUseClientId).
+ * @param {string} householdId - ID du foyer
+ * @param {string} clientId - Identifiant de la session cliente (onglet)
+ * @param {Object} client - {req, res, userId, sessionId, name} (sessionId : session Express de la connexion)
+ * @returns {void}
+ */
+function addClient(householdId, clientId, { req, res, userId, sessionId, name }) {
+    if (!households.has(householdId)) {
+        households.set(householdId, new Map());
+    }
+
+    const clients = households.get(householdId);
+    clients.get(clientId)?.res.end();
+    clients.set(clientId, { req, res, userId, sessionId, name, editing: null });
+
+    startHeartbeat();
+    writeEvent(res, 'presence', getPresence(householdId));
+    logger.info(`Synchronisation ouverte pour user ${userId} (foyer ${householdId}, ${clients.size} session(s))`);
+}
+
+/**
+ * Retire une connexion SSE fermée
+ * @param {string} householdId - ID du foyer
+ * @param {string} clientId - Identifiant de la session cliente
+ * @param {Object} res - Réponse de la connexion (ignorée si elle a déjà été remplacée)
+ * @returns {void}
+ */
+function removeClient(householdId, clientId, res) {
+    const clients = households.get(householdId);
+    const client = clients?.get(clientId);
+    if (!client || client.res !== res) return;
+
+    clients.delete(clientId);
+    if (clients.size === 0) {
+        households.delete(householdId);
+    }
+
+    if (client.editing) {
+        broadcastPresence(householdId);
+    }
+}
+
+/**
+ * Ferme les connexions SSE sélectionnées
+ * @param {Function} match - (householdId, client) => true pour fermer la connexion
+ * @param {boolean} [detachSession=false] - Session Express déjà supprimée du store
+ * @returns {number} Nombre de connexions fermées
+ */
+function closeClients(match, detachSession = false) {
+    let count = 0;
+
+    for (const [householdId, clients] of households) {
+        for (const [clientId, client] of clients) {
+            if (!match(householdId, client)) continue;
+            removeClient(householdId, clientId, client.res);
+            if (detachSession) {
+                // Sinon express-session (resave) réenregistre la session à la fin de la réponse
+                client.req.session = null;
+            }
+            client.res.end();
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Ferme les connexions SSE ouvertes par des sessions Express fermées (déconnexion à distance)
+ * @param {Array<string>} sessionIds - Identifiants (sid) des sessions fermées
+ * @returns {number} Nombre de connexions fermées
+ */
+function closeSessionClients(sessionIds) {
+    const closed = new Set(sessionIds);
+    return closeClients((householdId, client) => closed.has(client.sessionId), true);
+}
+
+/**
+ * Ferme toutes les connexions SSE d'un compte supprimé
+ * Ses sessions sont supprimées ensuite : la fin des flux ne doit pas les réenregistrer.
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {number} Nombre de connexions fermées
+ */
+function closeAccountClients(userId) {
+    return closeClients((householdId, client) => client.userId === userId, true);
+}
+
+/**
+ * Ferme les connexions SSE d'un utilisateur qui quitte un foyer
+ * Le navigateur se reconnecte de lui-même, au flux de son nouveau foyer.
+ * @param {string} householdId - ID du foyer quitté
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {number} Nombre de connexions fermées
+ */
+function closeUserClients(householdId, userId) {
+    return closeClients((id, client) => id === householdId && client.userId === userId);
+}
+
+/**
+ * Indique le repas en cours de modification par une session
+ * @param {string} householdId - ID du foyer
+ * @param {string} clientId - Identifiant de la session cliente
+ * @param {string} userId - ID de l'utilisateur à l'origine de la requête
+ * @param {Object|null} editing - {date, mealType} ou null quand la saisie est terminée
+ * @returns {boolean} False si l'utilisateur n'a pas de connexion ouverte avec ce clientId
+ */
+function setEditing(householdId, clientId, userId, editing) {
+    const client = households.get(householdId)?.get(clientId);
+    if (client?.userId !== userId) return false;
+
+    client.editing = editing;
+    broadcastPresence(householdId);
+    return true;
+}
+
+/**
+ * Pousse les repas modifiés aux autres sessions du foyer
+ * @param {string} householdId - ID du foyer
+ * @param {Array<Object>} slots - Repas modifiés [{date, mealType, meal}]
+ * @param {string|null} [excludeClientId=null] - Session à l'origine de la sauvegarde
+ * @param {string|null} [userId=null] - Utilisateur à l'origine de la sauvegarde (propriétaire de excludeClientId)
+ * @returns {void}
+ */
+function publishSlots(householdId, slots, excludeClientId = null, userId = null) {
+    if (!slots || slots.length === 0) return;
+
+    // Seule une session de l'auteur peut être exclue
+    const exclude = canUseClientId(householdId, excludeClientId, userId) ? excludeClientId : null;
+    broadcast(householdId, 'slots', slots, exclude);
+}
+
+module.exports = {
+    isValidClientId,
+    canUseClientId,
+    addClient,
+    removeClient,
+    closeSessionClients,
+    closeUserClients,
+    closeAccountClients,
+    setEditing,
+    publishSlots
+};
@@ -0,0 +1,347 @@
+/**
+ * @fileoverview Double authentification TOTP (RFC 6238) et codes de secours
+ * @module managers/two-factor-manager
+ *
+ * Données stockées avec l'utilisateur (user.twoFactor) :
+ * - pendingSecret  : secret en cours d'activation (avant le premier code valide)
+ * - enabled        : double authentification active
+ * - secret         : secret partagé (base32) avec l'application d'authentification
+ * - recoveryCodes  : hachés SHA-256 des codes de secours restants (usage unique)
+ * - lastUsedStep   : dernier intervalle de 30 s accepté (un code ne sert qu'une fois)
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const CONFIG = require('../../config');
+const store = require('../storage').getStore();
+const usersManager = require('./users-manager');
+const logger = require('../../logger');
+
+/** @type {number} Nombre de chiffres d'un code */
+const TOTP_DIGITS = 6;
+/** @type {number} Durée de validité d'un code (secondes) */
+const TOTP_PERIOD = 30;
+/** @type {number} Intervalles acceptés avant et après l'heure actuelle (décalage d'horloge) */
+const TOTP_WINDOW = 1;
+/** @type {number} Nombre de codes de secours générés */
+const RECOVERY_CODE_COUNT = 10;
+/** @type {string} Alphabet base32 (RFC 4648) */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Crée une erreur de double authentification avec un code
+ * @param {string} code - Code ('NOT_FOUND', 'CONFLICT' ou 'INVALID_CODE')
+ * @param {string} message - Message
+ * @returns {Error} Erreur avec le code
+ */
+function twoFactorError(code, message) {
+    const error = new Error(message);
+    error.error = code;
+    return error;
+}
+
+/**
+ * Encode des octets en base32 (sans remplissage)
+ * @param {Buffer} buffer - Octets
+ * @returns {string} Texte base32
+ */
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+/**
+ * Décode un texte base32
+ * @param {string} text - Texte base32 (casse et remplissage ignorés)
+ * @returns {Buffer} Octets
+ */
+function base32Decode(text) {
+    let bits = '';
+    for (const char of text.toUpperCase().replace(/=+$/, '')) {
+        bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Calcule le code TOTP d'un intervalle
+ * @param {string} secret - Secret base32
+ * @param {number} step - Numéro de l'intervalle (secondes Unix / TOTP_PERIOD)
+ * @returns {string} Code à TOTP_DIGITS chiffres
+ */
+function generateTotp(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Cherche l'intervalle correspondant à un code autour de l'heure actuelle
+ * @param {string} secret - Secret base32
+ * @param {string} code - Code saisi
+ * @returns {number|null} Intervalle du code, ou null s'il ne correspond pas
+ */
+function findTotpStep(secret, code) {
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(code)) return null;
+
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+    for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+        const expected = Buffer.from(generateTotp(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Construit l'URI otpauth:// lue par les applications d'authentification
+ * @param {string} secret - Secret base32
+ * @param {string} email - Email du compte (libellé)
+ * @returns {string} URI otpauth
+ */
+function buildOtpauthUri(secret, email) {
+    const label = encodeURIComponent(`${CONFIG.appName}:${email}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: CONFIG.appName,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Hache un code de secours (tirets, espaces et casse ignorés)
+ * @param {string} code - Code de secours
+ * @returns {string} Haché SHA-256 (hexadécimal)
+ */
+function hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Génère des codes de secours
+ * @returns {{codes: Array<string>, hashes: Array<string>}} Codes (affichés une seule fois) et leurs hachés
+ */
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Lit un utilisateur
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<Object>} Données utilisateur
+ * @throws {Error} NOT_FOUND si l'utilisateur n'existe pas
+ */
+async function readUser(userId) {
+    const userData = await usersManager.readUserData(userId);
+    if (!userData) {
+        throw twoFactorError('NOT_FOUND', 'Utilisateur non trouvé');
+    }
+    return userData;
+}
+
+/**
+ * Vérifie un code TOTP ou un code de secours et le consomme
+ * L'appelant enregistre l'utilisateur.
+ * @param {Object} userData - Données utilisateur avec la double authentification active (modifiées en place)
+ * @param {string} code - Code saisi
+ * @returns {'totp'|'recovery'} Type du code accepté
+ * @throws {Error} INVALID_CODE si le code est incorrect ou déjà utilisé
+ */
+function consumeCode(userData, code) {
+    const twoFactor = userData.twoFactor;
+    const value = String(code).trim();
+
+    const step = findTotpStep(twoFactor.secret, value);
+    if (step !== null && step > (twoFactor.lastUsedStep ?? -1)) {
+        twoFactor.lastUsedStep = step;
+        return 'totp';
+    }
+
+    const index = twoFactor.recoveryCodes.indexOf(hashRecoveryCode(value));
+    if (index !== -1) {
+        twoFactor.recoveryCodes.splice(index, 1);
+        return 'recovery';
+    }
+
+    throw twoFactorError('INVALID_CODE', 'Code de vérification incorrect');
+}
+
+/**
+ * Indique si la double authentification est active
+ * @param {Object} user - Utilisateur
+ * @returns {boolean} Double authentification active
+ */
+function isEnabled(user) {
+    return Boolean(user?.twoFactor?.enabled);
+}
+
+/**
+ * Démarre l'activation : crée un secret à confirmer avec un premier code
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} currentPassword - Mot de passe actuel
+ * @returns {Promise<{secret: string, otpauthUri: string, qrCode: string}>} Secret, URI et QR code (data URL PNG)
+ * @throws {Error} FORBIDDEN si le mot de passe est incorrect, CONFLICT si déjà active
+ */
+async function startSetup(userId, currentPassword) {
+    await usersManager.reauthenticate(userId, currentPassword);
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    const userData = await usersManager.updateUserData(userId, userData => {
+        if (isEnabled(userData)) {
+            throw twoFactorError('CONFLICT', 'La double authentification est déjà activée');
+        }
+        userData.twoFactor = { enabled: false, pendingSecret: secret };
+        return userData;
+    });
+
+    const otpauthUri = buildOtpauthUri(secret, userData.email);
+    return { secret, otpauthUri, qrCode: await QRCode.toDataURL(otpauthUri) };
+}
+
+/**
+ * Termine l'activation avec un code de l'application d'authentification
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} code - Code affiché par l'application
+ * @returns {Promise<Array<string>>} Codes de secours (affichés une seule fois)
+ * @throws {Error} CONFLICT si aucune activation n'est en cours, INVALID_CODE si le code est incorrect
+ */
+async function enable(userId, code) {
+    return store.transaction(async () => {
+        const userData = await readUser(userId);
+        const secret = userData.twoFactor?.pendingSecret;
+        if (!secret || isEnabled(userData)) {
+            throw twoFactorError('CONFLICT', 'Aucune activation de la double authentification en cours');
+        }
+
+        const step = findTotpStep(secret, String(code).trim());
+        if (step === null) {
+            throw twoFactorError('INVALID_CODE', 'Code de vérification incorrect');
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        userData.twoFactor = {
+            enabled: true,
+            secret,
+            recoveryCodes: hashes,
+            lastUsedStep: step,
+            enabledAt: new Date().toISOString()
+        };
+        await usersManager.writeUserData(userId, userData);
+        logger.info(`Double authentification activée pour l'utilisateur ${userId}`);
+        return codes;
+    });
+}
+
+/**
+ * Vérifie le code de la deuxième étape de connexion
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} code - Code TOTP ou code de secours
+ * @returns {Promise<{method: string, remainingRecoveryCodes: number}>} Type du code et codes de secours restants
+ * @throws {Error} INVALID_CODE si le code est incorrect ou si la double authentification est inactive
+ */
+async function verifyCode(userId, code) {
+    return store.transaction(async () => {
+        const userData = await readUser(userId);
+        if (!isEnabled(userData)) {
+            throw twoFactorError('INVALID_CODE', 'Code de vérification incorrect');
+        }
+
+        const method = consumeCode(userData, code);
+        await usersManager.writeUserData(userId, userData);
+        if (method === 'recovery') {
+            logger.info(`Code de secours utilisé par l'utilisateur ${userId}`);
+        }
+        return { method, remainingRecoveryCodes: userData.twoFactor.recoveryCodes.length };
+    });
+}
+
+/**
+ * Désactive la double authentification
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} currentPassword - Mot de passe actuel
+ * @param {string} code - Code TOTP ou code de secours
+ * @returns {Promise<void>}
+ * @throws {Error} FORBIDDEN si le mot de passe est incorrect, CONFLICT si inactive, INVALID_CODE si le code est incorrect
+ */
+async function disable(userId, currentPassword, code) {
+    await usersManager.reauthenticate(userId, currentPassword);
+
+    await store.transaction(async () => {
+        const userData = await readUser(userId);
+        if (!isEnabled(userData)) {
+            throw twoFactorError('CONFLICT', 'La double authentification n\'est pas activée');
+        }
+
+        consumeCode(userData, code);
+        delete userData.twoFactor;
+        await usersManager.writeUserData(userId, userData);
+    });
+    logger.info(`Double authentification désactivée pour l'utilisateur ${userId}`);
+}
+
+/**
+ * Remplace les codes de secours
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} currentPassword - Mot de passe actuel
+ * @param {string} code - Code TOTP ou code de secours
+ * @returns {Promise<Array<string>>} Nouveaux codes de secours (les anciens ne sont plus valables)
+ * @throws {Error} FORBIDDEN si le mot de passe est incorrect, CONFLICT si inactive, INVALID_CODE si le code est incorrect
+ */
+async function regenerateRecoveryCodes(userId, currentPassword, code) {
+    await usersManager.reauthenticate(userId, currentPassword);
+
+    return store.transaction(async () => {
+        const userData = await readUser(userId);
+        if (!isEnabled(userData)) {
+            throw twoFactorError('CONFLICT', 'La double authentification n\'est pas activée');
+        }
+
+        consumeCode(userData, code);
+        const { codes, hashes } = generateRecoveryCodes();
+        userData.twoFactor.recoveryCodes = hashes;
+        await usersManager.writeUserData(userId, userData);
+        logger.info(`Codes de secours régénérés pour l'utilisateur ${userId}`);
+        return codes;
+    });
+}
+
+module.exports = {
+    isEnabled,
+    startSetup,
+    enable,
+    verifyCode,
+    disable,
+    regenerateRecoveryCodes
+};
@@ -3,36 +3,25 @@
  * @module managers/users-manager
  */
 
-const fs = require('fs').promises;
 const bcrypt = require('bcrypt');
-const path = require('path');
+const crypto = require('crypto');
 const CONFIG = require('../../config');
+const store = require('../storage').getStore();
+const migrations = require('../migrations');
 const logger = require('../../logger');
 
-const USERS_DIR = CONFIG.usersDir;
 const SALT_ROUNDS = 12;
 
 /**
- * Initialise le dossier des utilisateurs
- * @async
- * @returns {Promise<void>}
- */
-async function initializeUsersDir() {
-    try {
-        await fs.mkdir(USERS_DIR, { recursive: true });
-        logger.info('Dossier utilisateurs initialisé');
-    } catch (error) {
-        logger.error('Erreur création dossier users:', error);
-    }
-}
-
-/**
- * Obtient le chemin du fichier d'un utilisateur
- * @param {string} userId - ID de l'utilisateur
- * @returns {string} Chemin complet du fichier
+ * Crée une erreur de gestion de compte avec un code
+ * @param {string} code - Code ('NOT_FOUND', 'FORBIDDEN', 'CONFLICT' ou 'INVALID_TOKEN')
+ * @param {string} message - Message
+ * @returns {Error} Erreur avec le code
  */
-function getUserFilePath(userId) {
-    return path.join(USERS_DIR, `${userId}.json`);
+function userError(code, message) {
+    const error = new Error(message);
+    error.error = code;
+    return error;
 }
 
 /**
@@ -44,7 +33,16 @@ function createDefaultIngredients() {
     CONFIG.foodCategories.forEach(category => {
         ingredients[category] = {
             repas: { midi: false, soir: false },
-            items: []
+            items: [],
+            days: {
+                lundi: true,
+                mardi: true,
+                mercredi: true,
+                jeudi: true,
+                vendredi: true,
+                samedi: true,
+                dimanche: true
+            }
         };
     });
     return ingredients;
@@ -62,35 +60,40 @@ function createDefaultUserStructure(email, passwordHash, firstname = '', lastnam
     const now = new Date().toISOString();
     return {
         id: generateId(),
+        schemaVersion: migrations.CURRENT_SCHEMA_VERSION,
         email: email.toLowerCase(),
+        emailVerified: false,
         passwordHash,
         firstname,
         lastname,
         createdAt: now,
         updatedAt: now,
         preference: {
-            showWeeks: CONFIG.defaultWeeks,
+            numberOfWeeks: CONFIG.defaultWeeks,
             ingredients: createDefaultIngredients()
         },
         devices: [],
-        weeksPlans: createDefaultWeeksPlans(CONFIG.defaultWeeks)
+        passkeys: [],
+        plans: {},
+        recipes: [],
+        pantry: []
     };
 }
 
 /**
- * Crée les plans de semaines par défaut
- * @param {number} numberOfWeeks - Nombre de semaines à créer
- * @returns {Object} Plans des semaines
+ * Met à niveau les données d'un utilisateur lu depuis le stockage
+ * (migrations du schéma appliquées puis réenregistrées)
+ * @async
+ * @param {Object} userData - Données utilisateur (modifiées en place)
+ * @returns {Promise<Object>} Données utilisateur
  */
-function createDefaultWeeksPlans(numberOfWeeks) {
-    const plans = {};
-    for (let i = 1; i <= 4; i++) {
-        plans[`week${i}`] = {
-            enabled: i <= numberOfWeeks,
-            days: { ...CONFIG.default_atable }
-        };
+async function upgradeUserData(userData) {
+    const applied = migrations.migrateDocument('users', userData);
+    if (applied.length) {
+        await writeUserData(userData.id, userData);
+        logger.info(`Utilisateur ${userData.id} migré vers le schéma v${userData.schemaVersion}`);
     }
-    return plans;
+    return userData;
 }
 
 /**
@@ -100,20 +103,9 @@ function createDefaultWeeksPlans(numberOfWeeks) {
  * @returns {Promise<Object|null>} Données utilisateur ou null
  */
 async function readUserData(userId) {
-    const filePath = getUserFilePath(userId);
     try {
-        const data = await fs.readFile(filePath, 'utf8');
-        const userData = JSON.parse(data);
-
-        if (!userData.preference) {
-            userData.preference = {};
-        }
-        if (!userData.preference.ingredients) {
-            userData.preference.ingredients = createDefaultIngredients();
-            await writeUserData(userId, userData);
-        }
-
-        return userData;
+        const userData = await store.users.get(userId);
+        return userData ? await upgradeUserData(userData) : null;
     } catch (error) {
         return null;
     }
@@ -127,9 +119,34 @@ async function readUserData(userId) {
  * @returns {Promise<void>}
  */
 async function writeUserData(userId, userData) {
-    const filePath = getUserFilePath(userId);
+    userData.id = userId;
     userData.updatedAt = new Date().toISOString();
-    await fs.writeFile(filePath, JSON.stringify(userData, null, 2));
+    await store.users.save(userData);
+}
+
+/**
+ * Modifie les données d'un utilisateur
+ * Lecture, modification et écriture sont exécutées dans une transaction : une
+ * modification simultanée (2FA, passkey, email…) n'est pas écrasée par une
+ * copie plus ancienne. Pas d'attente longue dans update (bcrypt…) : la
+ * transaction bloque les autres écritures.
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Function} update - Reçoit les données utilisateur (à modifier en place)
+ * @returns {Promise<*>} Valeur retournée par update
+ * @throws {Error} NOT_FOUND si l'utilisateur n'existe pas
+ */
+async function updateUserData(userId, update) {
+    return store.transaction(async () => {
+        const userData = await readUserData(userId);
+        if (!userData) {
+            throw userError('NOT_FOUND', 'Utilisateur non trouvé');
+        }
+
+        const result = await update(userData);
+        await writeUserData(userId, userData);
+        return result;
+    });
 }
 
 /**
@@ -139,19 +156,10 @@ async function writeUserData(userId, userData) {
  */
 async function listAllUsers() {
     try {
-        const files = await fs.readdir(USERS_DIR);
-        const users = [];
-
-        for (const file of files) {
-            if (file.endsWith('.json')) {
-                const userId = file.replace('.json', '');
-                const userData = await readUserData(userId);
-                if (userData) {
-                    users.push(userData);
-                }
-            }
+        const users = await store.users.list();
+        for (const userData of users) {
+            await upgradeUserData(userData);
         }
-
         return users;
     } catch (error) {
         return [];
@@ -159,14 +167,14 @@ async function listAllUsers() {
 }
 
 /**
- * Trouve un utilisateur par email
+ * Trouve un utilisateur par email (recherche indexée)
  * @async
  * @param {string} email - Email de l'utilisateur
  * @returns {Promise<Object|null>} Utilisateur ou null
  */
 async function findUserByEmail(email) {
-    const users = await listAllUsers();
-    return users.find(u => u.email.toLowerCase() === email.toLowerCase()) || null;
+    const userData = await store.users.findByEmail(email.toLowerCase());
+    return userData ? upgradeUserData(userData) : null;
 }
 
 /**
@@ -190,14 +198,16 @@ async function findUserById(userId) {
  * @throws {Error} Si l'email existe déjà
  */
 async function createUser(email, password, firstname = '', lastname = '') {
-    const existingUser = await findUserByEmail(email);
-    if (existingUser) {
-        throw new Error('Cet email est déjà utilisé');
-    }
-
     const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
     const userData = createDefaultUserStructure(email, passwordHash, firstname, lastname);
-    await writeUserData(userData.id, userData);
+
+    // Vérification et création dans la même transaction (inscriptions simultanées)
+    await store.transaction(async () => {
+        if (await findUserByEmail(email)) {
+            throw new Error('Cet email est déjà utilisé');
+        }
+        await writeUserData(userData.id, userData);
+    });
 
     const { passwordHash: _, ...userWithoutPassword } = userData;
     return userWithoutPassword;
@@ -230,19 +240,17 @@ async function verifyUser(email, password) {
  * @throws {Error} Si l'utilisateur n'existe pas
  */
 async function updateUser(userId, updates) {
-    const userData = await readUserData(userId);
-    if (!userData) {
-        throw new Error('Utilisateur non trouvé');
-    }
+    const passwordHash = updates.password ? await bcrypt.hash(updates.password, SALT_ROUNDS) : null;
 
-    Object.assign(userData, updates);
-
-    if (updates.password) {
-        userData.passwordHash = await bcrypt.hash(updates.password, SALT_ROUNDS);
-        delete userData.password;
-    }
+    const userData = await updateUserData(userId, userData => {
+        Object.assign(userData, updates);
 
-    await writeUserData(userId, userData);
+        if (passwordHash) {
+            userData.passwordHash = passwordHash;
+            delete userData.password;
+        }
+        return userData;
+    });
 
     const { passwordHash: _, ...userWithoutPassword } = userData;
     return userWithoutPassword;
@@ -258,26 +266,253 @@ async function updateUser(userId, updates) {
  * @throws {Error} Si l'utilisateur n'existe pas
  */
 async function updateDevice(userId, deviceId, isMobile = false) {
-    const userData = await readUserData(userId);
-    if (!userData) throw new Error('Utilisateur non trouvé');
-
-    const deviceIndex = userData.devices.findIndex(d => d.deviceId === deviceId);
     const deviceData = {
         deviceId,
         lastConnected: new Date().toISOString(),
         isMobile
     };
 
-    if (deviceIndex >= 0) {
-        userData.devices[deviceIndex] = deviceData;
-    } else {
-        userData.devices.push(deviceData);
-    }
+    return updateUserData(userId, userData => {
+        const deviceIndex = userData.devices.findIndex(d => d.deviceId === deviceId);
+        if (deviceIndex >= 0) {
+            userData.devices[deviceIndex] = deviceData;
+        } else {
+            userData.devices.push(deviceData);
+        }
+        return userData;
+    });
+}
 
-    await writeUserData(userId, userData);
+/**
+ * Lit un utilisateur après vérification de son mot de passe actuel
+ * Exigé avant toute modification sensible du compte (ré-authentification).
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} currentPassword - Mot de passe actuel
+ * @returns {Promise<Object>} Données utilisateur
+ * @throws {Error} NOT_FOUND si l'utilisateur n'existe pas, FORBIDDEN si le mot de passe est incorrect
+ */
+async function reauthenticate(userId, currentPassword) {
+    const userData = await readUserData(userId);
+    if (!userData) {
+        throw userError('NOT_FOUND', 'Utilisateur non trouvé');
+    }
+    if (!await bcrypt.compare(currentPassword, userData.passwordHash)) {
+        throw userError('FORBIDDEN', 'Mot de passe actuel incorrect');
+    }
     return userData;
 }
 
+/**
+ * Change le mot de passe d'un utilisateur
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} currentPassword - Mot de passe actuel
+ * @param {string} newPassword - Nouveau mot de passe
+ * @returns {Promise<void>}
+ * @throws {Error} Si le mot de passe actuel est incorrect
+ */
+async function changePassword(userId, currentPassword, newPassword) {
+    await reauthenticate(userId, currentPassword);
+    const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+
+    // Relecture dans la transaction : modifications faites pendant le hachage (2FA, passkeys…)
+    await store.transaction(async () => {
+        const userData = await readUserData(userId);
+        if (!userData) {
+            throw userError('NOT_FOUND', 'Utilisateur non trouvé');
+        }
+        userData.passwordHash = passwordHash;
+        delete userData.passwordReset;
+        await writeUserData(userId, userData);
+    });
+    logger.info(`Mot de passe modifié pour l'utilisateur ${userId}`);
+}
+
+/**
+ * Change l'email d'un utilisateur
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} currentPassword - Mot de passe actuel
+ * @param {string} newEmail - Nouvel email
+ * @returns {Promise<Object>} Utilisateur mis à jour (sans mot de passe)
+ * L'adresse est à nouveau à vérifier (voir createEmailVerificationToken).
+ * @throws {Error} Si le mot de passe est incorrect (FORBIDDEN) ou l'email déjà utilisé (CONFLICT)
+ */
+async function changeEmail(userId, currentPassword, newEmail) {
+    await reauthenticate(userId, currentPassword);
+    const email = newEmail.toLowerCase();
+
+    // Vérification et écriture dans la même transaction (email demandé en même temps par un autre compte) ;
+    // l'utilisateur y est relu pour ne pas écraser une modification faite entre-temps (2FA, passkeys…)
+    const userData = await store.transaction(async () => {
+        const existing = await findUserByEmail(email);
+        if (existing && existing.id !== userId) {
+            throw userError('CONFLICT', 'Cet email est déjà utilisé');
+        }
+
+        const userData = await readUserData(userId);
+        if (!userData) {
+            throw userError('NOT_FOUND', 'Utilisateur non trouvé');
+        }
+        if (userData.email !== email) {
+            userData.email = email;
+            userData.emailVerified = false;
+            delete userData.emailVerification;
+        }
+        await writeUserData(userId, userData);
+        return userData;
+    });
+    logger.info(`Email modifié pour l'utilisateur ${userId}`);
+
+    const { passwordHash: _, ...userWithoutPassword } = userData;
+    return userWithoutPassword;
+}
+
+/**
+ * Hache le secret d'un jeton envoyé par email (seul le haché est stocké)
+ * @param {string} secret - Secret du jeton
+ * @returns {string} Haché SHA-256 (hexadécimal)
+ */
+function hashTokenSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Crée un jeton à usage unique pour un utilisateur
+ * Le jeton "<userId>.<secret>" n'est jamais stocké : l'utilisateur garde le
+ * haché du secret et sa date d'expiration dans userData[field]. Un nouveau
+ * jeton remplace le précédent. L'appelant enregistre l'utilisateur.
+ * @param {Object} userData - Données utilisateur (modifiées en place)
+ * @param {string} field - Champ du jeton ('passwordReset' ou 'emailVerification')
+ * @param {number} ttl - Durée de validité (millisecondes)
+ * @returns {{token: string, expiresAt: string}} Jeton et date d'expiration
+ */
+function issueUserToken(userData, field, ttl) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + ttl).toISOString();
+    userData[field] = { tokenHash: hashTokenSecret(secret), expiresAt };
+    return { token: `${userData.id}.${secret}`, expiresAt };
+}
+
+/**
+ * Utilise un jeton à usage unique
+ * Lecture, vérification et effacement du jeton se font dans la même
+ * transaction (deux utilisations simultanées).
+ * @async
+ * @param {string} token - Jeton reçu par email
+ * @param {string} field - Champ du jeton ('passwordReset' ou 'emailVerification')
+ * @param {Error} invalidToken - Erreur levée si le jeton est inconnu, déjà utilisé ou expiré
+ * @param {Function} apply - Modifie les données utilisateur (rapide : la transaction est ouverte)
+ * @returns {Promise<string>} ID de l'utilisateur
+ */
+async function consumeUserToken(token, field, invalidToken, apply) {
+    const [userId, secret] = String(token).split('.');
+    if (!/^[a-z0-9]+$/.test(userId || '') || !secret) {
+        throw invalidToken;
+    }
+
+    await store.transaction(async () => {
+        const userData = await readUserData(userId);
+        const stored = userData?.[field];
+        if (!stored || new Date(stored.expiresAt) <= new Date()) {
+            throw invalidToken;
+        }
+
+        const expected = Buffer.from(stored.tokenHash, 'hex');
+        const received = Buffer.from(hashTokenSecret(secret), 'hex');
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            throw invalidToken;
+        }
+
+        await apply(userData);
+        delete userData[field];
+        await writeUserData(userId, userData);
+    });
+    return userId;
+}
+
+/**
+ * Crée un jeton de réinitialisation du mot de passe (user.passwordReset)
+ * @async
+ * @param {string} email - Email du compte
+ * @returns {Promise<{user: Object, token: string, expiresAt: string}|null>} Jeton, ou null si aucun compte
+ */
+async function createPasswordResetToken(email) {
+    const found = await findUserByEmail(email);
+    if (!found) return null;
+
+    return updateUserData(found.id, userData => ({
+        user: { id: userData.id, email: userData.email, firstname: userData.firstname },
+        ...issueUserToken(userData, 'passwordReset', CONFIG.passwordResetTtlMinutes * 60 * 1000)
+    }));
+}
+
+/**
+ * Réinitialise le mot de passe avec un jeton (utilisable une seule fois)
+ * @async
+ * @param {string} token - Jeton reçu par email
+ * @param {string} newPassword - Nouveau mot de passe
+ * @returns {Promise<void>}
+ * @throws {Error} INVALID_TOKEN si le jeton est inconnu, déjà utilisé ou expiré
+ */
+async function resetPassword(token, newPassword) {
+    const invalidToken = userError('INVALID_TOKEN', 'Lien de réinitialisation invalide ou expiré');
+    // Hachage hors de la transaction : il bloquerait les autres écritures
+    const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+    const userId = await consumeUserToken(token, 'passwordReset', invalidToken, userData => {
+        userData.passwordHash = passwordHash;
+    });
+    logger.info(`Mot de passe réinitialisé pour l'utilisateur ${userId}`);
+}
+
+/**
+ * Crée un jeton de vérification de l'email (user.emailVerification)
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<{user: Object, token: string, expiresAt: string}>} Jeton
+ * @throws {Error} NOT_FOUND si l'utilisateur n'existe pas, CONFLICT si l'email est déjà vérifié
+ */
+async function createEmailVerificationToken(userId) {
+    return updateUserData(userId, userData => {
+        if (userData.emailVerified) {
+            throw userError('CONFLICT', 'Votre adresse email est déjà vérifiée');
+        }
+        return {
+            user: { id: userData.id, email: userData.email, firstname: userData.firstname },
+            ...issueUserToken(userData, 'emailVerification', CONFIG.emailVerificationTtlHours * 60 * 60 * 1000)
+        };
+    });
+}
+
+/**
+ * Vérifie l'email avec le jeton reçu (utilisable une seule fois)
+ * @async
+ * @param {string} token - Jeton reçu par email
+ * @returns {Promise<string>} ID de l'utilisateur vérifié
+ * @throws {Error} INVALID_TOKEN si le jeton est inconnu, déjà utilisé ou expiré
+ */
+async function verifyEmail(token) {
+    const invalidToken = userError('INVALID_TOKEN', 'Lien de vérification invalide ou expiré');
+    const userId = await consumeUserToken(token, 'emailVerification', invalidToken, userData => {
+        userData.emailVerified = true;
+    });
+    logger.info(`Email vérifié pour l'utilisateur ${userId}`);
+    return userId;
+}
+
+/**
+ * Supprime le document d'un utilisateur
+ * Le foyer et les abonnements push sont nettoyés par l'appelant.
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<void>}
+ */
+async function deleteUser(userId) {
+    await store.users.remove(userId);
+    logger.info(`Utilisateur ${userId} supprimé`);
+}
+
 /**
  * Génère un ID unique
  * @returns {string} ID unique basé sur timestamp et random
@@ -287,15 +522,24 @@ function generateId() {
 }
 
 module.exports = {
-    initializeUsersDir,
     findUserByEmail,
     findUserById,
     createUser,
     verifyUser,
     updateUser,
     updateDevice,
+    reauthenticate,
+    changePassword,
+    changeEmail,
+    createPasswordResetToken,
+    resetPassword,
+    createEmailVerificationToken,
+    verifyEmail,
+    deleteUser,
     readUserData,
     writeUserData,
+    updateUserData,
     listAllUsers,
-    createDefaultIngredients
+    createDefaultIngredients,
+    generateId
 };
\ No newline at end of file
@@ -1,5 +1,8 @@
 const logger = require('../../logger');
 const ServerResponse  = require('../../response-handler');
+const householdsManager = require('../managers/households-manager');
+const usersManager = require('../managers/users-manager');
+const CONFIG = require('../../config');
 /**
  * @fileoverview Middleware d'authentification et sécurité
  * @module middleware/auth-middleware
@@ -20,6 +23,77 @@ function requireAuth(req, res, next) {
     next();
 }
 
+/**
+ * Vérifie le rôle de l'utilisateur dans son foyer
+ * À placer après requireAuth ; le rôle est exposé dans req.householdRole.
+ * @param {...string} roles - Rôles autorisés ('owner', 'editor', 'viewer')
+ * @returns {Function} Middleware Express
+ * @example
+ * router.put('/', requireAuth, requireRole('owner', 'editor'), handler);
+ */
+function requireRole(...roles) {
+    return async (req, res, next) => {
+        try {
+            const role = await householdsManager.getUserRole(req.session.userId);
+            if (!role) {
+                return ServerResponse.unauthorized(res);
+            }
+            if (!roles.includes(role)) {
+                return ServerResponse.forbidden(res);
+            }
+            req.householdRole = role;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+/**
+ * Réserve une fonctionnalité aux comptes dont l'email est vérifié
+ * Sans effet si REQUIRE_EMAIL_VERIFICATION=false. À placer après requireAuth.
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Function} next - Fonction next
+ * @returns {Promise<void>}
+ * @example
+ * router.post('/subscribe', requireAuth, requireVerifiedEmail, handler);
+ */
+async function requireVerifiedEmail(req, res, next) {
+    if (!CONFIG.requireEmailVerification) {
+        return next();
+    }
+    try {
+        const user = await usersManager.findUserById(req.session.userId);
+        if (!user) {
+            return ServerResponse.unauthorized(res);
+        }
+        if (user.emailVerified === false) {
+            return ServerResponse.error(res, 403, 'EMAIL_NOT_VERIFIED',
+                'Confirmez votre adresse email pour utiliser cette fonctionnalité');
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Met à jour la dernière activité et l'adresse IP de la session connectée
+ * (liste des sessions, GET /auth/sessions)
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Function} next - Fonction next
+ * @returns {void}
+ */
+function trackSessionActivity(req, res, next) {
+    if (req.session?.userId) {
+        req.session.lastActivity = Date.now();
+        req.session.ip = req.ip;
+    }
+    next();
+}
+
 /**
  * Middleware de logging pour le développement
  * Affiche les informations de chaque requête
@@ -49,6 +123,9 @@ function protectAllRoutes(req, res, next) {
 
 module.exports = {
     requireAuth,
+    requireRole,
+    requireVerifiedEmail,
+    trackSessionActivity,
     logRequest,
     protectAllRoutes
 };
\ No newline at end of file
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Limitation des tentatives d'authentification (par adresse IP et par compte)
+ * @module middleware/rate-limit-middleware
+ *
+ * Les échecs par compte (login-attempts-manager) comptent les connexions et
+ * les ré-authentifications (mot de passe actuel exigé par les routes du compte).
+ */
+
+const rateLimit = require('express-rate-limit');
+const CONFIG = require('../../config');
+const ServerResponse = require('../../response-handler');
+const loginAttempts = require('../managers/login-attempts-manager');
+const { audit } = require('../../audit-logger');
+
+/**
+ * Limite les requêtes d'authentification (connexion, inscription, mot de passe oublié…)
+ * par adresse IP ; toutes les routes limitées partagent le même compteur.
+ * Au-delà : 429 avec l'en-tête Retry-After, et l'événement est journalisé.
+ * @type {Function}
+ */
+const authLimiter = rateLimit({
+    windowMs: CONFIG.loginProtection.ipWindowMinutes * 60 * 1000,
+    limit: CONFIG.loginProtection.ipMaxRequests,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    handler: (req, res) => {
+        const retryAfter = Math.max(1, Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000));
+        audit('RATE_LIMITED', req, { retryAfter });
+        return ServerResponse.tooManyRequests(res, retryAfter, '⏱️ Trop de tentatives depuis cette adresse.');
+    }
+});
+
+/**
+ * Répond 429 à une tentative sur un compte bloqué ou en délai d'attente
+ * @param {Object} res - Objet réponse Express
+ * @param {{retryAfter: number, locked: boolean}} block - Délai restant (secondes) et verrouillage
+ * @param {string} [message] - Message en cas de simple délai (échec qui vient de l'imposer)
+ * @returns {void}
+ */
+function sendLoginBlocked(res, { retryAfter, locked }, message = '⏱️ Trop de tentatives de connexion.') {
+    if (locked) {
+        return ServerResponse.tooManyRequests(res, retryAfter,
+            '🔒 Compte temporairement verrouillé après trop de tentatives.', 'ACCOUNT_LOCKED');
+    }
+    return ServerResponse.tooManyRequests(res, retryAfter, message);
+}
+
+/**
+ * Refuse la tentative si le compte est verrouillé ou en délai d'attente
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Objet réponse Express
+ * @param {string} email - Email du compte
+ * @returns {boolean} true si la tentative a été refusée (réponse envoyée)
+ */
+function rejectBlockedLogin(req, res, email) {
+    const block = loginAttempts.getBlock(email);
+    if (!block) {
+        return false;
+    }
+    audit('LOGIN_BLOCKED', req, { email, retryAfter: block.retryAfter });
+    sendLoginBlocked(res, block);
+    return true;
+}
+
+/**
+ * Compte un échec d'authentification et le journalise
+ * @param {Object} req - Requête Express
+ * @param {string} email - Email du compte
+ * @param {string} reason - Raison ('INVALID_CREDENTIALS', 'INVALID_CODE' ou 'INVALID_PASSWORD')
+ * @returns {{count: number, retryAfter: number, locked: boolean}} Échecs et délai imposé
+ */
+function recordLoginFailure(req, email, reason) {
+    const failure = loginAttempts.recordFailure(email);
+    audit('LOGIN_FAILED', req, { email, reason, failures: failure.count });
+    if (failure.locked) {
+        audit('ACCOUNT_LOCKED', req, { email, failures: failure.count, retryAfter: failure.retryAfter });
+    }
+    return failure;
+}
+
+/**
+ * Refuse les ré-authentifications (mot de passe actuel) d'un compte bloqué
+ * À placer après requireAuth.
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Function} next - Fonction next
+ * @returns {void}
+ */
+function rejectBlockedAccount(req, res, next) {
+    if (rejectBlockedLogin(req, res, req.session.userEmail)) {
+        return;
+    }
+    next();
+}
+
+/**
+ * Répond à un mot de passe actuel incorrect et compte l'échec pour le compte connecté
+ * 403, ou 429 si l'échec impose un délai (ou verrouille le compte).
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {string} message - Message d'erreur
+ * @returns {void}
+ */
+function sendWrongPassword(req, res, message) {
+    const failure = recordLoginFailure(req, req.session.userEmail, 'INVALID_PASSWORD');
+    if (failure.retryAfter > 0) {
+        return sendLoginBlocked(res, failure, `⏱️ ${message}.`);
+    }
+    return ServerResponse.error(res, 403, 'INVALID_PASSWORD', message);
+}
+
+module.exports = {
+    authLimiter,
+    sendLoginBlocked,
+    rejectBlockedLogin,
+    recordLoginFailure,
+    rejectBlockedAccount,
+    sendWrongPassword
+};
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Migration 1 : anciens formats des documents utilisateur
+ * @module migrations/001-legacy-user-data
+ *
+ * - weeksPlans (jours 1-31) → plans datés
+ * - préférences, ingrédients et plans par défaut des comptes sans foyer
+ * - repas texte → repas structurés (plans et historique)
+ */
+
+const CONFIG = require('../../config');
+const mealModel = require('../managers/meal-model');
+
+/**
+ * Convertit l'ancien format weeksPlans (jours 1-31) en plans datés
+ * Les jours sont rattachés au mois courant ; le premier repas non vide
+ * trouvé (dans l'ordre des semaines) est conservé.
+ * @param {Object} weeksPlans - Anciens plans {week1: {days: {1: {midi, soir}}}}
+ * @param {Date} [referenceDate=new Date()] - Date du mois de rattachement
+ * @returns {Object} Plans datés {'YYYY-MM-DD': {midi, soir}}
+ */
+function migrateWeeksPlans(weeksPlans, referenceDate = new Date()) {
+    const plans = {};
+    const year = referenceDate.getFullYear();
+    const month = referenceDate.getMonth();
+    const daysInMonth = CONFIG.getDaysInMonth(year, month);
+
+    const weekKeys = Object.keys(weeksPlans || {})
+        .filter(key => key.startsWith('week'))
+        .sort();
+
+    for (const weekKey of weekKeys) {
+        const days = weeksPlans[weekKey]?.days || {};
+
+        for (const [dayKey, dayData] of Object.entries(days)) {
+            const dayNum = parseInt(dayKey);
+            if (isNaN(dayNum) || dayNum < 1 || dayNum > daysInMonth || !dayData) continue;
+
+            const dateKey = CONFIG.formatISODate(new Date(year, month, dayNum));
+            const current = plans[dateKey] || { midi: '', soir: '' };
+
+            for (const mealType of ['midi', 'soir']) {
+                if (!current[mealType] && dayData[mealType]) {
+                    current[mealType] = dayData[mealType];
+                }
+            }
+
+            if (current.midi || current.soir) {
+                plans[dateKey] = current;
+            }
+        }
+    }
+
+    return plans;
+}
+
+/**
+ * Convertit en place les repas texte (ancien format) des plans et de l'historique
+ * @param {Object} userData - Données utilisateur
+ * @returns {void}
+ */
+function convertLegacyMeals(userData) {
+    const dayMaps = [
+        userData.plans || {},
+        ...Object.values(userData.history || {}).map(month => month.days || {})
+    ];
+
+    for (const days of dayMaps) {
+        for (const [dateKey, day] of Object.entries(days)) {
+            if (mealModel.hasLegacyMeals(day)) {
+                days[dateKey] = mealModel.normalizeDay(day);
+            }
+        }
+    }
+}
+
+module.exports = {
+    version: 1,
+    description: 'Anciens plans par semaine, préférences par défaut et repas texte',
+
+    users(userData) {
+        // Les données partagées d'un compte rattaché à un foyer sont dans le foyer
+        if (!userData.householdId && !userData.preference) {
+            userData.preference = {};
+        }
+        if (!userData.householdId && !userData.preference.ingredients) {
+            userData.preference.ingredients = require('../managers/users-manager').createDefaultIngredients();
+        }
+        if (userData.weeksPlans) {
+            userData.plans = {
+                ...migrateWeeksPlans(userData.weeksPlans),
+                ...(userData.plans || {})
+            };
+            delete userData.weeksPlans;
+        }
+        if (!userData.householdId && !userData.plans) {
+            userData.plans = {};
+        }
+        convertLegacyMeals(userData);
+    }
+};
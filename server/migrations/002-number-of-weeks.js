@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Migration 2 : un seul nom pour le nombre de semaines affichées
+ * @module migrations/002-number-of-weeks
+ *
+ * Les préférences contenaient showWeeks (valeur à la création du compte) et,
+ * après un changement dans les paramètres, numberOfWeeks : le choix de
+ * l'utilisateur (numberOfWeeks) est conservé, showWeeks disparaît.
+ */
+
+/**
+ * Renomme showWeeks en numberOfWeeks dans des préférences
+ * @param {Object} document - Utilisateur ou foyer (modifié en place)
+ * @returns {void}
+ */
+function renameShowWeeks(document) {
+    const preference = document.preference;
+    if (!preference || !('showWeeks' in preference)) return;
+
+    if (typeof preference.numberOfWeeks === 'undefined') {
+        preference.numberOfWeeks = preference.showWeeks;
+    }
+    delete preference.showWeeks;
+}
+
+module.exports = {
+    version: 2,
+    description: 'showWeeks renommé en numberOfWeeks',
+    users: renameShowWeeks,
+    households: renameShowWeeks
+};
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Migration 3 : jours d'utilisation des catégories d'ingrédients
+ * @module migrations/003-ingredient-days
+ *
+ * Les catégories créées avant l'ajout des jours (catégories par défaut) n'ont
+ * pas de champ "days" : elles deviennent utilisables tous les jours.
+ */
+
+/** @type {string[]} Jours de la semaine */
+const DAYS_OF_WEEK = ['lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi', 'dimanche'];
+
+/**
+ * Ajoute les jours manquants aux catégories d'ingrédients
+ * @param {Object} document - Utilisateur ou foyer (modifié en place)
+ * @returns {void}
+ */
+function addCategoryDays(document) {
+    const ingredients = document.preference?.ingredients;
+    if (!ingredients) return;
+
+    for (const category of Object.values(ingredients)) {
+        if (!category || typeof category !== 'object') continue;
+
+        category.days = Object.fromEntries(
+            DAYS_OF_WEEK.map(day => [day, typeof category.days?.[day] === 'boolean' ? category.days[day] : true])
+        );
+    }
+}
+
+module.exports = {
+    version: 3,
+    description: 'Jours ajoutés aux catégories d\'ingrédients',
+    users: addCategoryDays,
+    households: addCategoryDays
+};
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Migration 4 : vérification de l'email
+ * @module migrations/004-email-verified
+ *
+ * Les comptes créés avant la vérification des emails n'ont jamais reçu de
+ * lien : ils sont considérés comme vérifiés pour ne rien leur retirer.
+ */
+
+/**
+ * Marque l'email d'un utilisateur existant comme vérifié
+ * @param {Object} user - Utilisateur (modifié en place)
+ * @returns {void}
+ */
+function markLegacyEmailVerified(user) {
+    if (typeof user.emailVerified !== 'boolean') {
+        user.emailVerified = true;
+    }
+}
+
+module.exports = {
+    version: 4,
+    description: 'Emails des comptes existants considérés comme vérifiés',
+    users: markLegacyEmailVerified
+};
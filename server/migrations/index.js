@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Versions du schéma des documents et migrations
+ * @module migrations
+ *
+ * Chaque document utilisateur et foyer porte un champ schemaVersion. Une
+ * migration est un module {version, description, users?(doc), households?(doc)}
+ * qui modifie le document en place ; elles sont appliquées dans l'ordre à
+ * chaque document dont la version est inférieure :
+ * - à la lecture (users-manager, households-manager), le document est réenregistré
+ * - au démarrage du serveur, sur tous les documents du dépôt
+ * - avec "npm run migrate-schema" (--dry-run : rapport sans écriture)
+ *
+ * Les documents sans schemaVersion sont en version 0. Pour faire évoluer le
+ * schéma, ajouter un fichier NNN-description.js à la fin de MIGRATIONS.
+ */
+
+const logger = require('../../logger');
+
+/** @type {Array<Object>} Migrations, par version croissante */
+const MIGRATIONS = [
+    require('./001-legacy-user-data'),
+    require('./002-number-of-weeks'),
+    require('./003-ingredient-days'),
+    require('./004-email-verified')
+];
+
+/** @type {number} Version des documents créés par l'application */
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Applique à un document les migrations qui lui manquent
+ * @param {string} type - Type de document ('users' ou 'households')
+ * @param {Object} document - Document (modifié en place)
+ * @returns {Array<Object>} Migrations appliquées (vide si le document est à jour)
+ */
+function migrateDocument(type, document) {
+    const fromVersion = document.schemaVersion || 0;
+    const pending = MIGRATIONS.filter(migration => migration.version > fromVersion);
+
+    for (const migration of pending) {
+        if (migration[type]) {
+            migration[type](document);
+        }
+    }
+    if (pending.length) {
+        document.schemaVersion = CURRENT_SCHEMA_VERSION;
+    }
+    return pending;
+}
+
+/**
+ * Migre tous les documents d'un dépôt
+ * @async
+ * @param {Object} store - Dépôt initialisé
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.dryRun=false] - Calculer le rapport sans rien enregistrer
+ * @returns {Promise<Array<{type: string, id: string, from: number, migrations: Array<string>}>>}
+ *   Documents à migrer (ou migrés) avec leur version d'origine et les migrations appliquées
+ */
+async function runMigrations(store, { dryRun = false } = {}) {
+    const report = [];
+
+    for (const type of ['users', 'households']) {
+        for (const stored of await store[type].list()) {
+            const document = dryRun ? structuredClone(stored) : stored;
+            const from = document.schemaVersion || 0;
+            const applied = migrateDocument(type, document);
+            if (!applied.length) continue;
+
+            if (!dryRun) {
+                document.updatedAt = new Date().toISOString();
+                await store[type].save(document);
+            }
+            report.push({
+                type,
+                id: document.id,
+                from,
+                migrations: applied.map(migration => `${migration.version} - ${migration.description}`)
+            });
+        }
+    }
+
+    if (report.length) {
+        logger.info(`${report.length} document(s) ${dryRun ? 'à migrer' : 'migré(s)'} vers le schéma v${CURRENT_SCHEMA_VERSION}`);
+    }
+    return report;
+}
+
+module.exports = {
+    CURRENT_SCHEMA_VERSION,
+    migrateDocument,
+    runMigrations
+};
@@ -6,30 +6,55 @@ const express = require('express');
 const router = express.Router();
 const atableManager = require('../managers/atable-manager');
 const preferencesManager = require('../managers/preferences-manager');
-const { requireAuth } = require('../middleware/auth-middleware');
+const syncManager = require('../managers/sync-manager');
+const { requireAuth, requireRole } = require('../middleware/auth-middleware');
 const { asyncHandler } = require('../middleware/handler-middleware')
+const { validate } = require('../validation');
+const schemas = require('../validation/atable.schemas');
+const CONFIG = require('../../config');
 const logger = require('../../logger');
 const ServerResponse = require('../../response-handler');
 
 /**
- * GET /api/atable
+ * Récupère le nombre de semaines affichées par l'utilisateur
+ * @async
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<number>} Nombre de semaines
  */
-router.get('/', requireAuth, asyncHandler(async (req, res) => {
+async function getNumberOfWeeks(userId) {
+    const preferences = await preferencesManager.readUserPreferences(userId);
+    return preferences.numberOfWeeks || CONFIG.defaultWeeks;
+}
+
+/**
+ * GET /api/atable?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Sans paramètres, renvoie les semaines affichées à partir de la semaine courante
+ */
+router.get('/', requireAuth, validate({ query: schemas.rangeQuery }), asyncHandler(async (req, res) => {
     try {
-        const preferences = await preferencesManager.readUserPreferences(req.session.userId);
-        const numberOfWeeks = preferences.showWeeks || 2;
+        const numberOfWeeks = await getNumberOfWeeks(req.session.userId);
+        const weekRanges = CONFIG.getWeekRanges(numberOfWeeks);
 
-        const weeksPlans = await atableManager.readUseratable(req.session.userId);
+        const from = req.query.from || weekRanges[0].from;
+        const to = req.query.to || weekRanges[weekRanges.length - 1].to;
 
-        // Convertir au format attendu par le frontend
-        const weeks = {};
-        for (let i = 1; i <= numberOfWeeks; i++) {
-            const weekKey = `week${i}`;
-            weeks[weekKey] = weeksPlans[weekKey]?.days || {};
+        const rangeError = atableManager.validateDateRange(from, to);
+        if (rangeError) {
+            return ServerResponse.validation(res, rangeError.field, rangeError.message);
         }
+
+        const [days, versions] = await Promise.all([
+            atableManager.readUseratable(req.session.userId, from, to),
+            atableManager.readSlotVersions(req.session.userId, from, to)
+        ]);
+
         return ServerResponse.success(res, 200, {
-            weeks,
-            numberOfWeeks
+            days,
+            versions,
+            from,
+            to,
+            numberOfWeeks,
+            weekRanges: weekRanges.map(({ weekNumber, from, to }) => ({ weekNumber, from, to }))
         });
     } catch (error) {
         logger.error('Erreur lecture repas:', error);
@@ -38,64 +63,95 @@ router.get('/', requireAuth, asyncHandler(async (req, res) => {
 }));
 
 
-// GET /api/atable/:week - Récupérer UNE semaine spécifique
-router.get('/:weeknumber', asyncHandler(async (req, res) => {
+// GET /api/atable/:week - Récupérer UNE semaine spécifique (1 = semaine courante)
+router.get('/:weeknumber', requireAuth, validate({ params: schemas.weekParams }), asyncHandler(async (req, res) => {
     try {
         const { weeknumber } = req.params;
-        const weeksPlans = await atableManager.readUseratable(req.session.userId);
-        return ServerResponse.success(res, 200, weeksPlans[`week${weeknumber}`]?.days || {}, `Planing de la semaine ${weeknumber}`);
+        const range = CONFIG.getWeekRanges(weeknumber)[weeknumber - 1];
+        const days = await atableManager.readUseratable(req.session.userId, range.from, range.to);
+        return ServerResponse.success(res, 200, days, `Planing de la semaine ${weeknumber}`);
     } catch (error) {
         logger.error('Erreur lecture semaine:', error);
         return ServerResponse.error(res, 500, 'INTERNAL_ERROR', 'Erreur lecture données');
     }
 }));
 
-// PUT /:week - Sauvegarder UNE semaine
-router.put('/:weeknumber', asyncHandler(async (req, res) => {
+/**
+ * Convertit une erreur de sauvegarde en réponse HTTP
+ * Une version périmée renvoie 409 avec les repas en conflit ("mine" / "theirs").
+ * @param {Object} res - Objet réponse Express
+ * @param {Error} error - Erreur levée par le gestionnaire
+ * @param {string} message - Message par défaut
+ * @returns {void}
+ */
+function handleSaveError(res, error, message) {
+    if (error.error === 'CONFLICT') {
+        return ServerResponse.conflict(res, error.message, error.conflicts);
+    }
+    logger.error('Erreur sauvegarde repas:', error);
+    return ServerResponse.error(res, 400, 'ATABLE_SAVE_ERROR', error.message || message);
+}
+
+/**
+ * PUT /api/atable/slots/:date/:mealType
+ * Sauvegarde d'un seul repas (opérations faites hors ligne, rejouées une à une)
+ * Body: { meal: {title, items, notes, servings}, version: n }
+ * 409 avec le repas en conflit si sa version a changé entre-temps.
+ */
+router.put('/slots/:date/:mealType', requireAuth, requireRole('owner', 'editor'),
+    validate({ params: schemas.slotParams, body: schemas.slotBody }), asyncHandler(async (req, res) => {
     try {
-        const { weeknumber } = req.params;
-        const weekData = req.body;
+        const { date, mealType } = req.params;
+        const { meal, version } = req.body;
+
+        const result = await atableManager.writeMealSlot(req.session.userId, date, mealType, meal, version);
+        syncManager.publishSlots(result.householdId, result.slots, req.get('X-Client-Id'), req.session.userId);
 
-        // Lire toutes les données
-        const weeksPlans = await atableManager.readUseratable(req.session.userId);
+        return ServerResponse.success(res, 200, { success: true, versions: result.versions }, 'Repas sauvegardé avec succès');
+    } catch (error) {
+        return handleSaveError(res, error, 'Erreur sauvegarde repas');
+    }
+}));
 
-        // Mettre à jour uniquement cette semaine
-        weeksPlans[`week${weeknumber}`] = weekData;
+// PUT /:week - Sauvegarder UNE semaine
+// Body: { 'YYYY-MM-DD': { midi, soir } } ou { days, versions } (sans versions : contrôle avec la version 0)
+router.put('/:weeknumber', requireAuth, requireRole('owner', 'editor'),
+    validate({ params: schemas.weekParams, body: schemas.weekSaveBody }), asyncHandler(async (req, res) => {
+    try {
+        const { weeknumber } = req.params;
+        const { days, versions } = req.body;
+        const range = CONFIG.getWeekRanges(weeknumber)[weeknumber - 1];
+        const outOfWeek = Object.keys(days).find(dateKey => !range.days.includes(dateKey));
+        if (outOfWeek) {
+            return ServerResponse.validation(res, 'days', `La date ${outOfWeek} n'appartient pas à la semaine ${weeknumber}`);
+        }
 
-        // Sauvegarder
-        await atableManager.writeUseratable(req.session.userId, weeksPlans)
+        const result = await atableManager.writeUseratable(req.session.userId, days, versions);
+        syncManager.publishSlots(result.householdId, result.slots, req.get('X-Client-Id'), req.session.userId);
 
-        return ServerResponse.success(res, 200, { success: true }, 'Semaine sauvegardée avec succès');
+        return ServerResponse.success(res, 200, { success: true, versions: result.versions }, 'Semaine sauvegardée avec succès');
     } catch (error) {
-        logger.error('Erreur sauvegarde semaine:', error);
-        return ServerResponse.error(res, 500, 'INTERNAL_ERROR', 'Erreur sauvegarde semaine');
+        return handleSaveError(res, error, 'Erreur sauvegarde semaine');
     }
 }));
 
 /**
  * PUT /api/atable
+ * Body: { days: { 'YYYY-MM-DD': { midi, soir } }, versions?: { 'YYYY-MM-DD:midi': n } }
+ * Seuls les repas listés dans versions sont écrits (409 si l'un d'eux a changé entre-temps) ;
+ * sans versions, chaque repas envoyé est contrôlé avec la version 0.
  */
-router.put('/', requireAuth, asyncHandler(async (req, res) => {
+router.put('/', requireAuth, requireRole('owner', 'editor'), validate({ body: schemas.saveBody }), asyncHandler(async (req, res) => {
     try {
-        const newData = req.body;
-
-        // Récupérer les plans actuels
-        const currentPlans = await atableManager.readUseratable(req.session.userId);
-
-        // Fusionner avec les nouvelles données
-        for (const weekKey in newData) {
-            if (currentPlans[weekKey]) {
-                currentPlans[weekKey].days = newData[weekKey];
-            }
-        }
+        const { days, versions } = req.body;
 
-        await atableManager.writeUseratable(req.session.userId, currentPlans);
+        const result = await atableManager.writeUseratable(req.session.userId, days, versions);
+        syncManager.publishSlots(result.householdId, result.slots, req.get('X-Client-Id'), req.session.userId);
 
-        return ServerResponse.success(res, 200, { success: true }, 'Données sauvegardées avec succès');
+        return ServerResponse.success(res, 200, { success: true, versions: result.versions }, 'Données sauvegardées avec succès');
     } catch (error) {
-        logger.error('Erreur sauvegarde repas:', error);
-        return ServerResponse.error(res, 500, 'INTERNAL_ERROR', error.message || 'Erreur lors de la sauvegarde');
+        return handleSaveError(res, error, 'Erreur lors de la sauvegarde');
     }
 }));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
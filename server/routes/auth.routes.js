@@ -5,61 +5,153 @@
 const express = require('express');
 const router = express.Router();
 const usersManager = require('../managers/users-manager');
+const twoFactorManager = require('../managers/two-factor-manager');
+const passkeysManager = require('../managers/passkeys-manager');
+const sessionsManager = require('../managers/sessions-manager');
+const syncManager = require('../managers/sync-manager');
+const loginAttempts = require('../managers/login-attempts-manager');
 const { asyncHandler } = require('../middleware/handler-middleware')
+const { requireAuth } = require('../middleware/auth-middleware');
+const {
+  authLimiter,
+  sendLoginBlocked,
+  rejectBlockedLogin,
+  recordLoginFailure,
+  rejectBlockedAccount,
+  sendWrongPassword
+} = require('../middleware/rate-limit-middleware');
 const logger = require('../../logger');
+const { audit } = require('../../audit-logger');
 const ServerResponse = require('../../response-handler');
-const z = require('zod')
+const { validate } = require('../validation');
+const schemas = require('../validation/auth.schemas');
+const passkeySchemas = require('../validation/passkeys.schemas');
+const mail = require('../mail');
+const { passwordResetMail } = require('../mail/templates');
+const { sendEmailVerification } = require('../mail/verification');
+const CONFIG = require('../../config');
 
-const loginSchema = z.object({
-  email: z.string().email(),
-  password: z.string().min(6),
-  machineId: z.string().optional()
-});
+/** @type {number} Délai pour saisir le code de double authentification (millisecondes) */
+const TWO_FACTOR_LOGIN_TTL = 5 * 60 * 1000;
+/** @type {number} Codes incorrects acceptés avant de recommencer la connexion */
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+/** @type {number} Délai pour répondre à un challenge WebAuthn (millisecondes) */
+const WEBAUTHN_CHALLENGE_TTL = 5 * 60 * 1000;
 
 /**
- * POST /auth/register
+ * Ouvre la session d'un utilisateur authentifié et enregistre son appareil
+ * Navigateur et heure de connexion sont gardés pour la liste des sessions (GET /auth/sessions).
+ * @async
+ * @param {Object} req - Requête Express
+ * @param {Object} user - Utilisateur (sans mot de passe)
+ * @param {string} [machineId] - ID de l'appareil
+ * @returns {Promise<void>}
  */
-router.post('/register', asyncHandler(async (req, res) => {
-  const { email, password, firstname, lastname, machineId } = req.body;
-
-  if (!email || !password) {
-    return ServerResponse.error(res, 400, 'MISSING_FIELDS', 'Email et mot de passe requis');
+async function openSession(req, user, machineId) {
+  // Enregistrer/mettre à jour le device
+  if (machineId) {
+    try {
+      const isMobile = /mobile|android|iphone|ipad/i.test(req.headers['user-agent'] || '');
+      await usersManager.updateDevice(user.id, machineId, isMobile);
+    } catch (deviceError) {
+      logger.error('Erreur updateDevice:', deviceError.message);
+      // Continuer sans bloquer le login
+    }
   }
 
-  if (!firstname || !lastname) {
-    return ServerResponse.error(res, 400, 'MISSING_FIELDS', 'Prénom et nom requis');
-  }
+  req.session.userId = user.id;
+  req.session.userEmail = user.email;
+  req.session.machineId = machineId;
+  req.session.userAgent = req.headers['user-agent'] || '';
+  req.session.loggedInAt = Date.now();
+  req.session.lastActivity = Date.now();
+  req.session.ip = req.ip;
+}
 
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(email)) {
-    return ServerResponse.error(res, 400, 'INVALID_EMAIL', 'Format d\'email invalide');
+/**
+ * Garde en session le challenge WebAuthn envoyé au navigateur
+ * @param {Object} req - Requête Express
+ * @param {string} type - Cérémonie ('registration' ou 'authentication')
+ * @param {string} challenge - Challenge des options
+ * @returns {void}
+ */
+function storeChallenge(req, type, challenge) {
+  req.session.webauthnChallenge = { type, challenge, expiresAt: Date.now() + WEBAUTHN_CHALLENGE_TTL };
+}
+
+/**
+ * Retire de la session le challenge WebAuthn en attente (utilisable une seule fois)
+ * @param {Object} req - Requête Express
+ * @param {string} type - Cérémonie attendue
+ * @returns {string|null} Challenge, ou null s'il est absent, expiré ou d'une autre cérémonie
+ */
+function takeChallenge(req, type) {
+  const pending = req.session.webauthnChallenge;
+  delete req.session.webauthnChallenge;
+  if (!pending || pending.type !== type || pending.expiresAt <= Date.now()) {
+    return null;
   }
+  return pending.challenge;
+}
 
-  if (password.length < 6) {
-    return ServerResponse.error(res, 400, 'INVALID_PASSWORD', 'Le mot de passe doit contenir au moins 6 caractères');
+/**
+ * Convertit une erreur du gestionnaire de passkeys en réponse HTTP
+ * @param {Object} res - Objet réponse Express
+ * @param {Error} error - Erreur levée par le gestionnaire
+ * @param {string} code - Code d'erreur par défaut
+ * @returns {void}
+ */
+function handlePasskeyError(req, res, error, code) {
+  if (error.error === 'INVALID_PASSKEY') {
+    return ServerResponse.error(res, 400, 'INVALID_PASSKEY', error.message);
+  }
+  if (error.error === 'FORBIDDEN') {
+    return sendWrongPassword(req, res, error.message);
+  }
+  if (error.error === 'CONFLICT') {
+    return ServerResponse.conflict(res, error.message);
+  }
+  if (error.error === 'NOT_FOUND') {
+    return ServerResponse.notFound(res, 'Passkey');
   }
+  logger.error('Erreur passkey:', error);
+  return ServerResponse.error(res, 500, code, 'Erreur lors de l\'opération sur la passkey');
+}
+
+/**
+ * Informations renvoyées au client après la connexion
+ * @param {Object} user - Utilisateur
+ * @returns {Object} Utilisateur public
+ */
+function publicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    firstname: user.firstname,
+    lastname: user.lastname,
+    emailVerified: user.emailVerified
+  };
+}
+
+/**
+ * POST /auth/register
+ */
+router.post('/register', authLimiter, validate({ body: schemas.registerBody }), asyncHandler(async (req, res) => {
+  const { email, password, firstname, lastname, machineId } = req.body;
 
   try {
     const user = await usersManager.createUser(email, password, firstname, lastname);
 
-    // Enregistrer le device si fourni
-    if (machineId) {
-      const isMobile = /mobile|android|iphone|ipad/i.test(req.headers['user-agent'] || '');
-      await usersManager.updateDevice(user.id, machineId, isMobile);
-    }
+    // Lien de vérification : un échec d'envoi ne bloque pas l'inscription (renvoi possible)
+    await sendEmailVerification(user.id).catch(mailError => {
+      logger.error('Erreur envoi lien de vérification:', mailError);
+    });
 
-    req.session.userId = user.id;
-    req.session.machineId = machineId;
-    req.session.userEmail = user.email;
+    await openSession(req, user, machineId);
     return ServerResponse.success(res, 201, {
       success: true,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstname: user.firstname,
-        lastname: user.lastname
-      }
-    }, 'Inscription réussie');
+      user: publicUser(user)
+    }, 'Inscription réussie, un lien de vérification vous a été envoyé par email');
 
   } catch (error) {
     logger.error('Erreur inscription:', error);
@@ -69,43 +161,47 @@ router.post('/register', asyncHandler(async (req, res) => {
 
 /**
  * POST /auth/login
+ * Avec la double authentification active, la session n'est ouverte qu'après
+ * POST /auth/login/2fa : la réponse indique alors twoFactorRequired.
+ * Après plusieurs échecs, le compte impose un délai puis est verrouillé : l'échec
+ * qui impose le délai et les tentatives suivantes reçoivent 429 (retryAfter).
  */
-router.post('/login', asyncHandler(async (req, res) => {
+router.post('/login', authLimiter, validate({ body: schemas.loginBody }), asyncHandler(async (req, res) => {
   try {
-    const { email, password } = loginSchema.parse(req.body);
-    const { machineId } = req.body;
-    if (!email || !password) {
-      return ServerResponse.error(res, 400, 'MISSING_FIELDS', 'Email et mot de passe requis');
+    const { email, password, machineId } = req.body;
+    delete req.session.pendingTwoFactor;
+
+    if (rejectBlockedLogin(req, res, email)) {
+      return;
     }
 
     const user = await usersManager.verifyUser(email, password);
     if (!user) {
+      const failure = recordLoginFailure(req, email, 'INVALID_CREDENTIALS');
+      if (failure.retryAfter > 0) {
+        return sendLoginBlocked(res, failure, '⏱️ Email ou mot de passe incorrect.');
+      }
       return ServerResponse.error(res, 401, 'INVALID_CREDENTIALS', 'Email ou mot de passe incorrect');
     }
 
-    // Enregistrer/mettre à jour le device
-    if (machineId) {
-      try {
-        const isMobile = /mobile|android|iphone|ipad/i.test(req.headers['user-agent'] || '');
-        await usersManager.updateDevice(user.id, machineId, isMobile);
-      } catch (deviceError) {
-        logger.error('Erreur updateDevice:', deviceError.message);
-        // Continuer sans bloquer le login
-      }
+    if (twoFactorManager.isEnabled(user)) {
+      req.session.pendingTwoFactor = {
+        userId: user.id,
+        email: user.email,
+        machineId,
+        expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL,
+        attempts: 0
+      };
+      return ServerResponse.success(res, 200, { success: true, twoFactorRequired: true },
+        'Saisissez le code de votre application d\'authentification');
     }
 
-    req.session.userId = user.id;
-    req.session.userEmail = user.email;
-    req.session.machineId = machineId;
+    loginAttempts.recordSuccess(email);
+    await openSession(req, user, machineId);
 
     return ServerResponse.success(res, 200, {
       success: true,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstname: user.firstname,
-        lastname: user.lastname
-      }
+      user: publicUser(user)
     });
   } catch (error) {
     logger.error('Erreur login:', error.message, error.stack);
@@ -113,6 +209,215 @@ router.post('/login', asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * POST /auth/login/2fa
+ * Deuxième étape de la connexion : code TOTP ou code de secours
+ */
+router.post('/login/2fa', authLimiter, validate({ body: schemas.loginTwoFactorBody }), asyncHandler(async (req, res) => {
+  const pending = req.session.pendingTwoFactor;
+  if (!pending || pending.expiresAt <= Date.now()) {
+    delete req.session.pendingTwoFactor;
+    return ServerResponse.error(res, 401, 'TWO_FACTOR_EXPIRED', 'Connexion expirée, saisissez à nouveau votre mot de passe');
+  }
+  if (rejectBlockedLogin(req, res, pending.email)) {
+    return;
+  }
+
+  try {
+    const { method, remainingRecoveryCodes } = await twoFactorManager.verifyCode(pending.userId, req.body.code);
+    const user = await usersManager.findUserById(pending.userId);
+
+    delete req.session.pendingTwoFactor;
+    loginAttempts.recordSuccess(pending.email);
+    await openSession(req, user, pending.machineId);
+
+    return ServerResponse.success(res, 200, {
+      success: true,
+      user: publicUser(user),
+      ...(method === 'recovery' && { remainingRecoveryCodes })
+    });
+  } catch (error) {
+    if (error.error === 'INVALID_CODE' || error.error === 'NOT_FOUND') {
+      const failure = recordLoginFailure(req, pending.email, 'INVALID_CODE');
+      if (failure.locked) {
+        delete req.session.pendingTwoFactor;
+        return sendLoginBlocked(res, failure);
+      }
+
+      pending.attempts += 1;
+      if (pending.attempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+        delete req.session.pendingTwoFactor;
+        return ServerResponse.error(res, 401, 'TWO_FACTOR_EXPIRED', 'Trop de codes incorrects, saisissez à nouveau votre mot de passe');
+      }
+      if (failure.retryAfter > 0) {
+        return sendLoginBlocked(res, failure, `⏱️ ${error.message}.`);
+      }
+      return ServerResponse.error(res, 401, 'INVALID_CODE', error.message);
+    }
+    logger.error('Erreur login 2FA:', error);
+    return ServerResponse.error(res, 500, 'INTERNAL_ERROR', 'Erreur lors de la connexion');
+  }
+}));
+
+/**
+ * POST /auth/passkeys/login/options
+ * Options de connexion par passkey (passkeys découvrables, sans email)
+ */
+router.post('/passkeys/login/options', authLimiter, asyncHandler(async (req, res) => {
+  const options = await passkeysManager.createAuthenticationOptions();
+  storeChallenge(req, 'authentication', options.challenge);
+  return ServerResponse.success(res, 200, options);
+}));
+
+/**
+ * POST /auth/passkeys/login
+ * Connexion avec la réponse de navigator.credentials.get()
+ * La passkey (appareil + déverrouillage) remplace le mot de passe et la double authentification.
+ */
+router.post('/passkeys/login', authLimiter,
+  validate({ body: passkeySchemas.authenticationBody }), asyncHandler(async (req, res) => {
+  const challenge = takeChallenge(req, 'authentication');
+  if (!challenge) {
+    return ServerResponse.error(res, 401, 'INVALID_PASSKEY', 'Connexion expirée, veuillez réessayer');
+  }
+
+  try {
+    const user = await passkeysManager.verifyAuthentication(req.body.response, challenge);
+
+    delete req.session.pendingTwoFactor;
+    loginAttempts.recordSuccess(user.email);
+    await openSession(req, user, req.body.machineId);
+
+    return ServerResponse.success(res, 200, {
+      success: true,
+      user: publicUser(user)
+    });
+  } catch (error) {
+    if (error.error === 'INVALID_PASSKEY') {
+      audit('LOGIN_FAILED', req, { reason: 'INVALID_PASSKEY' });
+      return ServerResponse.error(res, 401, 'INVALID_PASSKEY', error.message);
+    }
+    logger.error('Erreur login passkey:', error);
+    return ServerResponse.error(res, 500, 'INTERNAL_ERROR', 'Erreur lors de la connexion');
+  }
+}));
+
+/**
+ * GET /auth/passkeys
+ * Passkeys du compte connecté
+ */
+router.get('/passkeys', requireAuth, asyncHandler(async (req, res) => {
+  try {
+    const passkeys = await passkeysManager.listPasskeys(req.session.userId);
+    return ServerResponse.success(res, 200, { passkeys });
+  } catch (error) {
+    return handlePasskeyError(req, res, error, 'PASSKEY_LIST_ERROR');
+  }
+}));
+
+/**
+ * POST /auth/passkeys/register/options
+ * Options d'enregistrement d'une passkey (mot de passe actuel exigé)
+ */
+router.post('/passkeys/register/options', requireAuth, rejectBlockedAccount,
+  validate({ body: passkeySchemas.registrationOptionsBody }), asyncHandler(async (req, res) => {
+  try {
+    const options = await passkeysManager.createRegistrationOptions(req.session.userId, req.body.currentPassword);
+    storeChallenge(req, 'registration', options.challenge);
+    return ServerResponse.success(res, 200, options);
+  } catch (error) {
+    return handlePasskeyError(req, res, error, 'PASSKEY_REGISTER_ERROR');
+  }
+}));
+
+/**
+ * POST /auth/passkeys/register
+ * Enregistre la réponse de navigator.credentials.create()
+ */
+router.post('/passkeys/register', requireAuth,
+  validate({ body: passkeySchemas.registrationBody }), asyncHandler(async (req, res) => {
+  const challenge = takeChallenge(req, 'registration');
+  if (!challenge) {
+    return ServerResponse.error(res, 400, 'INVALID_PASSKEY', 'Enregistrement expiré, veuillez réessayer');
+  }
+
+  try {
+    const passkey = await passkeysManager.verifyRegistration(
+      req.session.userId, req.body.response, challenge, req.body.name
+    );
+    return ServerResponse.success(res, 201, { success: true, passkey }, 'Passkey enregistrée');
+  } catch (error) {
+    return handlePasskeyError(req, res, error, 'PASSKEY_REGISTER_ERROR');
+  }
+}));
+
+/**
+ * DELETE /auth/passkeys/:id
+ */
+router.delete('/passkeys/:id', requireAuth,
+  validate({ params: passkeySchemas.passkeyParams }), asyncHandler(async (req, res) => {
+  try {
+    await passkeysManager.removePasskey(req.session.userId, req.params.id);
+    return ServerResponse.success(res, 200, { success: true }, 'Passkey supprimée');
+  } catch (error) {
+    return handlePasskeyError(req, res, error, 'PASSKEY_DELETE_ERROR');
+  }
+}));
+
+/**
+ * GET /auth/sessions
+ * Sessions ouvertes du compte (navigateur, système, IP, dernière activité)
+ */
+router.get('/sessions', requireAuth, asyncHandler(async (req, res) => {
+  try {
+    const sessions = await sessionsManager.listUserSessions(req.sessionStore, req.session.userId, req.sessionID);
+    return ServerResponse.success(res, 200, { sessions });
+  } catch (error) {
+    logger.error('Erreur liste des sessions:', error);
+    return ServerResponse.error(res, 500, 'SESSIONS_FETCH_ERROR', 'Erreur lors de la récupération des sessions');
+  }
+}));
+
+/**
+ * DELETE /auth/sessions
+ * Ferme toutes les sessions sauf la session courante
+ */
+router.delete('/sessions', requireAuth, asyncHandler(async (req, res) => {
+  try {
+    const sids = await sessionsManager.revokeOtherSessions(req.sessionStore, req.session.userId, req.sessionID);
+    syncManager.closeSessionClients(sids);
+    const revoked = sids.length;
+    logger.info(`${revoked} session(s) fermée(s) pour l'utilisateur ${req.session.userId}`);
+    return ServerResponse.success(res, 200, { success: true, revoked },
+      revoked ? `${revoked} autre(s) session(s) déconnectée(s)` : 'Aucune autre session ouverte');
+  } catch (error) {
+    logger.error('Erreur fermeture des sessions:', error);
+    return ServerResponse.error(res, 500, 'SESSIONS_REVOKE_ERROR', 'Erreur lors de la déconnexion des sessions');
+  }
+}));
+
+/**
+ * DELETE /auth/sessions/:id
+ * Ferme une session (la session courante équivaut à une déconnexion)
+ */
+router.delete('/sessions/:id', requireAuth,
+  validate({ params: schemas.sessionParams }), asyncHandler(async (req, res) => {
+  try {
+    const sid = await sessionsManager.revokeSession(req.sessionStore, req.session.userId, req.params.id);
+    syncManager.closeSessionClients([sid]);
+    if (sid === req.sessionID) {
+      res.clearCookie('connect.sid');
+    }
+    return ServerResponse.success(res, 200, { success: true, current: sid === req.sessionID }, 'Session déconnectée');
+  } catch (error) {
+    if (error.error === 'NOT_FOUND') {
+      return ServerResponse.notFound(res, 'Session');
+    }
+    logger.error('Erreur fermeture de session:', error);
+    return ServerResponse.error(res, 500, 'SESSIONS_REVOKE_ERROR', 'Erreur lors de la déconnexion de la session');
+  }
+}));
+
 /**
  * POST /auth/logout
  */
@@ -126,6 +431,91 @@ router.post('/logout', asyncHandler((req, res) => {
   });
 }));
 
+/**
+ * POST /auth/forgot
+ * Envoie un lien de réinitialisation du mot de passe
+ * La réponse est la même que le compte existe ou non.
+ */
+router.post('/forgot', authLimiter, validate({ body: schemas.forgotBody }), asyncHandler(async (req, res) => {
+  try {
+    const reset = await usersManager.createPasswordResetToken(req.body.email);
+
+    if (reset) {
+      const url = `${CONFIG.appUrl}/login?reset=${encodeURIComponent(reset.token)}`;
+      await mail.sendMail({
+        to: reset.user.email,
+        ...passwordResetMail({ firstname: reset.user.firstname, url })
+      });
+    }
+  } catch (error) {
+    // Échec d'envoi non signalé au client (ne révèle pas l'existence du compte)
+    logger.error('Erreur envoi lien de réinitialisation:', error);
+  }
+
+  return ServerResponse.success(res, 200, { success: true },
+    'Si un compte existe pour cet email, un lien de réinitialisation vient d\'être envoyé');
+}));
+
+/**
+ * POST /auth/reset
+ * Choisit un nouveau mot de passe avec le jeton reçu par email
+ */
+router.post('/reset', authLimiter, validate({ body: schemas.resetBody }), asyncHandler(async (req, res) => {
+  try {
+    await usersManager.resetPassword(req.body.token, req.body.password);
+    return ServerResponse.success(res, 200, { success: true },
+      'Mot de passe modifié, vous pouvez vous connecter');
+  } catch (error) {
+    if (error.error === 'INVALID_TOKEN') {
+      return ServerResponse.error(res, 400, 'INVALID_TOKEN', error.message);
+    }
+    logger.error('Erreur réinitialisation mot de passe:', error);
+    return ServerResponse.error(res, 500, 'INTERNAL_ERROR', 'Erreur lors de la réinitialisation du mot de passe');
+  }
+}));
+
+/**
+ * GET /auth/verify-email?token=...
+ * Lien envoyé par email : confirme l'adresse puis redirige vers l'application
+ * (ou la page de connexion) avec ?emailVerified=1, ou ?emailVerified=0 si le
+ * lien est invalide, expiré ou déjà utilisé.
+ */
+router.get('/verify-email', asyncHandler(async (req, res) => {
+  const target = req.session?.userId ? '/' : '/login';
+  const token = typeof req.query.token === 'string' ? req.query.token : '';
+
+  try {
+    await usersManager.verifyEmail(token);
+    return res.redirect(`${target}?emailVerified=1`);
+  } catch (error) {
+    if (error.error !== 'INVALID_TOKEN') {
+      logger.error('Erreur vérification email:', error);
+    }
+    return res.redirect(`${target}?emailVerified=0`);
+  }
+}));
+
+/**
+ * POST /auth/verify-email/resend
+ * Renvoie le lien de vérification à l'adresse du compte connecté
+ * (le lien précédent n'est plus valable)
+ */
+router.post('/verify-email/resend', requireAuth, authLimiter, asyncHandler(async (req, res) => {
+  try {
+    await sendEmailVerification(req.session.userId);
+    return ServerResponse.success(res, 200, { success: true }, 'Un nouveau lien de vérification vous a été envoyé');
+  } catch (error) {
+    if (error.error === 'CONFLICT') {
+      return ServerResponse.error(res, 409, 'ALREADY_VERIFIED', error.message);
+    }
+    if (error.error === 'NOT_FOUND') {
+      return ServerResponse.unauthorized(res);
+    }
+    logger.error('Erreur renvoi lien de vérification:', error);
+    return ServerResponse.error(res, 500, 'INTERNAL_ERROR', 'Erreur lors de l\'envoi du lien de vérification');
+  }
+}));
+
 /**
  * GET /auth/me
  */
@@ -148,8 +538,11 @@ router.get('/me', asyncHandler(async (req, res) => {
       user: {
         id: user.id,
         email: user.email,
-        name: `${user.firstname} ${user.lastname}`.trim() || user.email
+        name: `${user.firstname} ${user.lastname}`.trim() || user.email,
+        emailVerified: user.emailVerified !== false,
+        twoFactorEnabled: twoFactorManager.isEnabled(user)
       },
+      emailVerificationRequired: CONFIG.requireEmailVerification,
       notifications: {
         settings: {
           enabled: false,
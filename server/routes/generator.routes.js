@@ -6,77 +6,101 @@ const express = require('express');
 const router = express.Router();
 const MealGenerator = require('../managers/meal-generator');
 const preferencesManager = require('../managers/preferences-manager');
+const recipesManager = require('../managers/recipes-manager');
 const atableManager = require('../managers/atable-manager');
-const { requireAuth } = require('../middleware/auth-middleware');
+const pantryManager = require('../managers/pantry-manager');
+const syncManager = require('../managers/sync-manager');
+const mealModel = require('../managers/meal-model');
+const { requireAuth, requireRole } = require('../middleware/auth-middleware');
 const { asyncHandler } = require('../middleware/handler-middleware')
 const logger = require('../../logger');
 const ServerResponse = require('../../response-handler');
+const CONFIG = require('../../config');
 
 /**
  * POST /api/generator/generate
  * Génère automatiquement les repas pour toutes les semaines
+ * 409 avec les repas en conflit si un repas a été modifié pendant la génération.
  */
-router.post('/generate', requireAuth, asyncHandler(async (req, res) => {
+router.post('/generate', requireAuth, requireRole('owner', 'editor'), asyncHandler(async (req, res) => {
   try {
     const { replaceAll = false } = req.body;
 
     // Récupérer les préférences utilisateur
     const preferences = await preferencesManager.readUserPreferences(req.session.userId);
     const ingredients = preferences.ingredients;
+    const recipes = await recipesManager.listRecipes(req.session.userId);
 
-    // Valider les ingrédients
-    if (!MealGenerator.validateIngredients(ingredients)) {
-      return ServerResponse.error(res, 400, 'NO_INGREDIENTS_CONFIGURED', 'Veuillez d\'abord ajouter des ingrédients dans vos préférences alimentaires');
+    // Valider les ingrédients (ou la présence de recettes)
+    if (!MealGenerator.validateIngredients(ingredients) && recipes.length === 0) {
+      return ServerResponse.error(res, 400, 'NO_INGREDIENTS_CONFIGURED', 'Veuillez d\'abord ajouter des ingrédients dans vos préférences alimentaires ou des recettes');
     }
 
-    // Générer les repas
-    const generatedWeeks = MealGenerator.generateAllWeeks(ingredients);
+    // Récupérer les plans actuels sur la période générée, et leurs versions lues
+    // avant : un repas sauvegardé entre-temps fait échouer la sauvegarde (409)
+    // au lieu d'être écrasé par l'ancienne valeur
+    const weekRanges = CONFIG.getWeekRanges(CONFIG.maxWeeks);
+    const from = weekRanges[0].from;
+    const to = weekRanges[weekRanges.length - 1].to;
+    const slotVersions = await atableManager.readSlotVersions(req.session.userId, from, to);
+    const currentDays = await atableManager.readUseratable(req.session.userId, from, to);
+
+    // En fusion, les repas déjà prévus ne sont pas générés : les articles
+    // bientôt périmés sont réservés aux cases vides
+    const filledSlots = new Set();
+    if (!replaceAll) {
+      for (const [date, day] of Object.entries(currentDays)) {
+        for (const mealType of ['midi', 'soir']) {
+          if (!mealModel.isEmptyMeal(day[mealType])) {
+            filledSlots.add(`${date}:${mealType}`);
+          }
+        }
+      }
+    }
 
-    // Récupérer les plans actuels
-    const currentPlans = await atableManager.readUseratable(req.session.userId);
+    // Générer les repas en écoulant d'abord le garde-manger
+    const expiringItems = await pantryManager.listExpiringItems(req.session.userId, CONFIG.expiryPriorityDays);
+    const generatedDays = MealGenerator.generateAllWeeks(ingredients, CONFIG.maxWeeks, recipes, expiringItems, filledSlots);
+    const dates = Object.keys(generatedDays).sort();
 
     // Fusionner ou remplacer
-    for (let i = 1; i <= 4; i++) {
-      const weekKey = `week${i}`;
-
-      if (replaceAll || !currentPlans[weekKey]) {
-        currentPlans[weekKey] = {
-          enabled: true,
-          days: generatedWeeks[weekKey]
-        };
-      } else {
-        // Fusionner : ne remplacer que les repas vides
-        for (const day of Object.keys(generatedWeeks[weekKey])) {
-          // Initialiser le jour s'il n'existe pas
-          if (!currentPlans[weekKey].days[day]) {
-            currentPlans[weekKey].days[day] = { midi: '', soir: '' };
-          }
-
-          // Remplacer midi si vide
-          if (!currentPlans[weekKey].days[day].midi || currentPlans[weekKey].days[day].midi.trim() === '') {
-            currentPlans[weekKey].days[day].midi = generatedWeeks[weekKey][day].midi;
-          }
+    for (const date of dates) {
+      if (replaceAll) {
+        currentDays[date] = generatedDays[date];
+        continue;
+      }
 
-          // Remplacer soir si vide
-          if (!currentPlans[weekKey].days[day].soir || currentPlans[weekKey].days[day].soir.trim() === '') {
-            currentPlans[weekKey].days[day].soir = generatedWeeks[weekKey][day].soir;
-          }
+      // Fusionner : ne remplacer que les repas vides
+      for (const mealType of ['midi', 'soir']) {
+        if (mealModel.isEmptyMeal(currentDays[date][mealType])) {
+          currentDays[date][mealType] = generatedDays[date][mealType];
         }
       }
     }
 
-    // Sauvegarder
-    await atableManager.writeUseratable(req.session.userId, currentPlans);
+    // Sauvegarder (contrôle des versions de tous les repas de la période)
+    const versions = {};
+    for (const date of Object.keys(currentDays)) {
+      for (const mealType of ['midi', 'soir']) {
+        const key = `${date}:${mealType}`;
+        versions[key] = slotVersions[key] || 0;
+      }
+    }
+    const { householdId, slots } = await atableManager.writeUseratable(req.session.userId, currentDays, versions);
+    syncManager.publishSlots(householdId, slots, req.get('X-Client-Id'), req.session.userId);
 
     return ServerResponse.success(res, 200, {
       success: true,
       message: replaceAll
         ? 'Repas générés et remplacés avec succès'
         : 'Repas générés (cases vides remplies)',
-      weeks: generatedWeeks
+      days: generatedDays
     });
 
   } catch (error) {
+    if (error.error === 'CONFLICT') {
+      return ServerResponse.conflict(res, error.message, error.conflicts);
+    }
     logger.error('Erreur génération repas:', error);
     return ServerResponse.error(res, 500, 'INTERNAL_ERROR', error.message || 'Erreur lors de la génération');
   }
@@ -97,14 +121,19 @@ router.post('/generate-single', requireAuth, asyncHandler(async (req, res) => {
     // Récupérer les préférences
     const preferences = await preferencesManager.readUserPreferences(req.session.userId);
     const ingredients = preferences.ingredients;
+    const recipes = await recipesManager.listRecipes(req.session.userId);
 
-    if (!MealGenerator.validateIngredients(ingredients)) {
+    if (!MealGenerator.validateIngredients(ingredients) && recipes.length === 0) {
       return ServerResponse.error(res, 400, 'NO_INGREDIENTS_CONFIGURED', 'Aucun ingrédient configuré');
     }
 
-    // Convertir le tableau de repas utilisés en Set
+    const expiringItems = await pantryManager.listExpiringItems(req.session.userId, CONFIG.expiryPriorityDays);
+
+    // Convertir le tableau de repas utilisés (titres) en Set
     const usedMealsSet = new Set(
-      usedMeals.map(meal => meal.toLowerCase().trim())
+      usedMeals
+        .map(meal => mealModel.mealToText(meal).toLowerCase())
+        .filter(Boolean)
     );
 
     // Générer une suggestion en évitant les doublons
@@ -113,17 +142,17 @@ router.post('/generate-single', requireAuth, asyncHandler(async (req, res) => {
     const maxAttempts = 20;
 
     while (attempts < maxAttempts) {
-      suggestion = MealGenerator.generateSingleMeal(ingredients, mealType, usedMealsSet);
+      suggestion = MealGenerator.generateSingleMeal(ingredients, mealType, usedMealsSet, null, recipes, expiringItems);
 
       // Vérifier que la suggestion n'est pas déjà utilisée
-      if (suggestion && !usedMealsSet.has(suggestion.toLowerCase().trim())) {
+      if (suggestion && !usedMealsSet.has(suggestion.title.toLowerCase())) {
         break;
       }
 
       attempts++;
     }
 
-    if (!suggestion || usedMealsSet.has(suggestion.toLowerCase().trim())) {
+    if (!suggestion || usedMealsSet.has(suggestion.title.toLowerCase())) {
       return ServerResponse.error(res, 400, 'ALL_MEALS_USED', 'Tous les repas disponibles sont déjà utilisés');
     }
 
@@ -147,13 +176,14 @@ router.get('/preview', requireAuth, asyncHandler(async (req, res) => {
     // Récupérer les préférences
     const preferences = await preferencesManager.readUserPreferences(req.session.userId);
     const ingredients = preferences.ingredients;
+    const recipes = await recipesManager.listRecipes(req.session.userId);
 
-    if (!MealGenerator.validateIngredients(ingredients)) {
+    if (!MealGenerator.validateIngredients(ingredients) && recipes.length === 0) {
       return ServerResponse.error(res, 400, 'NO_INGREDIENTS_CONFIGURED', 'Aucun ingrédient configuré');
     }
 
     // Générer un aperçu
-    const preview = MealGenerator.generateAllWeeks(ingredients, 4);
+    const preview = MealGenerator.generateAllWeeks(ingredients, 4, recipes);
 
     return ServerResponse.success(res, 200, {
       success: true,
@@ -0,0 +1,91 @@
+// ========================================
+// Routes API de l'historique des repas
+// ========================================
+
+const express = require('express');
+const router = express.Router();
+const historyManager = require('../managers/history-manager');
+const { requireAuth } = require('../middleware/auth-middleware');
+const { asyncHandler } = require('../middleware/handler-middleware')
+const logger = require('../../logger');
+const ServerResponse = require('../../response-handler');
+
+/**
+ * GET /api/history
+ * Liste les mois archivés
+ */
+router.get('/', requireAuth, asyncHandler(async (req, res) => {
+    try {
+        const months = await historyManager.listMonths(req.session.userId);
+        return ServerResponse.success(res, 200, { months });
+    } catch (error) {
+        logger.error('Erreur lecture historique:', error);
+        return ServerResponse.error(res, 500, 'INTERNAL_ERROR', 'Erreur lors de la lecture de l\'historique');
+    }
+}));
+
+/**
+ * GET /api/history/search?q=texte
+ * Recherche un texte dans les repas passés
+ */
+router.get('/search', requireAuth, asyncHandler(async (req, res) => {
+    try {
+        const query = (req.query.q || '').trim();
+        if (query.length < 2) {
+            return ServerResponse.validation(res, 'q', 'La recherche doit contenir au moins 2 caractères');
+        }
+
+        const results = await historyManager.searchMeals(req.session.userId, query);
+        return ServerResponse.success(res, 200, { query, results });
+    } catch (error) {
+        logger.error('Erreur recherche historique:', error);
+        return ServerResponse.error(res, 500, 'INTERNAL_ERROR', 'Erreur lors de la recherche');
+    }
+}));
+
+/**
+ * GET /api/history/stats?dish=texte&limit=20
+ * Fréquence des plats mangés
+ */
+router.get('/stats', requireAuth, asyncHandler(async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 20;
+        if (limit < 1 || limit > 100) {
+            return ServerResponse.validation(res, 'limit', 'La limite doit être entre 1 et 100');
+        }
+
+        const dishes = await historyManager.getDishFrequency(req.session.userId, {
+            dish: req.query.dish || '',
+            limit
+        });
+        return ServerResponse.success(res, 200, { dishes });
+    } catch (error) {
+        logger.error('Erreur statistiques historique:', error);
+        return ServerResponse.error(res, 500, 'INTERNAL_ERROR', 'Erreur lors du calcul des statistiques');
+    }
+}));
+
+/**
+ * GET /api/history/:month
+ * Repas d'un mois archivé (YYYY-MM)
+ */
+router.get('/:month', requireAuth, asyncHandler(async (req, res) => {
+    try {
+        const { month } = req.params;
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+            return ServerResponse.validation(res, 'month', 'Mois invalide (format attendu: AAAA-MM)');
+        }
+
+        const entry = await historyManager.getMonth(req.session.userId, month);
+        if (!entry) {
+            return ServerResponse.notFound(res, 'Mois');
+        }
+
+        return ServerResponse.success(res, 200, entry);
+    } catch (error) {
+        logger.error('Erreur lecture mois historique:', error);
+        return ServerResponse.error(res, 500, 'INTERNAL_ERROR', 'Erreur lors de la lecture du mois');
+    }
+}));
+
+module.exports = router;
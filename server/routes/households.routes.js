@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Routes API des foyers (membres, rôles et invitations)
+ * @module routes/households
+ */
+
+const express = require('express');
+const router = express.Router();
+const householdsManager = require('../managers/households-manager');
+const { requireAuth, requireRole } = require('../middleware/auth-middleware');
+const { asyncHandler } = require('../middleware/handler-middleware');
+const logger = require('../../logger');
+const ServerResponse = require('../../response-handler');
+
+/**
+ * Convertit une erreur du gestionnaire de foyers en réponse HTTP
+ * @param {Object} res - Objet réponse Express
+ * @param {Error} error - Erreur levée par le gestionnaire
+ * @param {string} code - Code d'erreur par défaut
+ * @param {string} [resource='Foyer'] - Ressource introuvable (NOT_FOUND)
+ * @returns {void}
+ */
+function handleHouseholdError(res, error, code, resource = 'Foyer') {
+  if (error.error === 'NOT_FOUND') {
+    return ServerResponse.notFound(res, resource);
+  }
+  if (error.error === 'CONFLICT') {
+    return ServerResponse.conflict(res, error.message);
+  }
+  if (error.error === 'FORBIDDEN') {
+    return ServerResponse.error(res, 403, 'FORBIDDEN', error.message);
+  }
+  return ServerResponse.error(res, 400, code, error.message || 'Erreur lors du traitement du foyer');
+}
+
+/**
+ * Foyer de l'utilisateur : membres, rôle et invitations en cours (propriétaire)
+ * @route GET /api/households/current
+ */
+router.get('/current', requireAuth, asyncHandler(async (req, res) => {
+  try {
+    const household = await householdsManager.getHouseholdDetails(req.session.userId);
+    return ServerResponse.success(res, 200, { household });
+  } catch (error) {
+    logger.error('Erreur lecture foyer:', error);
+    return ServerResponse.error(res, 500, 'INTERNAL_ERROR', 'Erreur lors de la lecture du foyer');
+  }
+}));
+
+/**
+ * Renomme le foyer
+ * @route PUT /api/households/current
+ */
+router.put('/current', requireAuth, requireRole('owner'), asyncHandler(async (req, res) => {
+  try {
+    const household = await householdsManager.renameHousehold(req.session.userId, req.body.name);
+    return ServerResponse.success(res, 200, { household }, 'Foyer renommé');
+  } catch (error) {
+    logger.error('Erreur renommage foyer:', error);
+    return handleHouseholdError(res, error, 'HOUSEHOLD_UPDATE_ERROR');
+  }
+}));
+
+/**
+ * Invitations adressées à l'email de l'utilisateur
+ * @route GET /api/households/invitations
+ */
+router.get('/invitations', requireAuth, asyncHandler(async (req, res) => {
+  try {
+    const invitations = await householdsManager.listInvitationsForUser(req.session.userId);
+    return ServerResponse.success(res, 200, { invitations });
+  } catch (error) {
+    logger.error('Erreur lecture invitations:', error);
+    return ServerResponse.error(res, 500, 'INTERNAL_ERROR', 'Erreur lors de la lecture des invitations');
+  }
+}));
+
+/**
+ * Crée une invitation (par email ou code seul)
+ * @route POST /api/households/invites
+ */
+router.post('/invites', requireAuth, requireRole('owner'), asyncHandler(async (req, res) => {
+  try {
+    const { email = null, role = 'editor' } = req.body;
+    const invite = await householdsManager.createInvite(req.session.userId, { email: email || null, role });
+    return ServerResponse.success(res, 201, { invite }, `Invitation créée : code ${invite.code}`);
+  } catch (error) {
+    logger.error('Erreur création invitation:', error);
+    return handleHouseholdError(res, error, 'INVITE_CREATE_ERROR');
+  }
+}));
+
+/**
+ * Révoque une invitation
+ * @route DELETE /api/households/invites/:code
+ */
+router.delete('/invites/:code', requireAuth, requireRole('owner'), asyncHandler(async (req, res) => {
+  try {
+    await householdsManager.revokeInvite(req.session.userId, req.params.code);
+    return ServerResponse.success(res, 200, { success: true }, 'Invitation révoquée');
+  } catch (error) {
+    logger.error('Erreur révocation invitation:', error);
+    return handleHouseholdError(res, error, 'INVITE_DELETE_ERROR', 'Invitation');
+  }
+}));
+
+/**
+ * Rejoint un foyer avec un code d'invitation
+ * @route POST /api/households/join
+ */
+router.post('/join', requireAuth, asyncHandler(async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code || typeof code !== 'string') {
+      return ServerResponse.validation(res, 'code', 'Le code d\'invitation est requis');
+    }
+
+    const household = await householdsManager.joinHousehold(req.session.userId, code);
+    return ServerResponse.success(res, 200, { household }, `Bienvenue dans ${household.name}`);
+  } catch (error) {
+    logger.error('Erreur adhésion foyer:', error);
+    return handleHouseholdError(res, error, 'HOUSEHOLD_JOIN_ERROR', 'Invitation');
+  }
+}));
+
+/**
+ * Quitte le foyer (l'utilisateur repart avec un foyer personnel vide)
+ * @route POST /api/households/leave
+ */
+router.post('/leave', requireAuth, asyncHandler(async (req, res) => {
+  try {
+    await householdsManager.removeMember(req.session.userId, req.session.userId);
+    const household = await householdsManager.getHouseholdDetails(req.session.userId);
+    return ServerResponse.success(res, 200, { household }, 'Vous avez quitté le foyer');
+  } catch (error) {
+    logger.error('Erreur départ foyer:', error);
+    return handleHouseholdError(res, error, 'HOUSEHOLD_LEAVE_ERROR');
+  }
+}));
+
+/**
+ * Modifie le rôle d'un membre
+ * @route PUT /api/households/members/:userId
+ */
+router.put('/members/:userId', requireAuth, requireRole('owner'), asyncHandler(async (req, res) => {
+  try {
+    const household = await householdsManager.updateMemberRole(req.session.userId, req.params.userId, req.body.role);
+    return ServerResponse.success(res, 200, { household }, 'Rôle mis à jour');
+  } catch (error) {
+    logger.error('Erreur mise à jour rôle:', error);
+    return handleHouseholdError(res, error, 'MEMBER_UPDATE_ERROR', 'Membre');
+  }
+}));
+
+/**
+ * Retire un membre du foyer
+ * @route DELETE /api/households/members/:userId
+ */
+router.delete('/members/:userId', requireAuth, requireRole('owner'), asyncHandler(async (req, res) => {
+  try {
+    await householdsManager.removeMember(req.session.userId, req.params.userId);
+    const household = await householdsManager.getHouseholdDetails(req.session.userId);
+    return ServerResponse.success(res, 200, { household }, 'Membre retiré du foyer');
+  } catch (error) {
+    logger.error('Erreur retrait membre:', error);
+    return handleHouseholdError(res, error, 'MEMBER_DELETE_ERROR', 'Membre');
+  }
+}));
+
+module.exports = router;
@@ -9,6 +9,12 @@ const notificationsRoutes = require('./notifications.routes');
 const preferencesRoutes = require('./preferences.routes')
 const generatorRoutes = require('./generator.routes');
 const shoppingListRoutes = require('./shopping-list.routes');
+const historyRoutes = require('./history.routes');
+const recipesRoutes = require('./recipes.routes');
+const pantryRoutes = require('./pantry.routes');
+const householdsRoutes = require('./households.routes');
+const syncRoutes = require('./sync.routes');
+const usersRoutes = require('./users.routes');
 
 /**
  * Configure tous les routeurs de l'application
@@ -29,6 +35,19 @@ function setupRoutes(app) {
     app.use('/api/generator', generatorRoutes);
 
     app.use('/api/shopping-list', shoppingListRoutes);
+
+    app.use('/api/history', historyRoutes);
+
+    app.use('/api/recipes', recipesRoutes);
+
+    app.use('/api/pantry', pantryRoutes);
+
+    app.use('/api/households', householdsRoutes);
+
+    app.use('/api/sync', syncRoutes);
+
+    // Routes API du compte utilisateur
+    app.use('/api/users', usersRoutes);
 }
 
 module.exports = setupRoutes;
\ No newline at end of file
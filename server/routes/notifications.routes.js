@@ -5,8 +5,10 @@
 const express = require('express');
 const router = express.Router();
 const pushManager = require('../managers/push-manager');
-const { requireAuth } = require('../middleware/auth-middleware');
+const { requireAuth, requireVerifiedEmail } = require('../middleware/auth-middleware');
 const { asyncHandler } = require('../middleware/handler-middleware')
+const { validate } = require('../validation');
+const schemas = require('../validation/notifications.schemas');
 const logger = require('../../logger');
 const ServerResponse = require('../../response-handler');
 
@@ -29,15 +31,12 @@ router.get('/vapid-public-key', (req, res) => {
 /**
  * POST /api/notifications/subscribe
  * Enregistre une notification push pour l'utilisateur
+ * Réservé aux comptes dont l'email est vérifié (403 EMAIL_NOT_VERIFIED)
  */
-router.post('/subscribe', requireAuth, asyncHandler(async (req, res) => {
+router.post('/subscribe', requireAuth, requireVerifiedEmail, validate({ body: schemas.subscribeBody }), asyncHandler(async (req, res) => {
   try {
     const { permissionNotification, settings } = req.body;
 
-    if (!permissionNotification || !permissionNotification.endpoint) {
-      return ServerResponse.error(res, 400, 'INVALID_NOTIFICATION', 'Systeme de notification invalide');
-    }
-
     await pushManager.saveNotification(
       req.session.userId,
       req.session.machineId,
@@ -59,7 +58,7 @@ router.post('/subscribe', requireAuth, asyncHandler(async (req, res) => {
  * PUT /api/notifications/settings
  * Met à jour les paramètres de notification
  */
-router.put('/settings', requireAuth, asyncHandler(async (req, res) => {
+router.put('/settings', requireAuth, validate({ body: schemas.settingsBody }), asyncHandler(async (req, res) => {
   try {
     const settings = req.body;
 
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Routes API du garde-manger
+ * @module routes/pantry
+ */
+
+const express = require('express');
+const router = express.Router();
+const pantryManager = require('../managers/pantry-manager');
+const { requireAuth, requireRole } = require('../middleware/auth-middleware');
+const { asyncHandler } = require('../middleware/handler-middleware');
+const logger = require('../../logger');
+const ServerResponse = require('../../response-handler');
+const CONFIG = require('../../config');
+
+/**
+ * Convertit une erreur du gestionnaire du garde-manger en réponse HTTP
+ * @param {Object} res - Objet réponse Express
+ * @param {Error} error - Erreur levée par le gestionnaire
+ * @param {string} code - Code d'erreur par défaut
+ * @returns {void}
+ */
+function handlePantryError(res, error, code) {
+  if (error.error === 'NOT_FOUND') {
+    return ServerResponse.notFound(res, 'Article');
+  }
+  return ServerResponse.error(res, 400, code, error.message || 'Erreur lors du traitement de l\'article');
+}
+
+/**
+ * Liste les articles du garde-manger (les plus proches de la péremption d'abord)
+ * @route GET /api/pantry
+ */
+router.get('/', requireAuth, asyncHandler(async (req, res) => {
+  try {
+    const items = await pantryManager.listPantry(req.session.userId);
+    return ServerResponse.success(res, 200, { items, units: CONFIG.recipeUnits });
+  } catch (error) {
+    logger.error('Erreur lecture garde-manger:', error);
+    return ServerResponse.error(res, 500, 'INTERNAL_ERROR', 'Erreur lors de la lecture du garde-manger');
+  }
+}));
+
+/**
+ * Ajoute un article (fusionné avec un article du même nom et de la même dimension)
+ * @route POST /api/pantry
+ * Body: { name: string, quantity?: number, unit?: string, expiresAt?: 'YYYY-MM-DD' }
+ */
+router.post('/', requireAuth, requireRole('owner', 'editor'), asyncHandler(async (req, res) => {
+  try {
+    const item = await pantryManager.addPantryItem(req.session.userId, req.body);
+    return ServerResponse.success(res, 201, { item }, 'Article ajouté au garde-manger');
+  } catch (error) {
+    logger.error('Erreur ajout garde-manger:', error);
+    return handlePantryError(res, error, 'PANTRY_CREATE_ERROR');
+  }
+}));
+
+/**
+ * Met à jour un article
+ * @route PUT /api/pantry/:id
+ */
+router.put('/:id', requireAuth, requireRole('owner', 'editor'), asyncHandler(async (req, res) => {
+  try {
+    const item = await pantryManager.updatePantryItem(req.session.userId, req.params.id, req.body);
+    return ServerResponse.success(res, 200, { item }, 'Article mis à jour');
+  } catch (error) {
+    logger.error('Erreur mise à jour garde-manger:', error);
+    return handlePantryError(res, error, 'PANTRY_UPDATE_ERROR');
+  }
+}));
+
+/**
+ * Retire un article du garde-manger
+ * @route DELETE /api/pantry/:id
+ */
+router.delete('/:id', requireAuth, requireRole('owner', 'editor'), asyncHandler(async (req, res) => {
+  try {
+    await pantryManager.deletePantryItem(req.session.userId, req.params.id);
+    return ServerResponse.success(res, 200, { success: true }, 'Article retiré du garde-manger');
+  } catch (error) {
+    logger.error('Erreur suppression garde-manger:', error);
+    return handlePantryError(res, error, 'PANTRY_DELETE_ERROR');
+  }
+}));
+
+module.exports = router;
@@ -8,8 +8,10 @@ const router = express.Router();
 const logger = require('../../logger');
 
 const preferencesManager = require('../managers/preferences-manager');
-const { requireAuth } = require('../middleware/auth-middleware');
+const { requireAuth, requireRole } = require('../middleware/auth-middleware');
 const { asyncHandler } = require('../middleware/handler-middleware');
+const { validate } = require('../validation');
+const schemas = require('../validation/preferences.schemas');
 const ServerResponse = require('../../response-handler');
 
 // ─────────────────────────────────────────────────────────────
@@ -34,17 +36,11 @@ router.get('/', requireAuth, asyncHandler(async (req, res) => {
  * Met à jour les préférences de l'utilisateur connecté
  * @route PUT /api/preferences
  */
-router.put('/', requireAuth, asyncHandler(async (req, res) => {
+router.put('/', requireAuth, requireRole('owner', 'editor'), validate({ body: schemas.preferencesBody }), asyncHandler(async (req, res) => {
   try {
-    const { numberOfWeeks } = req.body;
-
-    if (!numberOfWeeks || isNaN(numberOfWeeks)) {
-      return ServerResponse.error(res, 400, 'INVALID_NUMBER_OF_WEEKS', 'Nombre de semaines invalide');
-    }
-
     const preferences = await preferencesManager.updateNumberOfWeeks(
       req.session.userId,
-      parseInt(numberOfWeeks)
+      req.body.numberOfWeeks
     );
 
     return ServerResponse.success(res, 200, {
@@ -80,16 +76,13 @@ router.get('/ingredients', requireAuth, asyncHandler(async (req, res) => {
  * Ajoute un item à une catégorie d'ingrédients
  * @route POST /api/preferences/ingredients/:category/item
  */
-router.post('/ingredients/:category/item', requireAuth, asyncHandler(async (req, res) => {
+router.post('/ingredients/:category/item', requireAuth, requireRole('owner', 'editor'),
+  validate({ params: schemas.categoryParams, body: schemas.itemBody }), asyncHandler(async (req, res) => {
   try {
     const { category } = req.params;
     const { item } = req.body;
     const decodedCategory = decodeURIComponent(category);
 
-    if (!item) {
-      return ServerResponse.error(res, 400, 'MISSING_ITEM', 'Item manquant');
-    }
-
     const ingredients = await preferencesManager.addIngredientItem(
       req.session.userId,
       decodedCategory,
@@ -107,16 +100,13 @@ router.post('/ingredients/:category/item', requireAuth, asyncHandler(async (req,
  * Supprime un item d'une catégorie d'ingrédients
  * @route DELETE /api/preferences/ingredients/:category/item
  */
-router.delete('/ingredients/:category/item', requireAuth, asyncHandler(async (req, res) => {
+router.delete('/ingredients/:category/item', requireAuth, requireRole('owner', 'editor'),
+  validate({ params: schemas.categoryParams, body: schemas.itemBody }), asyncHandler(async (req, res) => {
   try {
     const { category } = req.params;
     const { item } = req.body;
     const decodedCategory = decodeURIComponent(category);
 
-    if (!item) {
-      return res.status(400).json({ error: 'Item manquant' });
-    }
-
     const ingredients = await preferencesManager.removeIngredientItem(
       req.session.userId,
       decodedCategory,
@@ -134,16 +124,13 @@ router.delete('/ingredients/:category/item', requireAuth, asyncHandler(async (re
  * Met à jour les préférences midi/soir d'une catégorie
  * @route PUT /api/preferences/ingredients/:category/repas
  */
-router.put('/ingredients/:category/repas', requireAuth, asyncHandler(async (req, res) => {
+router.put('/ingredients/:category/repas', requireAuth, requireRole('owner', 'editor'),
+  validate({ params: schemas.categoryParams, body: schemas.repasBody }), asyncHandler(async (req, res) => {
   try {
     const { category } = req.params;
     const repas = req.body;
     const decodedCategory = decodeURIComponent(category);
 
-    if (!repas || typeof repas.midi !== 'boolean' || typeof repas.soir !== 'boolean') {
-      return ServerResponse.error(res, 400, 'INVALID_REPAS_FORMAT', 'Format de repas invalide');
-    }
-
     const ingredients = await preferencesManager.updateCategoryRepas(
       req.session.userId,
       decodedCategory,
@@ -174,25 +161,13 @@ router.put('/ingredients/:category/repas', requireAuth, asyncHandler(async (req,
  *   }
  * }
  */
-router.put('/ingredients/:category/days', requireAuth, asyncHandler(async (req, res) => {
+router.put('/ingredients/:category/days', requireAuth, requireRole('owner', 'editor'),
+  validate({ params: schemas.categoryParams, body: schemas.daysBody }), asyncHandler(async (req, res) => {
   try {
     const { category } = req.params;
     const { days } = req.body;
     const decodedCategory = decodeURIComponent(category);
 
-    // Validation des données
-    if (!days || typeof days !== 'object') {
-      return ServerResponse.error(res, 400, 'INVALID_DAYS_FORMAT', 'Format des jours invalide');
-    }
-
-    // Vérifier que tous les jours requis sont présents
-    const DAYS_OF_WEEK = ['lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi', 'dimanche'];
-    for (const day of DAYS_OF_WEEK) {
-      if (!(day in days) || typeof days[day] !== 'boolean') {
-        return ServerResponse.error(res, 400, 'INCOMPLETE_DAYS', `Le jour "${day}" est manquant ou invalide`);
-      }
-    }
-
     const ingredients = await preferencesManager.updateCategoryDays(
       req.session.userId,
       decodedCategory,
@@ -219,14 +194,10 @@ router.put('/ingredients/:category/days', requireAuth, asyncHandler(async (req,
  * Initialise automatiquement les jours avec tous les jours activés par défaut
  * @route POST /api/preferences/ingredients/category
  */
-router.post('/ingredients/category', requireAuth, asyncHandler(async (req, res) => {
+router.post('/ingredients/category', requireAuth, requireRole('owner', 'editor'), validate({ body: schemas.categoryBody }), asyncHandler(async (req, res) => {
   try {
     const { categoryName } = req.body;
 
-    if (!categoryName) {
-      return ServerResponse.error(res, 400, 'MISSING_CATEGORY_NAME', 'Nom de catégorie manquant');
-    }
-
     const ingredients = await preferencesManager.addCategory(
       req.session.userId,
       categoryName
@@ -243,16 +214,13 @@ router.post('/ingredients/category', requireAuth, asyncHandler(async (req, res)
  * Renomme une catégorie existante (conserve items, préférences repas et jours)
  * @route PUT /api/preferences/ingredients/:category/rename
  */
-router.put('/ingredients/:category/rename', requireAuth, asyncHandler(async (req, res) => {
+router.put('/ingredients/:category/rename', requireAuth, requireRole('owner', 'editor'),
+  validate({ params: schemas.categoryParams, body: schemas.renameBody }), asyncHandler(async (req, res) => {
   try {
     const { category } = req.params;
     const { newName } = req.body;
     const decodedCategory = decodeURIComponent(category);
 
-    if (!newName) {
-      return ServerResponse.error(res, 400, 'MISSING_NEW_NAME', 'Nouveau nom manquant');
-    }
-
     const ingredients = await preferencesManager.renameCategory(
       req.session.userId,
       decodedCategory,
@@ -271,7 +239,7 @@ router.put('/ingredients/:category/rename', requireAuth, asyncHandler(async (req
  * Les repas du planning existant ne sont PAS supprimés.
  * @route DELETE /api/preferences/ingredients/:category
  */
-router.delete('/ingredients/:category', requireAuth, asyncHandler(async (req, res) => {
+router.delete('/ingredients/:category', requireAuth, requireRole('owner', 'editor'), validate({ params: schemas.categoryParams }), asyncHandler(async (req, res) => {
   try {
     const { category } = req.params;
     const decodedCategory = decodeURIComponent(category);
@@ -288,4 +256,69 @@ router.delete('/ingredients/:category', requireAuth, asyncHandler(async (req, re
   }
 }));
 
+// ─────────────────────────────────────────────────────────────
+// RAYONS DE LA LISTE DE COURSES
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Récupère les rayons du magasin (ordre et rattachement des catégories)
+ * @route GET /api/preferences/aisles
+ */
+router.get('/aisles', requireAuth, asyncHandler(async (req, res) => {
+  try {
+    const aisles = await preferencesManager.readShoppingAisles(req.session.userId);
+    return ServerResponse.success(res, 200, { aisles });
+  } catch (error) {
+    logger.error('Erreur lecture rayons:', error);
+    return ServerResponse.error(res, 500, 'INTERNAL_ERROR', 'Erreur lors de la lecture des rayons');
+  }
+}));
+
+/**
+ * Remplace les rayons du magasin
+ * @route PUT /api/preferences/aisles
+ *
+ * Format du body :
+ * {
+ *   "order": ["🥕 Légumes", "Boucherie", "🛒 Autres"],
+ *   "categories": { "🥩 Viandes": "Boucherie" },
+ *   "items": { "ing:lait": "Crèmerie" }
+ * }
+ */
+router.put('/aisles', requireAuth, requireRole('owner', 'editor'), validate({ body: schemas.aislesBody }), asyncHandler(async (req, res) => {
+  try {
+    const { order, categories, items } = req.body;
+
+    const aisles = await preferencesManager.updateShoppingAisles(
+      req.session.userId,
+      { order, categories, items }
+    );
+
+    return ServerResponse.success(res, 200, { success: true, message: 'Rayons mis à jour', aisles });
+  } catch (error) {
+    logger.error('Erreur mise à jour rayons:', error);
+    return ServerResponse.error(res, 400, 'AISLES_UPDATE_ERROR', error.message || 'Erreur lors de la mise à jour des rayons');
+  }
+}));
+
+/**
+ * Range un article de la liste de courses dans un rayon
+ * @route PUT /api/preferences/aisles/items/:itemId
+ * Body: { aisle: string|null } (null = rayon de sa catégorie)
+ */
+router.put('/aisles/items/:itemId', requireAuth, requireRole('owner', 'editor'), validate({ body: schemas.itemAisleBody }), asyncHandler(async (req, res) => {
+  try {
+    const { aisle } = req.body;
+
+    const aisles = await preferencesManager.setItemAisle(req.session.userId, req.params.itemId, aisle);
+    return ServerResponse.success(res, 200, { success: true, aisles });
+  } catch (error) {
+    logger.error('Erreur rangement article:', error);
+    if (error.error === 'NOT_FOUND') {
+      return ServerResponse.notFound(res, 'Rayon');
+    }
+    return ServerResponse.error(res, 400, 'AISLES_UPDATE_ERROR', error.message || 'Erreur lors du rangement de l\'article');
+  }
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Routes API du livre de recettes
+ * @module routes/recipes
+ */
+
+const express = require('express');
+const router = express.Router();
+const recipesManager = require('../managers/recipes-manager');
+const { requireAuth, requireRole } = require('../middleware/auth-middleware');
+const { asyncHandler } = require('../middleware/handler-middleware');
+const logger = require('../../logger');
+const ServerResponse = require('../../response-handler');
+const CONFIG = require('../../config');
+
+/**
+ * Convertit une erreur du gestionnaire de recettes en réponse HTTP
+ * @param {Object} res - Objet réponse Express
+ * @param {Error} error - Erreur levée par le gestionnaire
+ * @param {string} code - Code d'erreur par défaut
+ * @returns {void}
+ */
+function handleRecipeError(res, error, code) {
+  if (error.error === 'NOT_FOUND') {
+    return ServerResponse.notFound(res, 'Recette');
+  }
+  if (error.error === 'CONFLICT') {
+    return ServerResponse.conflict(res, error.message);
+  }
+  return ServerResponse.error(res, 400, code, error.message || 'Erreur lors du traitement de la recette');
+}
+
+/**
+ * Liste les recettes de l'utilisateur
+ * @route GET /api/recipes?q=texte&tag=tag
+ */
+router.get('/', requireAuth, asyncHandler(async (req, res) => {
+  try {
+    const recipes = await recipesManager.listRecipes(req.session.userId, {
+      q: req.query.q || '',
+      tag: req.query.tag || ''
+    });
+    return ServerResponse.success(res, 200, { recipes, units: CONFIG.recipeUnits });
+  } catch (error) {
+    logger.error('Erreur lecture recettes:', error);
+    return ServerResponse.error(res, 500, 'INTERNAL_ERROR', 'Erreur lors de la lecture des recettes');
+  }
+}));
+
+/**
+ * Lit une recette
+ * @route GET /api/recipes/:id
+ */
+router.get('/:id', requireAuth, asyncHandler(async (req, res) => {
+  try {
+    const recipe = await recipesManager.getRecipe(req.session.userId, req.params.id);
+    return ServerResponse.success(res, 200, { recipe });
+  } catch (error) {
+    logger.error('Erreur lecture recette:', error);
+    return handleRecipeError(res, error, 'RECIPE_READ_ERROR');
+  }
+}));
+
+/**
+ * Crée une recette
+ * @route POST /api/recipes
+ */
+router.post('/', requireAuth, requireRole('owner', 'editor'), asyncHandler(async (req, res) => {
+  try {
+    const recipe = await recipesManager.createRecipe(req.session.userId, req.body);
+    return ServerResponse.success(res, 201, { recipe }, 'Recette créée avec succès');
+  } catch (error) {
+    logger.error('Erreur création recette:', error);
+    return handleRecipeError(res, error, 'RECIPE_CREATE_ERROR');
+  }
+}));
+
+/**
+ * Met à jour une recette
+ * @route PUT /api/recipes/:id
+ */
+router.put('/:id', requireAuth, requireRole('owner', 'editor'), asyncHandler(async (req, res) => {
+  try {
+    const recipe = await recipesManager.updateRecipe(req.session.userId, req.params.id, req.body);
+    return ServerResponse.success(res, 200, { recipe }, 'Recette mise à jour avec succès');
+  } catch (error) {
+    logger.error('Erreur mise à jour recette:', error);
+    return handleRecipeError(res, error, 'RECIPE_UPDATE_ERROR');
+  }
+}));
+
+/**
+ * Supprime une recette
+ * Les repas du planning qui y font référence conservent leur titre.
+ * @route DELETE /api/recipes/:id
+ */
+router.delete('/:id', requireAuth, requireRole('owner', 'editor'), asyncHandler(async (req, res) => {
+  try {
+    await recipesManager.deleteRecipe(req.session.userId, req.params.id);
+    return ServerResponse.success(res, 200, { success: true }, 'Recette supprimée avec succès');
+  } catch (error) {
+    logger.error('Erreur suppression recette:', error);
+    return handleRecipeError(res, error, 'RECIPE_DELETE_ERROR');
+  }
+}));
+
+module.exports = router;
@@ -5,23 +5,42 @@
 
 const express = require('express');
 const router = express.Router();
-const usersManager = require('../managers/users-manager');
-const { requireAuth } = require('../middleware/auth-middleware');
+const shoppingListManager = require('../managers/shopping-list-manager');
+const atableManager = require('../managers/atable-manager');
+const preferencesManager = require('../managers/preferences-manager');
+const { requireAuth, requireRole } = require('../middleware/auth-middleware');
 const { asyncHandler } = require('../middleware/handler-middleware');
+const { validate } = require('../validation');
+const schemas = require('../validation/shopping-list.schemas');
+const CONFIG = require('../../config');
 const logger = require('../../logger');
 const ServerResponse = require('../../response-handler');
 
+/**
+ * Détermine la plage de dates de la liste
+ * Par défaut : d'aujourd'hui à la fin des semaines affichées
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Object} params - Paramètres {from?, to?}
+ * @returns {Promise<{from: string, to: string, error: Object|null}>} Plage et erreur de validation éventuelle
+ */
+async function resolveRange(userId, { from, to }) {
+  const preferences = await preferencesManager.readUserPreferences(userId);
+  const weekRanges = CONFIG.getWeekRanges(preferences.numberOfWeeks || CONFIG.defaultWeeks);
+
+  const rangeFrom = from || CONFIG.formatISODate(new Date());
+  const rangeTo = to || weekRanges[weekRanges.length - 1].to;
+
+  return { from: rangeFrom, to: rangeTo, error: atableManager.validateDateRange(rangeFrom, rangeTo) };
+}
+
 /**
  * GET /api/shopping-list
- * Récupère les items cochés de la liste de courses
+ * Récupère l'état stocké de la liste (items cochés et items ajoutés à la main)
  */
 router.get('/', requireAuth, asyncHandler(async (req, res) => {
   try {
-    const userData = await usersManager.readUserData(req.session.userId);
-    if (!userData) return ServerResponse.error(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé');
-
-    const purchasedItems = userData.shoppingList || [];
-    return ServerResponse.success(res, 200, { purchasedItems });
+    const shoppingList = await shoppingListManager.readShoppingList(req.session.userId);
+    return ServerResponse.success(res, 200, shoppingList);
   } catch (error) {
     logger.error('Erreur lecture liste de courses:', error);
     return ServerResponse.error(res, 500, 'INTERNAL_ERROR', 'Erreur lors de la lecture de la liste de courses');
@@ -29,25 +48,60 @@ router.get('/', requireAuth, asyncHandler(async (req, res) => {
 }));
 
 /**
- * PUT /api/shopping-list
- * Sauvegarde les items cochés de la liste de courses
- * Body: { purchasedItems: string[] }
+ * GET /api/shopping-list/generate?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Construit la liste à partir des repas de la plage
+ * Par défaut : d'aujourd'hui à la fin des semaines affichées
  */
-router.put('/', requireAuth, asyncHandler(async (req, res) => {
+router.get('/generate', requireAuth, validate({ query: schemas.rangeQuery }), asyncHandler(async (req, res) => {
   try {
-    const { purchasedItems } = req.body;
+    const { from, to, error: rangeError } = await resolveRange(req.session.userId, req.query);
+    if (rangeError) {
+      return ServerResponse.validation(res, rangeError.field, rangeError.message);
+    }
+
+    const list = await shoppingListManager.generateShoppingList(req.session.userId, from, to);
+    return ServerResponse.success(res, 200, list);
+  } catch (error) {
+    logger.error('Erreur génération liste de courses:', error);
+    return ServerResponse.error(res, 500, 'INTERNAL_ERROR', 'Erreur lors de la génération de la liste de courses');
+  }
+}));
 
-    if (!Array.isArray(purchasedItems)) {
-      return ServerResponse.error(res, 400, 'INVALID_FORMAT', 'Format invalide : purchasedItems doit être un tableau');
+/**
+ * POST /api/shopping-list/purchase
+ * Range les articles achetés dans le garde-manger et les retire de la liste
+ * Body: { ids?: string[], from?: string, to?: string } (par défaut : les articles cochés)
+ */
+router.post('/purchase', requireAuth, requireRole('owner', 'editor'), validate({ body: schemas.purchaseBody }), asyncHandler(async (req, res) => {
+  try {
+    const { ids } = req.body;
+    const { from, to, error: rangeError } = await resolveRange(req.session.userId, req.body);
+    if (rangeError) {
+      return ServerResponse.validation(res, rangeError.field, rangeError.message);
     }
 
-    const userData = await usersManager.readUserData(req.session.userId);
-    if (!userData) return ServerResponse.error(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé');
+    const result = await shoppingListManager.purchaseItems(req.session.userId, from, to, ids);
+    const count = result.purchased.length;
+    return ServerResponse.success(res, 200, result,
+      count > 0 ? `${count} article${count > 1 ? 's' : ''} rangé${count > 1 ? 's' : ''} dans le garde-manger` : 'Aucun article à ranger');
+  } catch (error) {
+    logger.error('Erreur rangement des achats:', error);
+    return ServerResponse.error(res, 400, 'SHOPPING_PURCHASE_ERROR', error.message || 'Erreur lors du rangement des achats');
+  }
+}));
 
-    userData.shoppingList = purchasedItems;
-    await usersManager.writeUserData(req.session.userId, userData);
+/**
+ * PUT /api/shopping-list
+ * Remplace les items cochés
+ * Body: { checked: string[] } (ou { purchasedItems: string[] }, ancien format par libellé)
+ */
+router.put('/', requireAuth, requireRole('owner', 'editor'), validate({ body: schemas.checkedBody }), asyncHandler(async (req, res) => {
+  try {
+    const { checked, purchasedItems } = req.body;
+    const itemIds = checked || purchasedItems.map(shoppingListManager.getIngredientId);
 
-    return ServerResponse.success(res, 200, { success: true, purchasedItems });
+    const saved = await shoppingListManager.setCheckedItems(req.session.userId, itemIds);
+    return ServerResponse.success(res, 200, { success: true, checked: saved });
   } catch (error) {
     logger.error('Erreur sauvegarde liste de courses:', error);
     return ServerResponse.error(res, 500, 'INTERNAL_ERROR', 'Erreur lors de la sauvegarde de la liste de courses');
@@ -55,17 +109,61 @@ router.put('/', requireAuth, asyncHandler(async (req, res) => {
 }));
 
 /**
- * DELETE /api/shopping-list
- * Remet à zéro la liste (tous les items décochés)
+ * PUT /api/shopping-list/items/:id
+ * Coche ou décoche un item
+ * Body: { checked: boolean }
  */
-router.delete('/', requireAuth, asyncHandler(async (req, res) => {
+router.put('/items/:id', requireAuth, requireRole('owner', 'editor'), validate({ body: schemas.itemCheckedBody }), asyncHandler(async (req, res) => {
   try {
-    const userData = await usersManager.readUserData(req.session.userId);
-    if (!userData) return ServerResponse.error(res, 404, 'USER_NOT_FOUND', 'Utilisateur non trouvé');
+    const { checked } = req.body;
 
-    userData.shoppingList = [];
-    await usersManager.writeUserData(req.session.userId, userData);
+    const saved = await shoppingListManager.setItemChecked(req.session.userId, req.params.id, checked);
+    return ServerResponse.success(res, 200, { success: true, checked: saved });
+  } catch (error) {
+    logger.error('Erreur mise à jour item liste de courses:', error);
+    return ServerResponse.error(res, 400, 'SHOPPING_ITEM_UPDATE_ERROR', error.message || 'Erreur lors de la mise à jour de l\'article');
+  }
+}));
+
+/**
+ * POST /api/shopping-list/items
+ * Ajoute un item à la main (non lié à un repas)
+ * Body: { name: string, quantity?: number, unit?: string }
+ */
+router.post('/items', requireAuth, requireRole('owner', 'editor'), validate({ body: schemas.manualItemBody }), asyncHandler(async (req, res) => {
+  try {
+    const item = await shoppingListManager.addManualItem(req.session.userId, req.body);
+    return ServerResponse.success(res, 201, { item }, 'Article ajouté');
+  } catch (error) {
+    logger.error('Erreur ajout item liste de courses:', error);
+    return ServerResponse.error(res, 400, 'SHOPPING_ITEM_CREATE_ERROR', error.message || 'Erreur lors de l\'ajout de l\'article');
+  }
+}));
+
+/**
+ * DELETE /api/shopping-list/items/:id
+ * Supprime un item ajouté à la main
+ */
+router.delete('/items/:id', requireAuth, requireRole('owner', 'editor'), asyncHandler(async (req, res) => {
+  try {
+    await shoppingListManager.removeManualItem(req.session.userId, req.params.id);
+    return ServerResponse.success(res, 200, { success: true }, 'Article supprimé');
+  } catch (error) {
+    logger.error('Erreur suppression item liste de courses:', error);
+    if (error.error === 'NOT_FOUND') {
+      return ServerResponse.notFound(res, 'Article');
+    }
+    return ServerResponse.error(res, 400, 'SHOPPING_ITEM_DELETE_ERROR', error.message || 'Erreur lors de la suppression de l\'article');
+  }
+}));
 
+/**
+ * DELETE /api/shopping-list
+ * Remet à zéro la liste (tous les items décochés, items ajoutés à la main conservés)
+ */
+router.delete('/', requireAuth, requireRole('owner', 'editor'), asyncHandler(async (req, res) => {
+  try {
+    await shoppingListManager.resetChecked(req.session.userId);
     return ServerResponse.success(res, 200, { success: true });
   } catch (error) {
     logger.error('Erreur reset liste de courses:', error);
@@ -73,4 +171,4 @@ router.delete('/', requireAuth, asyncHandler(async (req, res) => {
   }
 }));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Routes de synchronisation en temps réel du planning (Server-Sent Events)
+ * @module routes/sync
+ */
+
+const express = require('express');
+const router = express.Router();
+const syncManager = require('../managers/sync-manager');
+const householdsManager = require('../managers/households-manager');
+const usersManager = require('../managers/users-manager');
+const atableManager = require('../managers/atable-manager');
+const { requireAuth, requireRole } = require('../middleware/auth-middleware');
+const { asyncHandler } = require('../middleware/handler-middleware');
+const logger = require('../../logger');
+const ServerResponse = require('../../response-handler');
+
+/**
+ * Flux des modifications du planning faites par les autres sessions du foyer
+ * La connexion reste ouverte ; le navigateur se reconnecte automatiquement (EventSource).
+ * @route GET /api/sync/events?clientId=...
+ */
+router.get('/events', requireAuth, asyncHandler(async (req, res) => {
+  const { clientId } = req.query;
+  if (!syncManager.isValidClientId(clientId)) {
+    return ServerResponse.validation(res, 'clientId', 'Identifiant de session invalide');
+  }
+
+  const [household, user] = await Promise.all([
+    householdsManager.readHouseholdData(req.session.userId),
+    usersManager.readUserData(req.session.userId)
+  ]);
+  if (!household || !user) {
+    return ServerResponse.unauthorized(res);
+  }
+  if (!syncManager.canUseClientId(household.id, clientId, req.session.userId)) {
+    return ServerResponse.conflict(res, 'Identifiant de session déjà utilisé');
+  }
+
+  // no-transform : le flux ne doit pas être mis en tampon par la compression
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const name = `${user.firstname || ''}`.trim() || user.email;
+  syncManager.addClient(household.id, clientId, {
+    req,
+    res,
+    userId: req.session.userId,
+    sessionId: req.sessionID,
+    name
+  });
+
+  req.on('close', () => {
+    syncManager.removeClient(household.id, clientId, res);
+  });
+}));
+
+/**
+ * Indique le repas en cours de modification (ou la fin de la saisie)
+ * Body: { clientId, date: 'YYYY-MM-DD'|null, mealType: 'midi'|'soir'|null }
+ * @route POST /api/sync/presence
+ */
+router.post('/presence', requireAuth, requireRole('owner', 'editor'), asyncHandler(async (req, res) => {
+  try {
+    const { clientId, date = null, mealType = null } = req.body;
+    if (!syncManager.isValidClientId(clientId)) {
+      return ServerResponse.validation(res, 'clientId', 'Identifiant de session invalide');
+    }
+
+    let editing = null;
+    if (date !== null) {
+      if (!atableManager.isValidDateKey(date)) {
+        return ServerResponse.validation(res, 'date', 'La date doit être au format YYYY-MM-DD');
+      }
+      if (!['midi', 'soir'].includes(mealType)) {
+        return ServerResponse.validation(res, 'mealType', 'Le type de repas doit être "midi" ou "soir"');
+      }
+      editing = { date, mealType };
+    }
+
+    const household = await householdsManager.readHouseholdData(req.session.userId);
+    if (!syncManager.setEditing(household.id, clientId, req.session.userId, editing)) {
+      return ServerResponse.notFound(res, 'Session de synchronisation');
+    }
+
+    return ServerResponse.success(res, 200, { success: true });
+  } catch (error) {
+    logger.error('Erreur présence synchronisation:', error);
+    return ServerResponse.error(res, 500, 'INTERNAL_ERROR', 'Erreur lors de la mise à jour de la présence');
+  }
+}));
+
+module.exports = router;
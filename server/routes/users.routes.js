@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Routes API du compte utilisateur (mot de passe, email, suppression)
+ * @module routes/users
+ *
+ * Chaque modification exige le mot de passe actuel (currentPassword) et ne
+ * porte que sur le compte connecté ; la désactivation de la double
+ * authentification exige aussi un code. Un mot de passe actuel incorrect compte
+ * comme un échec de connexion du compte (délai, puis verrouillage).
+ */
+
+const express = require('express');
+const router = express.Router();
+const usersManager = require('../managers/users-manager');
+const householdsManager = require('../managers/households-manager');
+const pushManager = require('../managers/push-manager');
+const twoFactorManager = require('../managers/two-factor-manager');
+const sessionsManager = require('../managers/sessions-manager');
+const syncManager = require('../managers/sync-manager');
+const { requireAuth } = require('../middleware/auth-middleware');
+const { asyncHandler } = require('../middleware/handler-middleware');
+const { rejectBlockedAccount, sendWrongPassword } = require('../middleware/rate-limit-middleware');
+const { validate } = require('../validation');
+const schemas = require('../validation/users.schemas');
+const { sendEmailVerification } = require('../mail/verification');
+const logger = require('../../logger');
+const ServerResponse = require('../../response-handler');
+
+/**
+ * Refuse l'accès au compte d'un autre utilisateur
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Function} next - Fonction next
+ * @returns {void}
+ */
+function requireSelf(req, res, next) {
+  if (req.params.id !== req.session.userId) {
+    return ServerResponse.forbidden(res);
+  }
+  next();
+}
+
+/**
+ * Convertit une erreur du gestionnaire d'utilisateurs en réponse HTTP
+ * Un mot de passe actuel incorrect compte comme un échec de connexion.
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Objet réponse Express
+ * @param {Error} error - Erreur levée par le gestionnaire
+ * @param {string} code - Code d'erreur par défaut
+ * @returns {void}
+ */
+function handleUserError(req, res, error, code) {
+  if (error.error === 'NOT_FOUND') {
+    return ServerResponse.notFound(res, 'Utilisateur');
+  }
+  if (error.error === 'FORBIDDEN') {
+    return sendWrongPassword(req, res, error.message);
+  }
+  if (error.error === 'CONFLICT') {
+    return ServerResponse.conflict(res, error.message);
+  }
+  if (error.error === 'INVALID_CODE') {
+    return ServerResponse.error(res, 400, 'INVALID_CODE', error.message);
+  }
+  logger.error('Erreur gestion du compte:', error);
+  return ServerResponse.error(res, 500, code, 'Erreur lors de la mise à jour du compte');
+}
+
+/**
+ * Change le mot de passe
+ * @route PUT /api/users/:id/password
+ * Body: { currentPassword, password }
+ */
+router.put('/:id/password', requireAuth, requireSelf, rejectBlockedAccount,
+  validate({ body: schemas.passwordBody }), asyncHandler(async (req, res) => {
+  try {
+    const { currentPassword, password } = req.body;
+    await usersManager.changePassword(req.session.userId, currentPassword, password);
+    return ServerResponse.success(res, 200, { success: true }, 'Mot de passe modifié avec succès');
+  } catch (error) {
+    return handleUserError(req, res, error, 'PASSWORD_UPDATE_ERROR');
+  }
+}));
+
+/**
+ * Change l'adresse email
+ * @route PUT /api/users/:id/email
+ * Body: { currentPassword, email }
+ */
+router.put('/:id/email', requireAuth, requireSelf, rejectBlockedAccount,
+  validate({ body: schemas.emailBody }), asyncHandler(async (req, res) => {
+  try {
+    const { currentPassword, email } = req.body;
+    const user = await usersManager.changeEmail(req.session.userId, currentPassword, email);
+    req.session.userEmail = user.email;
+
+    if (!user.emailVerified) {
+      // La nouvelle adresse est à confirmer ; un échec d'envoi n'annule pas le changement
+      await sendEmailVerification(user.id).catch(mailError => {
+        logger.error('Erreur envoi lien de vérification:', mailError);
+      });
+    }
+
+    return ServerResponse.success(res, 200, { success: true, email: user.email, emailVerified: user.emailVerified },
+      user.emailVerified ? 'Email modifié avec succès' : 'Email modifié, un lien de vérification vous a été envoyé');
+  } catch (error) {
+    return handleUserError(req, res, error, 'EMAIL_UPDATE_ERROR');
+  }
+}));
+
+/**
+ * Démarre l'activation de la double authentification
+ * Le secret est à scanner (QR code ou URI otpauth) puis à confirmer avec un code.
+ * @route POST /api/users/:id/2fa/setup
+ * Body: { currentPassword }
+ */
+router.post('/:id/2fa/setup', requireAuth, requireSelf, rejectBlockedAccount,
+  validate({ body: schemas.twoFactorSetupBody }), asyncHandler(async (req, res) => {
+  try {
+    const setup = await twoFactorManager.startSetup(req.session.userId, req.body.currentPassword);
+    return ServerResponse.success(res, 200, setup, 'Scannez le QR code avec votre application d\'authentification');
+  } catch (error) {
+    return handleUserError(req, res, error, 'TWO_FACTOR_SETUP_ERROR');
+  }
+}));
+
+/**
+ * Active la double authentification avec un premier code
+ * Les codes de secours ne sont renvoyés qu'une seule fois.
+ * @route POST /api/users/:id/2fa/enable
+ * Body: { code }
+ */
+router.post('/:id/2fa/enable', requireAuth, requireSelf,
+  validate({ body: schemas.twoFactorEnableBody }), asyncHandler(async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorManager.enable(req.session.userId, req.body.code);
+    return ServerResponse.success(res, 200, { success: true, recoveryCodes }, 'Double authentification activée');
+  } catch (error) {
+    return handleUserError(req, res, error, 'TWO_FACTOR_SETUP_ERROR');
+  }
+}));
+
+/**
+ * Remplace les codes de secours
+ * @route POST /api/users/:id/2fa/recovery-codes
+ * Body: { currentPassword, code }
+ */
+router.post('/:id/2fa/recovery-codes', requireAuth, requireSelf, rejectBlockedAccount,
+  validate({ body: schemas.twoFactorConfirmBody }), asyncHandler(async (req, res) => {
+  try {
+    const { currentPassword, code } = req.body;
+    const recoveryCodes = await twoFactorManager.regenerateRecoveryCodes(req.session.userId, currentPassword, code);
+    return ServerResponse.success(res, 200, { success: true, recoveryCodes }, 'Nouveaux codes de secours générés');
+  } catch (error) {
+    return handleUserError(req, res, error, 'TWO_FACTOR_UPDATE_ERROR');
+  }
+}));
+
+/**
+ * Désactive la double authentification
+ * @route DELETE /api/users/:id/2fa
+ * Body: { currentPassword, code }
+ */
+router.delete('/:id/2fa', requireAuth, requireSelf, rejectBlockedAccount,
+  validate({ body: schemas.twoFactorConfirmBody }), asyncHandler(async (req, res) => {
+  try {
+    const { currentPassword, code } = req.body;
+    await twoFactorManager.disable(req.session.userId, currentPassword, code);
+    return ServerResponse.success(res, 200, { success: true }, 'Double authentification désactivée');
+  } catch (error) {
+    return handleUserError(req, res, error, 'TWO_FACTOR_UPDATE_ERROR');
+  }
+}));
+
+/**
+ * Supprime le compte : départ du foyer (supprimé s'il n'a plus de membre),
+ * abonnement push, document utilisateur, puis fin de toutes ses sessions
+ * @route DELETE /api/users/:id
+ * Body: { currentPassword }
+ */
+router.delete('/:id', requireAuth, requireSelf, rejectBlockedAccount,
+  validate({ body: schemas.deleteBody }), asyncHandler(async (req, res) => {
+  const userId = req.session.userId;
+
+  try {
+    await usersManager.reauthenticate(userId, req.body.currentPassword);
+
+    // Flux de synchronisation fermés en premier, sessions détachées : sinon leur fin
+    // réenregistrerait les sessions supprimées ci-dessous
+    syncManager.closeAccountClients(userId);
+
+    await householdsManager.removeUserFromHousehold(userId);
+    await pushManager.removeUserNotifications(userId);
+    await usersManager.deleteUser(userId);
+    await sessionsManager.revokeOtherSessions(req.sessionStore, userId, req.sessionID);
+  } catch (error) {
+    return handleUserError(req, res, error, 'ACCOUNT_DELETE_ERROR');
+  }
+
+  req.session.destroy((err) => {
+    if (err) {
+      logger.error('Erreur fin de session après suppression du compte:', err);
+    }
+    res.clearCookie('connect.sid');
+    return ServerResponse.success(res, 200, { success: true }, 'Compte supprimé');
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,36 @@
+// ========================================
+// Scheduler d'archivage de l'historique des repas
+// ========================================
+
+const cron = require('node-cron');
+const historyManager = require('../managers/history-manager');
+const logger = require('../../logger');
+
+/**
+ * Archive les mois terminés de tous les foyers
+ */
+async function runArchive() {
+    try {
+        const updatedHouseholds = await historyManager.archiveAllHouseholds();
+        logger.info(`Archivage de l'historique terminé (${updatedHouseholds} foyer(s) mis à jour)`);
+    } catch (error) {
+        logger.error('Erreur archivage historique:', error);
+    }
+}
+
+/**
+ * Démarre le scheduler d'archivage
+ * Archive immédiatement puis chaque nuit (les jours d'un mois terminé
+ * restent visibles jusqu'à la fin de la semaine en cours)
+ */
+async function startHistoryScheduler() {
+    logger.info('Démarrage du scheduler d\'historique...');
+
+    await runArchive();
+
+    cron.schedule('5 0 * * *', runArchive);
+}
+
+module.exports = {
+    startHistoryScheduler
+};
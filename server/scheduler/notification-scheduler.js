@@ -1,10 +1,12 @@
 // ========================================
-// Scheduler de notifications - Basé sur les jours du mois
+// Scheduler de notifications - Basé sur les dates du calendrier
 // ========================================
 
 const cron = require('node-cron');
 const pushManager = require('../managers/push-manager');
-const usersManager = require('../managers/users-manager');
+const householdsManager = require('../managers/households-manager');
+const mealModel = require('../managers/meal-model');
+const pantryManager = require('../managers/pantry-manager');
 const CONFIG = require('../../config');
 const logger = require('../../logger');
 
@@ -28,10 +30,22 @@ function formatatableText(midi, soir) {
 }
 
 /**
- * Obtient le jour actuel du mois
+ * Formate la liste des articles du garde-manger à consommer rapidement
+ * @param {Array<Object>} items - Articles triés par date de péremption
+ * @param {string} today - Date du jour (YYYY-MM-DD)
+ * @returns {string} Ligne de notification (vide sans article)
  */
-function getCurrentDayOfMonth() {
-    return new Date().getDate();
+function formatExpiringText(items, today) {
+    if (items.length === 0) return '';
+
+    const labels = ['aujourd\'hui', 'demain', 'après-demain'];
+    const todayDate = CONFIG.parseISODate(today);
+    const parts = items.map(item => {
+        const days = Math.round((CONFIG.parseISODate(item.expiresAt) - todayDate) / 86400000);
+        return `${item.name} (${labels[days] || `dans ${days} jours`})`;
+    });
+
+    return `⏳ À consommer : ${parts.join(', ')}`;
 }
 
 /**
@@ -57,77 +71,52 @@ function capitalize(str) {
     return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
-/**
- * Obtient la semaine actuelle basée sur le jour du mois
- * Calcule quelle semaine contient le jour actuel
- */
-function getCurrentWeekNumber(numberOfWeeks, currentDay) {
-    const now = new Date();
-    const totalDays = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
-    
-    // Calculer combien de jours par semaine
-    const baseDaysPerWeek = Math.floor(totalDays / numberOfWeeks);
-    const extraDays = totalDays % numberOfWeeks;
-    
-    let cumulativeDays = 0;
-    
-    for (let week = 1; week <= numberOfWeeks; week++) {
-        const daysInThisWeek = baseDaysPerWeek + (week <= extraDays ? 1 : 0);
-        cumulativeDays += daysInThisWeek;
-        
-        if (currentDay <= cumulativeDays) {
-            return week;
-        }
-    }
-    
-    return numberOfWeeks; // Par défaut, dernière semaine
-}
-
 async function sendUserNotification(userId, permissionNotification, date) {
     try {
-        const currentDay = getCurrentDayOfMonth();
+        const today = CONFIG.formatISODate(date);
+        const currentDay = date.getDate();
         const dayName = capitalize(getCurrentDayName());
 
-        const userData = await usersManager.readUserData(userId);
-        if (!userData || !userData.weeksPlans) {
+        const household = await householdsManager.readHouseholdData(userId);
+        if (!household) {
             return;
         }
 
-        const numberOfWeeks = userData.preference?.showWeeks || CONFIG.defaultWeeks;
-        const currentWeek = getCurrentWeekNumber(numberOfWeeks, currentDay);
-        const weekKey = `week${currentWeek}`;
-
-        const weekPlan = userData.weeksPlans[weekKey];
-        if (!weekPlan || !weekPlan.enabled) {
-            return;
-        }
-
-        // Récupérer les repas pour le jour du mois actuel
-        const dayatable = weekPlan.days[currentDay] || { midi: '', soir: '' };
-        const hasatable = dayatable.midi.trim() || dayatable.soir.trim();
+        // Récupérer les repas prévus à la date du jour (plan partagé du foyer)
+        const dayatable = mealModel.normalizeDay(household.plans?.[today]);
+        const midi = mealModel.mealToText(dayatable.midi);
+        const soir = mealModel.mealToText(dayatable.soir);
+        const hasatable = midi || soir;
 
         const notification = hasatable
             ? {
                 title: `🍽️ Vos repas du ${dayName} ${currentDay}`,
-                body: formatatableText(dayatable.midi, dayatable.soir)
+                body: formatatableText(midi, soir)
             }
             : {
                 title: `⚠️ Aucun repas prévu pour ${dayName} ${currentDay}`,
                 body: 'Vous n\'avez pas encore défini vos repas pour aujourd\'hui.'
             };
 
+        // Signaler les articles du garde-manger qui périment dans les 48 h
+        const expiringItems = pantryManager.getExpiringItems(household.pantry || [], CONFIG.expiryWarningDays, date);
+        const expiringText = formatExpiringText(expiringItems, today);
+        if (expiringText) {
+            notification.body = `${notification.body}\n${expiringText}`;
+        }
+
         await pushManager.sendNotificationToUser(userId, permissionNotification, {
             ...notification,
             icon: '/icons/icon-192.png',
             badge: '/icons/icon-192.png',
             tag: 'atable-reminder',
             data: {
-                day: currentDay,
+                date: today,
                 url: '/'
             }
         });
 
-        logger.info(`Notification envoyée à l'utilisateur ${userId} à ${formatTime(date)} pour le jour ${currentDay}`);
+        logger.info(`Notification envoyée à l'utilisateur ${userId} à ${formatTime(date)} pour le ${today}`);
     } catch (error) {
         logger.error(`Erreur envoi notification à ${userId}:`, error);
     }
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Dépôt des données (utilisateurs, foyers, abonnements push)
+ * @module storage
+ *
+ * Les gestionnaires n'accèdent jamais directement aux fichiers : ils passent par
+ * le dépôt choisi avec la variable d'environnement STORAGE_BACKEND :
+ * - "json"   (par défaut) : un fichier par utilisateur et par foyer, notifications.json
+ * - "sqlite" : base SQLite (data/atable.db), recherche par email indexée et transactions
+ *
+ * Chaque dépôt expose la même interface :
+ * - init(), close()
+ * - transaction(fn) : exécute fn de façon atomique (SQLite) ; les appels imbriqués
+ *   rejoignent la transaction en cours
+ * - users         : get(id), findByEmail(email), list(), save(user), remove(id)
+ * - households    : get(id), list(), save(household), remove(id)
+ * - notifications : get(userId), list(), save(record), remove(userId)
+ *
+ * La commande "npm run migrate-storage" copie les données d'un dépôt à l'autre.
+ */
+
+const CONFIG = require('../../config');
+const { createJsonStore } = require('./json-store');
+const { createSqliteStore } = require('./sqlite-store');
+
+/**
+ * Fabriques des dépôts disponibles
+ * @type {Object<string, Function>}
+ */
+const BACKENDS = {
+    json: () => createJsonStore({
+        usersDir: CONFIG.usersDir,
+        householdsDir: CONFIG.householdsDir,
+        notificationsFile: CONFIG.subscribeFile
+    }),
+    sqlite: () => createSqliteStore({ file: CONFIG.sqliteFile })
+};
+
+/** @type {Object|null} Dépôt de l'application */
+let store = null;
+
+/**
+ * Crée un dépôt
+ * @param {string} backend - Nom du dépôt ('json' ou 'sqlite')
+ * @returns {Object} Dépôt (non initialisé)
+ * @throws {Error} Si le dépôt est inconnu
+ */
+function createStore(backend) {
+    const factory = BACKENDS[backend];
+    if (!factory) {
+        throw new Error(`Stockage inconnu: "${backend}" (valeurs possibles : ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    return factory();
+}
+
+/**
+ * Obtient le dépôt configuré (STORAGE_BACKEND)
+ * @returns {Object} Dépôt de l'application
+ */
+function getStore() {
+    if (!store) {
+        store = createStore(CONFIG.storageBackend);
+    }
+    return store;
+}
+
+module.exports = {
+    BACKENDS: Object.keys(BACKENDS),
+    createStore,
+    getStore
+};
@@ -0,0 +1,318 @@
+/**
+ * @fileoverview Dépôt en fichiers JSON
+ * @module storage/json-store
+ *
+ * Structure des données :
+ * - data/users/<id>.json       : un fichier par utilisateur
+ * - data/households/<id>.json  : un fichier par foyer
+ * - data/notifications.json    : tableau des abonnements push
+ * Les recherches par email s'appuient sur un index construit au premier accès.
+ *
+ * Les écritures d'un même fichier passent l'une après l'autre et sont atomiques :
+ * le contenu est écrit dans un fichier temporaire puis renommé, et la version
+ * précédente est gardée dans <fichier>.backup. Un fichier illisible est restauré
+ * depuis cette copie. Les transactions sont exécutées l'une après l'autre mais
+ * ne sont pas annulées en cas d'erreur.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('../../logger');
+
+/** @type {string} Suffixe de la copie de la version précédente */
+const BACKUP_SUFFIX = '.backup';
+
+/**
+ * Écritures en cours par fichier
+ * @type {Map<string, Promise<void>>}
+ */
+const fileQueues = new Map();
+
+/** @type {number} Compteur des fichiers temporaires */
+let tempCounter = 0;
+
+/**
+ * Exécute une opération sur un fichier quand les précédentes sont terminées
+ * @param {string} filePath - Chemin du fichier
+ * @param {Function} operation - Opération asynchrone
+ * @returns {Promise<*>} Résultat de l'opération
+ */
+function withFileLock(filePath, operation) {
+    const result = (fileQueues.get(filePath) || Promise.resolve()).then(operation);
+    const tail = result.catch(() => {});
+    fileQueues.set(filePath, tail);
+    tail.then(() => {
+        if (fileQueues.get(filePath) === tail) fileQueues.delete(filePath);
+    });
+    return result;
+}
+
+/**
+ * Écrit un fichier de façon atomique (fichier temporaire synchronisé puis renommé)
+ * @async
+ * @param {string} filePath - Chemin du fichier
+ * @param {*} data - Contenu
+ * @param {boolean} [keepBackup=true] - Copier la version actuelle dans <fichier>.backup
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, data, keepBackup = true) {
+    const tempPath = `${filePath}.${process.pid}.${++tempCounter}.tmp`;
+    const handle = await fs.open(tempPath, 'w');
+    try {
+        await handle.writeFile(JSON.stringify(data, null, 2));
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+
+    if (keepBackup) {
+        // Première écriture : pas encore de version précédente
+        await fs.copyFile(filePath, filePath + BACKUP_SUFFIX).catch(() => {});
+    }
+    await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Lit un fichier JSON
+ * Un fichier illisible (écriture interrompue, modification manuelle) est
+ * restauré depuis sa dernière copie valide.
+ * @async
+ * @param {string} filePath - Chemin du fichier
+ * @param {boolean} [locked=false] - L'appelant détient déjà le verrou du fichier
+ * @returns {Promise<*|null>} Contenu ou null si le fichier est absent ou irrécupérable
+ */
+async function readJson(filePath, locked = false) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+
+        try {
+            const backup = JSON.parse(await fs.readFile(filePath + BACKUP_SUFFIX, 'utf8'));
+            const restore = () => writeFileAtomic(filePath, backup, false);
+            await (locked ? restore() : withFileLock(filePath, restore));
+            logger.warn(`Fichier ${filePath} illisible, restauré depuis la dernière copie`);
+            return backup;
+        } catch (backupError) {
+            logger.error(`Fichier ${filePath} illisible et sans copie valide:`, error);
+            return null;
+        }
+    }
+}
+
+/**
+ * Écrit un fichier JSON
+ * @param {string} filePath - Chemin du fichier
+ * @param {*} data - Contenu
+ * @returns {Promise<void>}
+ */
+function writeJson(filePath, data) {
+    return withFileLock(filePath, () => writeFileAtomic(filePath, data));
+}
+
+/**
+ * Lit, modifie et réécrit un fichier JSON sans écriture concurrente intermédiaire
+ * @param {string} filePath - Chemin du fichier
+ * @param {*} fallback - Contenu si le fichier est absent
+ * @param {Function} update - Reçoit le contenu, retourne le nouveau contenu
+ * @returns {Promise<void>}
+ */
+function updateJson(filePath, fallback, update) {
+    return withFileLock(filePath, async () => {
+        const data = (await readJson(filePath, true)) ?? fallback;
+        await writeFileAtomic(filePath, update(data));
+    });
+}
+
+/**
+ * Supprime un fichier JSON et sa copie
+ * @param {string} filePath - Chemin du fichier
+ * @returns {Promise<void>}
+ */
+function removeJson(filePath) {
+    return withFileLock(filePath, async () => {
+        await fs.unlink(filePath).catch(() => {});
+        await fs.unlink(filePath + BACKUP_SUFFIX).catch(() => {});
+    });
+}
+
+/**
+ * Crée une collection de documents stockés un par fichier
+ * @param {string} dir - Dossier de la collection
+ * @returns {Object} Collection {get, list, save, remove}
+ */
+function createFileCollection(dir) {
+    const getFilePath = id => path.join(dir, `${id}.json`);
+
+    return {
+        get: id => readJson(getFilePath(id)),
+
+        async list() {
+            let files;
+            try {
+                files = await fs.readdir(dir);
+            } catch (error) {
+                return [];
+            }
+
+            const documents = [];
+            for (const file of files.filter(name => name.endsWith('.json'))) {
+                const document = await readJson(path.join(dir, file));
+                if (document) {
+                    documents.push(document);
+                }
+            }
+            return documents;
+        },
+
+        save: document => writeJson(getFilePath(document.id), document),
+
+        remove: id => removeJson(getFilePath(id))
+    };
+}
+
+/**
+ * Crée le dépôt en fichiers JSON
+ * @param {Object} options - Emplacements des données
+ * @param {string} options.usersDir - Dossier des utilisateurs
+ * @param {string} options.householdsDir - Dossier des foyers
+ * @param {string} options.notificationsFile - Fichier des abonnements push
+ * @returns {Object} Dépôt
+ */
+function createJsonStore({ usersDir, householdsDir, notificationsFile }) {
+    const userFiles = createFileCollection(usersDir);
+    const householdFiles = createFileCollection(householdsDir);
+
+    /** @type {Promise<void>} Transactions en attente */
+    let transactionQueue = Promise.resolve();
+    /** Marque les opérations exécutées dans une transaction */
+    const transactionContext = new AsyncLocalStorage();
+
+    /** @type {Map<string, string>|null} Index email → ID utilisateur */
+    let emailIndex = null;
+
+    /**
+     * Construit l'index des emails (lecture de tous les utilisateurs)
+     * @async
+     * @returns {Promise<Map<string, string>>} Index
+     */
+    async function loadEmailIndex() {
+        if (!emailIndex) {
+            // Index publié une fois complet : une recherche simultanée ne voit pas d'index vide
+            const index = new Map();
+            for (const user of await userFiles.list()) {
+                index.set(user.email.toLowerCase(), user.id);
+            }
+            emailIndex = emailIndex || index;
+        }
+        return emailIndex;
+    }
+
+    /**
+     * Retire un utilisateur de l'index des emails
+     * @param {string} userId - ID de l'utilisateur
+     */
+    function unindexUser(userId) {
+        for (const [email, id] of emailIndex || []) {
+            if (id === userId) emailIndex.delete(email);
+        }
+    }
+
+    const users = {
+        get: userFiles.get,
+        list: userFiles.list,
+
+        async findByEmail(email) {
+            const key = email.toLowerCase();
+            const userId = (await loadEmailIndex()).get(key);
+            if (!userId) return null;
+
+            const user = await userFiles.get(userId);
+            if (user && user.email.toLowerCase() === key) {
+                return user;
+            }
+
+            // Fichier modifié hors de l'application : l'index est reconstruit
+            emailIndex = null;
+            const refreshedId = (await loadEmailIndex()).get(key);
+            return refreshedId ? userFiles.get(refreshedId) : null;
+        },
+
+        async save(user) {
+            await userFiles.save(user);
+            if (emailIndex) {
+                unindexUser(user.id);
+                emailIndex.set(user.email.toLowerCase(), user.id);
+            }
+        },
+
+        async remove(userId) {
+            await userFiles.remove(userId);
+            unindexUser(userId);
+        }
+    };
+
+    const notifications = {
+        async list() {
+            return (await readJson(notificationsFile)) || [];
+        },
+
+        async get(userId) {
+            return (await notifications.list()).find(record => record.userId === userId) || null;
+        },
+
+        save: record => updateJson(notificationsFile, [], records => {
+            const index = records.findIndex(existing => existing.userId === record.userId);
+            if (index === -1) {
+                records.push(record);
+            } else {
+                records[index] = record;
+            }
+            return records;
+        }),
+
+        remove: userId => updateJson(notificationsFile, [],
+            records => records.filter(record => record.userId !== userId))
+    };
+
+    return {
+        name: 'json',
+
+        async init() {
+            await fs.mkdir(usersDir, { recursive: true });
+            await fs.mkdir(householdsDir, { recursive: true });
+            try {
+                await fs.access(notificationsFile);
+            } catch (error) {
+                await writeJson(notificationsFile, []);
+                logger.info('Fichier notifications.json créé');
+            }
+            logger.info('Stockage JSON initialisé');
+        },
+
+        async close() {},
+
+        /**
+         * Exécute des opérations après les transactions en cours
+         * Évite qu'une lecture-modification-écriture en écrase une autre.
+         * @param {Function} fn - Opérations asynchrones
+         * @returns {Promise<*>} Résultat de fn
+         */
+        transaction(fn) {
+            if (transactionContext.getStore()) {
+                return fn();
+            }
+
+            const result = transactionQueue.then(() => transactionContext.run(true, fn));
+            transactionQueue = result.catch(() => {});
+            return result;
+        },
+
+        users,
+        households: householdFiles,
+        notifications
+    };
+}
+
+module.exports = { createJsonStore };
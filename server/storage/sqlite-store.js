@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Dépôt SQLite
+ * @module storage/sqlite-store
+ *
+ * Chaque document est stocké en JSON dans une table ; les colonnes utilisées
+ * pour les recherches sont extraites à l'écriture :
+ * - users(id, email, data)      : email unique et indexé (insensible à la casse)
+ * - households(id, data)
+ * - notifications(user_id, data)
+ *
+ * Une seule connexion est ouverte et les opérations sont exécutées l'une après
+ * l'autre : pendant une transaction, les autres requêtes attendent le COMMIT.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3');
+const logger = require('../../logger');
+
+/** @type {string[]} Création du schéma */
+const SCHEMA = [
+    `CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL COLLATE NOCASE,
+        data TEXT NOT NULL
+    )`,
+    'CREATE UNIQUE INDEX IF NOT EXISTS users_email ON users (email)',
+    `CREATE TABLE IF NOT EXISTS households (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS notifications (
+        user_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    )`
+];
+
+/**
+ * Crée le dépôt SQLite
+ * @param {Object} options - Options
+ * @param {string} options.file - Chemin de la base
+ * @returns {Object} Dépôt
+ */
+function createSqliteStore({ file }) {
+    /** @type {sqlite3.Database|null} */
+    let db = null;
+    /** @type {Promise<void>} File des opérations en attente */
+    let queue = Promise.resolve();
+    /** Marque les opérations exécutées dans une transaction */
+    const transactionContext = new AsyncLocalStorage();
+
+    /**
+     * Exécute une requête SQL
+     * @param {string} method - Méthode sqlite3 ('run', 'get' ou 'all')
+     * @param {string} sql - Requête
+     * @param {Array} [params=[]] - Paramètres
+     * @returns {Promise<*>} Ligne(s) lue(s)
+     */
+    function query(method, sql, params = []) {
+        if (!db) {
+            return Promise.reject(new Error('Stockage SQLite non initialisé'));
+        }
+        return new Promise((resolve, reject) => {
+            db[method](sql, params, (error, result) => (error ? reject(error) : resolve(result)));
+        });
+    }
+
+    /**
+     * Exécute une opération quand les précédentes sont terminées
+     * Dans une transaction, l'opération s'exécute immédiatement.
+     * @param {Function} operation - Opération asynchrone
+     * @returns {Promise<*>} Résultat de l'opération
+     */
+    function exclusive(operation) {
+        if (transactionContext.getStore()) {
+            return operation();
+        }
+        const result = queue.then(operation);
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Lit un document JSON d'une ligne
+     * @param {Object|undefined} row - Ligne {data}
+     * @returns {Object|null} Document
+     */
+    function parseRow(row) {
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    /**
+     * Crée une collection de documents identifiés par une colonne
+     * @param {string} table - Nom de la table
+     * @param {string} key - Colonne de l'identifiant
+     * @param {Function} getKey - Extrait l'identifiant d'un document
+     * @returns {Object} Collection {get, list, save, remove}
+     */
+    function createCollection(table, key, getKey) {
+        return {
+            get: id => exclusive(() => query('get', `SELECT data FROM ${table} WHERE ${key} = ?`, [id]))
+                .then(parseRow),
+
+            list: () => exclusive(() => query('all', `SELECT data FROM ${table} ORDER BY ${key}`))
+                .then(rows => rows.map(parseRow)),
+
+            save: document => exclusive(() => query('run',
+                `INSERT INTO ${table} (${key}, data) VALUES (?, ?)
+                 ON CONFLICT (${key}) DO UPDATE SET data = excluded.data`,
+                [getKey(document), JSON.stringify(document)])),
+
+            remove: id => exclusive(() => query('run', `DELETE FROM ${table} WHERE ${key} = ?`, [id]))
+        };
+    }
+
+    const users = {
+        ...createCollection('users', 'id', user => user.id),
+
+        findByEmail: email => exclusive(() => query('get', 'SELECT data FROM users WHERE email = ?', [email]))
+            .then(parseRow),
+
+        save: user => exclusive(() => query('run',
+            `INSERT INTO users (id, email, data) VALUES (?, ?, ?)
+             ON CONFLICT (id) DO UPDATE SET email = excluded.email, data = excluded.data`,
+            [user.id, user.email, JSON.stringify(user)]))
+    };
+
+    return {
+        name: 'sqlite',
+
+        async init() {
+            if (db) return;
+
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            db = await new Promise((resolve, reject) => {
+                const database = new sqlite3.Database(file, error => (error ? reject(error) : resolve(database)));
+            });
+
+            await query('run', 'PRAGMA journal_mode = WAL');
+            for (const statement of SCHEMA) {
+                await query('run', statement);
+            }
+            logger.info(`Stockage SQLite initialisé (${file})`);
+        },
+
+        async close() {
+            if (!db) return;
+
+            await queue;
+            await new Promise((resolve, reject) => db.close(error => (error ? reject(error) : resolve())));
+            db = null;
+        },
+
+        /**
+         * Exécute des opérations dans une transaction (annulée si fn échoue)
+         * @param {Function} fn - Opérations asynchrones
+         * @returns {Promise<*>} Résultat de fn
+         */
+        transaction(fn) {
+            if (transactionContext.getStore()) {
+                return fn();
+            }
+
+            return exclusive(() => transactionContext.run(true, async () => {
+                await query('run', 'BEGIN IMMEDIATE');
+                try {
+                    const result = await fn();
+                    await query('run', 'COMMIT');
+                    return result;
+                } catch (error) {
+                    await query('run', 'ROLLBACK');
+                    throw error;
+                }
+            }));
+        },
+
+        users,
+        households: createCollection('households', 'id', household => household.id),
+        notifications: createCollection('notifications', 'user_id', record => record.userId)
+    };
+}
+
+module.exports = { createSqliteStore };
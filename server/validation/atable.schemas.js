@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Schémas des repas et des semaines
+ * @module validation/atable
+ */
+
+const { z } = require('zod');
+const CONFIG = require('../../config');
+const { MAX_SERVINGS } = require('../managers/meal-model');
+const { dateKey, mealType, dateRangeQuery } = require('./common');
+
+/**
+ * Repas : objet structuré ou texte (ancien format)
+ * La normalisation (titre nettoyé, éléments vides retirés) reste dans meal-model.
+ */
+const meal = z.union([
+    z.string().max(500),
+    z.object({
+        title: z.string().max(200).optional(),
+        items: z.array(z.union([
+            z.string(),
+            z.object({
+                name: z.string(),
+                recipeId: z.union([z.string(), z.number()]).optional()
+            })
+        ])).max(50).optional(),
+        notes: z.string().max(1000).optional(),
+        servings: z.union([
+            z.null(),
+            z.literal(''),
+            z.coerce.number().int().min(1).max(MAX_SERVINGS, `Le nombre de portions doit être entre 1 et ${MAX_SERVINGS}`)
+        ]).optional()
+    })
+], {
+    error: issue => (issue.input === undefined ? 'Repas manquant (null pour un repas vide)' : 'Format de repas invalide')
+});
+
+/** Jour {midi, soir} (null = repas vide) */
+const day = z.object({
+    midi: meal.nullable(),
+    soir: meal.nullable()
+});
+
+/** Jours à sauvegarder { 'YYYY-MM-DD': {midi, soir} } */
+const days = z.record(dateKey, day, {
+    error: issue => {
+        if (issue.input === undefined) return 'Les jours à sauvegarder sont requis';
+        if (issue.code === 'invalid_key') return 'Date invalide (format attendu: AAAA-MM-JJ)';
+        return undefined;
+    }
+});
+
+/** Versions connues des repas { 'YYYY-MM-DD:midi': n } */
+const versions = z.record(
+    z.string().regex(/^\d{4}-\d{2}-\d{2}:(midi|soir)$/, 'Clé de version invalide (format attendu: AAAA-MM-JJ:midi)'),
+    z.number().int().min(0)
+);
+
+/**
+ * Versions d'une sauvegarde qui n'en fournit pas (anciens clients) : version 0
+ * pour chaque repas envoyé, qui n'écrase donc jamais un repas déjà enregistré (409)
+ * @param {Object} days - Jours à sauvegarder
+ * @returns {Object<string, number>} Versions {'YYYY-MM-DD:midi': 0, ...}
+ */
+function unversioned(days) {
+    return Object.fromEntries(Object.keys(days)
+        .flatMap(dateKey => ['midi', 'soir'].map(type => [`${dateKey}:${type}`, 0])));
+}
+
+/** Paramètre :weeknumber (1 = semaine courante) */
+const weekParams = z.object({
+    weeknumber: z.coerce.number({ error: `Le numéro de semaine doit être entre 1 et ${CONFIG.maxWeeks}` })
+        .int()
+        .min(1, `Le numéro de semaine doit être entre 1 et ${CONFIG.maxWeeks}`)
+        .max(CONFIG.maxWeeks, `Le numéro de semaine doit être entre 1 et ${CONFIG.maxWeeks}`)
+});
+
+/** PUT /api/atable : { days, versions? } (sans versions : voir unversioned) */
+const saveBody = z.object({ days, versions: versions.nullish() })
+    .transform(body => ({ days: body.days, versions: body.versions ?? unversioned(body.days) }));
+
+/** PUT /api/atable/:weeknumber : { days, versions? } ou directement les jours */
+const weekSaveBody = z.preprocess(
+    body => (body && typeof body === 'object' && 'days' in body ? body : { days: body }),
+    saveBody
+);
+
+/** PUT /api/atable/slots/:date/:mealType */
+const slotParams = z.object({ date: dateKey, mealType });
+
+const slotBody = z.object({
+    meal: meal.nullable().default(null),
+    version: z.number({ error: 'La version du repas est requise' }).int().min(0, 'La version du repas est requise')
+});
+
+module.exports = {
+    meal,
+    day,
+    days,
+    versions,
+    rangeQuery: dateRangeQuery,
+    weekParams,
+    saveBody,
+    weekSaveBody,
+    slotParams,
+    slotBody
+};
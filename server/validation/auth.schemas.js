@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Schémas de l'authentification
+ * @module validation/auth
+ */
+
+const { z } = require('zod');
+const { requiredText } = require('./common');
+
+/** @type {number} Longueur minimale d'un mot de passe */
+const MIN_PASSWORD_LENGTH = 6;
+
+/** Email (sans espaces, comparé en minuscules par users-manager) */
+const email = z.string({ error: 'Email et mot de passe requis' })
+    .trim()
+    .pipe(z.email({ error: 'Format d\'email invalide' }));
+
+/** Nouveau mot de passe */
+const password = z.string({ error: 'Email et mot de passe requis' })
+    .min(MIN_PASSWORD_LENGTH, `Le mot de passe doit contenir au moins ${MIN_PASSWORD_LENGTH} caractères`);
+
+/** POST /auth/login */
+const loginBody = z.object({
+    email,
+    password: z.string({ error: 'Email et mot de passe requis' }).min(1, 'Email et mot de passe requis'),
+    machineId: z.string().optional()
+});
+
+/** POST /auth/register */
+const registerBody = z.object({
+    email,
+    password,
+    firstname: requiredText('Le prénom', 50),
+    lastname: requiredText('Le nom', 50),
+    machineId: z.string().optional()
+});
+
+/** Code de double authentification (TOTP à 6 chiffres ou code de secours) */
+const twoFactorCode = z.string({ error: 'Le code de vérification est requis' })
+    .trim()
+    .min(1, 'Le code de vérification est requis')
+    .max(32, 'Code de vérification incorrect');
+
+/** POST /auth/login/2fa */
+const loginTwoFactorBody = z.object({ code: twoFactorCode });
+
+/** DELETE /auth/sessions/:id */
+const sessionParams = z.object({
+    id: z.string().regex(/^[a-f0-9]{32}$/, 'Session invalide')
+});
+
+/** POST /auth/forgot */
+const forgotBody = z.object({ email });
+
+/** POST /auth/reset */
+const resetBody = z.object({
+    token: z.string({ error: 'Lien de réinitialisation invalide ou expiré' })
+        .min(1, 'Lien de réinitialisation invalide ou expiré'),
+    password
+});
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    email,
+    password,
+    loginBody,
+    twoFactorCode,
+    registerBody,
+    loginTwoFactorBody,
+    sessionParams,
+    forgotBody,
+    resetBody
+};
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Schémas partagés entre les domaines
+ * @module validation/common
+ */
+
+const { z } = require('zod');
+const CONFIG = require('../../config');
+
+/** @type {Array<string>} Jours de la semaine */
+const DAYS_OF_WEEK = ['lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi', 'dimanche'];
+
+/** Date au format YYYY-MM-DD (date existante) */
+const dateKey = z.string().refine(
+    value => CONFIG.parseISODate(value) !== null,
+    'La date doit être au format YYYY-MM-DD'
+);
+
+/** Type de repas */
+const mealType = z.enum(['midi', 'soir'], { error: 'Le type de repas doit être "midi" ou "soir"' });
+
+/** Plage de dates facultative (?from=YYYY-MM-DD&to=YYYY-MM-DD) */
+const dateRangeQuery = z.object({
+    from: dateKey.optional(),
+    to: dateKey.optional()
+});
+
+/**
+ * Texte obligatoire, sans espaces en début ni en fin
+ * @param {string} label - Nom du champ dans les messages
+ * @param {number} maxLength - Longueur maximale
+ * @returns {z.ZodString} Schéma
+ */
+function requiredText(label, maxLength) {
+    return z.string({ error: `${label} est requis` })
+        .trim()
+        .min(1, `${label} est requis`)
+        .max(maxLength, `${label} ne doit pas dépasser ${maxLength} caractères`);
+}
+
+module.exports = {
+    DAYS_OF_WEEK,
+    dateKey,
+    mealType,
+    dateRangeQuery,
+    requiredText
+};
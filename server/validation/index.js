@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Validation des requêtes avec des schémas zod
+ * @module validation
+ *
+ * Les schémas sont regroupés par domaine (<domaine>.schemas.js) et appliqués
+ * par le middleware validate() avant le gestionnaire de la route. Les valeurs
+ * validées (converties et débarrassées des champs inconnus) remplacent
+ * req.params, req.query et req.body.
+ *
+ * Une requête invalide reçoit une réponse 400 VALIDATION_ERROR :
+ * { field, message, errors: [{ field, message }] } (field et message : première erreur).
+ */
+
+const { z } = require('zod');
+const ServerResponse = require('../../response-handler');
+
+// Messages d'erreur par défaut en français
+z.config(z.locales.fr());
+
+/** @type {Array<string>} Parties de la requête validées, dans l'ordre */
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+/**
+ * Convertit les erreurs zod en erreurs par champ
+ * @param {z.ZodError} error - Erreur de validation
+ * @param {string} part - Partie de la requête ('params', 'query' ou 'body')
+ * @returns {Array<{field: string, message: string}>} Erreurs
+ */
+function formatIssues(error, part) {
+    return error.issues.map(issue => ({
+        field: issue.path.length ? issue.path.join('.') : part,
+        message: issue.message
+    }));
+}
+
+/**
+ * Crée un middleware qui valide la requête
+ * @param {Object} schemas - Schémas par partie de la requête
+ * @param {z.ZodType} [schemas.params] - Paramètres de l'URL
+ * @param {z.ZodType} [schemas.query] - Paramètres de la query string
+ * @param {z.ZodType} [schemas.body] - Corps de la requête
+ * @returns {Function} Middleware Express
+ * @example
+ * router.put('/', requireAuth, validate({ body: preferencesSchema }), handler);
+ */
+function validate(schemas) {
+    return (req, res, next) => {
+        const errors = [];
+        const values = {};
+
+        for (const part of REQUEST_PARTS) {
+            if (!schemas[part]) continue;
+
+            const result = schemas[part].safeParse(req[part] ?? {});
+            if (result.success) {
+                values[part] = result.data;
+            } else {
+                errors.push(...formatIssues(result.error, part));
+            }
+        }
+
+        if (errors.length) {
+            return ServerResponse.validation(res, errors[0].field, errors[0].message, errors);
+        }
+
+        Object.assign(req, values);
+        next();
+    };
+}
+
+module.exports = {
+    validate,
+    formatIssues
+};
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Schémas des notifications push
+ * @module validation/notifications
+ */
+
+const { z } = require('zod');
+
+/** Paramètres de notification (heure du rappel quotidien) */
+const settings = z.object({
+    enabled: z.boolean().optional(),
+    hour: z.number().int().min(0, 'L\'heure doit être entre 0 et 23').max(23, 'L\'heure doit être entre 0 et 23').optional(),
+    minute: z.number().int().min(0, 'Les minutes doivent être entre 0 et 59').max(59, 'Les minutes doivent être entre 0 et 59').optional()
+});
+
+/** POST /api/notifications/subscribe : abonnement PushSubscription du navigateur */
+const subscribeBody = z.object({
+    permissionNotification: z.looseObject({
+        endpoint: z.url({ error: 'Systeme de notification invalide' }),
+        keys: z.object({
+            p256dh: z.string(),
+            auth: z.string()
+        }).optional()
+    }, { error: 'Systeme de notification invalide' }),
+    settings: settings.default({})
+});
+
+/** PUT /api/notifications/settings */
+const settingsBody = settings;
+
+module.exports = {
+    settings,
+    subscribeBody,
+    settingsBody
+};
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Schémas des passkeys (WebAuthn)
+ * @module validation/passkeys
+ *
+ * Les réponses des navigateurs sont vérifiées en détail par @simplewebauthn/server :
+ * seule leur forme générale est contrôlée ici.
+ */
+
+const { z } = require('zod');
+const { currentPassword } = require('./users.schemas');
+
+/** Réponse de navigator.credentials.create() ou .get() encodée en JSON */
+const credentialResponse = z.looseObject({
+    id: z.string().min(1),
+    rawId: z.string().min(1),
+    type: z.literal('public-key'),
+    response: z.looseObject({
+        clientDataJSON: z.string().min(1)
+    })
+}, { error: 'Réponse de la passkey invalide' });
+
+/** POST /auth/passkeys/register/options */
+const registrationOptionsBody = z.object({ currentPassword });
+
+/** POST /auth/passkeys/register */
+const registrationBody = z.object({
+    response: credentialResponse,
+    name: z.string().trim().max(50, 'Le nom ne doit pas dépasser 50 caractères').optional()
+});
+
+/** POST /auth/passkeys/login */
+const authenticationBody = z.object({
+    response: credentialResponse,
+    machineId: z.string().optional()
+});
+
+/** DELETE /auth/passkeys/:id */
+const passkeyParams = z.object({
+    id: z.string().min(1, 'Passkey invalide')
+});
+
+module.exports = {
+    registrationOptionsBody,
+    registrationBody,
+    authenticationBody,
+    passkeyParams
+};
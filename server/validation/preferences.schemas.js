@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Schémas des préférences, des ingrédients et des rayons
+ * @module validation/preferences
+ */
+
+const { z } = require('zod');
+const CONFIG = require('../../config');
+const { DAYS_OF_WEEK, requiredText } = require('./common');
+
+/** @type {number} Longueur maximale d'un nom de catégorie ou de rayon */
+const MAX_NAME_LENGTH = 60;
+
+/** PUT /api/preferences */
+const preferencesBody = z.object({
+    numberOfWeeks: z.coerce.number({ error: 'Nombre de semaines invalide' })
+        .int('Nombre de semaines invalide')
+        .min(CONFIG.minWeeks, `Le nombre de semaines doit être entre ${CONFIG.minWeeks} et ${CONFIG.maxWeeks}`)
+        .max(CONFIG.maxWeeks, `Le nombre de semaines doit être entre ${CONFIG.minWeeks} et ${CONFIG.maxWeeks}`)
+});
+
+/** Paramètre :category */
+const categoryParams = z.object({
+    category: requiredText('Le nom de catégorie', MAX_NAME_LENGTH)
+});
+
+/** POST et DELETE /api/preferences/ingredients/:category/item */
+const itemBody = z.object({
+    item: requiredText('L\'item', 100)
+});
+
+/** PUT /api/preferences/ingredients/:category/repas */
+const repasBody = z.object({
+    midi: z.boolean({ error: 'Le choix du midi doit être un booléen' }),
+    soir: z.boolean({ error: 'Le choix du soir doit être un booléen' })
+});
+
+/** PUT /api/preferences/ingredients/:category/days : chaque jour est requis */
+const daysBody = z.object({
+    days: z.object(Object.fromEntries(
+        DAYS_OF_WEEK.map(day => [day, z.boolean({ error: `Le jour "${day}" est manquant ou invalide` })])
+    ), { error: 'Format des jours invalide' })
+});
+
+/** POST /api/preferences/ingredients/category */
+const categoryBody = z.object({
+    categoryName: requiredText('Le nom de catégorie', MAX_NAME_LENGTH)
+});
+
+/** PUT /api/preferences/ingredients/:category/rename */
+const renameBody = z.object({
+    newName: requiredText('Le nouveau nom', MAX_NAME_LENGTH)
+});
+
+/** Nom de rayon */
+const aisleName = requiredText('Le nom de rayon', MAX_NAME_LENGTH);
+
+/** PUT /api/preferences/aisles */
+const aislesBody = z.object({
+    order: z.array(aisleName, { error: 'L\'ordre des rayons doit être un tableau' })
+        .max(CONFIG.maxShoppingAisles, `Le nombre de rayons est limité à ${CONFIG.maxShoppingAisles}`),
+    categories: z.record(z.string(), z.string()).default({}),
+    items: z.record(z.string().regex(/^(ing|manual):.+/, 'Identifiant d\'item invalide'), z.string()).default({})
+});
+
+/** PUT /api/preferences/aisles/items/:itemId */
+const itemAisleBody = z.object({
+    aisle: z.string({ error: 'Le rayon doit être une chaîne' }).nullable().default(null)
+});
+
+module.exports = {
+    preferencesBody,
+    categoryParams,
+    itemBody,
+    repasBody,
+    daysBody,
+    categoryBody,
+    renameBody,
+    aislesBody,
+    itemAisleBody
+};
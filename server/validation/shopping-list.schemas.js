@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Schémas de la liste de courses
+ * @module validation/shopping-list
+ */
+
+const { z } = require('zod');
+const { dateKey, dateRangeQuery, requiredText } = require('./common');
+
+/** Identifiants d'articles ("ing:..." ou "manual:...") */
+const itemIds = z.array(z.string(), { error: 'Les articles doivent être un tableau d\'identifiants' });
+
+/** POST /api/shopping-list/purchase */
+const purchaseBody = z.object({
+    ids: itemIds.nullable().default(null),
+    from: dateKey.optional(),
+    to: dateKey.optional()
+});
+
+/** PUT /api/shopping-list : { checked } ou { purchasedItems } (ancien format par libellé) */
+const checkedBody = z.object({
+    checked: itemIds.optional(),
+    purchasedItems: z.array(z.string()).optional()
+}).refine(
+    body => body.checked || body.purchasedItems,
+    { message: 'Format invalide : checked doit être un tableau', path: ['checked'] }
+);
+
+/** PUT /api/shopping-list/items/:id */
+const itemCheckedBody = z.object({
+    checked: z.boolean({ error: 'L\'état coché doit être un booléen' })
+});
+
+/** POST /api/shopping-list/items (l'unité est vérifiée par le gestionnaire) */
+const manualItemBody = z.object({
+    name: requiredText('Le nom de l\'article', 100),
+    quantity: z.union([
+        z.null(),
+        z.literal(''),
+        z.coerce.number().min(0, 'La quantité doit être un nombre positif')
+    ], { error: 'La quantité doit être un nombre positif' }).optional(),
+    unit: z.string().max(20).optional()
+});
+
+module.exports = {
+    rangeQuery: dateRangeQuery,
+    purchaseBody,
+    checkedBody,
+    itemCheckedBody,
+    manualItemBody
+};
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Schémas de la gestion du compte
+ * @module validation/users
+ */
+
+const { z } = require('zod');
+const { email, password, twoFactorCode } = require('./auth.schemas');
+
+/** Mot de passe actuel (ré-authentification) */
+const currentPassword = z.string({ error: 'Le mot de passe actuel est requis' })
+    .min(1, 'Le mot de passe actuel est requis');
+
+/** PUT /api/users/:id/password */
+const passwordBody = z.object({ currentPassword, password });
+
+/** PUT /api/users/:id/email */
+const emailBody = z.object({ currentPassword, email });
+
+/** DELETE /api/users/:id */
+const deleteBody = z.object({ currentPassword });
+
+/** POST /api/users/:id/2fa/setup */
+const twoFactorSetupBody = z.object({ currentPassword });
+
+/** POST /api/users/:id/2fa/enable */
+const twoFactorEnableBody = z.object({ code: twoFactorCode });
+
+/** DELETE /api/users/:id/2fa et POST /api/users/:id/2fa/recovery-codes */
+const twoFactorConfirmBody = z.object({ currentPassword, code: twoFactorCode });
+
+module.exports = {
+    currentPassword,
+    passwordBody,
+    emailBody,
+    deleteBody,
+    twoFactorSetupBody,
+    twoFactorEnableBody,
+    twoFactorConfirmBody
+};